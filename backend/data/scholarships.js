@@ -14,6 +14,9 @@ const scholarships = [
     description: 'The Fulbright Program is the flagship international educational exchange program sponsored by the U.S. government. It offers scholarships for international students to pursue Masters and PhD degrees in the United States.',
     benefits: ['Full tuition waiver', 'Monthly living stipend ($2,000+)', 'Health insurance', 'Travel allowance', 'Research support'],
     requirements: ['Bachelor\'s degree', 'Minimum 3.5 GPA', 'English proficiency', 'Academic transcripts', '2-3 recommendation letters'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD']
+    },
     applicationLink: 'https://fulbright.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -32,6 +35,11 @@ const scholarships = [
     description: 'Chevening is the UK government\'s global scholarship programme, funded by the Foreign, Commonwealth and Development Office. It supports emerging leaders from around the world.',
     benefits: ['Full tuition coverage', 'Monthly living allowance', 'Travel costs to UK', 'Visa application fee', 'Networking events'],
     requirements: ['Bachelor\'s degree', '2 years work experience', 'IELTS 6.5+', 'Leadership potential', 'Academic excellence'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }],
+      minWorkExperienceYears: 2
+    },
     applicationLink: 'https://www.chevening.org/',
     imageUrl: 'https://images.unsplash.com/photo-1513635269975-59663e0ac1ad?w=400'
   },
@@ -50,6 +58,9 @@ const scholarships = [
     description: 'DAAD (German Academic Exchange Service) scholarships support international students for postgraduate studies in Germany. Over 100,000 students receive funding annually.',
     benefits: ['Monthly stipend (€1,200)', 'Travel allowance', 'Health insurance', 'Tuition waiver (most programs)', 'Research support'],
     requirements: ['Bachelor\'s degree', 'Academic transcripts', 'German or English language certificate', 'CV', 'Motivation letter'],
+    eligibility: {
+      degreeLevels: ['Master\'s']
+    },
     applicationLink: 'https://www.daad.de/en/',
     imageUrl: 'https://images.unsplash.com/photo-1467269204594-9661b134dd2b?w=400'
   },
@@ -68,6 +79,9 @@ const scholarships = [
     description: 'Erasmus Mundus Joint Master degrees are integrated programmes offered by multiple European universities. Students study in at least 2 countries.',
     benefits: ['Full tuition', 'Monthly stipend (€1,400)', 'Travel allowance (€3,000)', 'Insurance', 'Joint degree'],
     requirements: ['Bachelor\'s degree', 'Academic excellence', 'Language proficiency', 'Motivation statement', '2 references'],
+    eligibility: {
+      degreeLevels: ['Master\'s']
+    },
     applicationLink: 'https://www.eacea.ec.europa.eu/erasmus-plus/funding_en',
     imageUrl: 'https://images.unsplash.com/photo-1523050854058-8df90110c9f1?w=400'
   },
@@ -86,6 +100,9 @@ const scholarships = [
     description: 'The Vanier CGS program aims to attract and retain world-class doctoral students, supporting research in Canada\'s top universities.',
     benefits: ['$50,000/year for 3 years', 'Research support', 'Conference travel funding', 'Network access'],
     requirements: ['Bachelor\'s or Master\'s degree', 'Minimum A- average (3.7/4.0)', 'Leadership experience', 'Research potential', 'Nomination required'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://www.vanier.gc.ca/en/home.html',
     imageUrl: 'https://images.unsplash.com/photo-1524178232363-1fb2b075b655?w=400'
   },
@@ -104,6 +121,12 @@ const scholarships = [
     description: 'Australia Awards Scholarships are long-term development awards for students from developing countries to study at Australian universities.',
     benefits: ['Full tuition', 'Living allowance (A$31,500/year)', 'Return air travel', 'OSHC insurance', 'Academic support'],
     requirements: ['Bachelor\'s degree', 'Minimum 2 years work experience', 'IELTS 6.5+', 'Country eligibility', 'Post-study return requirement'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      regions: ['Developing Countries'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }],
+      minWorkExperienceYears: 2
+    },
     applicationLink: 'https://www.australiaawards.gov.au/',
     imageUrl: 'https://images.unsplash.com/photo-1506973035872-a4ec16b8e8d9?w=400'
   },
@@ -122,6 +145,11 @@ const scholarships = [
     description: 'The Swedish Institute (SI) scholarships fund highly qualified international students for full-time Masters studies in Sweden.',
     benefits: ['Full tuition coverage', 'Monthly allowance (SEK 12,000)', 'Travel grant (SEK 10,000)', 'Network membership', 'Insurance'],
     requirements: ['Bachelor\'s degree', 'Work experience (3+ years)', 'Leadership experience', 'English proficiency', 'Country eligibility'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      regions: ['Developing Countries'],
+      minWorkExperienceYears: 3
+    },
     applicationLink: 'https://si.se/en/scholarship/',
     imageUrl: 'https://images.unsplash.com/photo-1509356843151-3e91760cbb34?w=400'
   },
@@ -140,6 +168,10 @@ const scholarships = [
     description: 'The Swiss Government Excellence Scholarships promote international exchange and research cooperation between Switzerland and over 180 countries.',
     benefits: ['Full tuition waiver', 'Monthly stipend (CHF 3,500)', 'Travel allowance', 'Health insurance', 'Research opportunities'],
     requirements: ['Bachelor\'s degree', 'Research proposal', 'Language proficiency (English/French/German)', 'Age under 35', 'Academic CV'],
+    eligibility: {
+      degreeLevels: ['PhD', 'Postdoc'],
+      maxAge: 35
+    },
     applicationLink: 'https://www.sbfi.admin.ch/sbfi/en/home.html',
     imageUrl: 'https://images.unsplash.com/photo-1520106212299-d99c443e4568?w=400'
   },
@@ -158,6 +190,10 @@ const scholarships = [
     description: 'The MEXT Scholarship offers fully-funded opportunities for international students to study at Japanese universities as Research Students.',
     benefits: ['Full tuition', 'Monthly stipend (¥145,000)', 'Round-trip airfare', 'Japanese language prep', 'University placement support'],
     requirements: ['Bachelor\'s degree', 'Age under 35', 'Academic ability', 'English or Japanese proficiency', 'Health certificate'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      maxAge: 35
+    },
     applicationLink: 'https://www.studyinjapan.go.jp/en/',
     imageUrl: 'https://images.unsplash.com/photo-1493976040374-85c8e12f0c0e?w=400'
   },
@@ -176,6 +212,10 @@ const scholarships = [
     description: 'The Eiffel Scholarship program identifies the best foreign candidates for Masters and PhD programs in France.',
     benefits: ['Monthly allowance (€1,700)', 'Travel costs', 'Health insurance', 'Cultural activities', 'French language courses'],
     requirements: ['Bachelor\'s degree', 'Age under 30', 'French or English proficiency', 'Academic excellence', 'Nominating institution required'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      maxAge: 30
+    },
     applicationLink: 'https://www.campusfrance.org/',
     imageUrl: 'https://images.unsplash.com/photo-1502602898657-3e91760cbb34?w=400'
   },
@@ -194,6 +234,11 @@ const scholarships = [
     description: 'The Rhodes Scholarship is one of the oldest and most prestigious international scholarships, funding students to study at Oxford.',
     benefits: ['Full tuition (Oxford fees)', 'Living allowance (£20,000/yr)', 'Travel to/from UK', 'Oxford membership', 'Leadership development'],
     requirements: ['Bachelor\'s degree', 'Age 18-23', 'Academic excellence (3.8+)', 'Leadership', 'Character and integrity'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      minAge: 18,
+      maxAge: 23
+    },
     applicationLink: 'https://www.rhodestrust.com/',
     imageUrl: 'https://images.unsplash.com/photo-1580995295348-88f52f083045?w=400'
   },
@@ -212,6 +257,9 @@ const scholarships = [
     description: 'Knight-Hennessy Scholars receive funding for graduate education at Stanford along with leadership development.',
     benefits: ['Full tuition', 'Living stipend', 'Travel allowance', 'Leadership program', 'Global community'],
     requirements: ['Bachelor\'s degree', 'Independent thinking', 'Leadership', 'Track record of achievement', 'GTI required'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD']
+    },
     applicationLink: 'https://khstanford.org/',
     imageUrl: 'https://images.unsplash.com/photo-1564981797816-1043664bf78d?w=400'
   },
@@ -230,6 +278,10 @@ const scholarships = [
     description: 'NUS offers scholarships for ASEAN nationals to pursue graduate studies at Asia\'s top university.',
     benefits: ['Full tuition', 'Monthly allowance (S$2,000)', 'Conference travel', 'Research support'],
     requirements: ['Bachelor\'s degree', 'ASEAN citizenship', 'Academic excellence', 'Research proposal', '2 references'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      citizenships: ['Brunei', 'Cambodia', 'Indonesia', 'Laos', 'Malaysia', 'Myanmar', 'Philippines', 'Singapore', 'Thailand', 'Vietnam']
+    },
     applicationLink: 'https://www.nus.edu.sg/',
     imageUrl: 'https://images.unsplash.com/photo-1534430480872-3498386e7856?w=400'
   },
@@ -248,6 +300,10 @@ const scholarships = [
     description: 'TU Delft offers prestigious scholarships for international students pursuing Masters in Engineering.',
     benefits: ['Tuition waiver', '€15,000 allowance', 'Research opportunities', 'Mentorship'],
     requirements: ['Bachelor\'s in relevant field', 'GPA 3.0+', 'IELTS 6.5+', 'Motivation letter', 'References'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://www.tudelft.nl/en/education/ scholarships/',
     imageUrl: 'https://images.unsplash.com/photo-1562777717-dc6984f65a63?w=400'
   },
@@ -266,6 +322,10 @@ const scholarships = [
     description: 'UCL Global Masters Scholarships support outstanding international students to pursue graduate studies.',
     benefits: ['£15,000 tuition discount', 'Access to UCL resources', 'Global network'],
     requirements: ['Bachelor\'s degree 2:1+', 'IELTS 7.0+', 'Non-UK resident', 'Academic reference'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.ucl.ac.uk/scholarships/',
     imageUrl: 'https://images.unsplash.com/photo-1536098561742-ca998e48cbcc?w=400'
   },
@@ -284,6 +344,11 @@ const scholarships = [
     description: 'HEC Paris offers prestigious MBA scholarships for exceptional international candidates.',
     benefits: ['Full tuition (€75,000)', 'Living allowance (€20,000)', 'Career coaching', 'Global network'],
     requirements: ['Bachelor\'s degree', 'GMAT 700+', 'Work experience (3+ yrs)', 'IELTS 7.0+', 'Leadership potential'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }],
+      minWorkExperienceYears: 3
+    },
     applicationLink: 'https://www.hec.edu/en/mba/scholarships',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -302,6 +367,10 @@ const scholarships = [
     description: 'President\'s Scholarships are awarded to outstanding PhD candidates at Imperial College London.',
     benefits: ['Full tuition', 'Annual stipend (£18,000)', 'Research expenses', 'Travel to conferences'],
     requirements: ['Bachelor\'s + Master\'s', 'First class degree', 'Research proposal', 'IELTS 7.0+', '2 academic references'],
+    eligibility: {
+      degreeLevels: ['PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.imperial.ac.uk/study/pg/fees-and-funding/scholarships/',
     imageUrl: 'https://images.unsplash.com/photo-1591115765373-5207764f72e7?w=400'
   },
@@ -320,6 +389,10 @@ const scholarships = [
     description: 'The Clarendon Fund is Oxford\'s flagship scholarship scheme, offering fully-funded scholarships to graduate students.',
     benefits: ['Full tuition (home/overseas)', 'Living allowance (£18,000+)', 'College membership', 'Academic development'],
     requirements: ['Bachelor\'s degree', 'Academic excellence', 'IELTS 7.0+', 'Research proposal (for PhD)', 'College application'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.ox.ac.uk/clarendon',
     imageUrl: 'https://images.unsplash.com/photo-1580995295348-88f52f083045?w=400'
   },
@@ -338,6 +411,10 @@ const scholarships = [
     description: 'ETH Zurich offers Excellence Scholarships for outstanding international students pursuing Master\'s degrees.',
     benefits: ['Tuition waiver (CHF 730/sem)', 'Living allowance (CHF 12,000/sem)', 'Mentorship program', 'Research opportunities'],
     requirements: ['Bachelor\'s degree', 'GPA 3.5+', 'IELTS 7.0+ or TOEFL 100+', 'Motivation letter', '2 references'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }, { test: 'TOEFL', minScore: 100 }]
+    },
     applicationLink: 'https://ethz.ch/en/studies/scholarships/excellence.html',
     imageUrl: 'https://images.unsplash.com/photo-1516549655169-df83a092dd14?w=400'
   },
@@ -356,6 +433,10 @@ const scholarships = [
     description: 'Stipendium Hungaricum is a Hungarian government scholarship for international students at Hungarian universities.',
     benefits: ['Full tuition', 'Monthly stipend (HUF 40,000)', 'Dormitory accommodation', 'Health insurance'],
     requirements: ['Bachelor\'s degree', 'Academic transcripts', 'IELTS 5.5+', 'Country eligibility', 'Online application'],
+    eligibility: {
+      degreeLevels: ['Bachelor\'s', 'Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 5.5 }]
+    },
     applicationLink: 'https://studyinhungary.hu/',
     imageUrl: 'https://images.unsplash.com/photo-1513635269975-59663e0ac1ad?w=400'
   },
@@ -374,6 +455,10 @@ const scholarships = [
     description: 'KAUST offers fully-funded graduate scholarships for exceptional students in STEM fields.',
     benefits: ['Full tuition', 'Annual stipend ($30,000+)', 'Free housing', 'Health insurance', 'Research funding'],
     requirements: ['Bachelor\'s in STEM', 'GPA 3.5+', 'IELTS 6.5+ or TOEFL 79+', 'Statement of purpose', '3 recommendations'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }, { test: 'TOEFL', minScore: 79 }]
+    },
     applicationLink: 'https://kaust.edu.sa/en/admission/scholarships',
     imageUrl: 'https://images.unsplash.com/photo-1581094794329-c8112a89af12?w=400'
   },
@@ -392,6 +477,10 @@ const scholarships = [
     description: 'Tsinghua University offers fully-funded scholarships for international graduate students.',
     benefits: ['Full tuition', 'Living allowance (¥30,000/yr)', 'Dormitory', 'Health insurance'],
     requirements: ['Bachelor\'s degree', 'GPA 3.0+', 'IELTS 6.0+ or HSK 4', 'Academic transcripts', '2 references'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6 }]
+    },
     applicationLink: 'https://www.tsinghua.edu.cn/en/',
     imageUrl: 'https://images.unsplash.com/photo-1580587771525-78b9dba3b914?w=400'
   },
@@ -410,6 +499,10 @@ const scholarships = [
     description: 'NTU offers research scholarships for outstanding PhD and Masters by Research students.',
     benefits: ['Full tuition', 'Monthly stipend (S$3,500)', 'Conference travel', 'Research allowance'],
     requirements: ['Bachelor\'s + Master\'s (for PhD)', 'First class honors', 'IELTS 6.5+', 'Research proposal', 'Publications preferred'],
+    eligibility: {
+      degreeLevels: ['PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://www.ntu.edu.sg/',
     imageUrl: 'https://images.unsplash.com/photo-1536098561742-ca998e48cbcc?w=400'
   },
@@ -428,6 +521,10 @@ const scholarships = [
     description: 'LSE offers competitive scholarships for outstanding Masters students in social sciences.',
     benefits: ['£25,000 tuition discount', 'Access to LSE network', 'Career services'],
     requirements: ['Bachelor\'s 2:1+', 'IELTS 7.0+', 'Academic reference', 'Leadership experience'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.lse.ac.uk/study-at-lse/scholarships-and-bursaries',
     imageUrl: 'https://images.unsplash.com/photo-1564981797816-1043664bf78d?w=400'
   },
@@ -446,6 +543,10 @@ const scholarships = [
     description: 'Peking University offers fully-funded scholarships for international graduate students.',
     benefits: ['Full tuition', 'Living allowance', 'Dormitory', 'Health insurance'],
     requirements: ['Bachelor\'s degree', 'GPA 3.0+', 'IELTS 6.0+ or HSK 4', 'Good academic standing'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6 }]
+    },
     applicationLink: 'https://www.pku.edu.cn/en/',
     imageUrl: 'https://images.unsplash.com/photo-1580587771525-78b9dba3b914?w=400'
   },
@@ -464,6 +565,10 @@ const scholarships = [
     description: 'Harvard Business School offers need-based scholarships for all admitted MBA students.',
     benefits: ['Full tuition', 'Living stipend', 'Health insurance', 'Career services'],
     requirements: ['Bachelor\'s degree', 'GMAT/GRE', 'Work experience (2+ yrs)', 'Essays', 'Interviews'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      minWorkExperienceYears: 2
+    },
     applicationLink: 'https://www.hbs.edu/mba/admissions/scholarships',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -482,6 +587,9 @@ const scholarships = [
     description: 'Stanford offers fully-funded PhD positions in Computer Science with generous stipends.',
     benefits: ['Full tuition', 'Annual stipend ($50,000+)', 'Health insurance', 'Research funding', 'Conference travel'],
     requirements: ['Bachelor\'s + Master\'s preferred', 'GPA 3.8+', 'GRE recommended', 'Strong research background', 'Publications'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://cs.stanford.edu/admissions/phd',
     imageUrl: 'https://images.unsplash.com/photo-1564981797816-1043664bf78d?w=400'
   },
@@ -500,6 +608,9 @@ const scholarships = [
     description: 'Yale World Scholars program supports postdoctoral research for early-career scholars.',
     benefits: ['Annual stipend ($70,000)', 'Research budget ($10,000)', 'Health benefits', 'Office space', 'Library access'],
     requirements: ['PhD or equivalent', 'Recent doctorate (3 yrs)', 'Research proposal', '3 references'],
+    eligibility: {
+      degreeLevels: ['Postdoc']
+    },
     applicationLink: 'https://worldscholars.yale.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -518,6 +629,9 @@ const scholarships = [
     description: 'Princeton offers fully-funded PhD positions across all departments with competitive stipends.',
     benefits: ['Full tuition', 'Annual stipend ($50,000+)', 'Health insurance', 'Conference travel', 'Research budget'],
     requirements: ['Bachelor\'s + Master\'s', 'GPA 3.8+', 'Strong letters of recommendation', 'Research statement'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://gradschool.princeton.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -536,6 +650,9 @@ const scholarships = [
     description: 'MIT CSAIL offers fully-funded PhD positions for exceptional researchers in computing.',
     benefits: ['Full tuition', 'Stipend ($60,000/yr)', 'Research budget', 'Health insurance', 'Conference travel'],
     requirements: ['Outstanding academic record', 'Research experience', 'Publications', 'Strong recommendations', 'Statement of objectives'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://www.csail.mit.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -554,6 +671,9 @@ const scholarships = [
     description: 'UC Berkeley EECS offers fully-funded PhD positions for top researchers.',
     benefits: ['Full tuition', 'Annual stipend ($45,000+)', 'Health coverage', 'Research opportunities'],
     requirements: ['Bachelor\'s/Master\'s', 'GPA 3.7+', 'Research experience', 'SOP', '3 LORs'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://eecs.berkeley.edu/academics/graduate',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -572,6 +692,9 @@ const scholarships = [
     description: 'Carnegie Mellon offers fully-funded PhD positions in the #1 CS department in the world.',
     benefits: ['Full tuition', 'Annual stipend ($42,000+)', 'Health insurance', 'Conference travel'],
     requirements: ['CS/related degree', 'GPA 3.7+', 'Programming skills', 'Research experience'],
+    eligibility: {
+      degreeLevels: ['PhD']
+    },
     applicationLink: 'https://www.cs.cmu.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -590,6 +713,9 @@ const scholarships = [
     description: 'Cornell Tech offers scholarships for their innovative Masters programs in NYC.',
     benefits: ['$30,000 tuition award', 'NYC location', 'Industry connections', 'Startup opportunities'],
     requirements: ['Bachelor\'s degree', 'GPA 3.5+', 'Technical background', 'Demonstrated leadership'],
+    eligibility: {
+      degreeLevels: ['Master\'s']
+    },
     applicationLink: 'https://tech.cornell.edu/admissions/scholarships/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -608,6 +734,10 @@ const scholarships = [
     description: 'Waterloo offers fully-funded graduate positions for top international students.',
     benefits: ['Full tuition', 'Annual stipend (CAD $40,000)', 'Research funding', 'Co-op opportunities'],
     requirements: ['Bachelor\'s degree', 'GPA 3.5+', 'IELTS 7.0+', 'Research proposal'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://uwaterloo.ca/graduate-studies/',
     imageUrl: 'https://images.unsplash.com/photo-1524178232363-1fb2b075b655?w=400'
   },
@@ -626,6 +756,10 @@ const scholarships = [
     description: 'McGill offers competitive graduate fellowships for international students.',
     benefits: ['Annual fellowship (CAD $35,000)', 'Tuition coverage', 'Research opportunities'],
     requirements: ['Bachelor\'s degree', 'GPA 3.5+', 'IELTS 6.5+', 'Academic references'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://www.mcgill.ca/gradapplicants/',
     imageUrl: 'https://images.unsplash.com/photo-1524178232363-1fb2b075b655?w=400'
   },
@@ -644,6 +778,10 @@ const scholarships = [
     description: 'U of T offers fully-funded PhD positions with competitive stipends.',
     benefits: ['Full tuition', 'Annual stipend (CAD $45,000)', 'Health insurance', 'Research funding'],
     requirements: ['Master\'s preferred', 'GPA 3.7+', 'IELTS 7.0+', 'Research experience'],
+    eligibility: {
+      degreeLevels: ['PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.sgs.utoronto.ca/',
     imageUrl: 'https://images.unsplash.com/photo-1524178232363-1fb2b075b655?w=400'
   },
@@ -662,6 +800,10 @@ const scholarships = [
     description: 'Bristol offers competitive scholarships for international graduate students.',
     benefits: ['£10,000 tuition discount', 'Access to research facilities', 'Global network'],
     requirements: ['Bachelor\'s 2:1+', 'IELTS 6.5+', 'Academic reference', 'Personal statement'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://www.bristol.ac.uk/',
     imageUrl: 'https://images.unsplash.com/photo-1536098561742-ca998e48cbcc?w=400'
   },
@@ -680,6 +822,10 @@ const scholarships = [
     description: 'Manchester offers prestigious scholarships for international postgraduate students.',
     benefits: ['Full tuition', 'Living stipend (£18,000/yr)', 'Research support'],
     requirements: ['Bachelor\'s 2:1+', 'IELTS 6.5+', 'Academic excellence', 'Relevant background'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://www.manchester.ac.uk/study/',
     imageUrl: 'https://images.unsplash.com/photo-1536098561742-ca998e48cbcc?w=400'
   },
@@ -698,6 +844,10 @@ const scholarships = [
     description: 'Edinburgh offers scholarships for outstanding international postgraduate students.',
     benefits: ['£20,000 tuition award', 'Access to world-class research', 'Global alumni network'],
     requirements: ['Bachelor\'s degree', 'GPA 3.5+', 'IELTS 7.0+', 'Academic reference'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }]
+    },
     applicationLink: 'https://www.ed.ac.uk/study/masters/scholarships',
     imageUrl: 'https://images.unsplash.com/photo-1591115765373-5207764f72e7?w=400'
   },
@@ -716,6 +866,10 @@ const scholarships = [
     description: 'Warwick offers Chancellor\'s Scholarships for exceptional international students.',
     benefits: ['Full tuition', 'Living allowance', 'Research opportunities', 'Mentorship'],
     requirements: ['Bachelor\'s 2:1+', 'IELTS 6.5+', 'Academic excellence', 'Leadership'],
+    eligibility: {
+      degreeLevels: ['PhD'],
+      languageTests: [{ test: 'IELTS', minScore: 6.5 }]
+    },
     applicationLink: 'https://warwick.ac.uk/',
     imageUrl: 'https://images.unsplash.com/photo-1536098561742-ca998e48cbcc?w=400'
   },
@@ -734,6 +888,9 @@ const scholarships = [
     description: 'Kyoto University offers prestigious scholarships for international graduate students.',
     benefits: ['Full tuition', 'Monthly stipend (¥180,000)', 'Research support', 'Japanese language support'],
     requirements: ['Bachelor\'s degree', 'GPA 3.0+', 'English or Japanese proficiency', 'Academic transcript'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD']
+    },
     applicationLink: 'https://www.kyoto-u.ac.jp/en/',
     imageUrl: 'https://images.unsplash.com/photo-1493976040374-85c8e12f0c0e?w=400'
   },
@@ -752,6 +909,9 @@ const scholarships = [
     description: 'Osaka University offers comprehensive scholarships for international students.',
     benefits: ['Full tuition', 'Monthly allowance (¥150,000)', 'Research funding', 'Language support'],
     requirements: ['Bachelor\'s degree', 'Academic records', 'Language proficiency', 'Research plan'],
+    eligibility: {
+      degreeLevels: ['Master\'s', 'PhD']
+    },
     applicationLink: 'https://www.osaka-u.ac.jp/en/',
     imageUrl: 'https://images.unsplash.com/photo-1493976040374-85c8e12f0c0e?w=400'
   },
@@ -770,6 +930,9 @@ const scholarships = [
     description: 'Waseda offers various scholarships for international graduate students.',
     benefits: ['Full tuition', 'Monthly stipend (¥120,000)', 'Campus life access', 'Career support'],
     requirements: ['Bachelor\'s degree', 'GPA 3.0+', 'English/Japanese proficiency', 'Application form'],
+    eligibility: {
+      degreeLevels: ['Master\'s']
+    },
     applicationLink: 'https://www.waseda.jp/en/',
     imageUrl: 'https://images.unsplash.com/photo-1493976040374-85c8e12f0c0e?w=400'
   },
@@ -788,6 +951,11 @@ const scholarships = [
     description: 'INSEAD offers prestigious scholarships for their one-year MBA program in Asia.',
     benefits: ['Full tuition (€95,000)', 'Career coaching', 'Global network', 'Alumni support'],
     requirements: ['Bachelor\'s degree', 'GMAT 700+', 'Work experience (2+ yrs)', 'IELTS 7.0+', 'Leadership'],
+    eligibility: {
+      degreeLevels: ['Master\'s'],
+      languageTests: [{ test: 'IELTS', minScore: 7 }],
+      minWorkExperienceYears: 2
+    },
     applicationLink: 'https://www.insead.edu/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   },
@@ -806,6 +974,9 @@ const scholarships = [
     description: 'IIM Ahmedabad offers scholarships for exceptional MBA students.',
     benefits: ['Full tuition', 'Living allowance', 'Placement assistance', 'Alumni network'],
     requirements: ['Bachelor\'s degree', 'CAT score', 'Work experience preferred', 'Interview performance'],
+    eligibility: {
+      degreeLevels: ['Master\'s']
+    },
     applicationLink: 'https://www.iima.ac.in/',
     imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400'
   }
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken'
 
 const SECRET = process.env.JWT_SECRET || 'scholarhunter_secret_key_2024'
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
 
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization']
@@ -16,7 +17,11 @@ export const authenticateToken = (req, res, next) => {
   jwt.verify(token, SECRET, (err, user) => {
     if (err) {
       console.log('Auth failed: Token verification error -', err.message)
-      return res.status(403).json({ message: 'Invalid or expired token' })
+      // 401 tells the client to try a silent refresh before giving up
+      return res.status(401).json({
+        message: 'Invalid or expired token',
+        code: err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+      })
     }
     console.log('Auth success - User:', user.id)
     req.user = user
@@ -24,8 +29,50 @@ export const authenticateToken = (req, res, next) => {
   })
 }
 
-export const generateToken = (user) => {
-  return jwt.sign({ id: user.id, email: user.email }, SECRET, { expiresIn: '7d' })
+/**
+ * Identify the caller when an access token is sent, without requiring one.
+ * Public routes use req.user, if set, to personalise results. A token that
+ * fails verification gets the same 401 as authenticateToken, so the client
+ * refreshes it instead of silently getting anonymous results.
+ */
+export const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization']
+  const token = authHeader && authHeader.split(' ')[1]
+  if (!token) return next()
+
+  jwt.verify(token, SECRET, (err, user) => {
+    if (err) {
+      return res.status(401).json({
+        message: 'Invalid or expired token',
+        code: err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+      })
+    }
+    req.user = user
+    next()
+  })
+}
+
+/**
+ * Gate a route to the given roles. Must run after authenticateToken; tokens
+ * minted before roles existed carry no role and are treated as students.
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user?.role || 'student'
+  if (!roles.includes(role)) {
+    console.log(`Auth failed: role ${role} not in [${roles.join(', ')}]`)
+    return res.status(403).json({ message: 'Insufficient permissions' })
+  }
+  next()
+}
+
+/**
+ * Short-lived access token. `sid` ties it to the server-side session that
+ * issued it so the session list can flag the caller's own login.
+ */
+export const generateToken = (user, sessionId) => {
+  const payload = { id: user.id || user._id, email: user.email, role: user.role || 'student' }
+  if (sessionId) payload.sid = String(sessionId)
+  return jwt.sign(payload, SECRET, { expiresIn: ACCESS_TOKEN_TTL })
 }
 
 export { SECRET }
@@ -5,7 +5,16 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true, minlength: 6 },
   name: { type: String, required: true, trim: true },
   phone: { type: String, default: '' },
-  profileCompleted: { type: Boolean, default: false }
+  profileCompleted: { type: Boolean, default: false },
+  role: { type: String, enum: ['student', 'counselor', 'admin'], default: 'student', index: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  // Per notification type { inApp, email } overrides; see utils/notifications.js
+  notificationPreferences: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Days before a saved scholarship's deadline to remind; see utils/deadlineReminders.js
+  reminderLeadDays: { type: [Number], default: undefined },
+  // Secret in the user's calendar feed URL; see routes/calendar.js
+  calendarToken: { type: String, unique: true, sparse: true }
 }, { timestamps: true })
 
 const profileSchema = new mongoose.Schema({
@@ -17,9 +26,26 @@ const profileSchema = new mongoose.Schema({
   fieldOfStudy: [String],
   gpa: { type: Number, default: 0 },
   englishLevel: { type: String, default: 'intermediate' },
+  citizenship: { type: String, default: '' },
+  dateOfBirth: { type: Date, default: null },
+  targetDegreeLevel: { type: String, default: '' },
+  languageTests: [{ _id: false, test: String, score: Number, takenAt: Date }],
+  workExperienceYears: { type: Number, default: null },
+  matchWeights: { type: mongoose.Schema.Types.Mixed, default: {} },
   resumePath: { type: String, default: '' }
 }, { timestamps: true })
 
+// Who may apply. Empty lists and null limits mean the scholarship sets no rule.
+const eligibilitySchema = new mongoose.Schema({
+  degreeLevels: [{ type: String, enum: ["Bachelor's", "Master's", 'PhD', 'Postdoc'] }],
+  citizenships: [String],
+  regions: [String],
+  minAge: { type: Number, default: null },
+  maxAge: { type: Number, default: null },
+  languageTests: [{ _id: false, test: { type: String, enum: ['IELTS', 'TOEFL', 'PTE', 'Duolingo'] }, minScore: Number }],
+  minWorkExperienceYears: { type: Number, default: 0 }
+}, { _id: false })
+
 const scholarshipSchema = new mongoose.Schema({
   id: String,
   title: { type: String, required: true },
@@ -30,6 +56,8 @@ const scholarshipSchema = new mongoose.Schema({
   fundingType: { type: String, default: 'Full Scholarship' },
   amount: { type: String, default: '' },
   deadline: { type: Date, index: true },
+  // Set when the source gave no deadline and the one above is a guess
+  deadlineEstimated: { type: Boolean, default: false },
   applicationFee: { type: Number, default: 0 },
   ieltsRequired: { type: Boolean, default: true },
   minGPA: { type: Number, default: 0 },
@@ -37,20 +65,213 @@ const scholarshipSchema = new mongoose.Schema({
   benefits: [String],
   requirements: [String],
   applicationLink: { type: String, default: '' },
-  imageUrl: { type: String, default: '' }
+  imageUrl: { type: String, default: '' },
+  eligibility: { type: eligibilitySchema, default: () => ({}) },
+  source: { type: String, default: 'manual', index: true },
+  sourceUrl: { type: String, default: '' },
+  lastScraped: { type: Date },
+  // Scraped listings: identity derived from the source URL and title, and
+  // when a scrape first and last found the listing
+  sourceKey: { type: String, index: true },
+  firstSeen: { type: Date },
+  lastSeen: { type: Date },
+  // Every source listing this scholarship, and which source each field's
+  // value came from, for records merged from several sites
+  sources: [{
+    _id: false,
+    source: String,
+    sourceUrl: String,
+    sourceKey: String,
+    firstSeen: Date,
+    lastSeen: Date
+  }],
+  provenance: { type: mongoose.Schema.Types.Mixed },
+  verified: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true, index: true },
+  archivedAt: { type: Date, default: null },
+  // Set when the scraper archived the listing rather than an admin
+  archiveReason: { type: String, enum: ['unlisted', 'expired', 'duplicate', null], default: null }
+}, { timestamps: true })
+
+scholarshipSchema.index({ 'eligibility.degreeLevels': 1 })
+scholarshipSchema.index({ 'eligibility.citizenships': 1 })
+scholarshipSchema.index({ updatedAt: -1 })
+scholarshipSchema.index({ 'sources.sourceKey': 1 })
+
+// One entry per change to a scholarship record, newest revision last
+const scholarshipRevisionSchema = new mongoose.Schema({
+  scholarshipId: { type: String, required: true },
+  revision: { type: Number, required: true },
+  action: { type: String, enum: ['create', 'update', 'archive', 'restore', 'rollback'], required: true },
+  changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  source: { type: String, enum: ['admin', 'scraper', 'seed', 'system'], default: 'system' },
+  note: { type: String, default: '' },
+  revertsRevision: { type: Number, default: null }
 }, { timestamps: true })
 
+scholarshipRevisionSchema.index({ scholarshipId: 1, revision: -1 }, { unique: true })
+
 const savedScholarshipSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   scholarshipId: { type: String, required: true },
   status: { type: String, enum: ['saved', 'applied', 'interview', 'accepted', 'rejected'], default: 'saved' },
+  interviewAt: { type: Date, default: null },
   scholarship: Object
 }, { timestamps: true })
 
+// Personal to-dos on the user's calendar, optionally tied to a saved scholarship
+const taskSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true },
+  notes: { type: String, default: '' },
+  dueAt: { type: Date, required: true },
+  allDay: { type: Boolean, default: true },
+  scholarshipId: { type: String, default: null },
+  completedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+taskSchema.index({ userId: 1, dueAt: 1 })
+
+// Saved scholarships and tasks removed by their user, kept for a while so
+// calendar feeds can tell subscribed clients to drop the events
+const calendarCancellationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  scholarshipId: { type: String, default: null },
+  taskId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  title: { type: String, default: '' }
+}, { timestamps: true })
+
+calendarCancellationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  // The token replaced by the last rotation, still accepted briefly so
+  // tabs refreshing at the same moment do not look like token reuse
+  previousTokenHash: { type: String, default: null },
+  // The current secret, readable only with the replaced one (see utils/sessions.js)
+  successorSecret: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+// Let Mongo drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Single-use tokens behind emailed links (verification, password reset)
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Cached /match results, one per user and scholarship; see utils/matchCache.js
+const matchScoreSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scholarshipId: { type: String, required: true },
+  score: { type: Number, required: true },
+  breakdown: { type: mongoose.Schema.Types.Mixed, default: {} },
+  criteria: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  eligibility: { type: mongoose.Schema.Types.Mixed, default: {} },
+  eligibilityStatus: { type: String, enum: ['eligible', 'likely', 'ineligible'], required: true },
+  weightsKey: { type: String, default: '' },
+  computedAt: { type: Date, required: true }
+})
+
+matchScoreSchema.index({ userId: 1, scholarshipId: 1 }, { unique: true })
+matchScoreSchema.index({ userId: 1, score: -1 })
+
+// A named set of search filters, stored in the web app's filter shape and
+// re-run after every scrape; see utils/savedSearches.js
+const savedSearchSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  emailDigest: { type: Boolean, default: false },
+  lastCheckedAt: { type: Date, default: Date.now }
+}, { timestamps: true })
+
+// A scholarship that newly matched a saved search
+const searchAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', required: true },
+  scholarshipId: { type: String, required: true },
+  title: { type: String, default: '' },
+  readAt: { type: Date, default: null },
+  emailedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+searchAlertSchema.index({ savedSearchId: 1, scholarshipId: 1 }, { unique: true })
+searchAlertSchema.index({ userId: 1, createdAt: -1 })
+
+const notificationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['deadline_reminder', 'saved_search_match', 'status_change', 'scholarship_update'], required: true },
+  title: { type: String, required: true },
+  body: { type: String, default: '' },
+  link: { type: String, default: '' },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  readAt: { type: Date, default: null }
+}, { timestamps: true })
+
+notificationSchema.index({ userId: 1, createdAt: -1 })
+notificationSchema.index({ userId: 1, readAt: 1 })
+// Old notifications are cleared out after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+// One per reminder sent, so restarts never send the same reminder twice. A
+// changed deadline is a new deadline and gets its own reminders.
+const deadlineReminderSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scholarshipId: { type: String, required: true },
+  deadline: { type: Date, required: true },
+  leadDays: { type: Number, required: true }
+}, { timestamps: true })
+
+deadlineReminderSchema.index({ userId: 1, scholarshipId: 1, deadline: 1, leadDays: 1 }, { unique: true })
+
+// Admin overrides and run state per scraper source; see scrapers/registry.js
+const scraperSourceSchema = new mongoose.Schema({
+  source: { type: String, required: true, unique: true },
+  settings: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  lastRunAt: { type: Date, default: null },
+  lastStatus: { type: String, enum: ['success', 'failed', null], default: null },
+  lastCount: { type: Number, default: 0 },
+  lastError: { type: String, default: '' }
+}, { timestamps: true, minimize: false })
+
+// Two scholarships that may be the same programme from different sources,
+// waiting for an admin to merge them or mark them as distinct
+const duplicateCandidateSchema = new mongoose.Schema({
+  scholarshipId: { type: String, required: true },
+  duplicateId: { type: String, required: true },
+  score: { type: Number, required: true },
+  reasons: [String],
+  status: { type: String, enum: ['pending', 'merged', 'dismissed'], default: 'pending', index: true },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null }
+}, { timestamps: true })
+
+duplicateCandidateSchema.index({ scholarshipId: 1, duplicateId: 1 }, { unique: true })
+
 const scrapeLogSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
   totalFound: Number,
   newAdded: Number,
+  updated: Number,
+  merged: Number,
+  queued: Number,
+  deactivated: Number,
   sources: [Object],
   error: String,
   status: { type: String, default: 'success' }
@@ -59,7 +280,19 @@ const scrapeLogSchema = new mongoose.Schema({
 const User = mongoose.models.User || mongoose.model('User', userSchema)
 const Profile = mongoose.models.Profile || mongoose.model('Profile', profileSchema)
 const Scholarship = mongoose.models.Scholarship || mongoose.model('Scholarship', scholarshipSchema)
+const ScholarshipRevision = mongoose.models.ScholarshipRevision || mongoose.model('ScholarshipRevision', scholarshipRevisionSchema)
 const SavedScholarship = mongoose.models.SavedScholarship || mongoose.model('SavedScholarship', savedScholarshipSchema)
+const Task = mongoose.models.Task || mongoose.model('Task', taskSchema)
+const CalendarCancellation = mongoose.models.CalendarCancellation || mongoose.model('CalendarCancellation', calendarCancellationSchema)
+const Session = mongoose.models.Session || mongoose.model('Session', sessionSchema)
+const UserToken = mongoose.models.UserToken || mongoose.model('UserToken', userTokenSchema)
+const MatchScore = mongoose.models.MatchScore || mongoose.model('MatchScore', matchScoreSchema)
+const SavedSearch = mongoose.models.SavedSearch || mongoose.model('SavedSearch', savedSearchSchema)
+const SearchAlert = mongoose.models.SearchAlert || mongoose.model('SearchAlert', searchAlertSchema)
+const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema)
+const DeadlineReminder = mongoose.models.DeadlineReminder || mongoose.model('DeadlineReminder', deadlineReminderSchema)
+const ScraperSource = mongoose.models.ScraperSource || mongoose.model('ScraperSource', scraperSourceSchema)
+const DuplicateCandidate = mongoose.models.DuplicateCandidate || mongoose.model('DuplicateCandidate', duplicateCandidateSchema)
 const ScrapeLog = mongoose.models.ScrapeLog || mongoose.model('ScrapeLog', scrapeLogSchema)
 
-export { User, Profile, Scholarship, SavedScholarship, ScrapeLog }
+export { User, Profile, Scholarship, ScholarshipRevision, SavedScholarship, Task, CalendarCancellation, Session, UserToken, MatchScore, SavedSearch, SearchAlert, Notification, DeadlineReminder, ScraperSource, DuplicateCandidate, ScrapeLog }
@@ -0,0 +1,521 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import {
+  User,
+  Profile,
+  Scholarship,
+  ScholarshipRevision,
+  SavedScholarship,
+  Task,
+  CalendarCancellation,
+  Session,
+  UserToken,
+  MatchScore,
+  SavedSearch,
+  SearchAlert,
+  Notification,
+  DeadlineReminder,
+  DuplicateCandidate,
+  ScrapeLog
+} from '../models/index.js'
+import { authenticateToken, requireRole } from '../middleware/auth.js'
+import { revokeUserSessions } from '../utils/sessions.js'
+import {
+  TRACKED_FIELDS,
+  pickTracked,
+  recordCreations,
+  applyScholarshipChange,
+  setArchived,
+  rollbackRevision
+} from '../utils/scholarshipHistory.js'
+import { normalizeEligibility } from '../utils/eligibility.js'
+import { listScraperSources, updateScraperSource } from '../utils/scraperSources.js'
+import { mergeScholarships } from '../utils/scrapedListings.js'
+import { SCRAPER_SOURCES, SOURCE_SETTINGS, parseSourceSettings } from '../scrapers/registry.js'
+
+const router = express.Router()
+
+const ROLES = ['student', 'counselor', 'admin']
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+router.use(authenticateToken)
+
+// A malformed id cannot name a user, so it is a 404 rather than a CastError
+router.param('userId', (req, res, next, userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    return res.status(404).json({ message: 'User not found' })
+  }
+  next()
+})
+
+// Counselors can look up students; everything else is admin-only
+router.get('/users', requireRole('admin', 'counselor'), async (req, res) => {
+  try {
+    const { search, role, page = 1, limit = 20 } = req.query
+    const query = {}
+
+    if (req.user.role === 'counselor') {
+      query.role = 'student'
+    } else if (role && ROLES.includes(role)) {
+      query.role = role
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i')
+      query.$or = [{ email: pattern }, { name: pattern }]
+    }
+
+    const pageNum = parseInt(page) || 1
+    const limitNum = Math.min(parseInt(limit) || 20, 100)
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+    const total = await User.countDocuments(query)
+
+    res.json({ users, total, page: pageNum, totalPages: Math.ceil(total / limitNum) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch users', error: error.message })
+  }
+})
+
+router.get('/users/:userId', requireRole('admin', 'counselor'), async (req, res) => {
+  try {
+    const query = { _id: req.params.userId }
+    if (req.user.role === 'counselor') query.role = 'student'
+
+    const user = await User.findOne(query).select('-password')
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    const profile = await Profile.findOne({ userId: user._id })
+    const savedCount = await SavedScholarship.countDocuments({ userId: user._id })
+
+    res.json({ user, profile: profile || {}, savedCount })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch user', error: error.message })
+  }
+})
+
+router.use(requireRole('admin'))
+
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const { role, name } = req.body
+    const updates = {}
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` })
+      }
+      if (req.params.userId === String(req.user.id) && role !== 'admin') {
+        return res.status(400).json({ message: 'You cannot remove your own admin role' })
+      }
+      updates.role = role
+    }
+    if (name !== undefined) updates.name = String(name).trim()
+
+    const user = await User.findByIdAndUpdate(req.params.userId, { $set: updates }, { new: true }).select('-password')
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    res.json({ message: 'User updated', user })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update user', error: error.message })
+  }
+})
+
+router.post('/users/:userId/revoke-sessions', async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.params.userId)
+    res.json({ message: 'Sessions revoked', revoked })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to revoke sessions', error: error.message })
+  }
+})
+
+router.delete('/users/:userId', async (req, res) => {
+  try {
+    const userId = req.params.userId
+    if (userId === String(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot delete your own account here' })
+    }
+
+    const user = await User.findByIdAndDelete(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    // Everything owned by the account goes too, so schedulers stop working on it
+    await Promise.all([
+      Profile.deleteOne({ userId }),
+      SavedScholarship.deleteMany({ userId }),
+      Task.deleteMany({ userId }),
+      CalendarCancellation.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      UserToken.deleteMany({ userId }),
+      MatchScore.deleteMany({ userId }),
+      SavedSearch.deleteMany({ userId }),
+      SearchAlert.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      DeadlineReminder.deleteMany({ userId })
+    ])
+
+    res.json({ message: 'User deleted' })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete user', error: error.message })
+  }
+})
+
+router.get('/scholarships', async (req, res) => {
+  try {
+    const { search, source, status, page = 1, limit = 50 } = req.query
+    const query = {}
+
+    if (status === 'active') query.isActive = { $ne: false }
+    if (status === 'archived') query.isActive = false
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i')
+      query.$or = [{ title: pattern }, { university: pattern }, { id: pattern }]
+    }
+    if (source) query.source = source
+
+    const pageNum = parseInt(page) || 1
+    const limitNum = Math.min(parseInt(limit) || 50, 200)
+
+    const scholarships = await Scholarship.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+    const total = await Scholarship.countDocuments(query)
+
+    res.json({ scholarships, total, page: pageNum, totalPages: Math.ceil(total / limitNum) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch scholarships', error: error.message })
+  }
+})
+
+router.post('/scholarships', async (req, res) => {
+  try {
+    const data = pickTracked(req.body)
+    if (data.eligibility) data.eligibility = normalizeEligibility(data.eligibility)
+
+    if (!data.title || !data.country) {
+      return res.status(400).json({ message: 'Title and country are required' })
+    }
+
+    const slug = data.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)
+    const id = req.body.id || `admin-${slug}-${Math.random().toString(36).substr(2, 6)}`
+
+    if (await Scholarship.exists({ id })) {
+      return res.status(400).json({ message: `Scholarship id "${id}" already exists` })
+    }
+
+    const scholarship = await Scholarship.create({ ...data, id, source: 'manual', verified: true, isActive: true })
+    await recordCreations([scholarship], { changedBy: req.user.id, source: 'admin', note: req.body.note || '' })
+
+    res.status(201).json({ message: 'Scholarship created', scholarship })
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500
+    res.status(status).json({ message: 'Failed to create scholarship', error: error.message })
+  }
+})
+
+router.get('/scholarships/:id', async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findOne({ id: req.params.id })
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+    res.json(scholarship)
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch scholarship', error: error.message })
+  }
+})
+
+router.patch('/scholarships/:id', async (req, res) => {
+  try {
+    const updates = pickTracked(req.body, TRACKED_FIELDS)
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No editable fields supplied' })
+    }
+
+    const scholarship = await Scholarship.findOne({ id: req.params.id })
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+
+    // Partial eligibility edits keep the rules that were not sent
+    if (updates.eligibility) {
+      updates.eligibility = normalizeEligibility({ ...scholarship.eligibility?.toObject(), ...updates.eligibility })
+    }
+
+    const revision = await applyScholarshipChange(scholarship, updates, {
+      changedBy: req.user.id,
+      source: 'admin',
+      note: req.body.note || ''
+    })
+
+    res.json({
+      message: revision ? 'Scholarship updated' : 'No changes',
+      scholarship,
+      revision
+    })
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500
+    res.status(status).json({ message: 'Failed to update scholarship', error: error.message })
+  }
+})
+
+router.post('/scholarships/:id/archive', async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findOne({ id: req.params.id })
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+    if (scholarship.isActive === false) {
+      return res.status(400).json({ message: 'Scholarship is already archived' })
+    }
+
+    const revision = await setArchived(scholarship, true, { changedBy: req.user.id, note: req.body.note || '' })
+    res.json({ message: 'Scholarship archived', scholarship, revision })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to archive scholarship', error: error.message })
+  }
+})
+
+router.post('/scholarships/:id/restore', async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findOne({ id: req.params.id })
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+    if (scholarship.isActive !== false) {
+      return res.status(400).json({ message: 'Scholarship is not archived' })
+    }
+
+    const revision = await setArchived(scholarship, false, { changedBy: req.user.id, note: req.body.note || '' })
+    res.json({ message: 'Scholarship restored', scholarship, revision })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to restore scholarship', error: error.message })
+  }
+})
+
+router.get('/scholarships/:id/revisions', async (req, res) => {
+  try {
+    const revisions = await ScholarshipRevision.find({ scholarshipId: req.params.id })
+      .sort({ revision: -1 })
+      .populate('changedBy', 'name email')
+
+    res.json(revisions)
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch revisions', error: error.message })
+  }
+})
+
+router.post('/scholarships/:id/revisions/:revision/rollback', async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision)
+    if (isNaN(revisionNumber)) {
+      return res.status(400).json({ message: 'Revision must be a number' })
+    }
+
+    const result = await rollbackRevision(req.params.id, revisionNumber, {
+      changedBy: req.user.id,
+      note: req.body.note || ''
+    })
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error })
+    }
+    if (!result.revision) {
+      return res.status(409).json({ message: 'Nothing to roll back; the record already has those values' })
+    }
+
+    res.json({ message: `Revision ${revisionNumber} rolled back`, scholarship: result.scholarship, revision: result.revision })
+  } catch (error) {
+    res.status(500).json({ message: 'Rollback failed', error: error.message })
+  }
+})
+
+router.get('/scrape-runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+    const runs = await ScrapeLog.find({}).sort({ timestamp: -1 }).limit(limit)
+    const scraper = req.app.get('scheduledScraper')
+
+    res.json({ runs, status: scraper ? scraper.getStatus() : null })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch scrape runs', error: error.message })
+  }
+})
+
+router.post('/scrape-runs', async (req, res) => {
+  try {
+    const scraper = req.app.get('scheduledScraper')
+    if (!scraper) {
+      return res.status(503).json({ message: 'Scraper is not running' })
+    }
+    if (scraper.isRunning) {
+      return res.status(409).json({ message: 'A scrape is already in progress' })
+    }
+
+    // { sources: ['iefa'] } runs just those; otherwise every enabled source
+    const { sources } = req.body || {}
+    if (sources !== undefined) {
+      if (!Array.isArray(sources) || sources.length === 0 || sources.some(id => !SCRAPER_SOURCES[id])) {
+        return res.status(400).json({ message: `sources must list registered scrapers: ${Object.keys(SCRAPER_SOURCES).join(', ')}` })
+      }
+    }
+
+    if (!sources && !(await listScraperSources()).some(source => source.settings.enabled)) {
+      return res.status(400).json({ message: 'No scraper sources are enabled' })
+    }
+
+    // Runs in the background; poll GET /scrape-runs for the result
+    if (!scraper.startScrape(sources ? { sources } : { force: true })) {
+      return res.status(409).json({ message: 'A scrape is already in progress' })
+    }
+    res.status(202).json({ message: 'Scrape started', status: scraper.getStatus() })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to start scrape', error: error.message })
+  }
+})
+
+router.get('/scraper-sources', async (req, res) => {
+  try {
+    res.json({ sources: await listScraperSources(), settings: SOURCE_SETTINGS })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch scraper sources', error: error.message })
+  }
+})
+
+// Partial update: { enabled: false } or { maxPages: 5, retries: null } (null resets to the configured default)
+router.put('/scraper-sources/:id', async (req, res) => {
+  try {
+    if (!SCRAPER_SOURCES[req.params.id]) {
+      return res.status(404).json({ message: 'Scraper source not found' })
+    }
+
+    let settings
+    try {
+      settings = parseSourceSettings(req.body.settings, { allowReset: true })
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    const source = await updateScraperSource(req.params.id, settings, req.user.id)
+
+    res.json({ message: 'Scraper source updated', source })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update scraper source', error: error.message })
+  }
+})
+
+// Possible duplicates from different sources, most likely first. Pairs
+// where either record has since been archived are left out.
+router.get('/duplicates', async (req, res) => {
+  try {
+    const candidates = await DuplicateCandidate.find({ status: 'pending' }).sort({ score: -1, createdAt: 1 })
+    const ids = candidates.flatMap(candidate => [candidate.scholarshipId, candidate.duplicateId])
+    const scholarships = await Scholarship.find({ id: { $in: ids }, isActive: true })
+    const byId = new Map(scholarships.map(scholarship => [scholarship.id, scholarship]))
+
+    const duplicates = candidates
+      .filter(candidate => byId.has(candidate.scholarshipId) && byId.has(candidate.duplicateId))
+      .map(candidate => ({
+        ...candidate.toObject(),
+        scholarship: byId.get(candidate.scholarshipId),
+        duplicate: byId.get(candidate.duplicateId)
+      }))
+
+    res.json(duplicates)
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch duplicates', error: error.message })
+  }
+})
+
+const findPendingCandidate = async (id, res) => {
+  const candidate = await DuplicateCandidate.findById(id)
+  if (!candidate) {
+    res.status(404).json({ message: 'Duplicate candidate not found' })
+    return null
+  }
+  if (candidate.status !== 'pending') {
+    res.status(400).json({ message: `Duplicate candidate is already ${candidate.status}` })
+    return null
+  }
+  return candidate
+}
+
+// { keep: 'scholarship' | 'duplicate' } picks which record stays; the other is merged into it
+router.post('/duplicates/:id/merge', async (req, res) => {
+  try {
+    const keep = req.body.keep || 'scholarship'
+    if (!['scholarship', 'duplicate'].includes(keep)) {
+      return res.status(400).json({ message: 'keep must be scholarship or duplicate' })
+    }
+
+    const candidate = await findPendingCandidate(req.params.id, res)
+    if (!candidate) return
+
+    const [keptId, mergedId] = keep === 'scholarship'
+      ? [candidate.scholarshipId, candidate.duplicateId]
+      : [candidate.duplicateId, candidate.scholarshipId]
+    const [kept, merged] = await Promise.all([
+      Scholarship.findOne({ id: keptId }),
+      Scholarship.findOne({ id: mergedId })
+    ])
+    if (!kept || !merged) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+
+    await mergeScholarships(kept, merged, { changedBy: req.user.id })
+    candidate.set({ status: 'merged', reviewedBy: req.user.id, reviewedAt: new Date() })
+    await candidate.save()
+
+    res.json({ message: 'Scholarships merged', scholarship: kept, candidate })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to merge scholarships', error: error.message })
+  }
+})
+
+router.post('/duplicates/:id/dismiss', async (req, res) => {
+  try {
+    const candidate = await findPendingCandidate(req.params.id, res)
+    if (!candidate) return
+
+    candidate.set({ status: 'dismissed', reviewedBy: req.user.id, reviewedAt: new Date() })
+    await candidate.save()
+
+    res.json({ message: 'Marked as different scholarships', candidate })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to dismiss duplicate', error: error.message })
+  }
+})
+
+router.get('/stats', async (req, res) => {
+  try {
+    const [users, admins, counselors, scholarships, saved, lastRun] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ role: 'admin' }),
+      User.countDocuments({ role: 'counselor' }),
+      Scholarship.countDocuments(),
+      SavedScholarship.countDocuments(),
+      ScrapeLog.findOne({}).sort({ timestamp: -1 })
+    ])
+
+    res.json({ users, admins, counselors, scholarships, saved, lastScrape: lastRun })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch stats', error: error.message })
+  }
+})
+
+export default router
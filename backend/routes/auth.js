@@ -1,37 +1,76 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  issueSession,
+  rotateSession,
+  revokeSessionByToken,
+  listActiveSessions,
+  revokeUserSessions
+} from '../utils/sessions.js';
+import { createUserToken, consumeUserToken } from '../utils/userTokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { verificationEmail, passwordResetEmail } from '../utils/emailTemplates.js';
 
 const router = express.Router();
-const SECRET = process.env.JWT_SECRET || 'scholarhunter_secret_key_2024';
+
+const serializeUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  profileCompleted: user.profileCompleted,
+  emailVerified: user.emailVerified,
+  role: user.role
+})
+
+// ADMIN_EMAILS bootstraps the first administrators without touching Mongo by hand
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean)
+
+async function applyBootstrapRole(user) {
+  if (user.role !== 'admin' && ADMIN_EMAILS.includes(user.email)) {
+    user.role = 'admin'
+    await user.save()
+  }
+  return user
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user._id, 'email_verification')
+  return sendMail({ to: user.email, ...verificationEmail(user, token) })
+}
 
 router.post('/register', async (req, res) => {
   try {
     const { email, password, name } = req.body
-    
+
     const existingUser = await User.findOne({ email: email.toLowerCase() })
     if (existingUser) {
       return res.status(400).json({ message: 'Email already registered' })
     }
-    
+
     const hashedPassword = await bcrypt.hash(password, 10)
-    
+
     const newUser = new User({
       email: email.toLowerCase(),
       password: hashedPassword,
       name,
       profileCompleted: false
     })
-    
-    const result = await newUser.save()
-    
-    const token = jwt.sign({ id: result._id, email: result.email }, SECRET, { expiresIn: '7d' })
-    
+
+    const result = await applyBootstrapRole(await newUser.save())
+
+    const { token, refreshToken } = await issueSession(result, req)
+    await sendVerificationEmail(result)
+
     res.status(201).json({
       message: 'Registration successful',
-      user: { id: result._id, email: result.email, name: result.name, profileCompleted: result.profileCompleted },
-      token
+      user: serializeUser(result),
+      token,
+      refreshToken
     })
   } catch (error) {
     console.error('Registration error:', error)
@@ -42,28 +81,25 @@ router.post('/register', async (req, res) => {
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body
-    
+
     const user = await User.findOne({ email: email.toLowerCase() })
     if (!user) {
       return res.status(401).json({ message: 'Invalid email or password' })
     }
-    
+
     const isMatch = await bcrypt.compare(password, user.password)
     if (!isMatch) {
       return res.status(401).json({ message: 'Invalid email or password' })
     }
-    
-    const token = jwt.sign({ id: user._id, email: user.email }, SECRET, { expiresIn: '7d' })
-    
+
+    await applyBootstrapRole(user)
+    const { token, refreshToken } = await issueSession(user, req)
+
     res.json({
       message: 'Login successful',
-      user: { 
-        id: user._id, 
-        email: user.email, 
-        name: user.name, 
-        profileCompleted: user.profileCompleted 
-      },
-      token
+      user: serializeUser(user),
+      token,
+      refreshToken
     })
   } catch (error) {
     console.error('Login error:', error)
@@ -71,30 +107,181 @@ router.post('/login', async (req, res) => {
   }
 })
 
-router.get('/me', async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    const authHeader = req.headers['authorization']
-    const token = authHeader && authHeader.split(' ')[1]
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Access token required' })
-    }
-    
-    const decoded = jwt.verify(token, SECRET)
-    const user = await User.findById(decoded.id)
-    
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'Refresh token required' })
+    }
+
+    const rotated = await rotateSession(refreshToken, req)
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' })
+    }
+
+    res.json({ token: rotated.token, refreshToken: rotated.refreshToken })
+  } catch (error) {
+    console.error('Refresh error:', error)
+    res.status(500).json({ message: 'Token refresh failed', error: error.message })
+  }
+})
+
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (refreshToken) {
+      await revokeSessionByToken(refreshToken)
+    }
+
+    res.json({ message: 'Logged out' })
+  } catch (error) {
+    console.error('Logout error:', error)
+    res.status(500).json({ message: 'Logout failed', error: error.message })
+  }
+})
+
+router.post('/verify-email', async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email_verification')
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' })
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    )
+
+    res.json({ message: 'Email verified', user: serializeUser(user) })
+  } catch (error) {
+    res.status(500).json({ message: 'Email verification failed', error: error.message })
+  }
+})
+
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
     if (!user) {
       return res.status(404).json({ message: 'User not found' })
     }
-    
-    res.json({ 
-      id: user._id, 
-      email: user.email, 
-      name: user.name, 
-      profileCompleted: user.profileCompleted 
-    })
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email already verified' })
+    }
+
+    await sendVerificationEmail(user)
+    res.json({ message: 'Verification email sent' })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to send verification email', error: error.message })
+  }
+})
+
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim()
+    const user = email ? await User.findOne({ email }) : null
+
+    if (user) {
+      const token = await createUserToken(user._id, 'password_reset')
+      await sendMail({ to: user.email, ...passwordResetEmail(user, token) })
+    }
+
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' })
+  } catch (error) {
+    console.error('Forgot password error:', error)
+    res.status(500).json({ message: 'Failed to start password reset', error: error.message })
+  }
+})
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' })
+    }
+
+    const userId = await consumeUserToken(token, 'password_reset')
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' })
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    user.password = await bcrypt.hash(password, 10)
+    // Receiving the reset email also proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true
+      user.emailVerifiedAt = new Date()
+    }
+    await user.save()
+    await revokeUserSessions(userId)
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    res.status(500).json({ message: 'Password reset failed', error: error.message })
+  }
+})
+
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    res.json(serializeUser(user))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch user', error: error.message })
+  }
+})
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id)
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: String(session._id) === req.user.sid
+    })))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch sessions', error: error.message })
+  }
+})
+
+// Sign out every device except the one making the request
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, { except: req.user.sid })
+    res.json({ message: 'Other sessions revoked', revoked })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to revoke sessions', error: error.message })
+  }
+})
+
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, { only: req.params.sessionId })
+
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Session not found' })
+    }
+
+    res.json({ message: 'Session revoked' })
   } catch (error) {
-    res.status(403).json({ message: 'Invalid or expired token' })
+    res.status(500).json({ message: 'Failed to revoke session', error: error.message })
   }
 })
 
@@ -0,0 +1,49 @@
+import express from 'express'
+import { User, SavedScholarship, Scholarship, Task, CalendarCancellation } from '../models/index.js'
+import { savedScholarshipEvents, taskEvent, cancelledEvents, buildCalendar } from '../utils/calendar.js'
+import { resolveLeadDays } from '../utils/deadlineReminders.js'
+
+const router = express.Router()
+
+// A user's saved scholarships as an iCalendar feed. Calendar apps cannot
+// sign in, so the secret token in the URL is the only credential; users
+// can replace it from their account page (POST /api/users/calendar-feed/reset).
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token }).select('name reminderLeadDays').lean()
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' })
+    }
+
+    const [saved, tasks, cancellations] = await Promise.all([
+      SavedScholarship.find({ userId: user._id }).lean(),
+      Task.find({ userId: user._id }).lean(),
+      CalendarCancellation.find({ userId: user._id }).lean()
+    ])
+    const live = new Map((await Scholarship.find({ id: { $in: saved.map(s => s.scholarshipId) } }).lean()).map(s => [s.id, s]))
+    const savedIds = new Set(saved.map(s => s.scholarshipId))
+    const leadDays = resolveLeadDays(user.reminderLeadDays)
+
+    const events = [
+      ...saved.flatMap(record => {
+        const scholarship = live.get(record.scholarshipId) || { ...record.scholarship, id: record.scholarshipId }
+        return savedScholarshipEvents(record, scholarship, { leadDays })
+      }),
+      ...tasks.map(taskEvent),
+      ...cancellations
+        .filter(c => c.taskId || !savedIds.has(c.scholarshipId))
+        .flatMap(cancelledEvents)
+    ]
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="scholarships.ics"',
+      'Cache-Control': 'private, max-age=300'
+    })
+    res.send(buildCalendar(events, { name: 'ScholarHunter deadlines' }))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to build calendar feed', error: error.message })
+  }
+})
+
+export default router
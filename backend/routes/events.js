@@ -0,0 +1,21 @@
+import express from 'express'
+import { authenticateToken } from '../middleware/auth.js'
+import { createStreamTicket, redeemStreamTicket, openStream } from '../utils/eventStream.js'
+
+const router = express.Router()
+
+// Trade the access token for a one-time ticket to open the stream with
+router.post('/ticket', authenticateToken, (req, res) => {
+  res.json(createStreamTicket(req.user))
+})
+
+// Live events for the signed-in user: notification, matches, saved-scholarship, catalogue
+router.get('/', (req, res) => {
+  const user = redeemStreamTicket(String(req.query.ticket || ''))
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired stream ticket' })
+  }
+  openStream(req, res, user.id)
+})
+
+export default router
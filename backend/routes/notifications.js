@@ -0,0 +1,117 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import { Notification, User } from '../models/index.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { NOTIFICATION_TYPES, resolvePreferences, parsePreferences } from '../utils/notifications.js'
+import { resolveLeadDays, parseLeadDays } from '../utils/deadlineReminders.js'
+
+const router = express.Router()
+
+router.use(authenticateToken)
+
+// Newest first; ?unread=true for unread only, ?before=<date> for the next page
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id
+    const filter = { userId }
+    if (req.query.unread === 'true') filter.readAt = null
+    if (req.query.before && !isNaN(Date.parse(req.query.before))) filter.createdAt = { $lt: new Date(req.query.before) }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+      Notification.countDocuments({ userId, readAt: null })
+    ])
+
+    res.json({ notifications, unreadCount })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch notifications', error: error.message })
+  }
+})
+
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences reminderLeadDays').lean()
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    res.json({
+      preferences: resolvePreferences(user.notificationPreferences),
+      reminderLeadDays: resolveLeadDays(user.reminderLeadDays),
+      types: Object.entries(NOTIFICATION_TYPES).map(([id, { label, description }]) => ({ id, label, description }))
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch notification preferences', error: error.message })
+  }
+})
+
+// Partial updates: { preferences: { deadline_reminder: { email: false } } }
+// and/or { reminderLeadDays: [30, 7, 1] }
+router.put('/preferences', async (req, res) => {
+  try {
+    const { preferences, reminderLeadDays } = req.body
+    let updates = {}
+    const $set = {}
+    try {
+      if (preferences !== undefined || reminderLeadDays === undefined) {
+        updates = parsePreferences(preferences)
+      }
+      if (reminderLeadDays !== undefined) {
+        $set.reminderLeadDays = parseLeadDays(reminderLeadDays)
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    for (const [type, channels] of Object.entries(updates)) {
+      for (const [channel, enabled] of Object.entries(channels)) {
+        $set[`notificationPreferences.${type}.${channel}`] = enabled
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set }, { new: true }).select('notificationPreferences reminderLeadDays').lean()
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    res.json({
+      preferences: resolvePreferences(user.notificationPreferences),
+      reminderLeadDays: resolveLeadDays(user.reminderLeadDays)
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update notification preferences', error: error.message })
+  }
+})
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.user.id, readAt: null }, { $set: { readAt: new Date() } })
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update notifications', error: error.message })
+  }
+})
+
+router.post('/:id/read', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Notification not found' })
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id })
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' })
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    res.json({ notification })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update notification', error: error.message })
+  }
+})
+
+export default router
@@ -1,145 +1,238 @@
 import express from 'express'
-import { Scholarship, Profile } from '../models/index.js'
-import { authenticateToken } from '../middleware/auth.js'
-import { calculateMatchScore } from '../utils/matching.js'
+import { Scholarship, Profile, MatchScore } from '../models/index.js'
+import { authenticateToken, optionalAuth } from '../middleware/auth.js'
+import { getMatchWeights, MATCH_CRITERIA, DEFAULT_WEIGHTS } from '../utils/matching.js'
+import { ensureMatchScores } from '../utils/matchCache.js'
+import { suggestScholarships } from '../utils/searchIndex.js'
+import { countFacets } from '../utils/searchFacets.js'
+import { buildSearchQuery, applyTextSearch } from '../utils/searchQuery.js'
+import { parseEligibilityFilter, ELIGIBILITY_STATUSES } from '../utils/eligibility.js'
+import { savedScholarshipEvents, buildCalendar } from '../utils/calendar.js'
+import { DEFAULT_LEAD_DAYS } from '../utils/deadlineReminders.js'
 
 const router = express.Router()
 
+const SORT_OPTIONS = {
+  deadline: { deadline: 1 },
+  recent: { createdAt: -1 },
+  funding: { amount: -1 }
+}
+
+/**
+ * Fetch scholarships by id, keeping the order of the ids
+ */
+async function findInOrder(ids) {
+  const byId = new Map((await Scholarship.find({ id: { $in: ids } }).lean()).map(s => [s.id, s]))
+  return ids.map(id => byId.get(id)).filter(Boolean)
+}
+
+/**
+ * Attach search relevance and highlight ranges to results
+ */
+function withHighlights(scholarships, hits) {
+  if (!hits) return scholarships
+  const hitById = new Map(hits.map(hit => [hit.id, hit]))
+  return scholarships.map(sch => ({
+    ...(sch.toObject ? sch.toObject() : sch),
+    searchScore: hitById.get(sch.id)?.score ?? null,
+    highlights: hitById.get(sch.id)?.highlights ?? null
+  }))
+}
+
+/**
+ * One page of the catalogue scored for a user from the match cache, which
+ * must be fresh (ensureMatchScores). Filtering by score and eligibility
+ * happens across the whole result set; `sort` is a SORT_OPTIONS key,
+ * 'relevance' (with search hits) or anything else to sort by match score.
+ */
+async function findScoredPage(userId, query, { minScore = 0, statuses, sort, hits, skip, limit }) {
+  const candidateIds = await Scholarship.distinct('id', query)
+  const scoreQuery = {
+    userId,
+    scholarshipId: { $in: candidateIds },
+    score: { $gte: minScore },
+    eligibilityStatus: { $in: statuses || ELIGIBILITY_STATUSES }
+  }
+
+  let entries
+  let scholarships
+  let total
+  if (sort === 'relevance' && hits) {
+    const matchedIds = new Set(await MatchScore.distinct('scholarshipId', scoreQuery))
+    const ranked = hits.map(hit => hit.id).filter(id => matchedIds.has(id))
+    total = ranked.length
+    scholarships = await findInOrder(ranked.slice(skip, skip + limit))
+    entries = await MatchScore.find({ userId, scholarshipId: { $in: scholarships.map(s => s.id) } }).lean()
+  } else if (SORT_OPTIONS[sort]) {
+    const matchedIds = await MatchScore.distinct('scholarshipId', scoreQuery)
+    total = matchedIds.length
+    scholarships = await Scholarship.find({ id: { $in: matchedIds } })
+      .sort(SORT_OPTIONS[sort])
+      .skip(skip)
+      .limit(limit)
+      .lean()
+    entries = await MatchScore.find({ userId, scholarshipId: { $in: scholarships.map(s => s.id) } }).lean()
+  } else {
+    total = await MatchScore.countDocuments(scoreQuery)
+    entries = await MatchScore.find(scoreQuery)
+      .sort({ score: -1, scholarshipId: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+    scholarships = await findInOrder(entries.map(e => e.scholarshipId))
+  }
+
+  const entryById = new Map(entries.map(e => [e.scholarshipId, e]))
+  return {
+    total,
+    scholarships: scholarships.map(sch => {
+      const entry = entryById.get(sch.id)
+      return {
+        ...sch,
+        matchScore: entry.score,
+        matchBreakdown: entry.breakdown,
+        matchCriteria: entry.criteria,
+        eligibilityCheck: entry.eligibility,
+        eligibilityStatus: entry.eligibilityStatus
+      }
+    })
+  }
+}
+
 router.get('/match', authenticateToken, async (req, res) => {
   try {
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
     const profile = await Profile.findOne({ userId: req.user.id });
     
-    // If no profile, return generic recommendations or empty
+    // If no profile, there is nothing to match against
     if (!profile) {
-      return res.json([]); 
+      return res.json({ scholarships: [], total: 0, page: pageNum, totalPages: 0 });
     }
 
-    // Adapt profile for matching function
-    // Assuming education array is sorted desc or we pick the highest
-    // For now, let's take the first one or default
-    const educationLevel = profile.education && profile.education.length > 0 
-      ? profile.education[0].degree || "Bachelor's" 
-      : "Bachelor's";
-
-    const userProfile = {
-      educationLevel: educationLevel,
-      fieldOfStudy: profile.fieldOfStudy || [],
-      country: profile.targetCountries && profile.targetCountries.length > 0 ? profile.targetCountries[0] : 'International',
-      targetCountries: profile.targetCountries || [],
-      skills: profile.skills || [],
-      gpa: profile.education && profile.education.length > 0 ? profile.education[0].gpa : null
-    };
-
-    const scholarships = await Scholarship.find({});
-    
-    const matched = scholarships.map(sch => {
-      const { totalScore, breakdown } = calculateMatchScore(userProfile, sch.toObject());
-      return { ...sch.toObject(), matchScore: totalScore, matchBreakdown: breakdown };
-    });
+    await ensureMatchScores(profile);
 
-    // Filter by score > 40 (loose match)
-    const relevant = matched.filter(m => m.matchScore >= 40);
-    
-    // Sort by score desc
-    relevant.sort((a, b) => b.matchScore - a.matchScore);
+    const statuses = parseEligibilityFilter(req.query.eligibility) || ['eligible', 'likely'];
+    // Ineligible scores are capped low, so asking for them drops the default floor of 40
+    const minScore = !isNaN(parseFloat(req.query.minScore))
+      ? parseFloat(req.query.minScore)
+      : statuses.includes('ineligible') ? 0 : 40;
+
+    const query = buildSearchQuery(req.query);
+    const hits = await applyTextSearch(query, req.query.search);
+    const { scholarships, total } = await findScoredPage(profile.userId, query, {
+      minScore,
+      statuses,
+      sort: req.query.sort || req.query.sortBy,
+      hits,
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum
+    });
 
-    res.json(relevant.slice(0, 20));
+    res.json({
+      scholarships: withHighlights(scholarships, hits),
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum)
+    });
   } catch (error) {
     console.error('Matching error:', error);
     res.status(500).json({ message: 'Matching failed', error: error.message });
   }
 });
 
-router.get('/', async (req, res) => {
+// Criteria and this deployment's weights, so clients score exactly like /match
+router.get('/match-config', (req, res) => {
+  res.json({
+    criteria: MATCH_CRITERIA.map(({ id, label, description }) => ({ id, label, description })),
+    defaults: DEFAULT_WEIGHTS,
+    weights: getMatchWeights()
+  })
+})
+
+// Typeahead suggestions for the search box
+router.get('/suggest', async (req, res) => {
   try {
-    const { 
-      countries, 
-      fields, 
-      excludeIELTS, 
-      excludeAppFee, 
-      deadline,
-      sortBy,
-      gpaMinimum,
-      page = 1,
-      limit = 20,
-      search 
-    } = req.query
-    
-    const query = {}
-    
-    if (countries) {
-      const countryList = countries.split(',').map(c => c.trim())
-      query.country = { $in: countryList }
-    }
-    
-    if (fields) {
-      const fieldList = fields.split(',').map(f => f.trim())
-      query.fieldOfStudy = { $in: fieldList }
-    }
-    
-    if (excludeIELTS === 'true') {
-      query.ieltsRequired = false
-    }
-    
-    if (excludeAppFee === 'true') {
-      query.applicationFee = 0
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20)
+    const suggestions = await suggestScholarships(req.query.q || '', limit)
+    res.json({ suggestions })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch suggestions', error: error.message })
+  }
+})
+
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { sortBy, page = 1, limit = 20, eligibility, minMatchScore, search, facets } = req.query
     
+    const query = buildSearchQuery(req.query)
+    const hits = await applyTextSearch(query, search)
     const pageNum = parseInt(page) || 1
     const limitNum = parseInt(limit) || 20
     const skip = (pageNum - 1) * limitNum
+    const sortOption = SORT_OPTIONS[sortBy] || SORT_OPTIONS.deadline
     
-    if (gpaMinimum && !isNaN(parseFloat(gpaMinimum))) {
-      query.minGPA = { $gte: parseFloat(gpaMinimum) }
-    }
+    // Signed-in callers with a profile get match scores and eligibility on every
+    // result, and can sort and filter on them across the whole result set
+    const profile = req.user ? await Profile.findOne({ userId: req.user.id }) : null
 
-    if (deadline && deadline !== 'all') {
-      const today = new Date()
-      let futureDate = new Date()
-      
-      if (deadline === 'upcoming') {
-        futureDate.setDate(today.getDate() + 30)
-      } else if (deadline === '60days') {
-        futureDate.setDate(today.getDate() + 60)
-      } else if (deadline === '90days') {
-        futureDate.setDate(today.getDate() + 90)
-      }
-      
-      query.deadline = { $gte: today, $lte: futureDate }
-    }
-    
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { university: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ]
-    }
-    
-    let sortOption = {}
-    if (sortBy === 'deadline') {
-      sortOption = { deadline: 1 }
-    } else if (sortBy === 'recent') {
-      sortOption = { createdAt: -1 }
-    } else if (sortBy === 'funding') {
-      sortOption = { amount: -1 }
+    const minScore = parseFloat(minMatchScore) || 0
+    const statuses = parseEligibilityFilter(eligibility)
+
+    let scholarships
+    let total
+    if (profile) {
+      await ensureMatchScores(profile)
+      const scored = await findScoredPage(profile.userId, query, {
+        minScore,
+        statuses,
+        sort: sortBy === 'matchScore' || sortBy === 'relevance' || SORT_OPTIONS[sortBy] ? sortBy : 'deadline',
+        hits,
+        skip,
+        limit: limitNum
+      })
+      scholarships = scored.scholarships
+      total = scored.total
+    } else if (sortBy === 'relevance' && hits) {
+      const matchingIds = new Set(await Scholarship.distinct('id', query))
+      const ranked = hits.map(hit => hit.id).filter(id => matchingIds.has(id))
+      total = ranked.length
+      scholarships = await findInOrder(ranked.slice(skip, skip + limitNum))
     } else {
-      sortOption = { deadline: 1 }
+      scholarships = await Scholarship.find(query)
+        .sort(sortOption)
+        .skip(skip)
+        .limit(limitNum)
+      total = await Scholarship.countDocuments(query)
     }
     
-    const scholarships = await Scholarship.find(query)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(limitNum)
-    
-    const total = await Scholarship.countDocuments(query)
-    
-    res.json({
-      scholarships,
+    const response = {
+      scholarships: withHighlights(scholarships, hits),
       total,
       page: pageNum,
       totalPages: Math.ceil(total / limitNum)
-    })
+    }
+
+    if (facets === 'true') {
+      // Counts respect the search term and the caller's match filters too
+      const restrictions = []
+      if (hits) restrictions.push({ id: { $in: hits.map(hit => hit.id) } })
+      if (profile && (minScore > 0 || statuses)) {
+        const matchedIds = await MatchScore.distinct('scholarshipId', {
+          userId: profile.userId,
+          score: { $gte: minScore },
+          eligibilityStatus: { $in: statuses || ELIGIBILITY_STATUSES }
+        })
+        restrictions.push({ id: { $in: matchedIds } })
+      }
+      response.facets = await countFacets((param) => {
+        const facetQuery = buildSearchQuery({ ...req.query, [param]: undefined })
+        if (restrictions.length > 0) facetQuery.$and = [...(facetQuery.$and || []), ...restrictions]
+        return facetQuery
+      })
+    }
+
+    res.json(response)
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch scholarships', error: error.message })
   }
@@ -159,9 +252,33 @@ router.get('/:id', async (req, res) => {
   }
 })
 
+// "Add to calendar": the deadline as a one-event .ics file. It shares its UID
+// with the calendar feed, so importing both does not duplicate it.
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const scholarship = await Scholarship.findOne({ id: req.params.id }).lean()
+    if (!scholarship) {
+      return res.status(404).json({ message: 'Scholarship not found' })
+    }
+    if (!scholarship.deadline) {
+      return res.status(404).json({ message: 'This scholarship has no deadline' })
+    }
+
+    const events = savedScholarshipEvents({ status: 'saved' }, scholarship, { leadDays: DEFAULT_LEAD_DAYS })
+    const filename = `${scholarship.id}`.replace(/[^a-z0-9-_]+/gi, '-')
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.ics"`
+    })
+    res.send(buildCalendar(events, { name: scholarship.title, method: 'PUBLISH' }))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export scholarship', error: error.message })
+  }
+})
+
 router.get('/countries/list', async (req, res) => {
   try {
-    const countries = await Scholarship.distinct('country')
+    const countries = await Scholarship.distinct('country', { isActive: { $ne: false } })
     res.json(countries)
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch countries', error: error.message })
@@ -170,7 +287,7 @@ router.get('/countries/list', async (req, res) => {
 
 router.get('/fields/list', async (req, res) => {
   try {
-    const fields = await Scholarship.distinct('fieldOfStudy')
+    const fields = await Scholarship.distinct('fieldOfStudy', { isActive: { $ne: false } })
     res.json(fields)
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch fields', error: error.message })
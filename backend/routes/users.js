@@ -1,31 +1,20 @@
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import { User, Profile, SavedScholarship } from '../models/index.js'
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import { User, Profile, Scholarship, SavedScholarship, Task, CalendarCancellation, SavedSearch, SearchAlert } from '../models/index.js'
+import { authenticateToken } from '../middleware/auth.js'
+import { normalizeCountry, normalizeDegreeLevel } from '../utils/eligibility.js'
+import { getMatchWeights, DEFAULT_WEIGHTS } from '../utils/matching.js'
+import { sanitizeSearchFilters, MAX_SAVED_SEARCHES } from '../utils/savedSearches.js'
+import { calendarEntries } from '../utils/calendar.js'
 
 const router = express.Router()
-const SECRET = process.env.JWT_SECRET || 'scholarhunter_secret_key_2024'
-
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization']
-  const token = authHeader && authHeader.split(' ')[1]
-  
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' })
-  }
-  
-  jwt.verify(token, SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' })
-    }
-    req.user = user
-    next()
-  })
-}
 
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id
     const { education, experience, skills, targetCountries, fieldOfStudy, gpa, englishLevel, name, phone } = req.body
+    const { citizenship, dateOfBirth, targetDegreeLevel, languageTests, workExperienceYears } = req.body
     
     const profileData = {
       userId: userId,
@@ -38,6 +27,17 @@ router.put('/profile', authenticateToken, async (req, res) => {
       englishLevel: englishLevel || 'intermediate',
       updatedAt: new Date()
     }
+
+    // Eligibility details are optional; older clients omit them, so only overwrite what was sent
+    if (citizenship !== undefined) profileData.citizenship = normalizeCountry(citizenship)
+    if (dateOfBirth !== undefined) profileData.dateOfBirth = dateOfBirth || null
+    if (targetDegreeLevel !== undefined) profileData.targetDegreeLevel = normalizeDegreeLevel(targetDegreeLevel) || ''
+    if (Array.isArray(languageTests)) {
+      profileData.languageTests = languageTests.filter(t => t && t.test && t.score !== '' && !isNaN(t.score))
+    }
+    if (workExperienceYears !== undefined) {
+      profileData.workExperienceYears = workExperienceYears === '' || workExperienceYears === null ? null : Number(workExperienceYears)
+    }
     
     // Upsert profile
     await Profile.findOneAndUpdate(
@@ -57,6 +57,38 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 })
 
+// Personal match-score weights layered over the deployment's; send {} to reset
+router.put('/match-weights', authenticateToken, async (req, res) => {
+  try {
+    const { weights } = req.body
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return res.status(400).json({ message: 'weights must be an object of criterion ids to numbers' })
+    }
+
+    const matchWeights = {}
+    for (const [id, value] of Object.entries(weights)) {
+      const weight = Number(value)
+      if (!(id in DEFAULT_WEIGHTS)) {
+        return res.status(400).json({ message: `Unknown match criterion: ${id}` })
+      }
+      if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+        return res.status(400).json({ message: `Weight for ${id} must be between 0 and 100` })
+      }
+      matchWeights[id] = weight
+    }
+
+    await Profile.findOneAndUpdate(
+      { userId: req.user.id },
+      { $set: { matchWeights } },
+      { upsert: true, setDefaultsOnInsert: true }
+    )
+
+    res.json({ matchWeights, weights: getMatchWeights(matchWeights) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update match weights', error: error.message })
+  }
+})
+
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id
@@ -90,6 +122,9 @@ router.post('/saved-scholarships', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Scholarship already saved' })
     }
     
+    // Saving again brings its calendar events back
+    await CalendarCancellation.deleteMany({ userId, scholarshipId })
+
     const saved = new SavedScholarship({
       userId,
       scholarshipId,
@@ -111,7 +146,10 @@ router.delete('/saved-scholarships/:scholarshipId', authenticateToken, async (re
     const userId = req.user.id
     const scholarshipId = req.params.scholarshipId
     
-    await SavedScholarship.deleteOne({ userId, scholarshipId })
+    const removed = await SavedScholarship.findOneAndDelete({ userId, scholarshipId })
+    if (removed) {
+      await CalendarCancellation.create({ userId, scholarshipId, title: removed.scholarship?.title || '' })
+    }
     
     res.json({ message: 'Scholarship removed from saved' })
   } catch (error) {
@@ -123,11 +161,20 @@ router.put('/saved-scholarships/:scholarshipId', authenticateToken, async (req,
   try {
     const userId = req.user.id
     const scholarshipId = req.params.scholarshipId
-    const { status } = req.body
+    const { status, interviewAt } = req.body
+
+    const updates = {}
+    if (status !== undefined) updates.status = status
+    if (interviewAt !== undefined) {
+      if (interviewAt !== null && isNaN(Date.parse(interviewAt))) {
+        return res.status(400).json({ message: 'interviewAt must be a date' })
+      }
+      updates.interviewAt = interviewAt === null ? null : new Date(interviewAt)
+    }
     
     const result = await SavedScholarship.findOneAndUpdate(
       { userId, scholarshipId },
-      { $set: { status } },
+      { $set: updates },
       { new: true }
     )
     
@@ -141,6 +188,273 @@ router.put('/saved-scholarships/:scholarshipId', authenticateToken, async (req,
   }
 })
 
+const calendarFeedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`
+
+// The URL of the user's calendar feed, created on first request
+router.get('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('calendarToken')
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex')
+      await user.save()
+    }
+
+    res.json({ url: calendarFeedUrl(req, user.calendarToken) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to get calendar feed', error: error.message })
+  }
+})
+
+// Replace the feed URL, e.g. after it was shared by mistake; the old one stops working
+router.post('/calendar-feed/reset', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex')
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: { calendarToken: token } })
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    res.json({ url: calendarFeedUrl(req, token) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to reset calendar feed', error: error.message })
+  }
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_CALENDAR_RANGE_DAYS = 62
+
+// Deadlines, interviews and tasks between ?from and ?to, for the calendar page
+router.get('/calendar', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id
+    const from = new Date(req.query.from)
+    const to = new Date(req.query.to)
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ message: 'from and to must be dates, from before to' })
+    }
+    if (to - from > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ message: `The range can be at most ${MAX_CALENDAR_RANGE_DAYS} days` })
+    }
+
+    const [saved, tasks] = await Promise.all([
+      SavedScholarship.find({ userId }).lean(),
+      Task.find({ userId, dueAt: { $gte: from, $lt: to } }).lean()
+    ])
+    const scholarships = new Map((await Scholarship.find({ id: { $in: saved.map(s => s.scholarshipId) } })
+      .select('id title deadline').lean()).map(s => [s.id, s]))
+
+    res.json({ entries: calendarEntries({ saved, scholarships, tasks, from, to }) })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch calendar', error: error.message })
+  }
+})
+
+/**
+ * Validate task fields from a request body, returning the cleaned values
+ * or an error message. `partial` allows leaving fields out, for updates.
+ */
+function parseTask(body, partial = false) {
+  const task = {}
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== 'string' || !body.title.trim()) return { error: 'Title is required' }
+    task.title = body.title.trim().slice(0, 200)
+  }
+  if (body.dueAt !== undefined || !partial) {
+    if (!body.dueAt || isNaN(Date.parse(body.dueAt))) return { error: 'dueAt must be a date' }
+    task.dueAt = new Date(body.dueAt)
+  }
+  if (body.notes !== undefined) task.notes = String(body.notes).slice(0, 2000)
+  if (body.allDay !== undefined) task.allDay = body.allDay !== false
+  if (body.scholarshipId !== undefined) task.scholarshipId = body.scholarshipId ? String(body.scholarshipId) : null
+  if (body.completed !== undefined) task.completedAt = body.completed ? new Date() : null
+  return { task }
+}
+
+router.post('/tasks', authenticateToken, async (req, res) => {
+  try {
+    const { task, error } = parseTask(req.body)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const created = await Task.create({ ...task, userId: req.user.id })
+    res.status(201).json({ message: 'Task added', task: created })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to add task', error: error.message })
+  }
+})
+
+router.put('/tasks/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Task not found' })
+    }
+    const { task, error } = parseTask(req.body, true)
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const updated = await Task.findOneAndUpdate({ _id: req.params.id, userId: req.user.id }, { $set: task }, { new: true })
+    if (!updated) {
+      return res.status(404).json({ message: 'Task not found' })
+    }
+
+    res.json({ message: 'Task updated', task: updated })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update task', error: error.message })
+  }
+})
+
+router.delete('/tasks/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Task not found' })
+    }
+
+    const removed = await Task.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+    if (!removed) {
+      return res.status(404).json({ message: 'Task not found' })
+    }
+    await CalendarCancellation.create({ userId: req.user.id, taskId: removed._id, title: removed.title })
+
+    res.json({ message: 'Task deleted' })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete task', error: error.message })
+  }
+})
+
+// Saved searches, each with how many of its alerts are unread
+router.get('/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id
+    const [searches, unread] = await Promise.all([
+      SavedSearch.find({ userId }).sort({ createdAt: -1 }).lean(),
+      SearchAlert.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId), readAt: null } },
+        { $group: { _id: '$savedSearchId', count: { $sum: 1 } } }
+      ])
+    ])
+    const unreadBySearch = new Map(unread.map(u => [String(u._id), u.count]))
+
+    res.json(searches.map(search => ({ ...search, unreadAlerts: unreadBySearch.get(String(search._id)) || 0 })))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch saved searches', error: error.message })
+  }
+})
+
+router.post('/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id
+    const { name, filters, emailDigest } = req.body
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'Name is required' })
+    }
+    if (await SavedSearch.countDocuments({ userId }) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches` })
+    }
+
+    const search = await SavedSearch.create({
+      userId,
+      name: String(name).trim().slice(0, 100),
+      filters: sanitizeSearchFilters(filters),
+      emailDigest: emailDigest === true
+    })
+
+    res.status(201).json({ message: 'Search saved', search: { ...search.toObject(), unreadAlerts: 0 } })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to save search', error: error.message })
+  }
+})
+
+router.put('/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' })
+    }
+    const { name, filters, emailDigest } = req.body
+
+    const update = {}
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Name is required' })
+      update.name = String(name).trim().slice(0, 100)
+    }
+    if (filters !== undefined) update.filters = sanitizeSearchFilters(filters)
+    if (emailDigest !== undefined) update.emailDigest = emailDigest === true
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: update },
+      { new: true }
+    )
+    if (!search) {
+      return res.status(404).json({ message: 'Saved search not found' })
+    }
+
+    res.json({ message: 'Search updated', search })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update search', error: error.message })
+  }
+})
+
+router.delete('/saved-searches/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Saved search not found' })
+    }
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, userId: req.user.id })
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Saved search not found' })
+    }
+    await SearchAlert.deleteMany({ savedSearchId: req.params.id })
+
+    res.json({ message: 'Saved search deleted' })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to delete search', error: error.message })
+  }
+})
+
+// Newest alerts first; ?unread=true for unread ones only
+router.get('/search-alerts', authenticateToken, async (req, res) => {
+  try {
+    const filter = { userId: req.user.id }
+    if (req.query.unread === 'true') filter.readAt = null
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100)
+
+    const alerts = await SearchAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('savedSearchId', 'name')
+      .lean()
+
+    res.json(alerts.map(({ savedSearchId, ...alert }) => ({
+      ...alert,
+      savedSearchId: savedSearchId?._id ?? savedSearchId,
+      savedSearchName: savedSearchId?.name || ''
+    })))
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch alerts', error: error.message })
+  }
+})
+
+// Mark alerts read: the given ids, every alert of one search, or all of them
+router.post('/search-alerts/read', authenticateToken, async (req, res) => {
+  try {
+    const { ids, savedSearchId } = req.body
+    const filter = { userId: req.user.id, readAt: null }
+    if (Array.isArray(ids)) filter._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) }
+    if (savedSearchId && mongoose.isValidObjectId(savedSearchId)) filter.savedSearchId = savedSearchId
+
+    const result = await SearchAlert.updateMany(filter, { $set: { readAt: new Date() } })
+    res.json({ message: 'Alerts marked as read', updated: result.modifiedCount })
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update alerts', error: error.message })
+  }
+})
+
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id
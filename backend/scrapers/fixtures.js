@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDetailPage } from './index.js';
+
+/**
+ * Offline harness for the scrapers: recorded pages per source are served
+ * through an in-memory transport in place of axios, so a scrape can be
+ * replayed and its output compared with a golden file.
+ *
+ * Layout, per source: tests/fixtures/scrapers/<source>/manifest.json maps
+ * each fetched URL to an HTML file beside it, and expected.json holds the
+ * records the scraper produced from them.
+ */
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../tests/fixtures/scrapers');
+
+// Replays and recordings use the same limits so they fetch the same pages
+const FIXTURE_CONFIG = {
+  minDelay: 0,
+  maxDelay: 0,
+  retries: 1,
+  maxPages: 2,
+  maxDetailPages: 2
+};
+
+// Fields that change on every run and are left out of golden files
+const VOLATILE_FIELDS = ['id', 'lastScraped'];
+
+function fixtureFileName(url) {
+  const { pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase();
+  return `${slug || 'index'}.html`;
+}
+
+/**
+ * Recorded pages for a source as a Map of URL to HTML
+ */
+async function loadFixtures(source, dir = FIXTURES_DIR) {
+  const sourceDir = path.join(dir, source);
+  const manifest = JSON.parse(await fs.readFile(path.join(sourceDir, 'manifest.json'), 'utf8'));
+  const pages = new Map();
+  for (const [url, file] of Object.entries(manifest.pages)) {
+    pages.set(url, await fs.readFile(path.join(sourceDir, file), 'utf8'));
+  }
+  return pages;
+}
+
+async function saveFixtures(source, pages, dir = FIXTURES_DIR) {
+  const sourceDir = path.join(dir, source);
+  await fs.rm(sourceDir, { recursive: true, force: true });
+  await fs.mkdir(sourceDir, { recursive: true });
+  const manifest = { recordedAt: new Date().toISOString(), pages: {} };
+  for (const [url, html] of pages) {
+    manifest.pages[url] = fixtureFileName(url);
+    await fs.writeFile(path.join(sourceDir, manifest.pages[url]), html);
+  }
+  await fs.writeFile(path.join(sourceDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Transport serving recorded pages. Unknown URLs fail like a 404 from
+ * axios, so scrapers take their usual error paths.
+ */
+function createFixtureTransport(pages) {
+  return async (url) => {
+    if (pages.has(url)) return { status: 200, data: pages.get(url) };
+    const error = new Error(`No fixture for ${url}`);
+    error.response = { status: 404 };
+    throw error;
+  };
+}
+
+/**
+ * Wrap a live transport to keep a copy of every page it fetches
+ */
+function createRecordingTransport(transport, pages = new Map()) {
+  const record = async (url, options) => {
+    const response = await transport(url, options);
+    pages.set(url, response.data);
+    return response;
+  };
+  record.pages = pages;
+  return record;
+}
+
+/**
+ * A record as stored in a golden file: volatile fields dropped and dates
+ * as ISO strings, the same shape JSON.parse gives back
+ */
+function goldenRecord(record) {
+  const golden = { ...record };
+  for (const field of VOLATILE_FIELDS) delete golden[field];
+  return JSON.parse(JSON.stringify(golden));
+}
+
+async function loadGolden(source, dir = FIXTURES_DIR) {
+  return JSON.parse(await fs.readFile(path.join(dir, source, 'expected.json'), 'utf8'));
+}
+
+async function saveGolden(source, records, dir = FIXTURES_DIR) {
+  await fs.writeFile(path.join(dir, source, 'expected.json'), `${JSON.stringify(records.map(goldenRecord), null, 2)}\n`);
+}
+
+/**
+ * Signs that a site's markup no longer matches a scraper's selectors,
+ * judged from one scrape and the pages it fetched. Returns readable
+ * problems, or an empty array when everything matched.
+ */
+function checkSelectors(scraper, records, pages) {
+  const problems = [];
+  const listingPages = [...scraper.listingPages].filter(url => pages.has(url));
+
+  if (listingPages.length === 0) {
+    problems.push('no listing page could be fetched');
+    return problems;
+  }
+  if (records.length === 0) {
+    problems.push(`no listings matched on ${listingPages.join(', ')}`);
+    return problems;
+  }
+  if (scraper.config.maxPages > 1 && listingPages.length === 1) {
+    problems.push(`no next-page link found on ${listingPages[0]}`);
+  }
+  const withoutExcerpt = records.filter(record => !record.description).length;
+  if (withoutExcerpt === records.length) {
+    problems.push('no listing excerpts matched');
+  }
+
+  const detailPages = records.map(record => record.sourceUrl).filter(url => pages.has(url) && !scraper.listingPages.has(url));
+  for (const url of detailPages) {
+    const detail = parseDetailPage(pages.get(url));
+    if (!detail.text) {
+      problems.push(`no article content matched on ${url}`);
+    } else if (!detail.benefits.length && !detail.requirements.length) {
+      problems.push(`no benefits or requirements section found on ${url}`);
+    }
+  }
+  return problems;
+}
+
+export {
+  FIXTURES_DIR,
+  FIXTURE_CONFIG,
+  fixtureFileName,
+  loadFixtures,
+  saveFixtures,
+  createFixtureTransport,
+  createRecordingTransport,
+  goldenRecord,
+  loadGolden,
+  saveGolden,
+  checkSelectors
+};
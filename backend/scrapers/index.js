@@ -1,5 +1,6 @@
 import axios from 'axios'
 import * as cheerio from 'cheerio'
+import { extractEligibility, normalizeEligibility } from '../utils/eligibility.js'
 
 /**
  * Base scraper with shared functionality
@@ -10,6 +11,10 @@ class BaseScraper {
       timeout: 30000,
       minDelay: 2000,
       maxDelay: 5000,
+      retries: 3,
+      // Listing pages followed per listing, and detail pages fetched per run
+      maxPages: 3,
+      maxDetailPages: 10,
       userAgents: [
         'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
         'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15',
@@ -20,6 +25,7 @@ class BaseScraper {
       ...config
     };
     this.metadata = {};
+    this.listingPages = new Set();
   }
 
   delay(ms) {
@@ -41,7 +47,10 @@ class BaseScraper {
 
   async fetchWithConfig(url, customHeaders = {}) {
     const userAgent = this.metadata.userAgent || this.getRandomUserAgent();
-    return axios.get(url, {
+    // A config.transport with axios.get's signature replaces the network,
+    // which is how the fixture tests replay recorded pages
+    const transport = this.config.transport || axios.get;
+    return transport(url, {
       timeout: this.config.timeout,
       headers: {
         'User-Agent': userAgent,
@@ -55,6 +64,218 @@ class BaseScraper {
       }
     });
   }
+
+  async fetchWithRetry(url) {
+    let lastError;
+    for (let i = 0; i < this.config.retries; i++) {
+      try {
+        return await this.fetchWithConfig(url);
+      } catch (err) {
+        lastError = err;
+        if (i < this.config.retries - 1) {
+          await this.delay(this.config.minDelay * (i + 1));
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Load a listing page and follow its "next page" links, up to
+   * config.maxPages pages, calling parsePage with each loaded page.
+   * Only a failure on the first page fails the scrape.
+   */
+  async crawlListing(startUrl, parsePage) {
+    const visited = new Set();
+    let url = startUrl;
+    while (url && !visited.has(url) && visited.size < this.config.maxPages) {
+      if (visited.size > 0) await this.randomDelay();
+      visited.add(url);
+      this.listingPages.add(url);
+      let $;
+      try {
+        const response = await this.fetchWithRetry(url);
+        $ = cheerio.load(response.data);
+      } catch (err) {
+        if (visited.size === 1) throw err;
+        console.warn(`${this.name} stopped paging at ${url}:`, err.message);
+        break;
+      }
+      parsePage($, url);
+      url = findNextPageUrl($, url);
+    }
+    return visited.size;
+  }
+
+  /**
+   * Fetch the detail pages of up to config.maxDetailPages records and fill
+   * in what the listing excerpt left out. Records whose page fails to load
+   * keep what the listing gave them.
+   */
+  async addDetails(records) {
+    const withPages = records.filter(record => !this.listingPages.has(record.sourceUrl));
+    for (const record of withPages.slice(0, this.config.maxDetailPages)) {
+      await this.randomDelay();
+      try {
+        const response = await this.fetchWithRetry(record.sourceUrl);
+        Object.assign(record, applyDetail(record, parseDetailPage(response.data)));
+      } catch (err) {
+        console.warn(`${this.name} could not load details from ${record.sourceUrl}:`, err.message);
+      }
+    }
+    return records;
+  }
+}
+
+const NEXT_PAGE_SELECTORS = 'link[rel="next"], a[rel="next"], a.next.page-numbers, .pagination a.next, .nav-previous a';
+
+/**
+ * URL of the page after this one in a paginated listing, or null. Links
+ * to other sites are not followed.
+ */
+function findNextPageUrl($, currentUrl) {
+  const href = $(NEXT_PAGE_SELECTORS).first().attr('href');
+  if (!href) return null;
+  try {
+    const next = new URL(href, currentUrl);
+    return next.host === new URL(currentUrl).host ? next.href : null;
+  } catch {
+    return null;
+  }
+}
+
+const DETAIL_CONTENT = '.entry-content, .post-content, .td-post-content, article';
+
+// Headings that start the sections worth keeping from a detail page
+const DETAIL_SECTIONS = {
+  benefits: /benefit|value|worth|what (?:it|the scholarship) covers|coverage|award/i,
+  requirements: /eligib|requirement|criteria|who can apply|qualification/i,
+  deadline: /deadline|closing date/i
+};
+
+const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Pull the description, benefits, requirements and deadline out of a
+ * scholarship's own page. Sections are found by their headings, which
+ * WordPress sites write either as h2-h4 or as a paragraph in bold.
+ */
+function parseDetailPage(html) {
+  const $ = cheerio.load(html);
+  const $content = $(DETAIL_CONTENT).first();
+  const detail = { text: '', description: '', benefits: [], requirements: [], eligibilityText: '', deadlineText: '' };
+  if (!$content.length) return detail;
+
+  $content.find('script, style, noscript, .sharedaddy, .related-posts').remove();
+  const intro = [];
+  const sections = { benefits: [], requirements: [], deadline: [] };
+  let current = null;
+  let seenHeading = false;
+
+  $content.find('h2, h3, h4, p, li').each((i, element) => {
+    const $el = $(element);
+    if (element.tagName === 'p' && $el.parents('li').length) return;
+    const text = clean($el.text());
+    if (!text) return;
+
+    const $bold = $el.children('strong, b');
+    const isHeading = /^h\d$/.test(element.tagName)
+      || (element.tagName === 'p' && $bold.length === 1 && clean($bold.text()) === text && text.length < 80);
+    if (isHeading) {
+      seenHeading = true;
+      current = Object.keys(DETAIL_SECTIONS).find(key => DETAIL_SECTIONS[key].test(text)) || null;
+      return;
+    }
+    if (current) {
+      sections[current].push({ tag: element.tagName, text: text.slice(0, 300) });
+    } else if (!seenHeading && element.tagName === 'p') {
+      intro.push(text);
+    }
+  });
+
+  // Prefer a section's bullet points over the sentences introducing them
+  const items = (entries) => {
+    const bullets = entries.filter(entry => entry.tag === 'li');
+    return (bullets.length ? bullets : entries).map(entry => entry.text).slice(0, 10);
+  };
+  const inlineDeadline = clean($content.text()).match(/deadline\s*(?:is|:|-|–)\s*([^.;]{6,40})/i);
+
+  detail.text = clean($content.text());
+  detail.description = intro.join(' ').slice(0, 1000);
+  detail.benefits = items(sections.benefits);
+  detail.requirements = items(sections.requirements);
+  detail.eligibilityText = sections.requirements.map(entry => entry.text).join(' ');
+  detail.deadlineText = inlineDeadline ? inlineDeadline[1] : sections.deadline.map(entry => entry.text).join(' ');
+  return detail;
+}
+
+/**
+ * Minimum GPA on a 4.0 scale from text such as "a minimum GPA of 3.5" or
+ * "CGPA of 3.2/5", or 0 when none is stated.
+ */
+function extractMinGPA(text = '') {
+  const patterns = [
+    /(\d\.\d{1,2})(?:\s*(?:\/|out of)\s*(\d+(?:\.\d+)?))?\s*(?:c?gpa|grade point average)\b/i,
+    /\b(?:c?gpa|grade point average)\b[^\d.]{0,30}(\d(?:\.\d{1,2})?)(?:\s*(?:\/|out of)\s*(\d+(?:\.\d+)?))?/i
+  ];
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const value = parseFloat(match[1]);
+    const scale = match[2] ? parseFloat(match[2]) : 4;
+    const gpa = scale > 4 ? (value / scale) * 4 : value;
+    if (value > 0 && value <= scale && gpa <= 4) return Math.round(gpa * 100) / 100;
+  }
+  return 0;
+}
+
+/**
+ * First date found in deadline text, or null
+ */
+function parseDeadline(text = '') {
+  const deadlinePatterns = [
+    /deadline[:\s]+([\w\s,\d]+)/i,
+    /closes?[:\s]+([\w\s,\d]+)/i,
+    /due[:\s]+([\w\s,\d]+)/i,
+    /(\w+\s+\d{1,2},?\s+\d{4})/,
+    /(\d{1,2}\s+\w+\s+\d{4})/,
+  ];
+
+  for (const pattern of deadlinePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const parsed = new Date(match[1]);
+      if (!isNaN(parsed.getTime())) {
+        return parsed;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * A listing record updated with what its detail page says. Fields the
+ * page has nothing on keep their listing values.
+ */
+function applyDetail(record, detail) {
+  if (!detail.text) return record;
+  const s4dScraper = new Scholars4DevScraper();
+  const deadline = parseDeadline(detail.deadlineText);
+
+  return {
+    ...record,
+    description: detail.description || record.description,
+    deadline: deadline || record.deadline,
+    deadlineEstimated: deadline ? false : record.deadlineEstimated,
+    ieltsRequired: record.ieltsRequired || s4dScraper.hasIELTSRequirement(detail.text),
+    minGPA: extractMinGPA(detail.eligibilityText || detail.text) || record.minGPA,
+    benefits: detail.benefits.length ? detail.benefits : s4dScraper.extractBenefits(detail.text),
+    requirements: detail.requirements.length ? detail.requirements : s4dScraper.extractRequirements(detail.text),
+    eligibility: extractEligibility(
+      record.title,
+      detail.eligibilityText ? `${detail.description} ${detail.eligibilityText}` : detail.text
+    )
+  };
 }
 
 /**
@@ -111,8 +332,10 @@ class ScraperEngine {
   }
 
   async runWithRetry(scraper) {
+    // Sources tuned in the registry bring their own retry count
+    const retries = scraper.config?.retries ?? this.config.retries;
     let lastError;
-    for (let i = 0; i < this.config.retries; i++) {
+    for (let i = 0; i < retries; i++) {
       try {
         // Update scraper config with a random user agent for this attempt
         if (scraper.setMetadata && scraper.getRandomUserAgent) {
@@ -122,7 +345,7 @@ class ScraperEngine {
       } catch (error) {
         lastError = error;
         const delayTime = this.config.minDelay * Math.pow(2, i); // Exponential backoff
-        console.warn(`[${new Date().toISOString()}] Retry ${i + 1}/${this.config.retries} for ${scraper.name}. Waiting ${delayTime}ms. Error: ${error.message}`);
+        console.warn(`[${new Date().toISOString()}] Retry ${i + 1}/${retries} for ${scraper.name}. Waiting ${delayTime}ms. Error: ${error.message}`);
         
         if (error.response) {
           console.error(`HTTP Status: ${error.response.status}`);
@@ -143,8 +366,8 @@ class ScraperEngine {
  * Scholars4Dev scraper - scrapes scholars4dev.com
  */
 class Scholars4DevScraper extends BaseScraper {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     this.name = 'scholars4dev';
     this.baseUrl = 'https://www.scholars4dev.com';
   }
@@ -153,30 +376,30 @@ class Scholars4DevScraper extends BaseScraper {
     const scholarships = [];
     
     try {
-      // Scrape the main scholarship listings page
+      // Scrape the scholarship listings, following its pagination
       const listUrl = `${this.baseUrl}/category/scholarships-list/`;
-      const response = await this.fetchWithConfig(listUrl);
-      const $ = cheerio.load(response.data);
-
-      // Extract scholarship listings from the page
-      $('.post').each((i, element) => {
-        try {
-          const $el = $(element);
-          const title = $el.find('.entry-title a').text().trim();
-          const link = $el.find('.entry-title a').attr('href');
-          const excerpt = $el.find('.entry-summary').text().trim();
-          const dateText = $el.find('.entry-date').text().trim();
-
-          if (title && link) {
-            const scholarship = this.parseScholarship(title, excerpt, link, dateText);
-            if (scholarship) {
-              scholarships.push(scholarship);
+      await this.crawlListing(listUrl, ($) => {
+        // Extract scholarship listings from the page
+        $('.post').each((i, element) => {
+          try {
+            const $el = $(element);
+            const title = $el.find('.entry-title a').text().trim();
+            const link = $el.find('.entry-title a').attr('href');
+            const excerpt = $el.find('.entry-summary').text().trim();
+            const dateText = $el.find('.entry-date').text().trim();
+
+            if (title && link) {
+              const scholarship = this.parseScholarship(title, excerpt, link, dateText);
+              if (scholarship) {
+                scholarships.push(scholarship);
+              }
             }
+          } catch (err) {
+            console.warn('Error parsing individual scholarship:', err.message);
           }
-        } catch (err) {
-          console.warn('Error parsing individual scholarship:', err.message);
-        }
+        });
       });
+      await this.addDetails(scholarships);
 
       console.log(`Scholars4Dev scraper found ${scholarships.length} scholarships`);
       return scholarships;
@@ -205,12 +428,14 @@ class Scholars4DevScraper extends BaseScraper {
       fundingType: fundingType,
       amount: amount || 'Full Funding',
       deadline: deadline,
+      deadlineEstimated: !parseDeadline(`${dateText} ${excerpt}`),
       applicationFee: 0,
       ieltsRequired: this.hasIELTSRequirement(excerpt),
-      minGPA: 3.0,
+      minGPA: extractMinGPA(excerpt),
       description: excerpt.slice(0, 500),
       benefits: this.extractBenefits(excerpt),
       requirements: this.extractRequirements(excerpt),
+      eligibility: extractEligibility(title, excerpt),
       applicationLink: link.startsWith('http') ? link : `${this.baseUrl}${link}`,
       imageUrl: 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400',
       source: 'scholars4dev',
@@ -280,26 +505,8 @@ class Scholars4DevScraper extends BaseScraper {
   }
 
   extractDeadline(dateText, excerpt) {
-    // Try to find deadline in text
-    const deadlinePatterns = [
-      /deadline[:\s]+([\w\s,\d]+)/i,
-      /closes?[:\s]+([\w\s,\d]+)/i,
-      /due[:\s]+([\w\s,\d]+)/i,
-      /(\w+\s+\d{1,2},?\s+\d{4})/,
-      /(\d{1,2}\s+\w+\s+\d{4})/,
-    ];
-
-    const text = `${dateText} ${excerpt}`;
-    
-    for (const pattern of deadlinePatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        const parsed = new Date(match[1]);
-        if (!isNaN(parsed.getTime())) {
-          return parsed;
-        }
-      }
-    }
+    const deadline = parseDeadline(`${dateText} ${excerpt}`);
+    if (deadline) return deadline;
 
     // Default to 6 months from now if no deadline found
     const defaultDeadline = new Date();
@@ -396,8 +603,8 @@ class Scholars4DevScraper extends BaseScraper {
  * Opportunity Desk scraper - scrapes opportunitydesk.org
  */
 class OpportunityDeskScraper extends BaseScraper {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     this.name = 'opportunitydesk';
     this.baseUrl = 'https://opportunitydesk.org';
   }
@@ -407,27 +614,27 @@ class OpportunityDeskScraper extends BaseScraper {
     
     try {
       const listUrl = `${this.baseUrl}/category/fellowships-and-scholarships/`;
-      const response = await this.fetchWithConfig(listUrl);
-      const $ = cheerio.load(response.data);
-
-      $('.post, article, .opportunity-item').each((i, element) => {
-        try {
-          const $el = $(element);
-          const title = $el.find('h2 a, .entry-title a, h1 a').text().trim();
-          const link = $el.find('h2 a, .entry-title a, h1 a').attr('href');
-          const excerpt = $el.find('.entry-summary, .excerpt, p').first().text().trim();
-          const deadline = $el.find('.deadline, .date').text().trim();
-
-          if (title && link) {
-            const scholarship = this.parseScholarship(title, excerpt, link, deadline);
-            if (scholarship) {
-              scholarships.push(scholarship);
+      await this.crawlListing(listUrl, ($) => {
+        $('.post, article, .opportunity-item').each((i, element) => {
+          try {
+            const $el = $(element);
+            const title = $el.find('h2 a, .entry-title a, h1 a').text().trim();
+            const link = $el.find('h2 a, .entry-title a, h1 a').attr('href');
+            const excerpt = $el.find('.entry-summary, .excerpt, p').first().text().trim();
+            const deadline = $el.find('.deadline, .date').text().trim();
+
+            if (title && link) {
+              const scholarship = this.parseScholarship(title, excerpt, link, deadline);
+              if (scholarship) {
+                scholarships.push(scholarship);
+              }
             }
+          } catch (err) {
+            console.warn('Error parsing opportunity:', err.message);
           }
-        } catch (err) {
-          console.warn('Error parsing opportunity:', err.message);
-        }
+        });
       });
+      await this.addDetails(scholarships);
 
       console.log(`OpportunityDesk scraper found ${scholarships.length} scholarships`);
       return scholarships;
@@ -450,12 +657,14 @@ class OpportunityDeskScraper extends BaseScraper {
       fundingType: s4dScraper.determineFundingType(title, excerpt),
       amount: s4dScraper.extractAmount(excerpt) || 'See details',
       deadline: s4dScraper.extractDeadline(deadlineText, excerpt),
+      deadlineEstimated: !parseDeadline(`${deadlineText} ${excerpt}`),
       applicationFee: 0,
       ieltsRequired: s4dScraper.hasIELTSRequirement(excerpt),
-      minGPA: 3.0,
+      minGPA: extractMinGPA(excerpt),
       description: excerpt.slice(0, 500),
       benefits: s4dScraper.extractBenefits(excerpt),
       requirements: s4dScraper.extractRequirements(excerpt),
+      eligibility: extractEligibility(title, excerpt),
       applicationLink: link.startsWith('http') ? link : `${this.baseUrl}${link}`,
       imageUrl: 'https://images.unsplash.com/photo-1513635269975-59663e0ac1ad?w=400',
       source: 'opportunitydesk',
@@ -481,12 +690,15 @@ function normalizeScholarship(data) {
       : 'Full Scholarship',
     amount: String(data.amount || 'Full Funding').slice(0, 200),
     deadline: data.deadline instanceof Date ? data.deadline : new Date(data.deadline || Date.now() + 180 * 24 * 60 * 60 * 1000),
+    // True when no deadline was found and the one above is a placeholder
+    deadlineEstimated: Boolean(data.deadlineEstimated) || !data.deadline,
     applicationFee: Number(data.applicationFee) || 0,
     ieltsRequired: Boolean(data.ieltsRequired),
-    minGPA: Number(data.minGPA) || 3.0,
+    minGPA: Number(data.minGPA) || 0,
     description: String(data.description || '').slice(0, 1000),
     benefits: Array.isArray(data.benefits) ? data.benefits : ['Full funding package'],
     requirements: Array.isArray(data.requirements) ? data.requirements : ['See official website'],
+    eligibility: normalizeEligibility(data.eligibility),
     applicationLink: String(data.applicationLink || '#'),
     imageUrl: data.imageUrl || 'https://images.unsplash.com/photo-1569982175971-d92b01cf8694?w=400',
     source: String(data.source || 'manual'),
@@ -497,40 +709,14 @@ function normalizeScholarship(data) {
   };
 }
 
-/**
- * Deduplicate scholarships based on title and university
- */
-function deduplicateScholarships(scholarships) {
-  const seen = new Map();
-  
-  return scholarships.filter(sch => {
-    const key = `${sch.title.toLowerCase().trim()}-${sch.university.toLowerCase().trim()}`;
-    
-    if (seen.has(key)) {
-      // Keep the one with more recent scrape date
-      const existing = seen.get(key);
-      if (new Date(sch.lastScraped) > new Date(existing.lastScraped)) {
-        seen.set(key, sch);
-        return true;
-      }
-      return false;
-    }
-    
-    seen.set(key, sch);
-    return true;
-  });
-}
-
 /**
  * World Scholarship Forum scraper - scrapes worldscholarshipforum.com
  */
 class WorldForumScraper extends BaseScraper {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     this.name = 'worldforum';
     this.baseUrl = 'https://worldscholarshipforum.com';
-    this.retryCount = 3;
-    this.retryDelay = 2000;
   }
 
   async scrape() {
@@ -546,32 +732,33 @@ class WorldForumScraper extends BaseScraper {
       for (const listUrl of pages) {
         try {
           console.log(`WorldForum scraping: ${listUrl}`);
-          const response = await this.fetchWithRetry(listUrl);
-          const $ = cheerio.load(response.data);
-          
-          $('article, .post-item, .scholarship-item, .entry').each((i, element) => {
-            try {
-              const $el = $(element);
-              const title = $el.find('h2 a, h3 a, .entry-title a, .title a').first().text().trim();
-              const link = $el.find('h2 a, h3 a, .entry-title a, .title a').first().attr('href');
-              const excerpt = $el.find('p, .excerpt, .summary').first().text().trim();
-              
-              if (title && link && title.length > 10) {
-                const scholarship = this.parseScholarship(title, excerpt, link);
-                if (scholarship) {
-                  scholarships.push(scholarship);
+          await this.crawlListing(listUrl, ($) => {
+            $('article, .post-item, .scholarship-item, .entry').each((i, element) => {
+              try {
+                const $el = $(element);
+                const title = $el.find('h2 a, h3 a, .entry-title a, .title a').first().text().trim();
+                const link = $el.find('h2 a, h3 a, .entry-title a, .title a').first().attr('href');
+                const excerpt = $el.find('p, .excerpt, .summary').first().text().trim();
+                
+                if (title && link && title.length > 10) {
+                  const scholarship = this.parseScholarship(title, excerpt, link);
+                  // The listings overlap, so skip posts already found
+                  if (scholarship && !scholarships.some(s => s.sourceUrl === scholarship.sourceUrl)) {
+                    scholarships.push(scholarship);
+                  }
                 }
+              } catch (err) {
+                console.warn('Error parsing individual scholarship:', err.message);
               }
-            } catch (err) {
-              console.warn('Error parsing individual scholarship:', err.message);
-            }
+            });
           });
           
-          await this.delay(2000);
+          await this.randomDelay();
         } catch (err) {
           console.warn(`Failed to scrape ${listUrl}:`, err.message);
         }
       }
+      await this.addDetails(scholarships);
 
       console.log(`WorldForum scraper found ${scholarships.length} scholarships`);
       return scholarships;
@@ -581,25 +768,6 @@ class WorldForumScraper extends BaseScraper {
     }
   }
 
-  async fetchWithRetry(url) {
-    let lastError;
-    for (let i = 0; i < this.retryCount; i++) {
-      try {
-        return await this.fetchWithConfig(url);
-      } catch (err) {
-        lastError = err;
-        if (i < this.retryCount - 1) {
-          await this.delay(this.retryDelay * (i + 1));
-        }
-      }
-    }
-    throw lastError;
-  }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   parseScholarship(title, excerpt, link) {
     const s4dScraper = new Scholars4DevScraper();
     
@@ -612,12 +780,14 @@ class WorldForumScraper extends BaseScraper {
       fundingType: s4dScraper.determineFundingType(title, excerpt),
       amount: s4dScraper.extractAmount(excerpt) || 'Full Funding',
       deadline: s4dScraper.extractDeadline('', excerpt),
+      deadlineEstimated: !parseDeadline(excerpt),
       applicationFee: 0,
       ieltsRequired: s4dScraper.hasIELTSRequirement(excerpt),
-      minGPA: 3.0,
+      minGPA: extractMinGPA(excerpt),
       description: excerpt.slice(0, 500),
       benefits: s4dScraper.extractBenefits(excerpt),
       requirements: s4dScraper.extractRequirements(excerpt),
+      eligibility: extractEligibility(title, excerpt),
       applicationLink: link.startsWith('http') ? link : `${this.baseUrl}${link}`,
       imageUrl: 'https://images.unsplash.com/photo-1523240795612-9a054b0db644?w=400',
       source: 'worldforum',
@@ -632,12 +802,10 @@ class WorldForumScraper extends BaseScraper {
  * International Education Financial Aid scraper - scrapes iefa.org
  */
 class IEAFScraper extends BaseScraper {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     this.name = 'iefa';
     this.baseUrl = 'https://www.iefa.org';
-    this.retryCount = 3;
-    this.retryDelay = 2000;
   }
 
   async scrape() {
@@ -647,26 +815,26 @@ class IEAFScraper extends BaseScraper {
       const listUrl = `${this.baseUrl}/scholarships`;
       console.log(`IEAF scraping: ${listUrl}`);
       
-      const response = await this.fetchWithRetry(listUrl);
-      const $ = cheerio.load(response.data);
-      
-      $('.scholarship-item, .result-item, article, .listing').each((i, element) => {
-        try {
-          const $el = $(element);
-          const title = $el.find('h2 a, h3 a, .title a, .scholarship-title').first().text().trim();
-          const link = $el.find('h2 a, h3 a, .title a').first().attr('href');
-          const excerpt = $el.find('p, .description, .summary').first().text().trim();
-          
-          if (title && title.length > 10) {
-            const scholarship = this.parseScholarship(title, excerpt, link || listUrl);
-            if (scholarship) {
-              scholarships.push(scholarship);
+      await this.crawlListing(listUrl, ($, pageUrl) => {
+        $('.scholarship-item, .result-item, article, .listing').each((i, element) => {
+          try {
+            const $el = $(element);
+            const title = $el.find('h2 a, h3 a, .title a, .scholarship-title').first().text().trim();
+            const link = $el.find('h2 a, h3 a, .title a').first().attr('href');
+            const excerpt = $el.find('p, .description, .summary').first().text().trim();
+            
+            if (title && title.length > 10) {
+              const scholarship = this.parseScholarship(title, excerpt, link || pageUrl);
+              if (scholarship) {
+                scholarships.push(scholarship);
+              }
             }
+          } catch (err) {
+            console.warn('Error parsing individual scholarship:', err.message);
           }
-        } catch (err) {
-          console.warn('Error parsing individual scholarship:', err.message);
-        }
+        });
       });
+      await this.addDetails(scholarships);
 
       console.log(`IEAF scraper found ${scholarships.length} scholarships`);
       return scholarships;
@@ -676,25 +844,6 @@ class IEAFScraper extends BaseScraper {
     }
   }
 
-  async fetchWithRetry(url) {
-    let lastError;
-    for (let i = 0; i < this.retryCount; i++) {
-      try {
-        return await this.fetchWithConfig(url);
-      } catch (err) {
-        lastError = err;
-        if (i < this.retryCount - 1) {
-          await this.delay(this.retryDelay * (i + 1));
-        }
-      }
-    }
-    throw lastError;
-  }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   parseScholarship(title, excerpt, link) {
     const s4dScraper = new Scholars4DevScraper();
     
@@ -707,12 +856,14 @@ class IEAFScraper extends BaseScraper {
       fundingType: s4dScraper.determineFundingType(title, excerpt),
       amount: s4dScraper.extractAmount(excerpt) || 'Full Funding',
       deadline: s4dScraper.extractDeadline('', excerpt),
+      deadlineEstimated: !parseDeadline(excerpt),
       applicationFee: 0,
       ieltsRequired: s4dScraper.hasIELTSRequirement(excerpt),
-      minGPA: 3.0,
+      minGPA: extractMinGPA(excerpt),
       description: excerpt.slice(0, 500),
       benefits: s4dScraper.extractBenefits(excerpt),
       requirements: s4dScraper.extractRequirements(excerpt),
+      eligibility: extractEligibility(title, excerpt),
       applicationLink: link.startsWith('http') ? link : `${this.baseUrl}${link}`,
       imageUrl: 'https://images.unsplash.com/photo-1562774053-701939374585?w=400',
       source: 'iefa',
@@ -727,12 +878,10 @@ class IEAFScraper extends BaseScraper {
  * After School Africa scraper - scrapes afterschoolafrica.com
  */
 class AfterSchoolAfricaScraper extends BaseScraper {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
     this.name = 'afterschoolafrica';
     this.baseUrl = 'https://www.afterschoolafrica.com';
-    this.retryCount = 3;
-    this.retryDelay = 2000;
   }
 
   async scrape() {
@@ -742,26 +891,26 @@ class AfterSchoolAfricaScraper extends BaseScraper {
       const listUrl = `${this.baseUrl}/scholarships/`;
       console.log(`AfterSchoolAfrica scraping: ${listUrl}`);
       
-      const response = await this.fetchWithRetry(listUrl);
-      const $ = cheerio.load(response.data);
-      
-      $('article, .post').each((i, element) => {
-        try {
-          const $el = $(element);
-          const title = $el.find('h2 a, h3 a, .entry-title a').first().text().trim();
-          const link = $el.find('h2 a, h3 a, .entry-title a').first().attr('href');
-          const excerpt = $el.find('.entry-summary, p').first().text().trim();
-          
-          if (title && link && title.length > 10) {
-            const scholarship = this.parseScholarship(title, excerpt, link);
-            if (scholarship) {
-              scholarships.push(scholarship);
+      await this.crawlListing(listUrl, ($) => {
+        $('article, .post').each((i, element) => {
+          try {
+            const $el = $(element);
+            const title = $el.find('h2 a, h3 a, .entry-title a').first().text().trim();
+            const link = $el.find('h2 a, h3 a, .entry-title a').first().attr('href');
+            const excerpt = $el.find('.entry-summary, p').first().text().trim();
+            
+            if (title && link && title.length > 10) {
+              const scholarship = this.parseScholarship(title, excerpt, link);
+              if (scholarship) {
+                scholarships.push(scholarship);
+              }
             }
+          } catch (err) {
+            console.warn('Error parsing individual scholarship:', err.message);
           }
-        } catch (err) {
-          console.warn('Error parsing individual scholarship:', err.message);
-        }
+        });
       });
+      await this.addDetails(scholarships);
 
       console.log(`AfterSchoolAfrica scraper found ${scholarships.length} scholarships`);
       return scholarships;
@@ -771,25 +920,6 @@ class AfterSchoolAfricaScraper extends BaseScraper {
     }
   }
 
-  async fetchWithRetry(url) {
-    let lastError;
-    for (let i = 0; i < this.retryCount; i++) {
-      try {
-        return await this.fetchWithConfig(url);
-      } catch (err) {
-        lastError = err;
-        if (i < this.retryCount - 1) {
-          await this.delay(this.retryDelay * (i + 1));
-        }
-      }
-    }
-    throw lastError;
-  }
-
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   parseScholarship(title, excerpt, link) {
     const s4dScraper = new Scholars4DevScraper();
     
@@ -802,12 +932,14 @@ class AfterSchoolAfricaScraper extends BaseScraper {
       fundingType: s4dScraper.determineFundingType(title, excerpt),
       amount: s4dScraper.extractAmount(excerpt) || 'Full Funding',
       deadline: s4dScraper.extractDeadline('', excerpt),
+      deadlineEstimated: !parseDeadline(excerpt),
       applicationFee: 0,
       ieltsRequired: s4dScraper.hasIELTSRequirement(excerpt),
-      minGPA: 3.0,
+      minGPA: extractMinGPA(excerpt),
       description: excerpt.slice(0, 500),
       benefits: s4dScraper.extractBenefits(excerpt),
       requirements: s4dScraper.extractRequirements(excerpt),
+      eligibility: extractEligibility(title, excerpt),
       applicationLink: link.startsWith('http') ? link : `${this.baseUrl}${link}`,
       imageUrl: 'https://images.unsplash.com/photo-1523050854058-8df90110c9f1?w=400',
       source: 'afterschoolafrica',
@@ -826,5 +958,8 @@ export {
   IEAFScraper,
   AfterSchoolAfricaScraper,
   normalizeScholarship,
-  deduplicateScholarships
+  findNextPageUrl,
+  parseDetailPage,
+  extractMinGPA,
+  applyDetail
 }
\ No newline at end of file
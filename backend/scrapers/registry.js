@@ -0,0 +1,130 @@
+import {
+  Scholars4DevScraper,
+  OpportunityDeskScraper,
+  WorldForumScraper,
+  IEAFScraper,
+  AfterSchoolAfricaScraper
+} from './index.js';
+
+/**
+ * Every scraper the scheduled job can run, keyed by the source name its
+ * listings are stored under. Settings come from the defaults below, then
+ * SCRAPER_SOURCES in the environment, then overrides saved through the
+ * admin API, so sources can be switched off or retuned without a deploy.
+ */
+const SCRAPER_SOURCES = {
+  scholars4dev: { label: 'Scholars4Dev', create: (config) => new Scholars4DevScraper(config) },
+  opportunitydesk: { label: 'Opportunity Desk', create: (config) => new OpportunityDeskScraper(config) },
+  worldforum: { label: 'World Scholarship Forum', create: (config) => new WorldForumScraper(config) },
+  iefa: { label: 'IEFA', create: (config) => new IEAFScraper(config) },
+  afterschoolafrica: { label: 'After School Africa', create: (config) => new AfterSchoolAfricaScraper(config) }
+};
+
+// Each setting with its default and, for numbers, the accepted range
+const SOURCE_SETTINGS = {
+  enabled: { default: true },
+  intervalHours: { default: 24, min: 1, max: 24 * 30 },
+  minDelay: { default: 2000, min: 0, max: 60000 },
+  maxDelay: { default: 5000, min: 0, max: 120000 },
+  retries: { default: 3, min: 1, max: 10 },
+  maxPages: { default: 3, min: 1, max: 50 },
+  maxDetailPages: { default: 10, min: 0, max: 200 },
+  timeout: { default: 30000, min: 1000, max: 120000 }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(Object.entries(SOURCE_SETTINGS).map(([key, rule]) => [key, rule.default]));
+
+/**
+ * Validate settings for one source, returning the cleaned values or
+ * throwing with a message fit for a 400 response. With `allowReset`, a
+ * null value clears that setting back to its configured default.
+ */
+function parseSourceSettings(input, { allowReset = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('settings must be an object');
+  }
+  const parsed = {};
+  for (const [key, value] of Object.entries(input)) {
+    const rule = SOURCE_SETTINGS[key];
+    if (!rule) throw new Error(`Unknown setting: ${key}`);
+    if (value === null && allowReset) {
+      parsed[key] = null;
+    } else if (typeof rule.default === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(`${key} must be true or false`);
+      parsed[key] = value;
+    } else {
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        throw new Error(`${key} must be a whole number between ${rule.min} and ${rule.max}`);
+      }
+      parsed[key] = value;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Per-source settings from SCRAPER_SOURCES, e.g.
+ * SCRAPER_SOURCES='{"iefa":{"enabled":false},"worldforum":{"maxPages":2}}'.
+ * Read on each call so it picks up values loaded by dotenv after import.
+ */
+function getConfiguredSettings() {
+  if (!process.env.SCRAPER_SOURCES) return {};
+  try {
+    const configured = JSON.parse(process.env.SCRAPER_SOURCES);
+    const valid = {};
+    for (const [id, settings] of Object.entries(configured)) {
+      if (!SCRAPER_SOURCES[id]) {
+        console.warn(`Ignoring SCRAPER_SOURCES entry for unknown source: ${id}`);
+        continue;
+      }
+      try {
+        valid[id] = parseSourceSettings(settings);
+      } catch (error) {
+        console.warn(`Ignoring SCRAPER_SOURCES entry for ${id}:`, error.message);
+      }
+    }
+    return valid;
+  } catch (error) {
+    console.warn('Ignoring invalid SCRAPER_SOURCES:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Effective settings for a source: defaults, then configuration, then the
+ * overrides saved by admins. A minimum delay above the maximum is raised
+ * to it rather than rejected, since the two can be set separately.
+ */
+function resolveSourceSettings(id, overrides = {}, configured = getConfiguredSettings()) {
+  const settings = { ...DEFAULT_SETTINGS, ...configured[id] };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (SOURCE_SETTINGS[key] && value !== null && value !== undefined) settings[key] = value;
+  }
+  settings.maxDelay = Math.max(settings.maxDelay, settings.minDelay);
+  return settings;
+}
+
+function createScraper(id, settings) {
+  const { enabled: _enabled, intervalHours: _intervalHours, ...config } = settings;
+  return SCRAPER_SOURCES[id].create(config);
+}
+
+/**
+ * Whether an enabled source is due to run, going by its last run
+ */
+function isSourceDue(settings, lastRunAt, now = new Date()) {
+  if (!settings.enabled) return false;
+  if (!lastRunAt) return true;
+  return now - new Date(lastRunAt) >= settings.intervalHours * 60 * 60 * 1000;
+}
+
+export {
+  SCRAPER_SOURCES,
+  SOURCE_SETTINGS,
+  DEFAULT_SETTINGS,
+  parseSourceSettings,
+  getConfiguredSettings,
+  resolveSourceSettings,
+  createScraper,
+  isSourceDue
+};
@@ -0,0 +1,50 @@
+/**
+ * Re-record the scraper fixtures from the live sites and report selectors
+ * that no longer match.
+ *
+ *   npm run fixtures:refresh                 every source
+ *   npm run fixtures:refresh -- iefa         only the named sources
+ *
+ * A source whose selectors fail keeps its old fixtures, and the command
+ * exits non-zero. After a refresh, review the recorded pages and update
+ * the golden records with UPDATE_GOLDEN=1 npm test.
+ */
+import axios from 'axios';
+import { SCRAPER_SOURCES } from '../scrapers/registry.js';
+import {
+  FIXTURE_CONFIG,
+  createRecordingTransport,
+  saveFixtures,
+  loadGolden,
+  checkSelectors
+} from '../scrapers/fixtures.js';
+
+const requested = process.argv.slice(2);
+const unknown = requested.filter(id => !SCRAPER_SOURCES[id]);
+if (unknown.length > 0) {
+  console.error(`Unknown source: ${unknown.join(', ')}. Known sources: ${Object.keys(SCRAPER_SOURCES).join(', ')}`);
+  process.exit(1);
+}
+
+let failed = 0;
+for (const id of requested.length > 0 ? requested : Object.keys(SCRAPER_SOURCES)) {
+  const transport = createRecordingTransport(axios.get);
+  // Same page limits as the replay, but paced like a normal run
+  const scraper = SCRAPER_SOURCES[id].create({ ...FIXTURE_CONFIG, minDelay: 2000, maxDelay: 5000, retries: 3, transport });
+  const records = await scraper.scrape();
+  const previous = await loadGolden(id).catch(() => null);
+  const was = previous ? ` (was ${previous.length})` : '';
+  const problems = checkSelectors(scraper, records, transport.pages);
+
+  if (problems.length > 0) {
+    failed++;
+    console.log(`${id}: check failed, keeping the old fixtures`);
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log(`  ${records.length} listings found${was}`);
+    continue;
+  }
+  await saveFixtures(id, transport.pages);
+  console.log(`${id}: recorded ${transport.pages.size} pages, ${records.length} listings found${was}`);
+}
+
+process.exit(failed > 0 ? 1 : 0);
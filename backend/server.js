@@ -6,11 +6,17 @@ import cors from 'cors'
 import mongoose from 'mongoose'
 import scholarshipData from './data/scholarships.js'
 import { ScheduledScraper } from './utils/scheduledScraper.js'
+import { DeadlineReminderScheduler } from './utils/deadlineReminders.js'
+import { recordCreations, applyScholarshipChange } from './utils/scholarshipHistory.js'
 import { Scholarship } from './models/index.js'
 import uploadRoutes from './routes/upload.js'
 import authRoutes from './routes/auth.js'
 import userRoutes from './routes/users.js'
 import scholarshipRoutes from './routes/scholarships.js'
+import adminRoutes from './routes/admin.js'
+import notificationRoutes from './routes/notifications.js'
+import eventRoutes from './routes/events.js'
+import calendarRoutes from './routes/calendar.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -36,6 +42,7 @@ app.use(express.json({ limit: '50mb' }))
 app.use(express.urlencoded({ extended: true, limit: '50mb' }))
 
 let scheduledScraper = null
+let deadlineReminders = null
 
 async function connectDB() {
   try {
@@ -54,14 +61,37 @@ async function connectDB() {
         verified: true
       }))
       await Scholarship.insertMany(seedDataWithSource)
+      await recordCreations(seedDataWithSource, { source: 'seed' })
       console.log(`Seeded ${scholarshipData.length} scholarships`)
     } else {
       console.log(`Already ${count} scholarships`)
+
+      // Databases seeded before eligibility rules existed pick them up from the
+      // seed file. Only records that never had rules are touched, so an admin
+      // who cleared them keeps that, and each backfill is a recorded revision.
+      const seedById = new Map(scholarshipData.map(s => [s.id, s]))
+      const missing = await Scholarship.find({ id: { $in: [...seedById.keys()] }, eligibility: { $exists: false } })
+      let backfilled = 0
+      for (const scholarship of missing) {
+        const revision = await applyScholarshipChange(scholarship, { eligibility: seedById.get(scholarship.id).eligibility }, {
+          source: 'seed',
+          note: 'Eligibility rules from the seed data'
+        })
+        if (revision) backfilled++
+      }
+      if (backfilled > 0) {
+        console.log(`Added eligibility rules to ${backfilled} seeded scholarships`)
+      }
     }
 
-    // Start scheduled scraper (runs every 24 hours)
-    scheduledScraper = new ScheduledScraper(24)
+    // Start scheduled scraper (each source runs on its own interval; see scrapers/registry.js)
+    scheduledScraper = new ScheduledScraper()
     scheduledScraper.start()
+    app.set('scheduledScraper', scheduledScraper)
+
+    // Check for due deadline reminders every hour
+    deadlineReminders = new DeadlineReminderScheduler(1)
+    deadlineReminders.start()
     
   } catch (err) {
     console.error('MongoDB connection error:', err.message)
@@ -78,5 +108,9 @@ app.use('/api/auth', authRoutes)
 app.use('/api/users', userRoutes)
 app.use('/api/upload', uploadRoutes)
 app.use('/api/scholarships', scholarshipRoutes)
+app.use('/api/admin', adminRoutes)
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/events', eventRoutes)
+app.use('/api/calendar', calendarRoutes)
 
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
@@ -0,0 +1,71 @@
+import { buildCalendar, savedScholarshipEvents, cancelledEvents, calendarEntries, escapeText, foldLine } from '../utils/calendar.js';
+import assert from 'assert';
+import { test } from 'node:test';
+import { Buffer } from 'buffer';
+
+const scholarship = {
+    id: 'daad-2026',
+    title: 'DAAD Scholarship, Germany',
+    country: 'Germany',
+    deadline: new Date('2026-11-15T00:00:00Z'),
+    updatedAt: new Date('2026-10-01T00:00:00Z')
+};
+const now = new Date('2026-10-19T12:00:00Z');
+
+test('Calendar - deadline events keep a stable UID and carry reminders while saved', () => {
+    const saved = { status: 'saved', updatedAt: new Date('2026-10-02T00:00:00Z') };
+    const [deadline] = savedScholarshipEvents(saved, scholarship, { leadDays: [7, 1] });
+    const ics = buildCalendar([deadline], { now });
+
+    assert.strictEqual(deadline.uid, 'daad-2026-deadline@scholarhunter');
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /DTSTART;VALUE=DATE:20261115\r\nDTEND;VALUE=DATE:20261116/);
+    assert.match(ics, /SUMMARY:Deadline: DAAD Scholarship\\, Germany/);
+    assert.strictEqual(ics.match(/BEGIN:VALARM/g).length, 2);
+    assert.match(ics, /TRIGGER:-P7D/);
+
+    const [applied] = savedScholarshipEvents({ ...saved, status: 'applied' }, scholarship, { leadDays: [7, 1] });
+    assert.deepStrictEqual(applied.alarms, []);
+    assert.strictEqual(applied.uid, deadline.uid);
+});
+
+test('Calendar - interviews are added and removed items are cancelled with a newer sequence', () => {
+    const saved = { status: 'interview', interviewAt: new Date('2026-11-20T09:30:00Z'), updatedAt: new Date('2026-10-02T00:00:00Z') };
+    const events = savedScholarshipEvents(saved, scholarship);
+    assert.deepStrictEqual(events.map(e => e.uid), ['daad-2026-deadline@scholarhunter', 'daad-2026-interview@scholarhunter']);
+    assert.match(buildCalendar(events, { now }), /DTSTART:20261120T093000Z/);
+
+    const cancelled = cancelledEvents({ scholarshipId: 'daad-2026', title: scholarship.title, createdAt: now });
+    assert.deepStrictEqual(cancelled.map(e => e.uid), events.map(e => e.uid));
+    assert.ok(cancelled.every(e => e.sequence > events[0].sequence));
+    const ics = buildCalendar(cancelled, { now });
+    assert.strictEqual(ics.match(/STATUS:CANCELLED/g).length, 2);
+    assert.doesNotMatch(ics, /BEGIN:VALARM/);
+});
+
+test('Calendar - text is escaped and long lines are folded', () => {
+    assert.strictEqual(escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.strictEqual(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join(''), `DESCRIPTION:${'é'.repeat(60)}`);
+});
+
+test('Calendar - entries in range use the live deadline, the saved status and tasks', () => {
+    const saved = [
+        { scholarshipId: 'daad-2026', status: 'interview', interviewAt: new Date('2026-11-20T09:30:00Z'), scholarship: { title: 'Old title', deadline: new Date('2026-11-01') } },
+        { scholarshipId: 'gone', status: 'saved', scholarship: { title: 'Removed listing', deadline: new Date('2026-11-03') } },
+        { scholarshipId: 'later', status: 'saved', scholarship: { title: 'Next year', deadline: new Date('2027-03-01') } }
+    ];
+    const scholarships = new Map([['daad-2026', scholarship]]);
+    const tasks = [{ _id: 't1', title: 'Ask for references', dueAt: new Date('2026-11-10'), completedAt: new Date() }];
+
+    const entries = calendarEntries({ saved, scholarships, tasks, from: new Date('2026-11-01'), to: new Date('2026-12-01') });
+
+    assert.deepStrictEqual(entries.map(e => e.id), ['deadline:gone', 'task:t1', 'deadline:daad-2026', 'interview:daad-2026']);
+    assert.strictEqual(entries[2].title, scholarship.title);
+    assert.strictEqual(entries[3].status, 'interview');
+    assert.strictEqual(entries[1].completed, true);
+});
@@ -0,0 +1,29 @@
+import { dueLeadTime, parseLeadDays, resolveLeadDays, DEFAULT_LEAD_DAYS } from '../utils/deadlineReminders.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Deadline reminders - only the closest lead time reached is due, once', () => {
+    const leadDays = [30, 7, 1];
+
+    assert.strictEqual(dueLeadTime(45, leadDays), null);
+    assert.strictEqual(dueLeadTime(30, leadDays), 30);
+    assert.strictEqual(dueLeadTime(12, leadDays, [30]), null);
+    // Saved late: the 7-day reminder goes out, not a stale 30-day one
+    assert.strictEqual(dueLeadTime(5, leadDays), 7);
+    assert.strictEqual(dueLeadTime(5, leadDays, [30, 7]), null);
+    assert.strictEqual(dueLeadTime(1, leadDays, [30, 7]), 1);
+    assert.strictEqual(dueLeadTime(0, leadDays), null);
+    assert.strictEqual(dueLeadTime(3, []), null);
+});
+
+test('Deadline reminders - lead times are validated and sorted', () => {
+    assert.deepStrictEqual(parseLeadDays([1, 14, 7, 7]), [14, 7, 1]);
+    assert.deepStrictEqual(parseLeadDays([]), []);
+    assert.throws(() => parseLeadDays('7'), /must be a list/);
+    assert.throws(() => parseLeadDays([0]), /between 1 and 90/);
+    assert.throws(() => parseLeadDays([2.5]), /whole days/);
+    assert.throws(() => parseLeadDays([1, 2, 3, 4, 5, 6]), /at most 5/);
+
+    assert.deepStrictEqual(resolveLeadDays(undefined), DEFAULT_LEAD_DAYS);
+    assert.deepStrictEqual(resolveLeadDays([1, 30]), [30, 1]);
+});
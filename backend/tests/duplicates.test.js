@@ -0,0 +1,135 @@
+import { tokenSimilarity, duplicateScore, findDuplicate, isPlaceholder, mergeUpdates, claimFields, MERGE_SCORE, REVIEW_SCORE, ADMIN_OWNER } from '../utils/duplicates.js';
+import { Scholarship } from '../models/index.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const FIELDS = ['title', 'country', 'amount', 'deadline', 'description'];
+
+test('Duplicates - title similarity ignores years, filler words and plurals', () => {
+    assert.strictEqual(tokenSimilarity('Chevening Scholarships 2026', 'Chevening Scholarship 2027/2028'), 1);
+    assert.ok(tokenSimilarity('Chevening Scholarship', 'UK Government Chevening Scholarships for International Students') >= 0.7);
+    assert.ok(tokenSimilarity('Chevening Scholarship', 'Commonwealth Masters Scholarship') < 0.3);
+    assert.strictEqual(tokenSimilarity('Scholarship 2026', 'Chevening Scholarship'), 0);
+});
+
+test('Duplicates - the same programme from two sites scores high enough to merge', () => {
+    const deadline = new Date('2026-11-04');
+    const scholars4dev = {
+        source: 'scholars4dev',
+        title: 'Chevening Scholarships 2026/2027',
+        country: 'United Kingdom',
+        deadline,
+        applicationLink: 'https://www.chevening.org/apply',
+        sourceUrl: 'https://www.scholars4dev.com/1234/chevening/'
+    };
+    const opportunityDesk = {
+        source: 'opportunitydesk',
+        title: 'UK Government Chevening Scholarship 2026',
+        country: 'United Kingdom',
+        deadline,
+        applicationLink: 'https://chevening.org/scholarships/',
+        sourceUrl: 'https://opportunitydesk.org/2026/08/01/chevening/'
+    };
+
+    const { score, reasons } = duplicateScore(scholars4dev, opportunityDesk);
+    assert.ok(score >= MERGE_SCORE, `expected ${score} to reach ${MERGE_SCORE}`);
+    assert.ok(reasons.includes('Same deadline'));
+    assert.ok(reasons.includes('Both apply through chevening.org'));
+});
+
+test('Duplicates - different countries and distant deadlines count against a match', () => {
+    const germany = { title: 'Excellence Scholarship for Masters', country: 'Germany', deadline: new Date('2026-12-01') };
+    const france = { title: 'Excellence Scholarships for Masters', country: 'France', deadline: new Date('2027-04-01') };
+
+    const { score, reasons } = duplicateScore(germany, france);
+    assert.ok(score < REVIEW_SCORE);
+    assert.ok(reasons.includes('Different countries (Germany, France)'));
+    assert.ok(reasons.includes('Deadlines more than a month apart'));
+
+    // Estimated deadlines are a scraper's guess and say nothing either way
+    const guessed = duplicateScore({ ...germany, deadlineEstimated: true }, { ...germany, deadline: new Date('2027-06-01') });
+    assert.strictEqual(guessed.score, 1);
+});
+
+test('Duplicates - a listing is never matched to a record its own source feeds', () => {
+    const listing = { source: 'iefa', title: 'Rotary Peace Fellowship' };
+    const ownRecord = { id: 'a', source: 'iefa', title: 'Rotary Peace Fellowships' };
+    const mergedRecord = { id: 'b', source: 'worldforum', sources: [{ source: 'iefa' }], title: 'Rotary Peace Fellowship' };
+    const otherRecord = { id: 'c', source: 'worldforum', title: 'Rotary Peace Fellowships 2027' };
+
+    assert.strictEqual(findDuplicate(listing, [ownRecord, mergedRecord]), null);
+    assert.strictEqual(findDuplicate(listing, [ownRecord, otherRecord]).record.id, 'c');
+});
+
+test('Duplicates - each source keeps its own fields and fills in placeholders', () => {
+    const record = {
+        source: 'scholars4dev',
+        title: 'Chevening Scholarships',
+        country: 'United Kingdom',
+        amount: 'Full Funding',
+        deadline: new Date('2026-11-04'),
+        description: 'Fully funded masters in the UK.'
+    };
+    const listing = {
+        source: 'opportunitydesk',
+        title: 'UK Government Chevening Scholarship',
+        country: 'United Kingdom',
+        amount: 'Tuition, living allowance and flights',
+        deadline: new Date('2026-11-05'),
+        description: ''
+    };
+
+    const { updates, provenance } = mergeUpdates(record, listing, FIELDS);
+    assert.deepStrictEqual(updates, { amount: 'Tuition, living allowance and flights' });
+    assert.deepStrictEqual(provenance, {
+        title: 'scholars4dev',
+        country: 'scholars4dev',
+        amount: 'opportunitydesk',
+        deadline: 'scholars4dev',
+        description: 'scholars4dev'
+    });
+
+    // The owning source updates its own values on later runs
+    const merged = { ...record, ...updates, provenance };
+    const later = mergeUpdates(merged, { ...listing, amount: 'Tuition and stipend' }, FIELDS);
+    assert.deepStrictEqual(later.updates, { amount: 'Tuition and stipend' });
+
+    // A real deadline replaces one the first source had to estimate
+    const estimated = mergeUpdates({ ...record, deadlineEstimated: true }, listing, FIELDS);
+    assert.deepStrictEqual(estimated.updates.deadline, listing.deadline);
+});
+
+test('Duplicates - an admin correction survives the next scrape', () => {
+    const listing = {
+        source: 'scholars4dev',
+        title: 'Chevening Scholarships',
+        country: 'United Kingdom',
+        amount: 'Full Funding',
+        deadline: new Date('2026-11-04'),
+        description: 'Fully funded masters in the UK.'
+    };
+    const scraped = { ...listing, provenance: mergeUpdates({}, listing, FIELDS).provenance };
+
+    // An admin fixes the deadline the listing got wrong
+    const corrected = {
+        ...scraped,
+        deadline: new Date('2026-11-05'),
+        provenance: claimFields(scraped, ['deadline'], ADMIN_OWNER, FIELDS)
+    };
+    assert.strictEqual(corrected.provenance.deadline, ADMIN_OWNER);
+    assert.strictEqual(corrected.provenance.title, 'scholars4dev');
+
+    const rescrape = mergeUpdates(corrected, { ...listing, title: 'Chevening Scholarships UK' }, FIELDS);
+    assert.strictEqual(rescrape.updates.title, 'Chevening Scholarships UK');
+    assert.ok(!('deadline' in rescrape.updates));
+    assert.strictEqual(rescrape.provenance.deadline, ADMIN_OWNER);
+});
+
+test('Duplicates - a stored scholarship keeps its deadline marked as estimated', () => {
+    const stored = new Scholarship({ source: 'iefa', title: 'Rotary Peace Fellowships', country: 'International', deadline: new Date('2027-04-01'), deadlineEstimated: true });
+    assert.ok(isPlaceholder('deadline', stored.deadline, stored));
+
+    const listing = { source: 'worldforum', title: 'Rotary Peace Fellowship', deadline: new Date('2026-12-01') };
+    assert.strictEqual(duplicateScore(listing, stored).score, 1);
+    assert.deepStrictEqual(mergeUpdates(stored, listing, ['deadline']).updates, { deadline: listing.deadline });
+});
@@ -0,0 +1,131 @@
+import { extractEligibility, buildApplicant, checkEligibility, classifyEligibility, normalizeEligibility, parseEligibilityFilter } from '../utils/eligibility.js';
+import { calculateMatchScore } from '../utils/matching.js';
+import { INELIGIBLE_SCORE_CAP } from '../../shared/matchScoring.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Eligibility - extracts structured rules from listing text', () => {
+    const rules = extractEligibility(
+        'Commonwealth Masters Scholarships 2026',
+        'Open to citizens of Nigeria, Ghana and Kenya. Applicants need 2 years work experience, IELTS 6.5 or TOEFL iBT 79, and must be under 35.'
+    );
+
+    assert.deepStrictEqual(rules.degreeLevels, ["Master's"]);
+    assert.deepStrictEqual(rules.citizenships.sort(), ['Ghana', 'Kenya', 'Nigeria']);
+    assert.deepStrictEqual(rules.regions, ['Commonwealth']);
+    assert.strictEqual(rules.maxAge, 35);
+    assert.strictEqual(rules.minWorkExperienceYears, 2);
+    assert.deepStrictEqual(rules.languageTests, [
+        { test: 'IELTS', minScore: 6.5 },
+        { test: 'TOEFL', minScore: 79 }
+    ]);
+});
+
+test('Eligibility - host country is not mistaken for a nationality', () => {
+    const rules = extractEligibility('Fulbright Program', 'Enables students from abroad to study in the United States.');
+    assert.deepStrictEqual(rules.citizenships, []);
+});
+
+test('Eligibility - applicant is checked against each rule', () => {
+    const applicant = buildApplicant({
+        education: [{ degree: 'Bachelor of Science (BSc)' }],
+        citizenship: 'Pakistan',
+        dateOfBirth: '1995-03-10',
+        languageTests: [{ test: 'TOEFL', score: 95 }],
+        experience: [{ duration: '2021 - 2022' }]
+    });
+    assert.strictEqual(applicant.targetDegreeLevel, "Master's");
+
+    const verdicts = checkEligibility(applicant, {
+        deadline: new Date('2026-11-01'),
+        eligibility: normalizeEligibility({
+            degreeLevels: ["Master's"],
+            regions: ['Commonwealth'],
+            maxAge: 30,
+            languageTests: [{ test: 'IELTS', minScore: 6.5 }],
+            minWorkExperienceYears: 2
+        })
+    });
+
+    assert.deepStrictEqual(verdicts, {
+        degree: true,
+        citizenship: true,
+        age: false,
+        language: true,
+        workExperience: false
+    });
+});
+
+test('Eligibility - missing profile details are unknown, not failures', () => {
+    const verdicts = checkEligibility(buildApplicant({}), {
+        eligibility: { degreeLevels: ['PhD'], citizenships: ['Kenya'], maxAge: 35 }
+    });
+    assert.strictEqual(verdicts.degree, null);
+    assert.strictEqual(verdicts.citizenship, null);
+    assert.strictEqual(verdicts.age, null);
+    assert.strictEqual(verdicts.language, true);
+});
+
+test('Eligibility - an unrecognised degree leaves the target level unknown', () => {
+    const applicant = buildApplicant({ education: [{ degree: 'Other' }] });
+    assert.strictEqual(applicant.targetDegreeLevel, null);
+
+    const result = classifyEligibility(applicant, { eligibility: { degreeLevels: ["Master's"] } });
+    assert.strictEqual(result.status, 'likely');
+    assert.deepStrictEqual(result.unknown, ['degree']);
+
+    assert.strictEqual(buildApplicant({ education: [{ degree: 'BS Computer Science' }] }).targetDegreeLevel, "Master's");
+    assert.strictEqual(buildApplicant({ education: [{ degree: 'BBA' }] }).targetDegreeLevel, "Master's");
+    assert.strictEqual(buildApplicant({ education: [{ degree: 'MS' }] }).targetDegreeLevel, 'PhD');
+    assert.strictEqual(buildApplicant({ education: [{ degree: 'MPhil Economics' }] }).targetDegreeLevel, 'PhD');
+});
+
+test('Eligibility - no work experience on the profile is unknown, not zero years', () => {
+    const applicant = buildApplicant({ citizenship: 'India', targetDegreeLevel: "Master's" });
+    assert.strictEqual(applicant.workExperienceYears, null);
+
+    const result = classifyEligibility(applicant, { eligibility: { minWorkExperienceYears: 2 } });
+    assert.notStrictEqual(result.status, 'ineligible');
+    assert.deepStrictEqual(result.failed, []);
+    assert.ok(result.unknown.includes('workExperience'));
+});
+
+test('Matching - ineligible nationality scores lower than an open scholarship', () => {
+    const applicant = { ...buildApplicant({ citizenship: 'India', targetDegreeLevel: "Master's" }), fieldOfStudy: ['Engineering'] };
+    const base = { fieldOfStudy: ['Engineering'], fundingType: 'Full Scholarship' };
+
+    const open = calculateMatchScore(applicant, { ...base, eligibility: { degreeLevels: ["Master's"] } });
+    const closed = calculateMatchScore(applicant, { ...base, eligibility: { degreeLevels: ["Master's"], citizenships: ['Brazil'] } });
+
+    assert.strictEqual(open.eligibility.citizenship, true);
+    assert.strictEqual(closed.eligibility.citizenship, false);
+    assert.ok(open.totalScore > closed.totalScore);
+});
+
+test('Eligibility - classifies scholarships before scoring', () => {
+    const applicant = buildApplicant({ citizenship: 'India', targetDegreeLevel: "Master's", gpa: 3.0 });
+
+    assert.strictEqual(classifyEligibility(applicant, { eligibility: { degreeLevels: ["Master's"] } }).status, 'eligible');
+    assert.deepStrictEqual(classifyEligibility(applicant, { minGPA: 3.2, eligibility: { maxAge: 30 } }), {
+        status: 'likely', failed: [], unknown: ['age', 'gpa']
+    });
+
+    const wrongLevel = classifyEligibility(applicant, { eligibility: { degreeLevels: ['PhD'] } });
+    assert.strictEqual(wrongLevel.status, 'ineligible');
+    assert.deepStrictEqual(wrongLevel.failed, ['degree']);
+    assert.deepStrictEqual(classifyEligibility(applicant, { minGPA: 3.5 }).failed, ['gpa']);
+    assert.deepStrictEqual(parseEligibilityFilter('eligible, likely,bogus'), ['eligible', 'likely']);
+    assert.strictEqual(parseEligibilityFilter(''), null);
+});
+
+test('Matching - ineligible scholarships are capped however well the rest fits', () => {
+    const applicant = { ...buildApplicant({ targetDegreeLevel: "Bachelor's" }), fieldOfStudy: ['Engineering'] };
+    const result = calculateMatchScore(applicant, {
+        fieldOfStudy: ['Engineering'],
+        fundingType: 'Full Scholarship',
+        eligibility: { degreeLevels: ['PhD'] }
+    });
+
+    assert.strictEqual(result.classification.status, 'ineligible');
+    assert.ok(result.totalScore <= INELIGIBLE_SCORE_CAP);
+});
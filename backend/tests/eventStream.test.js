@@ -0,0 +1,42 @@
+import { createStreamTicket, redeemStreamTicket, formatEvent, openStream, publish } from '../utils/eventStream.js';
+import assert from 'assert';
+import { test } from 'node:test';
+import { EventEmitter } from 'events';
+
+// Just enough of req/res for openStream
+function fakeConnection() {
+    const req = new EventEmitter();
+    const res = { chunks: [], writeHead() {}, write(chunk) { this.chunks.push(chunk); } };
+    return { req, res };
+}
+
+test('Event stream - tickets work once and expire', () => {
+    const user = { id: 'u1' };
+    const { ticket } = createStreamTicket(user, 1000);
+
+    assert.deepStrictEqual(redeemStreamTicket(ticket, 2000), user);
+    assert.strictEqual(redeemStreamTicket(ticket, 2000), null);
+
+    const { ticket: stale } = createStreamTicket(user, 1000);
+    assert.strictEqual(redeemStreamTicket(stale, 1000 + 61 * 1000), null);
+    assert.strictEqual(redeemStreamTicket('made-up'), null);
+});
+
+test('Event stream - events reach only the named users until they disconnect', () => {
+    const alice = fakeConnection();
+    const bob = fakeConnection();
+    openStream(alice.req, alice.res, 'alice');
+    openStream(bob.req, bob.res, 'bob');
+
+    assert.strictEqual(publish(['alice'], 'notification', { title: 'Hi' }), 1);
+    assert.ok(alice.res.chunks.at(-1).includes('event: notification\ndata: {"title":"Hi"}\n\n'));
+    assert.ok(!bob.res.chunks.some(chunk => chunk.includes('notification')));
+
+    alice.req.emit('close');
+    bob.req.emit('close');
+    assert.strictEqual(publish(['alice', 'bob'], 'notification', {}), 0);
+});
+
+test('Event stream - events follow the SSE wire format', () => {
+    assert.strictEqual(formatEvent('matches', { n: 1 }, 7), 'id: 7\nevent: matches\ndata: {"n":1}\n\n');
+});
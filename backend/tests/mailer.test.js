@@ -0,0 +1,39 @@
+import { sendMail, setMailTransport, createFileTransport } from '../utils/mailer.js';
+import { passwordResetEmail } from '../utils/emailTemplates.js';
+import assert from 'assert';
+import { test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+test('Mailer - file transport writes one message per file', async () => {
+    const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    setMailTransport(createFileTransport(outbox));
+
+    const result = await sendMail({ to: 'jane@example.com', subject: 'Hello', text: 'Body' });
+    assert.strictEqual(result.sent, true);
+
+    const files = fs.readdirSync(outbox);
+    assert.strictEqual(files.length, 1);
+
+    const message = JSON.parse(fs.readFileSync(path.join(outbox, files[0]), 'utf8'));
+    assert.strictEqual(message.to, 'jane@example.com');
+    assert.strictEqual(message.subject, 'Hello');
+    assert.ok(message.from, 'Should fill in a default sender');
+
+    fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+test('Mailer - transport failures are reported, not thrown', async () => {
+    setMailTransport({ name: 'broken', send: async () => { throw new Error('connection refused'); } });
+
+    const result = await sendMail({ to: 'jane@example.com', subject: 'Hello', text: 'Body' });
+    assert.strictEqual(result.sent, false);
+    assert.strictEqual(result.error, 'connection refused');
+});
+
+test('Email templates - reset link carries the token', () => {
+    const email = passwordResetEmail({ name: 'Jane' }, 'abc123');
+    assert.ok(email.text.includes('/reset-password?token=abc123'));
+    assert.ok(email.html.includes('Jane'));
+});
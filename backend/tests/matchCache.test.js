@@ -0,0 +1,28 @@
+import { isMatchCacheStale, MATCH_SCORE_TTL_MS } from '../utils/matchCache.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const computedAt = new Date('2026-10-01T12:00:00Z');
+const oldest = { computedAt, weightsKey: '{"field":25}' };
+const fresh = {
+    weightsKey: '{"field":25}',
+    profileUpdatedAt: new Date('2026-10-01T11:00:00Z'),
+    catalogueUpdatedAt: new Date('2026-10-01T10:00:00Z'),
+    now: new Date('2026-10-01T13:00:00Z')
+};
+
+test('Match cache - fresh scores are reused', () => {
+    assert.strictEqual(isMatchCacheStale(oldest, fresh), false);
+    assert.strictEqual(isMatchCacheStale(null, fresh), true);
+});
+
+test('Match cache - profile, catalogue or weight changes invalidate scores', () => {
+    assert.strictEqual(isMatchCacheStale(oldest, { ...fresh, profileUpdatedAt: new Date('2026-10-01T12:30:00Z') }), true);
+    assert.strictEqual(isMatchCacheStale(oldest, { ...fresh, catalogueUpdatedAt: new Date('2026-10-01T12:30:00Z') }), true);
+    assert.strictEqual(isMatchCacheStale(oldest, { ...fresh, weightsKey: '{"field":40}' }), true);
+});
+
+test('Match cache - scores expire after the TTL', () => {
+    const now = new Date(computedAt.getTime() + MATCH_SCORE_TTL_MS + 1);
+    assert.strictEqual(isMatchCacheStale(oldest, { ...fresh, now }), true);
+});
@@ -0,0 +1,83 @@
+import { resolveWeights, scoreMatch, DEFAULT_WEIGHTS } from '../../shared/matchScoring.js';
+import { calculateMatchScore, getMatchWeights } from '../utils/matching.js';
+import { buildApplicant } from '../utils/eligibility.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const profile = {
+    citizenship: 'Kenya',
+    targetDegreeLevel: "Master's",
+    fieldOfStudy: ['Computer Science'],
+    targetCountries: ['Germany'],
+    education: [{ degree: 'BSc', gpa: 3.4 }]
+};
+
+const scholarship = {
+    fieldOfStudy: ['Computer Science', 'Engineering'],
+    country: 'Germany',
+    fundingType: 'Full Scholarship',
+    minGPA: 3.0,
+    deadline: '2099-01-01',
+    eligibility: { degreeLevels: ["Master's"], regions: ['Africa'] }
+};
+
+test('Match scoring - later weight layers win and invalid values are ignored', () => {
+    const weights = resolveWeights({ field: 40, gpa: 'high' }, { field: 10, destination: -5, unknown: 50 });
+
+    assert.strictEqual(weights.field, 10);
+    assert.strictEqual(weights.gpa, DEFAULT_WEIGHTS.gpa);
+    assert.strictEqual(weights.destination, DEFAULT_WEIGHTS.destination);
+    assert.strictEqual(weights.unknown, undefined);
+    assert.deepStrictEqual(resolveWeights(Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(id => [id, 0]))), DEFAULT_WEIGHTS);
+});
+
+test('Match scoring - API and web app report the same score', () => {
+    const weights = getMatchWeights({ funding: 0, field: 50 });
+    const api = calculateMatchScore(buildApplicant(profile), scholarship, weights);
+    const web = scoreMatch(profile, scholarship, { weights });
+
+    assert.strictEqual(api.totalScore, web.score);
+    assert.strictEqual(api.breakdown.field, web.criteria.find(c => c.id === 'field').points);
+});
+
+test('Match scoring - a zero-weighted criterion does not affect the score', () => {
+    const weights = { ...DEFAULT_WEIGHTS, destination: 0 };
+    const home = scoreMatch(profile, scholarship, { weights });
+    const elsewhere = scoreMatch(profile, { ...scholarship, country: 'Japan' }, { weights });
+
+    assert.strictEqual(home.score, elsewhere.score);
+    assert.ok(scoreMatch(profile, scholarship).score > scoreMatch(profile, { ...scholarship, country: 'Japan' }).score);
+});
+
+test('Match scoring - an empty profile scores zero', () => {
+    const result = scoreMatch({}, scholarship);
+
+    assert.strictEqual(result.score, 0);
+    assert.deepStrictEqual(result.criteria, []);
+});
+
+test('Match scoring - explains each criterion with reasons and hints', () => {
+    const result = scoreMatch(
+        { ...profile, gpa: 3.2, englishLevel: 'intermediate' },
+        { ...scholarship, minGPA: 3.5, eligibility: { languageTests: [{ test: 'IELTS', minScore: 6.5 }] } }
+    );
+    const byId = Object.fromEntries(result.criteria.map(c => [c.id, c]));
+
+    assert.strictEqual(byId.gpa.status, 'partial');
+    assert.strictEqual(byId.gpa.reason, 'GPA 3.2 below required 3.5');
+    assert.strictEqual(byId.requirements.reason, 'IELTS 6.5 required, you listed intermediate English');
+    assert.strictEqual(byId.requirements.hint, 'Add your English test scores to your profile');
+    assert.strictEqual(byId.field.status, 'met');
+    assert.strictEqual(byId.field.hint, null);
+});
+
+test('Match scoring - missing work experience is reported as not listed, not as zero years', () => {
+    const rules = { ...scholarship, eligibility: { minWorkExperienceYears: 2 } };
+
+    const unknown = scoreMatch(profile, rules).criteria.find(c => c.id === 'requirements');
+    assert.strictEqual(unknown.reason, '2 years of work experience required, your profile does not list any experience');
+    assert.strictEqual(unknown.hint, 'Add your years of work experience to your profile');
+
+    const short = scoreMatch({ ...profile, workExperienceYears: 1 }, rules).criteria.find(c => c.id === 'requirements');
+    assert.strictEqual(short.reason, '2 years of work experience required, you have 1');
+});
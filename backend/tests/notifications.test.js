@@ -0,0 +1,28 @@
+import { resolvePreferences, parsePreferences, wantsEmail, NOTIFICATION_TYPES } from '../utils/notifications.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Notifications - stored preferences override the defaults per type and channel', () => {
+    const preferences = resolvePreferences({ deadline_reminder: { email: false }, status_change: { email: 'yes' } });
+
+    assert.deepStrictEqual(Object.keys(preferences), Object.keys(NOTIFICATION_TYPES));
+    assert.deepStrictEqual(preferences.deadline_reminder, { inApp: true, email: false });
+    assert.deepStrictEqual(preferences.status_change, NOTIFICATION_TYPES.status_change.defaults);
+    assert.deepStrictEqual(resolvePreferences(undefined), resolvePreferences({}));
+});
+
+test('Notifications - preference updates are validated', () => {
+    assert.deepStrictEqual(parsePreferences({ scholarship_update: { inApp: false } }), { scholarship_update: { inApp: false } });
+    assert.throws(() => parsePreferences({ newsletter: { email: true } }), /Unknown notification type/);
+    assert.throws(() => parsePreferences({ deadline_reminder: { sms: true } }), /Unknown channel/);
+    assert.throws(() => parsePreferences({ deadline_reminder: { email: 'no' } }), /must be true or false/);
+    assert.throws(() => parsePreferences([]), /must be an object/);
+});
+
+test('Notifications - email only goes to verified addresses that want it', () => {
+    const user = { emailVerified: true, notificationPreferences: { saved_search_match: { email: false } } };
+
+    assert.strictEqual(wantsEmail(user, 'deadline_reminder'), true);
+    assert.strictEqual(wantsEmail(user, 'saved_search_match'), false);
+    assert.strictEqual(wantsEmail({ ...user, emailVerified: false }, 'deadline_reminder'), false);
+});
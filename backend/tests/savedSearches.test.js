@@ -0,0 +1,57 @@
+import { sanitizeSearchFilters, toSearchParams } from '../utils/savedSearches.js';
+import { buildSearchQuery } from '../utils/searchQuery.js';
+import { searchAlertDigestEmail } from '../utils/emailTemplates.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Saved searches - filters are whitelisted and cleaned up', () => {
+    const filters = sanitizeSearchFilters({
+        selectedCountries: ['Germany', ' Germany ', '', 42],
+        excludeIELTS: 'yes',
+        excludeAppFee: true,
+        deadlineFilter: 'tomorrow',
+        fundingType: 'full',
+        minMatchScore: 250,
+        sortBy: 'recent',
+        search: '  engineering  '
+    });
+
+    assert.deepStrictEqual(filters.selectedCountries, ['Germany']);
+    assert.deepStrictEqual(filters.selectedFields, []);
+    assert.strictEqual(filters.excludeIELTS, false);
+    assert.strictEqual(filters.excludeAppFee, true);
+    assert.strictEqual(filters.deadlineFilter, 'all');
+    assert.strictEqual(filters.fundingType, 'full');
+    assert.strictEqual(filters.minMatchScore, '100');
+    assert.strictEqual(filters.search, 'engineering');
+    assert.strictEqual(filters.sortBy, undefined);
+});
+
+test('Saved searches - run through the same query as the search API', () => {
+    const now = new Date('2026-10-01T00:00:00Z');
+    const query = buildSearchQuery(toSearchParams(sanitizeSearchFilters({
+        selectedCountries: ['Germany', 'Canada'],
+        excludeAppFee: true,
+        deadlineFilter: 'upcoming',
+        fundingType: 'partial'
+    })), now);
+
+    assert.deepStrictEqual(query.country, { $in: ['Germany', 'Canada'] });
+    assert.strictEqual(query.applicationFee, 0);
+    assert.strictEqual(query.ieltsRequired, undefined);
+    assert.strictEqual(query.fundingType, 'Partial Scholarship');
+    assert.deepStrictEqual(query.deadline, { $gte: now, $lte: new Date('2026-10-31T00:00:00Z') });
+    assert.strictEqual(query.fieldOfStudy, undefined);
+});
+
+test('Email templates - alert digest lists new matches by search', () => {
+    const email = searchAlertDigestEmail({ name: 'Jane' }, [
+        { name: 'Germany engineering', scholarships: [{ id: 'daad-1', title: 'DAAD <Engineering>', country: 'Germany' }] },
+        { name: 'No fees', scholarships: [{ id: 'gates', title: 'Gates Cambridge' }, { id: 'kh', title: 'Knight-Hennessy' }] }
+    ]);
+
+    assert.strictEqual(email.subject, '3 new scholarships for your saved searches');
+    assert.ok(email.text.includes('Germany engineering:\n- DAAD <Engineering> (Germany): '));
+    assert.ok(email.text.includes('/scholarships/daad-1'));
+    assert.ok(email.html.includes('DAAD &lt;Engineering&gt;'));
+});
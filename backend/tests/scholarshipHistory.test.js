@@ -0,0 +1,27 @@
+import { diffScholarship, pickTracked } from '../utils/scholarshipHistory.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Scholarship history - only supplied fields that changed are recorded', () => {
+    const before = { title: 'Chevening', country: 'United Kingdom', applicationFee: 0 };
+    const changes = diffScholarship(before, { title: 'Chevening Scholarship', country: 'United Kingdom' });
+
+    assert.deepStrictEqual(changes, [{ field: 'title', from: 'Chevening', to: 'Chevening Scholarship' }]);
+});
+
+test('Scholarship history - equal dates and arrays are not treated as changes', () => {
+    const before = { deadline: new Date('2026-11-01T00:00:00Z'), fieldOfStudy: ['Engineering', 'Law'] };
+    const same = diffScholarship(before, { deadline: new Date('2026-11-01T00:00:00Z'), fieldOfStudy: ['Engineering', 'Law'] });
+    assert.strictEqual(same.length, 0);
+
+    const changed = diffScholarship(before, { fieldOfStudy: ['Engineering'] });
+    assert.strictEqual(changed.length, 1);
+    assert.deepStrictEqual(changed[0].from, ['Engineering', 'Law']);
+});
+
+test('Scholarship history - untracked fields are ignored', () => {
+    const picked = pickTracked({ title: 'DAAD', isActive: false, _id: 'abc', minGPA: 3 });
+    assert.deepStrictEqual(picked, { title: 'DAAD', minGPA: 3 });
+
+    assert.deepStrictEqual(diffScholarship({}, { isActive: false }), []);
+});
@@ -0,0 +1,95 @@
+import { canonicalUrl, normalizeTitle, listingKey, listingId, getStaleDays, isExpired, keptByAdmin, isUnlisted, SCRAPED_FIELDS } from '../utils/scrapedListings.js';
+import { normalizeScholarship } from '../scrapers/index.js';
+import { Scholarship } from '../models/index.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Scraped listings - URLs are compared without the parts that vary between visits', () => {
+    assert.strictEqual(
+        canonicalUrl('http://WWW.Scholars4Dev.com/9180/erasmus-mundus/?utm_source=feed&utm_medium=rss#apply'),
+        'scholars4dev.com/9180/erasmus-mundus'
+    );
+    assert.strictEqual(canonicalUrl('https://www.iefa.org/scholarships?sort=new&page=2&fbclid=x'), 'iefa.org/scholarships?page=2&sort=new');
+    assert.strictEqual(canonicalUrl('not a url '), 'not a url');
+});
+
+test('Scraped listings - titles ignore case, accents, punctuation and intake years', () => {
+    assert.strictEqual(normalizeTitle('Erasmus Mundus Joint Masters Scholarships 2027/2028'), 'erasmus mundus joint masters scholarships');
+    assert.strictEqual(normalizeTitle('Études en France – Eiffel Excellence Scholarship'), 'etudes en france eiffel excellence scholarship');
+});
+
+test('Scraped listings - identity is stable across runs and distinguishes programmes on one page', () => {
+    const first = { source: 'scholars4dev', title: 'DAAD EPOS Scholarships 2026', sourceUrl: 'https://www.scholars4dev.com/3350/daad-epos/' };
+    const next = { source: 'scholars4dev', title: 'DAAD EPOS Scholarships 2027', sourceUrl: 'http://scholars4dev.com/3350/daad-epos?utm_campaign=x' };
+    assert.strictEqual(listingKey(first), listingKey(next));
+    assert.strictEqual(listingId(first), listingId(next));
+    assert.match(listingId(first), /^scholars4dev-[0-9a-f]{16}$/);
+
+    const samePage = [
+        { source: 'iefa', title: 'Rotary Peace Fellowships', sourceUrl: 'https://www.iefa.org/scholarships' },
+        { source: 'iefa', title: 'Aga Khan Foundation Scholarships', sourceUrl: 'https://www.iefa.org/scholarships' }
+    ];
+    assert.notStrictEqual(listingId(samePage[0]), listingId(samePage[1]));
+});
+
+test('Scraped listings - stale period comes from SCRAPER_STALE_DAYS and admin curation is kept', () => {
+    const original = process.env.SCRAPER_STALE_DAYS;
+    try {
+        delete process.env.SCRAPER_STALE_DAYS;
+        assert.strictEqual(getStaleDays(), 14);
+        process.env.SCRAPER_STALE_DAYS = '30';
+        assert.strictEqual(getStaleDays(), 30);
+        process.env.SCRAPER_STALE_DAYS = 'soon';
+        assert.strictEqual(getStaleDays(), 14);
+    } finally {
+        if (original === undefined) delete process.env.SCRAPER_STALE_DAYS;
+        else process.env.SCRAPER_STALE_DAYS = original;
+    }
+
+    assert.ok(SCRAPED_FIELDS.includes('deadline'));
+    assert.ok(!SCRAPED_FIELDS.includes('verified'));
+});
+
+test('Scraped listings - an estimated deadline is stored as such and never expires the listing', () => {
+    const listing = normalizeScholarship({ source: 'iefa', title: 'Rotary Peace Fellowships', sourceUrl: 'https://www.iefa.org/scholarships' });
+    assert.strictEqual(listing.deadlineEstimated, true);
+
+    // The flag has to survive the schema, or the guess is saved as a real deadline
+    const stored = new Scholarship(listing);
+    assert.strictEqual(stored.deadlineEstimated, true);
+
+    const monthsLater = new Date(listing.deadline.getTime() + 30 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(isExpired(stored, monthsLater), false);
+    assert.strictEqual(isExpired({ ...listing, deadlineEstimated: false }, monthsLater), true);
+});
+
+test('Scraped listings - a scholarship an admin restored is not archived again as unlisted', () => {
+    // Newest revision first, as the sweep queries them
+    const kept = keptByAdmin([
+        { scholarshipId: 'restored', action: 'restore', source: 'admin' },
+        { scholarshipId: 'restored', action: 'archive', source: 'scraper' },
+        { scholarshipId: 'relisted', action: 'restore', source: 'scraper' },
+        { scholarshipId: 'relisted', action: 'restore', source: 'admin' },
+        { scholarshipId: 'archived', action: 'archive', source: 'admin' }
+    ]);
+    assert.deepStrictEqual([...kept], ['restored']);
+});
+
+test('Scraped listings - a merged scholarship is unlisted only once every source drops it', () => {
+    const staleBefore = new Date('2026-10-01');
+    const recent = new Date('2026-10-10');
+    const old = new Date('2026-09-01');
+    const merged = {
+        source: 'scholars4dev',
+        sources: [
+            { source: 'scholars4dev', lastSeen: old },
+            { source: 'opportunitydesk', lastSeen: recent }
+        ]
+    };
+    assert.strictEqual(isUnlisted(merged, staleBefore), false);
+    assert.strictEqual(isUnlisted({ ...merged, sources: merged.sources.map(entry => ({ ...entry, lastSeen: old })) }, staleBefore), true);
+
+    // A curated record keeps its place even when the listing merged into it goes
+    const curated = { source: 'manual', sources: [{ source: 'manual' }, { source: 'iefa', lastSeen: old }], lastSeen: old };
+    assert.strictEqual(isUnlisted(curated, staleBefore), false);
+});
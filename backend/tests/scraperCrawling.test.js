@@ -0,0 +1,83 @@
+import { findNextPageUrl, parseDetailPage, extractMinGPA, applyDetail } from '../scrapers/index.js';
+import * as cheerio from 'cheerio';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Scraper crawling - follows pagination links on the same site only', () => {
+    const page = (links) => cheerio.load(`<html><head></head><body>${links}</body></html>`);
+    const current = 'https://www.scholars4dev.com/category/scholarships-list/';
+
+    assert.strictEqual(
+        findNextPageUrl(page('<a class="next page-numbers" href="/category/scholarships-list/page/2/">Next</a>'), current),
+        'https://www.scholars4dev.com/category/scholarships-list/page/2/'
+    );
+    assert.strictEqual(
+        findNextPageUrl(page('<div class="nav-previous"><a href="page/3/">Older posts</a></div>'), current),
+        'https://www.scholars4dev.com/category/scholarships-list/page/3/'
+    );
+    assert.strictEqual(findNextPageUrl(page('<a rel="next" href="https://elsewhere.com/page/2/">Next</a>'), current), null);
+    assert.strictEqual(findNextPageUrl(page('<a href="/about/">About</a>'), current), null);
+});
+
+test('Scraper crawling - reads sections from a detail page', () => {
+    const detail = parseDetailPage(`
+        <article><div class="entry-content">
+            <p>The Example Scholarship funds master's study in Germany.</p>
+            <p>It is open to students from developing countries.</p>
+            <h3>Scholarship Benefits</h3>
+            <p>The award includes:</p>
+            <ul><li>Full tuition fees</li><li>Monthly stipend of €934</li></ul>
+            <p><strong>Eligibility Criteria:</strong></p>
+            <ul><li>Bachelor's degree with a minimum GPA of 3.2</li><li>IELTS 6.5</li></ul>
+            <p><strong>Deadline:</strong> 15 March 2027</p>
+            <div class="sharedaddy">Share this</div>
+        </div></article>
+    `);
+
+    assert.strictEqual(detail.description, "The Example Scholarship funds master's study in Germany. It is open to students from developing countries.");
+    assert.deepStrictEqual(detail.benefits, ['Full tuition fees', 'Monthly stipend of €934']);
+    assert.deepStrictEqual(detail.requirements, ["Bachelor's degree with a minimum GPA of 3.2", 'IELTS 6.5']);
+    assert.strictEqual(detail.deadlineText, '15 March 2027');
+    assert.ok(!detail.text.includes('Share this'));
+
+    assert.deepStrictEqual(parseDetailPage('<p>No article here</p>').benefits, []);
+});
+
+test('Scraper crawling - minimum GPA is read from text instead of assumed', () => {
+    assert.strictEqual(extractMinGPA('Applicants need a minimum GPA of 3.5'), 3.5);
+    assert.strictEqual(extractMinGPA('a CGPA of 4.0/5.0 or above'), 3.2);
+    assert.strictEqual(extractMinGPA('at least 3.0 GPA on a 4.0 scale'), 3);
+    assert.strictEqual(extractMinGPA('Strong academic record'), 0);
+    assert.strictEqual(extractMinGPA('GPA of 85 percent'), 0);
+});
+
+test('Scraper crawling - detail pages fill in what the listing left out', () => {
+    const listed = {
+        title: 'Example Masters Scholarship 2027',
+        description: 'Short excerpt',
+        deadline: new Date('2027-06-01'),
+        ieltsRequired: false,
+        minGPA: 0,
+        benefits: ['Full funding package'],
+        requirements: ['See official website for requirements']
+    };
+    const detail = parseDetailPage(`
+        <div class="entry-content">
+            <p>Full description of the scholarship.</p>
+            <h2>Requirements</h2>
+            <ul><li>Minimum GPA of 3.0</li><li>IELTS score of 6.5</li></ul>
+            <p>The application deadline is 1 February 2027.</p>
+        </div>
+    `);
+    const record = applyDetail(listed, detail);
+
+    assert.strictEqual(record.description, 'Full description of the scholarship.');
+    assert.strictEqual(record.deadline.getFullYear(), 2027);
+    assert.strictEqual(record.deadline.getMonth(), 1);
+    assert.strictEqual(record.minGPA, 3);
+    assert.strictEqual(record.ieltsRequired, true);
+    assert.deepStrictEqual(record.requirements, ['Minimum GPA of 3.0', 'IELTS score of 6.5']);
+    assert.deepStrictEqual(record.benefits, ['Full funding package']);
+
+    assert.strictEqual(applyDetail(listed, parseDetailPage('<p>Not found</p>')), listed);
+});
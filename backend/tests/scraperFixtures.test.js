@@ -0,0 +1,70 @@
+import { SCRAPER_SOURCES } from '../scrapers/registry.js';
+import { Scholars4DevScraper } from '../scrapers/index.js';
+import {
+    FIXTURE_CONFIG,
+    loadFixtures,
+    createFixtureTransport,
+    goldenRecord,
+    loadGolden,
+    saveGolden,
+    checkSelectors
+} from '../scrapers/fixtures.js';
+import assert from 'assert';
+import { mock, test } from 'node:test';
+
+// Scrapers fall back to dates relative to now, so pin the clock and zone.
+// Run with UPDATE_GOLDEN=1 to rewrite expected.json after a deliberate change.
+process.env.TZ = 'UTC';
+mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-01T00:00:00Z') });
+
+const replay = async (source, pages) => {
+    const scraper = SCRAPER_SOURCES[source].create({
+        ...FIXTURE_CONFIG,
+        transport: createFixtureTransport(pages || await loadFixtures(source))
+    });
+    return { scraper, records: await scraper.scrape() };
+};
+
+for (const source of Object.keys(SCRAPER_SOURCES)) {
+    test(`Scraper fixtures - ${source} reproduces its golden records`, async () => {
+        const { records } = await replay(source);
+        if (process.env.UPDATE_GOLDEN) await saveGolden(source, records);
+
+        assert.ok(records.length > 0);
+        assert.deepStrictEqual(records.map(goldenRecord), await loadGolden(source));
+    });
+}
+
+test('Scraper fixtures - extract methods on listing text', () => {
+    const scraper = new Scholars4DevScraper();
+    const excerpt = 'DAAD scholarships for professionals from developing countries to take a master’s or PhD in Germany. Includes monthly payments of €934, health insurance and a travel allowance. IELTS or TOEFL is required.';
+    const title = 'DAAD EPOS Scholarships for Development-Related Postgraduate Courses in Germany';
+
+    assert.strictEqual(scraper.extractCountry(title, excerpt), 'Germany');
+    assert.deepStrictEqual(scraper.extractFieldOfStudy('Chevening Scholarships', 'a one-year master’s degree in law'), ['Law']);
+    assert.strictEqual(scraper.extractDeadline('Deadline: 31 October 2026', excerpt).toISOString(), '2026-10-31T00:00:00.000Z');
+    assert.strictEqual(scraper.extractDeadline('', 'No date given').toISOString(), '2027-04-01T00:00:00.000Z');
+    assert.strictEqual(scraper.extractAmount('A grant of $10,000 per year'), '$10,000');
+    assert.strictEqual(scraper.extractAmount('Generous support'), 'Full Funding');
+    assert.strictEqual(scraper.determineFundingType(title, 'Partial tuition waiver'), 'Partial Scholarship');
+    assert.strictEqual(scraper.extractUniversity('Graduate Fellowship at Harvard University', ''), 'Harvard University');
+    assert.strictEqual(scraper.extractUniversity(title, excerpt), null);
+    assert.strictEqual(scraper.hasIELTSRequirement(excerpt), true);
+    assert.deepStrictEqual(scraper.extractBenefits(excerpt), ['Travel allowance', 'Health insurance']);
+    assert.deepStrictEqual(scraper.extractRequirements(excerpt), ["Master's degree", 'PhD or equivalent', 'English proficiency']);
+});
+
+test('Scraper fixtures - selector checks pass on the fixtures and flag changed markup', async () => {
+    const pages = await loadFixtures('scholars4dev');
+    const { scraper, records } = await replay('scholars4dev', pages);
+    assert.deepStrictEqual(checkSelectors(scraper, records, pages), []);
+
+    const redesigned = new Map([...pages].map(([url, html]) => [url, html.replaceAll('class="post"', 'class="card"')]));
+    const broken = await replay('scholars4dev', redesigned);
+    assert.deepStrictEqual(checkSelectors(broken.scraper, broken.records, redesigned), [
+        'no listings matched on https://www.scholars4dev.com/category/scholarships-list/, https://www.scholars4dev.com/category/scholarships-list/page/2/'
+    ]);
+
+    const offline = await replay('scholars4dev', new Map());
+    assert.deepStrictEqual(checkSelectors(offline.scraper, offline.records, new Map()), ['no listing page could be fetched']);
+});
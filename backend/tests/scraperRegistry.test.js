@@ -0,0 +1,50 @@
+import { parseSourceSettings, resolveSourceSettings, getConfiguredSettings, isSourceDue, createScraper, DEFAULT_SETTINGS } from '../scrapers/registry.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+test('Scraper registry - settings layer defaults, configuration and admin overrides', () => {
+    const configured = { iefa: { enabled: false, maxPages: 2 } };
+
+    assert.deepStrictEqual(resolveSourceSettings('scholars4dev', {}, configured), DEFAULT_SETTINGS);
+    assert.strictEqual(resolveSourceSettings('iefa', {}, configured).enabled, false);
+    const overridden = resolveSourceSettings('iefa', { enabled: true, retries: null, minDelay: 9000 }, configured);
+    assert.strictEqual(overridden.enabled, true);
+    assert.strictEqual(overridden.maxPages, 2);
+    assert.strictEqual(overridden.retries, DEFAULT_SETTINGS.retries);
+    assert.strictEqual(overridden.maxDelay, 9000);
+});
+
+test('Scraper registry - settings are validated', () => {
+    assert.deepStrictEqual(parseSourceSettings({ enabled: false, maxPages: 5 }), { enabled: false, maxPages: 5 });
+    assert.deepStrictEqual(parseSourceSettings({ retries: null }, { allowReset: true }), { retries: null });
+    assert.throws(() => parseSourceSettings({ retries: null }), /whole number/);
+    assert.throws(() => parseSourceSettings({ depth: 3 }), /Unknown setting/);
+    assert.throws(() => parseSourceSettings({ enabled: 'yes' }), /true or false/);
+    assert.throws(() => parseSourceSettings({ maxPages: 0 }), /between 1 and 50/);
+});
+
+test('Scraper registry - configuration comes from SCRAPER_SOURCES, skipping bad entries', () => {
+    const previous = process.env.SCRAPER_SOURCES;
+    process.env.SCRAPER_SOURCES = JSON.stringify({ iefa: { enabled: false }, nowhere: { enabled: true }, worldforum: { maxPages: -1 } });
+    try {
+        assert.deepStrictEqual(getConfiguredSettings(), { iefa: { enabled: false } });
+    } finally {
+        if (previous === undefined) delete process.env.SCRAPER_SOURCES;
+        else process.env.SCRAPER_SOURCES = previous;
+    }
+});
+
+test('Scraper registry - sources run on their own interval and get their tuning', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const settings = { ...DEFAULT_SETTINGS, intervalHours: 6 };
+
+    assert.strictEqual(isSourceDue(settings, null, now), true);
+    assert.strictEqual(isSourceDue(settings, new Date('2026-10-19T07:00:00Z'), now), false);
+    assert.strictEqual(isSourceDue(settings, new Date('2026-10-19T06:00:00Z'), now), true);
+    assert.strictEqual(isSourceDue({ ...settings, enabled: false }, null, now), false);
+
+    const scraper = createScraper('worldforum', { ...settings, retries: 5, maxPages: 1 });
+    assert.strictEqual(scraper.name, 'worldforum');
+    assert.strictEqual(scraper.config.retries, 5);
+    assert.strictEqual(scraper.config.maxPages, 1);
+});
@@ -0,0 +1,32 @@
+import { toCounts, FACETS, DEADLINE_WINDOWS } from '../utils/searchFacets.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const facet = (id) => FACETS.find(f => f.id === id);
+
+test('Search facets - counts are sorted largest first and skip missing values', () => {
+    const counts = toCounts(facet('country'), [
+        { _id: 'Japan', count: 2 },
+        { _id: null, count: 4 },
+        { _id: 'Germany', count: 5 },
+        { _id: 'Canada', count: 2 },
+        { _id: '', count: 1 }
+    ]);
+
+    assert.deepStrictEqual(counts, [
+        { value: 'Germany', count: 5 },
+        { value: 'Canada', count: 2 },
+        { value: 'Japan', count: 2 }
+    ]);
+});
+
+test('Search facets - deadline counts cover every window, even with no results', () => {
+    assert.deepStrictEqual(
+        toCounts(facet('deadline'), [{ _id: null, upcoming: 1, '60days': 3, '90days': 3 }]),
+        [{ value: 'upcoming', count: 1 }, { value: '60days', count: 3 }, { value: '90days', count: 3 }]
+    );
+    assert.deepStrictEqual(
+        toCounts(facet('deadline'), []),
+        Object.keys(DEADLINE_WINDOWS).map(value => ({ value, count: 0 }))
+    );
+});
@@ -0,0 +1,81 @@
+import { createSearchIndex, stem, parseQuery } from '../utils/searchIndex.js';
+import { applyTextSearch } from '../utils/searchQuery.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const index = createSearchIndex([
+    {
+        id: 'daad',
+        title: 'DAAD Engineering Scholarships',
+        university: 'TU Munich',
+        description: 'Fully funded master programmes for students from developing countries.',
+        benefits: ['Monthly stipend', 'Travel allowance'],
+        requirements: ['Bachelor degree in engineering'],
+        fieldOfStudy: ['Engineering'],
+        country: 'Germany'
+    },
+    {
+        id: 'chevening',
+        title: 'Chevening Scholarship',
+        university: 'Various',
+        description: 'One-year master degree for future leaders, including engineering graduates.',
+        benefits: ['Tuition fees', 'Monthly stipend'],
+        requirements: ['Two years work experience'],
+        fieldOfStudy: ['All Fields'],
+        country: 'United Kingdom'
+    }
+]);
+
+const ids = (query) => index.search(query).map(hit => hit.id);
+
+test('Search - stems words and ranks title matches above body matches', () => {
+    assert.strictEqual(stem('scholarships'), 'scholarship');
+    assert.strictEqual(stem('funding'), stem('funded'));
+    assert.deepStrictEqual(ids('engineer'), ['daad', 'chevening']);
+    assert.deepStrictEqual(ids('funding'), ['daad']);
+});
+
+test('Search - tolerates typos and requires every term', () => {
+    assert.deepStrictEqual(ids('enginering'), ['daad', 'chevening']);
+    assert.deepStrictEqual(ids('stipend germany'), ['daad']);
+    assert.deepStrictEqual(ids('stipend japan'), []);
+});
+
+test('Search - quoted phrases must appear in order', () => {
+    assert.deepStrictEqual(parseQuery('"monthly stipend" uk').phrases, [['monthly', 'stipend']]);
+    assert.deepStrictEqual(ids('"monthly stipend"').sort(), ['chevening', 'daad']);
+    assert.deepStrictEqual(ids('"stipend monthly"'), []);
+});
+
+test('Search - special characters are plain text and matches are highlighted', () => {
+    assert.deepStrictEqual(ids('(travel* [allowance'), ['daad']);
+
+    const [hit] = index.search('travel');
+    const { text, ranges } = hit.highlights.snippet;
+    assert.strictEqual(hit.highlights.snippet.field, 'benefits');
+    assert.strictEqual(text.slice(ranges[0][0], ranges[0][1]), 'Travel');
+    assert.strictEqual(hit.highlights.title, null);
+});
+
+test('Search - suggests names from word prefixes, leading matches first', () => {
+    const catalogue = createSearchIndex([
+        { id: 'kh', title: 'Knight-Hennessy Scholars', university: 'Stanford University', fieldOfStudy: ['Engineering'], country: 'United States' },
+        { id: 'gates', title: 'Gates Cambridge Scholarship', university: 'University of Cambridge', fieldOfStudy: ['Engineering'], country: 'United Kingdom' }
+    ]);
+
+    const [knight] = catalogue.suggest('knight hen');
+    assert.deepStrictEqual(knight, { type: 'title', value: 'Knight-Hennessy Scholars', id: 'kh', count: 1, ranges: [[0, 6], [7, 10]] });
+
+    const cambridge = catalogue.suggest('camb').map(s => `${s.type}:${s.value}`);
+    assert.deepStrictEqual(cambridge, ['title:Gates Cambridge Scholarship', 'university:University of Cambridge']);
+
+    assert.deepStrictEqual(catalogue.suggest('eng'), [{ type: 'field', value: 'Engineering', count: 2, ranges: [[0, 3]] }]);
+    assert.deepStrictEqual(catalogue.suggest('e'), []);
+});
+
+test('Search - a query of only stopwords does not filter the results', async () => {
+    const query = { isActive: true };
+    assert.strictEqual(await applyTextSearch(query, 'the'), null);
+    assert.strictEqual(await applyTextSearch(query, '  "of the"  '), null);
+    assert.deepStrictEqual(query, { isActive: true });
+});
@@ -0,0 +1,84 @@
+import { issueSession, rotateSession } from '../utils/sessions.js';
+import { Session, User } from '../models/index.js';
+import assert from 'assert';
+import { test } from 'node:test';
+
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+
+// Just enough of the query language for the session filters, applied one
+// operation at a time like the database would
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, expected]) => {
+        if (expected && expected.$gt !== undefined) return doc[key] > expected.$gt;
+        return String(doc[key]) === String(expected);
+    });
+}
+
+function withSessionStore(run) {
+    const sessions = [];
+    const user = { _id: 'u1', email: 'student@example.com', role: 'student' };
+    const originals = {
+        create: Session.create,
+        findOneAndUpdate: Session.findOneAndUpdate,
+        findOne: Session.findOne,
+        updateOne: Session.updateOne,
+        findById: User.findById
+    };
+    Session.create = async (data) => {
+        const session = { _id: '6650f0c2a1b2c3d4e5f60718', revokedAt: null, ...data };
+        sessions.push(session);
+        return session;
+    };
+    Session.findOneAndUpdate = async (filter, update) => {
+        await null;
+        const session = sessions.find(doc => matches(doc, filter));
+        if (session) Object.assign(session, update.$set);
+        return session || null;
+    };
+    Session.findOne = async (filter) => {
+        await null;
+        return sessions.find(doc => matches(doc, filter)) || null;
+    };
+    Session.updateOne = async (filter, update) => {
+        await null;
+        const session = sessions.find(doc => matches(doc, filter));
+        if (session) Object.assign(session, update.$set);
+        return { modifiedCount: session ? 1 : 0 };
+    };
+    User.findById = async () => user;
+
+    return run({ sessions, user }).finally(() => {
+        Object.assign(Session, {
+            create: originals.create,
+            findOneAndUpdate: originals.findOneAndUpdate,
+            findOne: originals.findOne,
+            updateOne: originals.updateOne
+        });
+        User.findById = originals.findById;
+    });
+}
+
+test('Sessions - concurrent refreshes with one token all get the same new pair', () => withSessionStore(async ({ sessions, user }) => {
+    const { refreshToken } = await issueSession(user, req);
+
+    const results = await Promise.all([1, 2, 3].map(() => rotateSession(refreshToken, req)));
+
+    assert.ok(results.every(Boolean));
+    assert.strictEqual(new Set(results.map(result => result.refreshToken)).size, 1);
+    assert.notStrictEqual(results[0].refreshToken, refreshToken);
+    assert.strictEqual(sessions[0].revokedAt, null);
+
+    // The token every tab now holds keeps working
+    const next = await rotateSession(results[0].refreshToken, req);
+    assert.ok(next);
+    assert.strictEqual(sessions[0].revokedAt, null);
+}));
+
+test('Sessions - a replaced token presented after the grace period revokes the session', () => withSessionStore(async ({ sessions, user }) => {
+    const { refreshToken } = await issueSession(user, req);
+    assert.ok(await rotateSession(refreshToken, req));
+
+    sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+    assert.strictEqual(await rotateSession(refreshToken, req), null);
+    assert.ok(sessions[0].revokedAt);
+}));
@@ -0,0 +1,225 @@
+import { Buffer } from 'buffer';
+import { APP_URL } from './emailTemplates.js';
+
+/**
+ * iCalendar (RFC 5545) export of saved scholarships. Every event has a UID
+ * derived from the scholarship, so calendar apps update an event in place
+ * when a deadline moves rather than adding a second one, and SEQUENCE grows
+ * with each change so they know which version is newer.
+ */
+
+const PRODUCT_ID = '-//ScholarHunter//Scholarship Deadlines//EN';
+const UID_DOMAIN = 'scholarhunter';
+
+// Reminders only make sense before the student has applied; see deadlineReminders.js
+const REMINDED_STATUSES = ['saved'];
+
+const eventUid = (scholarshipId, kind) => `${scholarshipId}-${kind}@${UID_DOMAIN}`;
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, as the spec requires
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length === 0 ? 75 : 74), bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end -= 1;
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+  }
+  return parts.join('\r\n ');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function formatDate(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+function formatDateTime(date) {
+  const d = new Date(date);
+  return `${formatDate(d)}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+// SEQUENCE as whole seconds since the epoch: it only ever grows
+const sequenceOf = (...dates) => Math.max(0, ...dates.filter(Boolean).map(date => Math.floor(new Date(date).getTime() / 1000)));
+
+/**
+ * Calendar events for a saved scholarship: its deadline and, once one is
+ * set, the interview. `scholarship` is the live listing when it still
+ * exists, else the copy saved with the record.
+ */
+function savedScholarshipEvents(saved, scholarship, { leadDays = [] } = {}) {
+  const events = [];
+  const status = saved.status || 'saved';
+  const url = `${APP_URL()}/scholarships/${encodeURIComponent(scholarship.id)}`;
+  const details = [scholarship.university, scholarship.country].filter(Boolean).join(', ');
+
+  if (scholarship.deadline) {
+    events.push({
+      uid: eventUid(scholarship.id, 'deadline'),
+      summary: `Deadline: ${scholarship.title}`,
+      description: [details, scholarship.amount && `Funding: ${scholarship.amount}`, `Status: ${status}`, url].filter(Boolean).join('\n'),
+      url,
+      start: scholarship.deadline,
+      allDay: true,
+      sequence: sequenceOf(saved.updatedAt, scholarship.updatedAt),
+      // A listing that was taken down is shown as cancelled
+      cancelled: scholarship.isActive === false,
+      alarms: REMINDED_STATUSES.includes(status)
+        ? leadDays.map(days => ({ trigger: `-P${days}D`, description: `${scholarship.title} closes in ${days} day${days === 1 ? '' : 's'}` }))
+        : []
+    });
+  }
+
+  if (saved.interviewAt) {
+    events.push({
+      uid: eventUid(scholarship.id, 'interview'),
+      summary: `Interview: ${scholarship.title}`,
+      description: [details, url].filter(Boolean).join('\n'),
+      url,
+      start: saved.interviewAt,
+      duration: 'PT1H',
+      sequence: sequenceOf(saved.updatedAt),
+      cancelled: status === 'rejected',
+      alarms: [
+        { trigger: '-P1D', description: `Interview for ${scholarship.title} tomorrow` },
+        { trigger: '-PT1H', description: `Interview for ${scholarship.title} in an hour` }
+      ]
+    });
+  }
+
+  return events;
+}
+
+function taskEvent(task) {
+  return {
+    uid: eventUid(String(task._id), 'task'),
+    summary: task.title,
+    description: task.notes,
+    start: task.dueAt,
+    allDay: task.allDay !== false,
+    sequence: sequenceOf(task.updatedAt),
+    cancelled: false,
+    // All-day tasks start at midnight: remind at 9am the day before
+    alarms: task.completedAt ? [] : [{ trigger: task.allDay === false ? '-PT30M' : '-PT15H', description: task.title }]
+  };
+}
+
+/**
+ * Cancelled copies of the events a removed saved scholarship or task had,
+ * so subscribed calendars drop them
+ */
+function cancelledEvents({ scholarshipId, taskId, title, createdAt = new Date() }) {
+  const uids = taskId
+    ? [eventUid(String(taskId), 'task')]
+    : ['deadline', 'interview'].map(kind => eventUid(scholarshipId, kind));
+  return uids.map(uid => ({
+    uid,
+    summary: title,
+    start: createdAt,
+    allDay: true,
+    sequence: sequenceOf(createdAt),
+    cancelled: true,
+    alarms: []
+  }));
+}
+
+/**
+ * What the in-app calendar shows between `from` and `to`: saved deadlines
+ * and interviews with the application status, and tasks
+ */
+function calendarEntries({ saved, scholarships, tasks, from, to }) {
+  const inRange = (date) => date && new Date(date) >= from && new Date(date) < to;
+  const entries = [];
+
+  for (const record of saved) {
+    const scholarship = scholarships.get(record.scholarshipId) || { ...record.scholarship, id: record.scholarshipId };
+    const common = { scholarshipId: record.scholarshipId, status: record.status || 'saved' };
+    if (inRange(scholarship.deadline)) {
+      entries.push({ id: `deadline:${record.scholarshipId}`, kind: 'deadline', title: scholarship.title, start: scholarship.deadline, allDay: true, ...common });
+    }
+    if (inRange(record.interviewAt)) {
+      entries.push({ id: `interview:${record.scholarshipId}`, kind: 'interview', title: scholarship.title, start: record.interviewAt, allDay: false, ...common });
+    }
+  }
+
+  for (const task of tasks) {
+    if (!inRange(task.dueAt)) continue;
+    entries.push({
+      id: `task:${task._id}`,
+      kind: 'task',
+      taskId: task._id,
+      title: task.title,
+      notes: task.notes,
+      start: task.dueAt,
+      allDay: task.allDay !== false,
+      scholarshipId: task.scholarshipId,
+      completed: Boolean(task.completedAt)
+    });
+  }
+
+  return entries.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function eventLines(event, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+  if (event.allDay) {
+    const end = new Date(event.start);
+    end.setUTCDate(end.getUTCDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`, `DURATION:${event.duration || 'PT1H'}`);
+  }
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'TRANSP:TRANSPARENT');
+  if (!event.cancelled) {
+    for (const alarm of event.alarms || []) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:${alarm.trigger}`, `DESCRIPTION:${escapeText(alarm.description)}`, 'END:VALARM');
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document, CRLF line endings and all
+ */
+function buildCalendar(events, { name = 'Scholarship deadlines', method, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...(method ? [`METHOD:${method}`] : []),
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed clients to refresh a few times a day
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+    ...events.flatMap(event => eventLines(event, now)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export { eventUid, escapeText, foldLine, savedScholarshipEvents, taskEvent, cancelledEvents, calendarEntries, buildCalendar };
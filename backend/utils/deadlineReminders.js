@@ -0,0 +1,173 @@
+import { SavedScholarship, Scholarship, User, DeadlineReminder } from '../models/index.js';
+import { notify, resolvePreferences } from './notifications.js';
+import { deadlineReminderEmail } from './emailTemplates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_LEAD_DAYS = [30, 7, 1];
+const MAX_LEAD_DAYS = 90;
+const MAX_LEAD_TIMES = 5;
+
+// Once a student has applied (or heard back) a reminder is just noise
+const REMINDED_STATUSES = ['saved'];
+
+/**
+ * A user's reminder lead times, largest first
+ */
+function resolveLeadDays(stored) {
+  return Array.isArray(stored) ? [...stored].sort((a, b) => b - a) : DEFAULT_LEAD_DAYS;
+}
+
+/**
+ * Validate a lead time update, returning the cleaned list or throwing with
+ * a message fit for a 400 response. An empty list turns reminders off.
+ */
+function parseLeadDays(input) {
+  if (!Array.isArray(input)) throw new Error('reminderLeadDays must be a list of days');
+  if (input.length > MAX_LEAD_TIMES) throw new Error(`Choose at most ${MAX_LEAD_TIMES} reminder times`);
+  for (const days of input) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LEAD_DAYS) {
+      throw new Error(`Reminder times must be whole days between 1 and ${MAX_LEAD_DAYS}`);
+    }
+  }
+  return [...new Set(input)].sort((a, b) => b - a);
+}
+
+function daysUntil(deadline, now) {
+  return Math.ceil((new Date(deadline) - now) / DAY_MS);
+}
+
+/**
+ * The lead time a reminder is due for, or null. Only the closest lead time
+ * the deadline has passed counts, so a scholarship saved five days out gets
+ * its 7-day reminder and not a late 30-day one as well.
+ */
+function dueLeadTime(daysLeft, leadDays, sentLeadDays = []) {
+  if (daysLeft < 1) return null;
+  const reached = leadDays.filter(days => daysLeft <= days);
+  if (reached.length === 0) return null;
+  const leadTime = Math.min(...reached);
+  return sentLeadDays.includes(leadTime) ? null : leadTime;
+}
+
+/**
+ * Send the deadline reminders that are due. Each reminder is recorded
+ * before it is sent, and the unique index on the record makes sure it is
+ * sent once even across restarts or overlapping runs.
+ */
+async function sendDeadlineReminders(now = new Date()) {
+  const saved = await SavedScholarship.find({ status: { $in: REMINDED_STATUSES } }).select('userId scholarshipId').lean();
+  if (saved.length === 0) return { checked: 0, sent: 0 };
+
+  // The live listing has the current deadline; archived ones are not reminded
+  const horizon = new Date(now.getTime() + MAX_LEAD_DAYS * DAY_MS);
+  const scholarships = new Map((await Scholarship.find({
+    id: { $in: [...new Set(saved.map(s => s.scholarshipId))] },
+    isActive: { $ne: false },
+    deadline: { $gt: now, $lte: horizon }
+  }).select('id title deadline').lean()).map(sch => [sch.id, sch]));
+
+  const candidates = saved.filter(s => scholarships.has(s.scholarshipId));
+  if (candidates.length === 0) return { checked: saved.length, sent: 0 };
+
+  const users = new Map((await User.find({ _id: { $in: candidates.map(s => s.userId) } })
+    .select('reminderLeadDays notificationPreferences').lean()).map(user => [String(user._id), user]));
+  const sent = await DeadlineReminder.find({ scholarshipId: { $in: [...scholarships.keys()] }, userId: { $in: [...users.keys()] } })
+    .select('userId scholarshipId deadline leadDays').lean();
+  const sentKey = (userId, scholarship) => `${userId}:${scholarship.id}:${new Date(scholarship.deadline).getTime()}`;
+  const sentLeadDays = new Map();
+  for (const reminder of sent) {
+    const key = sentKey(reminder.userId, { id: reminder.scholarshipId, deadline: reminder.deadline });
+    sentLeadDays.set(key, [...(sentLeadDays.get(key) || []), reminder.leadDays]);
+  }
+
+  let count = 0;
+  for (const { userId, scholarshipId } of candidates) {
+    const user = users.get(String(userId));
+    if (!user) continue;
+    const preferences = resolvePreferences(user.notificationPreferences).deadline_reminder;
+    if (!preferences.inApp && !preferences.email) continue;
+
+    const scholarship = scholarships.get(scholarshipId);
+    const daysLeft = daysUntil(scholarship.deadline, now);
+    const leadDays = dueLeadTime(daysLeft, resolveLeadDays(user.reminderLeadDays), sentLeadDays.get(sentKey(userId, scholarship)));
+    if (!leadDays) continue;
+
+    // The record claims the reminder so overlapping runs do not send it twice
+    let reminder;
+    try {
+      reminder = await DeadlineReminder.create({ userId, scholarshipId, deadline: scholarship.deadline, leadDays });
+    } catch (error) {
+      // Another run got there first
+      if (error.code !== 11000) console.error(`Failed to record reminder for ${scholarshipId}:`, error.message);
+      continue;
+    }
+
+    try {
+      const message = deadlineReminderEmail(user, scholarship, daysLeft);
+      await notify([userId], {
+        type: 'deadline_reminder',
+        title: message.subject,
+        body: `Deadline: ${new Date(scholarship.deadline).toDateString()}`,
+        link: `/scholarships/${scholarship.id}`,
+        data: { scholarshipId, daysLeft, leadDays },
+        email: (recipient) => deadlineReminderEmail(recipient, scholarship, daysLeft)
+      });
+      count += 1;
+    } catch (error) {
+      // Release the claim so the next run tries again
+      console.error(`Failed to send reminder for ${scholarshipId} to ${userId}:`, error.message);
+      await DeadlineReminder.deleteOne({ _id: reminder._id });
+    }
+  }
+
+  return { checked: saved.length, sent: count };
+}
+
+/**
+ * Deadline reminder job - runs alongside the scheduled scraper
+ */
+class DeadlineReminderScheduler {
+  constructor(intervalHours = 1) {
+    this.intervalHours = intervalHours;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    console.log(`Starting deadline reminders (interval: ${this.intervalHours} hours)`);
+    this.run();
+    this.intervalId = setInterval(() => this.run(), this.intervalHours * 60 * 60 * 1000);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    try {
+      const result = await sendDeadlineReminders();
+      this.lastRun = new Date();
+      if (result.sent > 0) console.log(`Sent ${result.sent} deadline reminders`);
+    } catch (error) {
+      console.error('Deadline reminders failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      intervalHours: this.intervalHours
+    };
+  }
+}
+
+export { DEFAULT_LEAD_DAYS, resolveLeadDays, parseLeadDays, dueLeadTime, sendDeadlineReminders, DeadlineReminderScheduler };
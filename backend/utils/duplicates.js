@@ -0,0 +1,212 @@
+/**
+ * Similarity scoring for scholarships listed by more than one source, and
+ * the field-by-field rules for merging them. Every merged field remembers
+ * the source its value came from (its provenance), so each source keeps
+ * its own values current without overwriting better ones from another.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// At or above MERGE_SCORE a new listing joins the existing record; between
+// REVIEW_SCORE and MERGE_SCORE the pair is queued for an admin to decide
+const MERGE_SCORE = 0.85;
+const REVIEW_SCORE = 0.6;
+
+// Provenance owner of fields an admin has edited; no source overwrites them
+const ADMIN_OWNER = 'admin';
+
+// Words that say nothing about which programme a title names
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with',
+  'scholarship', 'program', 'programme', 'international', 'student',
+  'fully', 'funded', 'apply', 'now', 'open', 'call', 'application'
+]);
+
+// Values scrapers fall back to when a listing does not say
+const PLACEHOLDERS = {
+  university: ['', 'Various', 'Various Universities'],
+  country: ['', 'International'],
+  amount: ['', 'Full Funding', 'See details'],
+  fieldOfStudy: [['All Fields']],
+  benefits: [['Full funding package']],
+  requirements: [['See official website'], ['See official website for requirements']],
+  minGPA: [0],
+  description: ['']
+};
+
+/**
+ * Lower-case title without accents, punctuation or years, so a post
+ * re-dated for the next intake ("2027/2028") keeps its identity
+ */
+function normalizeTitle(title = '') {
+  return String(title)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/\b(19|20)\d{2}\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function titleTokens(title) {
+  const tokens = normalizeTitle(title).split(' ')
+    .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token))
+    .filter(token => token && !STOPWORDS.has(token));
+  return new Set(tokens);
+}
+
+/**
+ * Similarity of two titles between 0 and 1: the average of their Dice
+ * coefficient and how much of the shorter title the longer one contains,
+ * so "Chevening Scholarship" still matches a title that adds the country
+ */
+function tokenSimilarity(a, b) {
+  const left = titleTokens(a);
+  const right = titleTokens(b);
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  const dice = (2 * shared) / (left.size + right.size);
+  const containment = shared / Math.min(left.size, right.size);
+  return (dice + containment) / 2;
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * How likely two records describe the same scholarship, from 0 to 1, with
+ * the reasons shown to admins reviewing the pair. Title similarity is the
+ * base; matching or conflicting deadlines, countries and application sites
+ * move it up or down.
+ */
+function duplicateScore(a, b) {
+  const similarity = tokenSimilarity(a.title, b.title);
+  const reasons = [`Titles ${Math.round(similarity * 100)}% similar`];
+  let score = similarity;
+
+  if (a.deadline && b.deadline && !a.deadlineEstimated && !b.deadlineEstimated) {
+    const days = Math.abs(new Date(a.deadline) - new Date(b.deadline)) / DAY_MS;
+    if (days < 1) {
+      score += 0.15;
+      reasons.push('Same deadline');
+    } else if (days > 31) {
+      score -= 0.25;
+      reasons.push('Deadlines more than a month apart');
+    }
+  }
+
+  const specific = (country) => country && country !== 'International';
+  if (specific(a.country) && specific(b.country)) {
+    if (a.country === b.country) {
+      score += 0.05;
+      reasons.push(`Both in ${a.country}`);
+    } else {
+      score -= 0.3;
+      reasons.push(`Different countries (${a.country}, ${b.country})`);
+    }
+  }
+
+  // Aggregators link to their own posts, which says nothing about the programme
+  const linkA = domainOf(a.applicationLink);
+  const linkB = domainOf(b.applicationLink);
+  if (linkA && linkA === linkB && linkA !== domainOf(a.sourceUrl) && linkB !== domainOf(b.sourceUrl)) {
+    score += 0.15;
+    reasons.push(`Both apply through ${linkA}`);
+  }
+
+  return { score: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100, reasons };
+}
+
+// Every source a record is listed by, the one it was first scraped from included
+function recordSources(record) {
+  return [record.source, ...(record.sources || []).map(entry => entry.source)];
+}
+
+/**
+ * The candidate most likely to be the same scholarship as a listing, with
+ * its score and reasons, or null. Records the listing's own source already
+ * feeds are skipped, since a source lists each programme once.
+ */
+function findDuplicate(listing, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    if (recordSources(candidate).includes(listing.source)) continue;
+    const { score, reasons } = duplicateScore(listing, candidate);
+    if (!best || score > best.score) best = { record: candidate, score, reasons };
+  }
+  return best;
+}
+
+function isPlaceholder(field, value, record = {}) {
+  if (value === undefined || value === null) return true;
+  if (field === 'deadline') return Boolean(record.deadlineEstimated);
+  if (Array.isArray(value) && value.length === 0) return true;
+  const json = JSON.stringify(value);
+  return (PLACEHOLDERS[field] || []).some(placeholder => JSON.stringify(placeholder) === json);
+}
+
+/**
+ * Where each field's value came from. Records stored before provenance
+ * was kept are treated as coming entirely from their own source.
+ */
+function resolveProvenance(record, fields) {
+  if (record.provenance) return { ...record.provenance };
+  const provenance = {};
+  for (const field of fields) {
+    if (record.source && !isPlaceholder(field, record[field], record)) provenance[field] = record.source;
+  }
+  return provenance;
+}
+
+/**
+ * A record's provenance with `fields` handed to `owner`, e.g. after an
+ * admin corrects them
+ */
+function claimFields(record, fields, owner, allFields = fields) {
+  const provenance = resolveProvenance(record, allFields);
+  for (const field of fields) provenance[field] = owner;
+  return provenance;
+}
+
+/**
+ * Updates a listing brings to a record, and the record's new provenance.
+ * A source keeps the fields it supplied up to date, and any source may
+ * fill a field that is empty or only a placeholder. Fields an admin
+ * edited are never touched.
+ */
+function mergeUpdates(record, listing, fields) {
+  const provenance = resolveProvenance(record, fields);
+  const updates = {};
+  for (const field of fields) {
+    if (isPlaceholder(field, listing[field], listing)) continue;
+    const owner = provenance[field];
+    if (owner === ADMIN_OWNER) continue;
+    if (!owner || owner === listing.source || isPlaceholder(field, record[field], record)) {
+      updates[field] = listing[field];
+      provenance[field] = listing.source;
+    }
+  }
+  return { updates, provenance };
+}
+
+export {
+  MERGE_SCORE,
+  REVIEW_SCORE,
+  ADMIN_OWNER,
+  normalizeTitle,
+  tokenSimilarity,
+  duplicateScore,
+  recordSources,
+  findDuplicate,
+  isPlaceholder,
+  resolveProvenance,
+  claimFields,
+  mergeUpdates
+};
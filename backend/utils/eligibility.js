@@ -0,0 +1,157 @@
+/**
+ * Server-side eligibility helpers: the text extractor used by the scrapers
+ * and the MongoDB filters used by search. The rules themselves live in
+ * shared/eligibility.js so the web app evaluates them identically.
+ */
+import {
+  COUNTRY_ALIASES,
+  REGIONS,
+  normalizeCountry,
+  normalizeDegreeLevel,
+  normalizeEligibility,
+  regionsContaining
+} from '../../shared/eligibility.js';
+
+const REGION_KEYWORDS = {
+  'Africa': ['african countries', 'african students', 'africans', 'sub-saharan africa'],
+  'Asia': ['asian countries', 'asian students'],
+  'Middle East': ['middle east', 'arab countries', 'mena region'],
+  'Latin America': ['latin america', 'latin american', 'caribbean'],
+  'EU/EEA': ['eu/eea', 'eu citizens', 'eea citizens', 'european union'],
+  'Commonwealth': ['commonwealth'],
+  'Developing Countries': ['developing countries', 'developing nations', 'low and middle income', 'low- and middle-income']
+};
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Best-effort extraction of eligibility rules from listing text. The title
+ * is trusted for degree levels because excerpts usually describe the degree
+ * applicants must already hold rather than the one being funded.
+ */
+function extractEligibility(title = '', text = '') {
+  const body = `${title} ${text}`;
+  const lower = body.toLowerCase();
+
+  const degreeLevels = [];
+  const levelPatterns = [
+    ["Bachelor's", /\b(undergraduate|bachelor'?s?)\b/i],
+    ["Master's", /\b(masters?'?s?|postgraduate|mba|msc|llm)\b/i],
+    ['PhD', /\b(ph\.?d|doctoral|doctorate)\b/i],
+    ['Postdoc', /\bpost-?doc(toral)?\b/i]
+  ];
+  for (const [level, pattern] of levelPatterns) {
+    if (pattern.test(title)) degreeLevels.push(level);
+  }
+  if (degreeLevels.length === 0) {
+    const programmePattern = (word) => new RegExp(`\\b${word}\\s+(degree\\s+)?(programmes?|programs?|studies|study|courses?|research)\\b`, 'i');
+    if (programmePattern("(undergraduate|bachelor'?s?)").test(text)) degreeLevels.push("Bachelor's");
+    if (programmePattern("(masters?'?s?|postgraduate)").test(text)) degreeLevels.push("Master's");
+    if (programmePattern('(ph\\.?d|doctoral)').test(text)) degreeLevels.push('PhD');
+  }
+
+  const regions = Object.keys(REGION_KEYWORDS).filter(region =>
+    REGION_KEYWORDS[region].some(keyword => lower.includes(keyword))
+  );
+
+  const citizenships = [];
+  const openToAll = /all (nationalities|countries)|any nationality|international students from all/i.test(body);
+  if (!openToAll) {
+    const nationalityClause = body.match(/(?:citizens|nationals|residents|students|applicants) (?:of|from)\s+([^.;:]+)/i);
+    if (nationalityClause) {
+      // Stop before "... to study in <destination>" so the host country is not mistaken for a nationality
+      const clause = nationalityClause[1].split(/\b(?:to|in|at|who|for)\b/i)[0];
+      const allCountries = new Set([...Object.values(REGIONS).flat(), ...Object.values(COUNTRY_ALIASES)]);
+      for (const country of allCountries) {
+        if (new RegExp(`\\b${escapeRegex(country)}\\b`, 'i').test(clause)) {
+          citizenships.push(country);
+        }
+      }
+    }
+  }
+
+  let minAge = null;
+  let maxAge = null;
+  const ageRange = body.match(/between (?:the ages of )?(\d{2}) and (\d{2})(?: years)?/i) ||
+    body.match(/\baged?\s+(\d{2})\s*[-–]\s*(\d{2})\b/i);
+  const ageMax = body.match(/(?:under|below|not older than|no older than|maximum age of|younger than|up to the age of)\s+(?:the age of\s+)?(\d{2})/i);
+  const ageMin = body.match(/(?:at least|minimum age of|older than)\s+(\d{2})\s+years/i);
+  if (ageRange) {
+    minAge = Number(ageRange[1]);
+    maxAge = Number(ageRange[2]);
+  } else {
+    if (ageMax) maxAge = Number(ageMax[1]);
+    if (ageMin) minAge = Number(ageMin[1]);
+  }
+
+  const languageTests = [];
+  const testPatterns = {
+    IELTS: /\bielts\b[^0-9.]{0,20}(\d(?:\.\d)?)/i,
+    TOEFL: /\btoefl\b(?:\s*i?bt)?[^0-9]{0,20}(\d{2,3})/i,
+    PTE: /\bpte\b(?:\s*academic)?[^0-9]{0,20}(\d{2})/i,
+    Duolingo: /\bduolingo\b(?:\s*english test)?[^0-9]{0,20}(\d{2,3})/i
+  };
+  for (const [test, pattern] of Object.entries(testPatterns)) {
+    const match = body.match(pattern);
+    if (match) {
+      languageTests.push({ test, minScore: Number(match[1]) });
+    } else if (new RegExp(`\\b${test}\\b`, 'i').test(body)) {
+      languageTests.push({ test, minScore: null });
+    }
+  }
+
+  let minWorkExperienceYears = 0;
+  const experience = body.match(/(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\+?\s*(?:\(\d+\)\s*)?years?'?\s*(?:of\s+)?(?:relevant\s+|full-time\s+|professional\s+|post-graduation\s+)?(?:work(?:ing)?\s+|professional\s+)?experience/i);
+  const experienceFirst = body.match(/(?:work|professional) experience\s*\(?\s*(?:of\s+)?(?:at least\s+)?(\d+)\+?\s*(?:years?|yrs?)/i);
+  if (experience) {
+    const amount = experience[1].toLowerCase();
+    minWorkExperienceYears = WORD_NUMBERS[amount] || Number(amount) || 0;
+  } else if (experienceFirst) {
+    minWorkExperienceYears = Number(experienceFirst[1]);
+  }
+
+  return normalizeEligibility({ degreeLevels, citizenships, regions, minAge, maxAge, languageTests, minWorkExperienceYears });
+}
+
+/**
+ * MongoDB conditions for the search API's eligibility filters. Listings
+ * that leave a rule unset stay in the results.
+ */
+function buildEligibilityQuery({ degreeLevels, citizenship, age, workExperienceYears } = {}) {
+  const conditions = [];
+
+  const levels = (degreeLevels || []).map(normalizeDegreeLevel).filter(Boolean);
+  if (levels.length > 0) {
+    conditions.push({ $or: [
+      { 'eligibility.degreeLevels.0': { $exists: false } },
+      { 'eligibility.degreeLevels': { $in: levels } }
+    ] });
+  }
+
+  const country = normalizeCountry(citizenship);
+  if (country) {
+    conditions.push({ $or: [
+      { 'eligibility.citizenships.0': { $exists: false }, 'eligibility.regions.0': { $exists: false } },
+      { 'eligibility.citizenships': country },
+      { 'eligibility.regions': { $in: regionsContaining(country) } }
+    ] });
+  }
+
+  const ageNum = parseInt(age);
+  if (!isNaN(ageNum)) {
+    conditions.push({ 'eligibility.minAge': { $not: { $gt: ageNum } } });
+    conditions.push({ 'eligibility.maxAge': { $not: { $lt: ageNum } } });
+  }
+
+  const years = parseFloat(workExperienceYears);
+  if (!isNaN(years)) {
+    conditions.push({ 'eligibility.minWorkExperienceYears': { $not: { $gt: years } } });
+  }
+
+  return conditions;
+}
+
+export * from '../../shared/eligibility.js';
+export { extractEligibility, buildEligibilityQuery };
@@ -0,0 +1,136 @@
+const APP_URL = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(title, bodyHtml) {
+  return `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #111827; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #10b981;">ScholarHunter</h2>
+    <h3>${escapeHtml(title)}</h3>
+    ${bodyHtml}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">
+      You received this email because of activity on your ScholarHunter account.
+    </p>
+  </body>
+</html>`;
+}
+
+function actionEmail({ title, greeting, intro, actionLabel, actionUrl, outro }) {
+  return {
+    text: `${greeting}\n\n${intro}\n\n${actionLabel}: ${actionUrl}\n\n${outro}`,
+    html: layout(title, `
+    <p>${escapeHtml(greeting)}</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(actionUrl)}" style="display: inline-block; background: #10b981; color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(actionLabel)}</a></p>
+    <p>${escapeHtml(outro)}</p>`)
+  };
+}
+
+function verificationEmail(user, token) {
+  const subject = 'Verify your ScholarHunter email';
+  return {
+    subject,
+    ...actionEmail({
+      title: subject,
+      greeting: `Hi ${user.name || 'there'},`,
+      intro: 'Please confirm this is your email address so we can send you scholarship alerts and deadline reminders.',
+      actionLabel: 'Verify email',
+      actionUrl: `${APP_URL()}/verify-email?token=${encodeURIComponent(token)}`,
+      outro: 'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    })
+  };
+}
+
+function passwordResetEmail(user, token) {
+  const subject = 'Reset your ScholarHunter password';
+  return {
+    subject,
+    ...actionEmail({
+      title: subject,
+      greeting: `Hi ${user.name || 'there'},`,
+      intro: 'We received a request to reset your password.',
+      actionLabel: 'Choose a new password',
+      actionUrl: `${APP_URL()}/reset-password?token=${encodeURIComponent(token)}`,
+      outro: 'The link expires in 1 hour and can only be used once. If you did not request this, no action is needed.'
+    })
+  };
+}
+
+/**
+ * A single in-app notification sent by email as well
+ */
+function notificationEmail(user, { title, body, link }) {
+  return {
+    subject: title,
+    ...actionEmail({
+      title,
+      greeting: `Hi ${user.name || 'there'},`,
+      intro: body || title,
+      actionLabel: 'Open ScholarHunter',
+      actionUrl: `${APP_URL()}${link || '/dashboard'}`,
+      outro: 'You can choose which notifications you receive by email on your account page.'
+    })
+  };
+}
+
+/**
+ * New matches for a user's saved searches, grouped by search:
+ * groups = [{ name, scholarships: [{ id, title, country, deadline }] }]
+ */
+function searchAlertDigestEmail(user, groups) {
+  const total = groups.reduce((sum, group) => sum + group.scholarships.length, 0);
+  const subject = `${total} new scholarship${total === 1 ? '' : 's'} for your saved searches`;
+  const link = (sch) => `${APP_URL()}/scholarships/${encodeURIComponent(sch.id)}`;
+  const details = (sch) => [sch.country, sch.deadline && `deadline ${new Date(sch.deadline).toDateString()}`].filter(Boolean).join(', ');
+  const manageUrl = `${APP_URL()}/dashboard`;
+
+  const text = [
+    `Hi ${user.name || 'there'},`,
+    'New scholarships match your saved searches:',
+    ...groups.map(group => [
+      `${group.name}:`,
+      ...group.scholarships.map(sch => `- ${sch.title}${details(sch) ? ` (${details(sch)})` : ''}: ${link(sch)}`)
+    ].join('\n')),
+    `Manage your saved searches and email digests: ${manageUrl}`
+  ].join('\n\n');
+
+  const html = layout(subject, `
+    <p>${escapeHtml(`Hi ${user.name || 'there'},`)}</p>
+    <p>New scholarships match your saved searches:</p>
+    ${groups.map(group => `
+    <h4 style="margin-bottom: 4px;">${escapeHtml(group.name)}</h4>
+    <ul style="margin-top: 0;">
+      ${group.scholarships.map(sch => `<li><a href="${escapeHtml(link(sch))}">${escapeHtml(sch.title)}</a>${details(sch) ? ` <span style="color: #6b7280;">${escapeHtml(details(sch))}</span>` : ''}</li>`).join('\n      ')}
+    </ul>`).join('')}
+    <p><a href="${escapeHtml(manageUrl)}">Manage your saved searches and email digests</a></p>`);
+
+  return { subject, text, html };
+}
+
+/**
+ * Reminder that a saved scholarship's deadline is close
+ */
+function deadlineReminderEmail(user, scholarship, daysLeft) {
+  const when = daysLeft <= 1 ? 'tomorrow' : `in ${daysLeft} days`;
+  const title = `${scholarship.title} closes ${when}`;
+  return {
+    subject: title,
+    ...actionEmail({
+      title,
+      greeting: `Hi ${user.name || 'there'},`,
+      intro: `The deadline for ${scholarship.title} is ${new Date(scholarship.deadline).toDateString()}. You saved it but have not marked it as applied yet.`,
+      actionLabel: 'View scholarship',
+      actionUrl: `${APP_URL()}/scholarships/${encodeURIComponent(scholarship.id)}`,
+      outro: 'You can change when we remind you about deadlines on your account page.'
+    })
+  };
+}
+
+export { verificationEmail, passwordResetEmail, notificationEmail, searchAlertDigestEmail, deadlineReminderEmail, layout, escapeHtml, APP_URL };
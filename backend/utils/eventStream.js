@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+
+/**
+ * Server-Sent Events to signed-in browsers. Each open stream is registered
+ * under its user; publish() writes an event to every stream of the given
+ * users. Streams live in this process only, which is all a single API
+ * server needs.
+ *
+ * EventSource cannot send an Authorization header, so clients first trade
+ * their access token for a one-time ticket (createStreamTicket) and open
+ * the stream with that instead of putting the token in the URL.
+ */
+
+const TICKET_TTL_MS = 60 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+const tickets = new Map();
+const clients = new Map();
+let nextEventId = 1;
+
+function createStreamTicket(user, now = Date.now()) {
+  for (const [ticket, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(ticket);
+  }
+  const ticket = crypto.randomBytes(24).toString('hex');
+  tickets.set(ticket, { user, expiresAt: now + TICKET_TTL_MS });
+  return { ticket, expiresIn: TICKET_TTL_MS / 1000 };
+}
+
+/**
+ * The user a ticket was issued to, or null. Tickets work once.
+ */
+function redeemStreamTicket(ticket, now = Date.now()) {
+  const entry = tickets.get(ticket);
+  if (!entry) return null;
+  tickets.delete(ticket);
+  return entry.expiresAt > now ? entry.user : null;
+}
+
+function formatEvent(event, data, id = nextEventId++) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Turn a response into an event stream for the user until the client goes away
+ */
+function openStream(req, res, userId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  res.write(formatEvent('ready', { connectedAt: new Date().toISOString() }));
+
+  const key = String(userId);
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(res);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = clients.get(key);
+    if (!streams) return;
+    streams.delete(res);
+    if (streams.size === 0) clients.delete(key);
+  });
+}
+
+/**
+ * Send an event to every open stream of the given users. Returns how many
+ * streams it reached.
+ */
+function publish(userIds, event, data) {
+  let delivered = 0;
+  for (const userId of new Set(userIds.map(String))) {
+    for (const res of clients.get(userId) || []) {
+      res.write(formatEvent(event, data));
+      delivered += 1;
+    }
+  }
+  return delivered;
+}
+
+function broadcast(event, data) {
+  return publish([...clients.keys()], event, data);
+}
+
+function connectedUserIds() {
+  return [...clients.keys()];
+}
+
+export { createStreamTicket, redeemStreamTicket, formatEvent, openStream, publish, broadcast, connectedUserIds };
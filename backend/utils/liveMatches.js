@@ -0,0 +1,45 @@
+import { Profile } from '../models/index.js';
+import { calculateMatchScore, getMatchWeights } from './matching.js';
+import { buildApplicant } from './eligibility.js';
+import { connectedUserIds, publish } from './eventStream.js';
+
+// Same bar as the /match defaults: a fair score and not ruled out
+const LIVE_MATCH_MIN_SCORE = 40;
+
+/**
+ * Push freshly added scholarships to connected users they suit. Users who
+ * are offline see them through the match cache next time they look.
+ */
+async function pushNewMatches(scholarships) {
+  const userIds = connectedUserIds();
+  if (scholarships.length === 0 || userIds.length === 0) return 0;
+
+  const profiles = await Profile.find({ userId: { $in: userIds } }).lean();
+  let pushed = 0;
+  for (const profile of profiles) {
+    const applicant = buildApplicant(profile);
+    if (!applicant.hasProfileData) continue;
+    const weights = getMatchWeights(profile.matchWeights);
+
+    const matches = scholarships
+      .map(sch => ({ sch, result: calculateMatchScore(applicant, sch, weights) }))
+      .filter(({ result }) => result.totalScore >= LIVE_MATCH_MIN_SCORE && result.classification?.status !== 'ineligible')
+      .sort((a, b) => b.result.totalScore - a.result.totalScore)
+      .map(({ sch, result }) => ({
+        id: sch.id,
+        title: sch.title,
+        country: sch.country,
+        deadline: sch.deadline,
+        matchScore: result.totalScore,
+        eligibilityStatus: result.classification?.status
+      }));
+
+    if (matches.length > 0) {
+      publish([profile.userId], 'matches', { scholarships: matches });
+      pushed += 1;
+    }
+  }
+  return pushed;
+}
+
+export { LIVE_MATCH_MIN_SCORE, pushNewMatches };
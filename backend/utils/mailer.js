@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Pluggable mail delivery.
+ *
+ * MAIL_TRANSPORT selects how messages leave the server:
+ *   - console: log to stdout (default, nothing to configure)
+ *   - file:    write one JSON file per message into MAIL_OUTBOX_DIR
+ *   - smtp:    deliver through nodemailer (SMTP_HOST, SMTP_PORT, ...), which
+ *              also works against a local catcher such as MailHog
+ *
+ * Tests can swap the transport at runtime with setMailTransport().
+ */
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: crypto.randomUUID() };
+  }
+};
+
+function createFileTransport(outboxDir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox') {
+  const dir = path.resolve(outboxDir);
+  return {
+    name: 'file',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+      );
+      return { id };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  let transporter = null;
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port,
+          secure: port === 465,
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  switch (name) {
+    case 'file':
+      return createFileTransport();
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      return consoleTransport;
+    default:
+      console.warn(`Unknown MAIL_TRANSPORT "${name}", falling back to console`);
+      return consoleTransport;
+  }
+}
+
+let activeTransport = null;
+
+function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+}
+
+function setMailTransport(transport) {
+  activeTransport = transport;
+}
+
+/**
+ * Send a message through the active transport. Delivery failures are logged
+ * and reported back rather than thrown so that a broken mail setup never
+ * fails the request that triggered the email.
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.MAIL_FROM || 'ScholarHunter <no-reply@scholarhunter.local>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  try {
+    const result = await getMailTransport().send(message);
+    return { sent: true, ...result };
+  } catch (error) {
+    console.error(`Failed to send "${subject}" to ${to}:`, error.message);
+    return { sent: false, error: error.message };
+  }
+}
+
+export {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  createTransport,
+  createFileTransport,
+  createSmtpTransport
+};
@@ -0,0 +1,95 @@
+import { MatchScore, Scholarship } from '../models/index.js';
+import { calculateMatchScore, getMatchWeights } from './matching.js';
+import { buildApplicant } from './eligibility.js';
+
+// The deadline criterion depends on today's date, so even unchanged scores age out
+const MATCH_SCORE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether cached scores (the user's oldest row) predate anything they were
+ * computed from: the profile, the catalogue (any create, edit or archive
+ * bumps a scholarship's updatedAt), the effective weights, or the TTL.
+ */
+function isMatchCacheStale(oldest, { weightsKey, profileUpdatedAt, catalogueUpdatedAt, now = new Date() }) {
+  if (!oldest) return true;
+  if (oldest.weightsKey !== weightsKey) return true;
+  if (now - oldest.computedAt > MATCH_SCORE_TTL_MS) return true;
+  if (profileUpdatedAt && profileUpdatedAt > oldest.computedAt) return true;
+  return Boolean(catalogueUpdatedAt && catalogueUpdatedAt > oldest.computedAt);
+}
+
+/**
+ * Score every active scholarship for the profile and replace the user's
+ * cached rows. Upserts keep concurrent refreshes from colliding, and only
+ * rows for scholarships outside this set (archived since) are removed, so
+ * a slower refresh never deletes what a faster one just wrote.
+ */
+async function refreshMatchScores(profile, now = new Date()) {
+  const applicant = buildApplicant(profile.toObject ? profile.toObject() : profile);
+  const weights = getMatchWeights(profile.matchWeights);
+  const weightsKey = JSON.stringify(weights);
+  const scholarships = await Scholarship.find({ isActive: { $ne: false } }).lean();
+
+  const operations = scholarships.map(sch => {
+    const { totalScore, breakdown, criteria, eligibility, classification } = calculateMatchScore(applicant, sch, weights);
+    return {
+      updateOne: {
+        filter: { userId: profile.userId, scholarshipId: sch.id },
+        update: {
+          $set: {
+            score: totalScore,
+            breakdown,
+            criteria,
+            eligibility,
+            eligibilityStatus: classification.status,
+            weightsKey,
+            computedAt: now
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) await MatchScore.bulkWrite(operations, { ordered: false });
+  await MatchScore.deleteMany({ userId: profile.userId, scholarshipId: { $nin: scholarships.map(sch => sch.id) } });
+  return operations.length;
+}
+
+// Refreshes in progress by user, so simultaneous requests share one
+const refreshing = new Map();
+
+/**
+ * Make sure the user's cached scores are current, recomputing them if not.
+ * Returns true when a refresh ran.
+ */
+async function ensureMatchScores(profile) {
+  const key = String(profile.userId);
+  if (refreshing.has(key)) {
+    await refreshing.get(key);
+    return false;
+  }
+
+  const [oldest, latest] = await Promise.all([
+    MatchScore.findOne({ userId: profile.userId }).sort({ computedAt: 1 }).select('computedAt weightsKey').lean(),
+    Scholarship.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean()
+  ]);
+  const stale = isMatchCacheStale(oldest, {
+    weightsKey: JSON.stringify(getMatchWeights(profile.matchWeights)),
+    profileUpdatedAt: profile.updatedAt,
+    catalogueUpdatedAt: latest?.updatedAt
+  });
+  if (!stale) return false;
+  // Another request may have started one while this one was checking
+  if (refreshing.has(key)) {
+    await refreshing.get(key);
+    return false;
+  }
+
+  const refresh = refreshMatchScores(profile).finally(() => refreshing.delete(key));
+  refreshing.set(key, refresh);
+  await refresh;
+  return true;
+}
+
+export { MATCH_SCORE_TTL_MS, isMatchCacheStale, refreshMatchScores, ensureMatchScores };
@@ -0,0 +1,158 @@
+import { Notification, User } from '../models/index.js';
+import { sendMail } from './mailer.js';
+import { publish } from './eventStream.js';
+import { notificationEmail } from './emailTemplates.js';
+
+/**
+ * Everything the app tells users about goes through notify(), which stores
+ * an in-app notification and, where the user allows it, sends an email.
+ * Each type has its own per-user preferences; these are the defaults.
+ */
+const NOTIFICATION_TYPES = {
+  deadline_reminder: {
+    label: 'Deadline reminders',
+    description: 'Upcoming deadlines for scholarships you saved',
+    defaults: { inApp: true, email: true }
+  },
+  saved_search_match: {
+    label: 'Saved search matches',
+    description: 'New scholarships matching your saved searches',
+    defaults: { inApp: true, email: true }
+  },
+  status_change: {
+    label: 'Status changes',
+    description: 'A scholarship you saved closes or reopens',
+    defaults: { inApp: true, email: false }
+  },
+  scholarship_update: {
+    label: 'Scholarship updates',
+    description: 'Changes to deadlines, funding or requirements of scholarships you saved',
+    defaults: { inApp: true, email: false }
+  }
+};
+
+const CHANNELS = ['inApp', 'email'];
+
+// Scholarship fields worth telling students about, with how to name them
+const NOTIFIED_FIELDS = {
+  title: 'title',
+  deadline: 'deadline',
+  amount: 'funding amount',
+  fundingType: 'funding type',
+  applicationFee: 'application fee',
+  ieltsRequired: 'IELTS requirement',
+  minGPA: 'minimum GPA',
+  eligibility: 'eligibility rules',
+  requirements: 'requirements',
+  applicationLink: 'application link'
+};
+
+/**
+ * A user's stored preferences filled in with the defaults
+ */
+function resolvePreferences(stored = {}) {
+  return Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, { defaults }]) => [
+    type,
+    Object.fromEntries(CHANNELS.map(channel => [
+      channel,
+      typeof stored?.[type]?.[channel] === 'boolean' ? stored[type][channel] : defaults[channel]
+    ]))
+  ]));
+}
+
+/**
+ * Validate a preferences update ({ type: { inApp, email } }), returning the
+ * cleaned values or throwing with a message fit for a 400 response
+ */
+function parsePreferences(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('preferences must be an object of notification types');
+  }
+  const parsed = {};
+  for (const [type, channels] of Object.entries(input)) {
+    if (!NOTIFICATION_TYPES[type]) throw new Error(`Unknown notification type: ${type}`);
+    if (!channels || typeof channels !== 'object') throw new Error(`Preferences for ${type} must be an object`);
+    parsed[type] = {};
+    for (const [channel, enabled] of Object.entries(channels)) {
+      if (!CHANNELS.includes(channel)) throw new Error(`Unknown channel: ${channel}`);
+      if (typeof enabled !== 'boolean') throw new Error(`${type}.${channel} must be true or false`);
+      parsed[type][channel] = enabled;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Whether the user wants emails of this type; unverified addresses never do
+ */
+function wantsEmail(user, type) {
+  return Boolean(user?.emailVerified) && resolvePreferences(user.notificationPreferences)[type].email;
+}
+
+/**
+ * Notify users, honouring each one's preferences for the type. In-app
+ * notifications are pushed to open browser sessions at once. Those who
+ * want email get the notification mailed, or `email` when given: a
+ * { subject, text, html } or a function building one per user. Pass
+ * `email: false` when the caller mails separately, as digests do.
+ * Returns the stored notifications.
+ */
+async function notify(userIds, { type, title, body = '', link = '', data = {}, email }) {
+  if (!NOTIFICATION_TYPES[type]) throw new Error(`Unknown notification type: ${type}`);
+  const ids = [...new Set(userIds.map(String))];
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } }).select('email name emailVerified notificationPreferences').lean();
+  const inApp = users.filter(user => resolvePreferences(user.notificationPreferences)[type].inApp);
+
+  const notifications = inApp.length > 0
+    ? await Notification.insertMany(inApp.map(user => ({ userId: user._id, type, title, body, link, data })))
+    : [];
+  for (const notification of notifications) {
+    publish([notification.userId], 'notification', notification.toObject());
+  }
+
+  if (email !== false) {
+    for (const user of users.filter(u => wantsEmail(u, type))) {
+      const message = typeof email === 'function' ? email(user) : email || notificationEmail(user, { title, body, link });
+      await sendMail({ to: user.email, ...message });
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Tell the users who saved a scholarship about a recorded revision:
+ * archiving and restoring are status changes, edits to NOTIFIED_FIELDS
+ * are updates
+ */
+async function notifyScholarshipRevision(scholarship, revision, userIds) {
+  let notification;
+  if (revision.action === 'archive' || revision.action === 'restore') {
+    const closed = revision.action === 'archive';
+    notification = {
+      type: 'status_change',
+      title: closed ? `${scholarship.title} is no longer listed` : `${scholarship.title} is open again`,
+      body: closed
+        ? 'This scholarship was closed or withdrawn. It stays in your saved list for reference.'
+        : 'This scholarship is accepting applications again.'
+    };
+  } else {
+    const fields = revision.changes.map(change => NOTIFIED_FIELDS[change.field]).filter(Boolean);
+    if (fields.length === 0) return [];
+    notification = {
+      type: 'scholarship_update',
+      title: `${scholarship.title} was updated`,
+      body: `Changed: ${fields.join(', ')}`
+    };
+  }
+
+  return notify(userIds, {
+    ...notification,
+    link: `/scholarships/${scholarship.id}`,
+    data: { scholarshipId: scholarship.id, revision: revision.revision }
+  });
+}
+
+export { NOTIFICATION_TYPES, resolvePreferences, parsePreferences, wantsEmail, notify, notifyScholarshipRevision };
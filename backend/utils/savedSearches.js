@@ -0,0 +1,189 @@
+import { SavedSearch, SearchAlert, Scholarship, Profile, User } from '../models/index.js';
+import { buildSearchQuery, applyTextSearch } from './searchQuery.js';
+import { calculateMatchScore, getMatchWeights } from './matching.js';
+import { buildApplicant } from './eligibility.js';
+import { sendMail } from './mailer.js';
+import { searchAlertDigestEmail } from './emailTemplates.js';
+import { notify, wantsEmail } from './notifications.js';
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Saved filters use the web app's filter state shape so they can be loaded
+// straight back into it; sorting and paging are not part of a search
+const LIST_FILTERS = ['selectedCountries', 'selectedFields', 'degreeLevels'];
+const FLAG_FILTERS = ['excludeIELTS', 'excludeAppFee', 'hideIneligible'];
+const CHOICE_FILTERS = {
+  deadlineFilter: ['all', 'upcoming', '60days', '90days'],
+  fundingType: ['all', 'full', 'partial']
+};
+
+/**
+ * Keep only the filters a saved search understands, with sane values
+ */
+function sanitizeSearchFilters(filters = {}) {
+  const clean = {};
+  for (const key of LIST_FILTERS) {
+    const values = Array.isArray(filters[key]) ? filters[key] : [];
+    clean[key] = [...new Set(values.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()))];
+  }
+  for (const key of FLAG_FILTERS) {
+    clean[key] = filters[key] === true;
+  }
+  for (const [key, choices] of Object.entries(CHOICE_FILTERS)) {
+    clean[key] = choices.includes(filters[key]) ? filters[key] : choices[0];
+  }
+  clean.gpaMinimum = Math.max(0, parseFloat(filters.gpaMinimum) || 0);
+  clean.minMatchScore = String(Math.min(100, Math.max(0, parseInt(filters.minMatchScore) || 0)));
+  clean.search = typeof filters.search === 'string' ? filters.search.trim().slice(0, 200) : '';
+  return clean;
+}
+
+/**
+ * Saved filters as the search API's query parameters (see buildSearchQuery)
+ */
+function toSearchParams(filters) {
+  return {
+    countries: filters.selectedCountries.join(','),
+    fields: filters.selectedFields.join(','),
+    degreeLevels: filters.degreeLevels.join(','),
+    excludeIELTS: String(filters.excludeIELTS),
+    excludeAppFee: String(filters.excludeAppFee),
+    deadline: filters.deadlineFilter,
+    fundingType: filters.fundingType,
+    gpaMinimum: filters.gpaMinimum || undefined
+  };
+}
+
+/**
+ * Scholarships added since the search was last checked that match it. The
+ * match score and eligibility filters need the owner's profile and are
+ * skipped without one, as they are for guests in the web app.
+ */
+async function findNewMatches(savedSearch, profile, now = new Date()) {
+  const filters = sanitizeSearchFilters(savedSearch.filters);
+  const query = buildSearchQuery(toSearchParams(filters), now);
+  query.createdAt = { $gt: savedSearch.lastCheckedAt };
+  await applyTextSearch(query, filters.search);
+
+  const scholarships = await Scholarship.find(query).lean();
+  const minScore = parseInt(filters.minMatchScore) || 0;
+  if (!profile || (minScore === 0 && !filters.hideIneligible)) return scholarships;
+
+  const applicant = buildApplicant(profile);
+  const weights = getMatchWeights(profile.matchWeights);
+  return scholarships.filter(sch => {
+    const { totalScore, classification } = calculateMatchScore(applicant, sch, weights);
+    if (filters.hideIneligible && classification?.status === 'ineligible') return false;
+    return totalScore >= minScore;
+  });
+}
+
+/**
+ * Record alerts for matches the search has not alerted on before
+ */
+async function recordAlerts(savedSearch, scholarships) {
+  if (scholarships.length === 0) return [];
+  const alerted = new Set(await SearchAlert.distinct('scholarshipId', {
+    savedSearchId: savedSearch._id,
+    scholarshipId: { $in: scholarships.map(s => s.id) }
+  }));
+  const fresh = scholarships.filter(s => !alerted.has(s.id));
+  if (fresh.length === 0) return [];
+
+  try {
+    return await SearchAlert.insertMany(fresh.map(sch => ({
+      userId: savedSearch.userId,
+      savedSearchId: savedSearch._id,
+      scholarshipId: sch.id,
+      title: sch.title
+    })), { ordered: false });
+  } catch (error) {
+    // An overlapping run already alerted on some of them; keep the rest
+    const duplicatesOnly = (error.writeErrors || [error]).every(writeError => (writeError.code ?? writeError.err?.code) === 11000);
+    if (!duplicatesOnly) throw error;
+    return error.insertedDocs || [];
+  }
+}
+
+/**
+ * Email each user one digest covering all their digest-enabled searches,
+ * unless they turned off saved-search emails or have not verified their
+ * address. The alerts stay in the app either way.
+ */
+async function sendDigests(digests, now) {
+  if (digests.size === 0) return 0;
+  const users = await User.find({ _id: { $in: [...digests.keys()] } }).select('email name emailVerified notificationPreferences').lean();
+
+  let sent = 0;
+  for (const user of users.filter(u => wantsEmail(u, 'saved_search_match'))) {
+    const groups = digests.get(String(user._id));
+    const result = await sendMail({ to: user.email, ...searchAlertDigestEmail(user, groups) });
+    if (!result.sent) continue;
+    sent += 1;
+    await SearchAlert.updateMany(
+      { _id: { $in: groups.flatMap(group => group.alerts.map(alert => alert._id)) } },
+      { $set: { emailedAt: now } }
+    );
+  }
+  return sent;
+}
+
+/**
+ * Re-run every saved search against scholarships added since its last
+ * check, record new matches as alerts and send email digests. Runs after
+ * each scheduled scrape.
+ */
+async function evaluateSavedSearches(now = new Date()) {
+  const searches = await SavedSearch.find({}).lean();
+  if (searches.length === 0) return { searches: 0, alerts: 0, digests: 0 };
+
+  const profiles = new Map(
+    (await Profile.find({ userId: { $in: searches.map(s => s.userId) } }).lean()).map(p => [String(p.userId), p])
+  );
+
+  const digests = new Map();
+  let alerts = 0;
+  for (const search of searches) {
+    // One failing search must not hold back everyone else's alerts
+    let matches;
+    let created;
+    try {
+      matches = await findNewMatches(search, profiles.get(String(search.userId)), now);
+      created = await recordAlerts(search, matches);
+      await SavedSearch.updateOne({ _id: search._id }, { $set: { lastCheckedAt: now } });
+    } catch (error) {
+      console.error(`Failed to check saved search ${search._id}:`, error.message);
+      continue;
+    }
+    alerts += created.length;
+
+    if (created.length > 0) {
+      try {
+        await notify([search.userId], {
+          type: 'saved_search_match',
+          title: `${created.length} new scholarship${created.length === 1 ? '' : 's'} match "${search.name}"`,
+          body: created.slice(0, 3).map(alert => alert.title).join(', ') + (created.length > 3 ? ', …' : ''),
+          link: '/dashboard',
+          data: { savedSearchId: search._id, scholarshipIds: created.map(alert => alert.scholarshipId) },
+          email: false
+        });
+      } catch (error) {
+        console.error(`Failed to notify about saved search ${search._id}:`, error.message);
+      }
+    }
+
+    if (search.emailDigest && created.length > 0) {
+      const key = String(search.userId);
+      if (!digests.has(key)) digests.set(key, []);
+      digests.get(key).push({
+        name: search.name,
+        alerts: created,
+        scholarships: matches.filter(sch => created.some(alert => alert.scholarshipId === sch.id))
+      });
+    }
+  }
+
+  return { searches: searches.length, alerts, digests: await sendDigests(digests, now) };
+}
+
+export { MAX_SAVED_SEARCHES, sanitizeSearchFilters, toSearchParams, findNewMatches, evaluateSavedSearches };
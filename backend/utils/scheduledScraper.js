@@ -1,24 +1,31 @@
-import { ScraperEngine, Scholars4DevScraper, OpportunityDeskScraper, normalizeScholarship, deduplicateScholarships } from '../scrapers/index.js';
-import { Scholarship, ScrapeLog } from '../models/index.js';
+import { ScraperEngine } from '../scrapers/index.js';
+import { createScraper } from '../scrapers/registry.js';
+import { listScraperSources, recordSourceRun } from './scraperSources.js';
+import { ScrapeLog } from '../models/index.js';
+import { storeScrapedListings } from './scrapedListings.js';
+import { evaluateSavedSearches } from './savedSearches.js';
+import { pushNewMatches } from './liveMatches.js';
+import { broadcast } from './eventStream.js';
 
 /**
- * Scheduled scraper job - runs periodically to fetch new scholarships
+ * Scheduled scraper job - checks periodically which sources in the scraper
+ * registry are due and scrapes them. Each source has its own interval.
  */
 export class ScheduledScraper {
-  constructor(intervalHours = 24) {
-    this.intervalHours = intervalHours;
+  constructor(checkIntervalMinutes = 60) {
+    this.checkIntervalMinutes = checkIntervalMinutes;
     this.isRunning = false;
     this.lastRun = null;
   }
 
   start() {
-    console.log(`Starting scheduled scraper (interval: ${this.intervalHours} hours)`);
+    console.log(`Starting scheduled scraper (checking sources every ${this.checkIntervalMinutes} minutes)`);
     
     // Run immediately on start
     this.runScrape();
     
-    // Schedule recurring runs
-    const intervalMs = this.intervalHours * 60 * 60 * 1000;
+    // Schedule recurring checks
+    const intervalMs = this.checkIntervalMinutes * 60 * 1000;
     this.intervalId = setInterval(() => {
       this.runScrape();
     }, intervalMs);
@@ -32,21 +39,44 @@ export class ScheduledScraper {
     console.log('Scheduled scraper stopped');
   }
 
-  async runScrape() {
+  /**
+   * Start a scrape in the background. Returns false, without starting
+   * anything, when one is already in progress.
+   */
+  startScrape(options) {
+    if (this.isRunning) return false;
+    this.runScrape(options);
+    return true;
+  }
+
+  /**
+   * Scrape the sources that are due. `sources` names sources to run now
+   * whatever their schedule, even disabled ones; `force` runs every
+   * enabled source.
+   */
+  async runScrape({ sources, force = false } = {}) {
     if (this.isRunning) {
       console.log('Scrape already in progress, skipping...');
       return;
     }
 
     this.isRunning = true;
-    console.log(`Starting scheduled scrape at ${new Date().toISOString()}`);
 
     try {
+      const available = await listScraperSources();
+      const selected = available.filter(source => (
+        sources ? sources.includes(source.id) : force ? source.settings.enabled : source.due
+      ));
+      if (selected.length === 0) return;
+      console.log(`Starting scheduled scrape of ${selected.map(s => s.id).join(', ')} at ${new Date().toISOString()}`);
+
       const engine = new ScraperEngine();
-      engine.register(new Scholars4DevScraper());
-      engine.register(new OpportunityDeskScraper());
+      selected.forEach(source => engine.register(createScraper(source.id, source.settings)));
 
       const results = await engine.scrapeAll();
+      for (const result of results) {
+        await recordSourceRun(result.source, { count: result.count, error: result.error }, result.timestamp);
+      }
 
       // Collect all scholarships
       let allScholarships = [];
@@ -58,35 +88,42 @@ export class ScheduledScraper {
 
       console.log(`Scraped ${allScholarships.length} total scholarships from all sources`);
 
-      // Normalize and deduplicate
-      const normalized = allScholarships.map(s => normalizeScholarship(s));
-      const unique = deduplicateScholarships(normalized);
-
-      // Get existing IDs to avoid overwriting
-      const existingIds = await Scholarship.distinct('id');
-      const existingSet = new Set(existingIds);
-
-      // Filter out existing ones and add new ones
-      const newScholarships = unique.filter(s => !existingSet.has(s.id));
-
-      if (newScholarships.length > 0) {
-        await Scholarship.insertMany(newScholarships);
-        console.log(`Added ${newScholarships.length} new scholarships to database`);
-      } else {
-        console.log('No new scholarships found');
-      }
+      // Add new listings, update known ones and retire the ones that are gone
+      const stored = await storeScrapedListings(results);
+      const newScholarships = stored.added;
+      console.log(`Added ${newScholarships.length} new, updated ${stored.updated}, restored ${stored.restored} and deactivated ${stored.deactivated} scholarships`);
+      console.log(`Merged ${stored.merged} listings into scholarships from other sources and queued ${stored.queued} for review`);
 
       // Update scrape log
       await ScrapeLog.create({
         timestamp: new Date(),
         totalFound: allScholarships.length,
         newAdded: newScholarships.length,
+        updated: stored.updated,
+        merged: stored.merged,
+        queued: stored.queued,
+        deactivated: stored.deactivated,
         sources: results.map(r => ({ source: r.source, count: r.count, error: r.error }))
       });
 
       this.lastRun = new Date();
       console.log('Scheduled scrape completed successfully');
 
+      // Live updates and alerts are best effort: a failure here does not fail the scrape
+      try {
+        broadcast('catalogue', {
+          added: newScholarships.length,
+          updated: stored.updated,
+          deactivated: stored.deactivated,
+          at: this.lastRun.toISOString()
+        });
+        await pushNewMatches(newScholarships);
+        const alerts = await evaluateSavedSearches();
+        console.log(`Checked ${alerts.searches} saved searches: ${alerts.alerts} new alerts, ${alerts.digests} digests sent`);
+      } catch (error) {
+        console.error('Sending scrape updates failed:', error);
+      }
+
     } catch (error) {
       console.error('Scheduled scrape failed:', error);
       
@@ -105,7 +142,7 @@ export class ScheduledScraper {
     return {
       isRunning: this.isRunning,
       lastRun: this.lastRun,
-      intervalHours: this.intervalHours
+      checkIntervalMinutes: this.checkIntervalMinutes
     };
   }
 }
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import { Scholarship, ScholarshipRevision, SavedScholarship } from '../models/index.js';
+import { notifyScholarshipRevision } from './notifications.js';
+import { publish } from './eventStream.js';
+import { ADMIN_OWNER, claimFields } from './duplicates.js';
+
+// Fields tracked in revision history and editable through the admin API
+const TRACKED_FIELDS = [
+  'title', 'university', 'partnerUniversities', 'country', 'fieldOfStudy',
+  'fundingType', 'amount', 'deadline', 'applicationFee', 'ieltsRequired',
+  'minGPA', 'description', 'benefits', 'requirements', 'applicationLink',
+  'imageUrl', 'eligibility', 'sourceUrl', 'verified'
+];
+
+/**
+ * Normalize a value for comparison so that Dates, ObjectIds, Mongoose arrays
+ * and subdocuments compare by content rather than identity. Object keys are
+ * sorted and empty values dropped, since casting may omit null fields.
+ */
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.stringify(value.map(v => comparable(v)));
+  if (typeof value === 'object') {
+    const source = typeof value.toObject === 'function' ? value.toObject() : value;
+    if (source instanceof mongoose.Types.ObjectId) return source.toString();
+    const entries = Object.keys(source).sort()
+      .filter(key => source[key] !== null && source[key] !== undefined)
+      .map(key => [key, comparable(source[key])]);
+    return JSON.stringify(entries);
+  }
+  return value;
+}
+
+function plain(value) {
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(v => plain(v));
+  if (value && typeof value === 'object' && !(value instanceof Date) && typeof value.toObject === 'function') {
+    return value.toObject();
+  }
+  return value;
+}
+
+/**
+ * List the fields that differ between a record and a set of updates.
+ * Only fields present in `updates` are considered.
+ */
+function diffScholarship(before, updates, fields = TRACKED_FIELDS) {
+  const changes = [];
+  for (const field of fields) {
+    if (!(field in updates)) continue;
+    if (comparable(before?.[field]) !== comparable(updates[field])) {
+      changes.push({ field, from: plain(before?.[field]), to: plain(updates[field]) });
+    }
+  }
+  return changes;
+}
+
+function pickTracked(data, fields = TRACKED_FIELDS) {
+  const picked = {};
+  for (const field of fields) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+async function nextRevisionNumber(scholarshipId) {
+  const latest = await ScholarshipRevision.findOne({ scholarshipId }).sort({ revision: -1 }).select('revision');
+  return latest ? latest.revision + 1 : 1;
+}
+
+// Concurrent changes to one scholarship can pick the same revision number;
+// the unique index rejects all but one, and the others take the next number
+const REVISION_ATTEMPTS = 5;
+
+async function recordRevision({ scholarshipId, action, changes = [], changedBy = null, source = 'system', note = '', revertsRevision = null }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await ScholarshipRevision.create({
+        scholarshipId,
+        revision: await nextRevisionNumber(scholarshipId),
+        action,
+        changes,
+        changedBy,
+        source,
+        note,
+        revertsRevision
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Users who saved a scholarship hear about its changes and open sessions
+// get the new version; a failed notification is logged and never undoes
+// the change itself
+async function notifySavers(scholarship, revision) {
+  try {
+    const userIds = await SavedScholarship.distinct('userId', { scholarshipId: scholarship.id });
+    if (userIds.length === 0) return;
+    publish(userIds, 'saved-scholarship', { scholarship: scholarship.toObject ? scholarship.toObject() : scholarship });
+    await notifyScholarshipRevision(scholarship, revision, userIds);
+  } catch (error) {
+    console.error(`Failed to send notifications for ${scholarship.id} revision ${revision.revision}:`, error.message);
+  }
+}
+
+/**
+ * Record the initial revision for freshly inserted scholarships
+ */
+async function recordCreations(scholarships, { changedBy = null, source = 'system', note = '' } = {}) {
+  if (scholarships.length === 0) return;
+  await ScholarshipRevision.insertMany(scholarships.map(sch => ({
+    scholarshipId: sch.id,
+    revision: 1,
+    action: 'create',
+    changes: diffScholarship({}, pickTracked(sch)),
+    changedBy,
+    source,
+    note
+  })));
+}
+
+/**
+ * Apply field updates to a scholarship document and log what changed.
+ * Returns the revision, or null when nothing actually changed.
+ * Throws a Mongoose CastError when a value does not fit the schema.
+ */
+async function applyScholarshipChange(scholarship, updates, { action = 'update', changedBy = null, source = 'system', note = '', revertsRevision = null } = {}) {
+  // Cast through the schema first so "2026-01-31" and a Date compare equal
+  const changes = diffScholarship(scholarship, Scholarship.castObject(updates));
+  if (changes.length === 0) return null;
+
+  // Fields an admin sets stay as they are on later scrapes
+  if (source === 'admin') {
+    scholarship.set('provenance', claimFields(scholarship, changes.map(change => change.field), ADMIN_OWNER, TRACKED_FIELDS));
+  }
+  for (const { field, to } of changes) {
+    scholarship.set(field, to);
+  }
+  // Scrapers only pass on deadlines they found, so any deadline written
+  // here replaces an estimate
+  if (changes.some(change => change.field === 'deadline')) {
+    scholarship.set('deadlineEstimated', false);
+  }
+  await scholarship.save();
+
+  const revision = await recordRevision({
+    scholarshipId: scholarship.id,
+    action,
+    changes,
+    changedBy,
+    source,
+    note,
+    revertsRevision
+  });
+  await notifySavers(scholarship, revision);
+  return revision;
+}
+
+/**
+ * Archive or restore a scholarship. `reason` marks archives made by the
+ * scraper, which it may undo when the listing comes back.
+ */
+async function setArchived(scholarship, archived, { changedBy = null, source = 'admin', note = '', revertsRevision = null, reason = null } = {}) {
+  const changes = [{ field: 'isActive', from: scholarship.isActive !== false, to: !archived }];
+  scholarship.isActive = !archived;
+  scholarship.archivedAt = archived ? new Date() : null;
+  scholarship.archiveReason = archived ? reason : null;
+  await scholarship.save();
+
+  const revision = await recordRevision({
+    scholarshipId: scholarship.id,
+    action: archived ? 'archive' : 'restore',
+    changes,
+    changedBy,
+    source,
+    note,
+    revertsRevision
+  });
+  await notifySavers(scholarship, revision);
+  return revision;
+}
+
+/**
+ * Undo a single revision by writing each changed field back to its previous
+ * value. The undo is itself a new revision, so rollbacks can be rolled back.
+ */
+async function rollbackRevision(scholarshipId, revisionNumber, { changedBy = null, note = '' } = {}) {
+  const target = await ScholarshipRevision.findOne({ scholarshipId, revision: revisionNumber });
+  if (!target) return { error: 'Revision not found', status: 404 };
+  if (target.action === 'create') return { error: 'The initial revision cannot be rolled back; archive the scholarship instead', status: 400 };
+
+  const scholarship = await Scholarship.findOne({ id: scholarshipId });
+  if (!scholarship) return { error: 'Scholarship not found', status: 404 };
+
+  if (target.action === 'archive' || target.action === 'restore') {
+    // Already back in the state before that revision: nothing to record or announce
+    const archive = target.action === 'restore';
+    if ((scholarship.isActive === false) === archive) return { scholarship, revision: null };
+
+    const revision = await setArchived(scholarship, archive, {
+      changedBy,
+      note: note || `Rollback of revision ${revisionNumber}`,
+      revertsRevision: revisionNumber
+    });
+    return { scholarship, revision };
+  }
+
+  const updates = {};
+  for (const { field, from } of target.changes) {
+    if (TRACKED_FIELDS.includes(field)) updates[field] = from;
+  }
+
+  const revision = await applyScholarshipChange(scholarship, updates, {
+    action: 'rollback',
+    changedBy,
+    source: 'admin',
+    note: note || `Rollback of revision ${revisionNumber}`,
+    revertsRevision: revisionNumber
+  });
+
+  return { scholarship, revision };
+}
+
+export {
+  TRACKED_FIELDS,
+  diffScholarship,
+  pickTracked,
+  recordRevision,
+  recordCreations,
+  applyScholarshipChange,
+  setArchived,
+  rollbackRevision
+};
@@ -0,0 +1,344 @@
+import { createHash } from 'crypto';
+import { Scholarship, ScholarshipRevision, SavedScholarship, DuplicateCandidate } from '../models/index.js';
+import { normalizeScholarship } from '../scrapers/index.js';
+import { SCRAPER_SOURCES } from '../scrapers/registry.js';
+import { TRACKED_FIELDS, recordCreations, applyScholarshipChange, setArchived } from './scholarshipHistory.js';
+import {
+  MERGE_SCORE,
+  REVIEW_SCORE,
+  ADMIN_OWNER,
+  normalizeTitle,
+  findDuplicate,
+  isPlaceholder,
+  resolveProvenance,
+  mergeUpdates
+} from './duplicates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STALE_DAYS = 14;
+
+// Query parameters that only track where a visitor came from
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|ref)$/i;
+
+// Fields a scrape may overwrite; curation such as `verified` stays with admins
+const SCRAPED_FIELDS = TRACKED_FIELDS.filter(field => !['partnerUniversities', 'verified'].includes(field));
+
+/**
+ * A listing's URL without the parts that vary between visits: protocol,
+ * "www.", trailing slashes, fragments and tracking parameters
+ */
+function canonicalUrl(url = '') {
+  try {
+    const parsed = new URL(url);
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+    parsed.searchParams.sort();
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+/**
+ * Stable identity of a scraped listing. The title is part of it because
+ * some sources list several programmes on one page.
+ */
+function listingKey(listing) {
+  return `${canonicalUrl(listing.sourceUrl)}#${normalizeTitle(listing.title)}`;
+}
+
+function listingId(listing) {
+  return `${listing.source}-${createHash('sha1').update(listingKey(listing)).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Days a listing may go unseen before it is archived, from
+ * SCRAPER_STALE_DAYS. Sources only crawl their first few pages, so a
+ * listing that drops out of a single run is usually still open.
+ */
+function getStaleDays() {
+  if (!process.env.SCRAPER_STALE_DAYS) return DEFAULT_STALE_DAYS;
+  const days = Number(process.env.SCRAPER_STALE_DAYS);
+  if (Number.isInteger(days) && days > 0) return days;
+  console.warn('Ignoring invalid SCRAPER_STALE_DAYS:', process.env.SCRAPER_STALE_DAYS);
+  return DEFAULT_STALE_DAYS;
+}
+
+/**
+ * Whether a record's deadline has passed. Deadlines are stored as the start
+ * of the day, so that whole day is allowed, and an estimated deadline is
+ * only a guess that never expires a listing.
+ */
+function isExpired(record, now) {
+  if (!record.deadline || record.deadlineEstimated) return false;
+  return new Date(record.deadline).getTime() < now.getTime() - DAY_MS;
+}
+
+/**
+ * Ids of scholarships whose latest archive or restore was an admin
+ * restoring them, from revisions sorted newest first
+ */
+function keptByAdmin(revisions) {
+  const latest = new Map();
+  for (const revision of revisions) {
+    if (!latest.has(revision.scholarshipId)) latest.set(revision.scholarshipId, revision);
+  }
+  return new Set([...latest.values()]
+    .filter(revision => revision.action === 'restore' && revision.source === 'admin')
+    .map(revision => revision.scholarshipId));
+}
+
+/**
+ * Whether every source listing a scholarship has gone unseen since
+ * `staleBefore`. Scholarships added by hand or from the seed data stay
+ * however many scraped listings were merged into them.
+ */
+function isUnlisted(doc, staleBefore) {
+  if (!SCRAPER_SOURCES[doc.source]) return false;
+  return sourceEntries(doc).every(entry => (entry.lastSeen || doc.lastSeen || doc.lastScraped || doc.createdAt) < staleBefore);
+}
+
+// Every source entry of a record, including the one it was first scraped
+// from for records stored before sources were tracked
+function sourceEntries(doc) {
+  if (doc.sources?.length) return doc.sources.map(entry => (entry.toObject ? entry.toObject() : { ...entry }));
+  return [{
+    source: doc.source,
+    sourceUrl: doc.sourceUrl,
+    sourceKey: doc.sourceKey || listingKey(doc),
+    firstSeen: doc.firstSeen || doc.createdAt,
+    lastSeen: doc.lastSeen || doc.lastScraped
+  }];
+}
+
+function withSourceEntry(entries, entry) {
+  const existing = entries.find(item => item.sourceKey === entry.sourceKey);
+  if (!existing) return [...entries, entry];
+  return entries.map(item => (item === existing ? { ...item, ...entry, firstSeen: item.firstSeen || entry.firstSeen } : item));
+}
+
+function newRecord(listing, now) {
+  const { provenance } = mergeUpdates({}, listing, SCRAPED_FIELDS);
+  const entry = { source: listing.source, sourceUrl: listing.sourceUrl, sourceKey: listing.sourceKey, firstSeen: now, lastSeen: now };
+  return { ...listing, firstSeen: now, lastSeen: now, lastScraped: now, sources: [entry], provenance };
+}
+
+// A record added earlier in the same run takes a duplicate listing in memory
+function mergeIntoNewRecord(record, listing, now) {
+  const { updates, provenance } = mergeUpdates(record, listing, SCRAPED_FIELDS);
+  Object.assign(record, updates, { provenance });
+  record.sources = withSourceEntry(record.sources, {
+    source: listing.source, sourceUrl: listing.sourceUrl, sourceKey: listing.sourceKey, firstSeen: now, lastSeen: now
+  });
+}
+
+/**
+ * Bring a stored scholarship up to date with one of its source listings,
+ * restoring it if the scraper had archived it. Returns whether any
+ * tracked field changed.
+ */
+async function updateFromListing(doc, listing, now) {
+  const { updates, provenance } = mergeUpdates(doc, listing, SCRAPED_FIELDS);
+  const revision = await applyScholarshipChange(doc, updates, { source: 'scraper', note: `Updated from ${listing.source}` });
+
+  const sources = withSourceEntry(sourceEntries(doc), {
+    source: listing.source, sourceUrl: listing.sourceUrl, sourceKey: listing.sourceKey, firstSeen: now, lastSeen: now
+  });
+  doc.set({
+    sources,
+    provenance,
+    sourceKey: doc.source === listing.source ? listing.sourceKey : doc.sourceKey,
+    firstSeen: doc.firstSeen || doc.createdAt || now,
+    lastSeen: now,
+    lastScraped: now
+  });
+  await doc.save();
+
+  if (doc.isActive === false && doc.archiveReason && doc.archiveReason !== 'duplicate' && !isExpired(doc, now)) {
+    await setArchived(doc, false, { source: 'scraper', note: `Listed again on ${listing.source}` });
+    return { changed: Boolean(revision), restored: true };
+  }
+  return { changed: Boolean(revision), restored: false };
+}
+
+async function queueForReview(scholarshipId, duplicateId, { score, reasons }) {
+  const result = await DuplicateCandidate.updateOne(
+    { scholarshipId, duplicateId },
+    { $setOnInsert: { score, reasons, status: 'pending' } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+}
+
+/**
+ * Store the results of a scrape: add listings seen for the first time,
+ * update the ones already known, and archive listings that have expired
+ * or that their source stopped showing. A new listing that closely
+ * matches a scholarship from another source is merged into it; a looser
+ * match is added and queued for review. Listings the scraper archived
+ * are restored when they come back. Returns the added scholarships and
+ * counts of the rest.
+ */
+async function storeScrapedListings(results, now = new Date()) {
+  const summary = { added: [], updated: 0, merged: 0, queued: 0, deactivated: 0, restored: 0 };
+  const listings = new Map();
+  for (const scraped of results.flatMap(result => result.scholarships || [])) {
+    const listing = normalizeScholarship(scraped);
+    listing.sourceKey = listingKey(listing);
+    listing.id = listingId(listing);
+    listings.set(listing.sourceKey, listing);
+  }
+
+  // Sources that came back empty may have failed or changed markup, so
+  // their listings are not treated as gone
+  const completed = results.filter(result => !result.error && result.count > 0).map(result => result.source);
+  const sources = [...new Set([...completed, ...[...listings.values()].map(listing => listing.source)])];
+  const existing = await Scholarship.find({
+    $or: [{ source: { $in: sources } }, { 'sources.source': { $in: sources } }]
+  }).sort({ createdAt: 1 });
+
+  // Earlier runs inserted the same listing again each time; the oldest
+  // copy keeps the identity and the rest are archived as duplicates
+  const byKey = new Map();
+  for (const doc of existing) {
+    if (doc.archiveReason === 'duplicate') continue;
+    for (const { sourceKey } of sourceEntries(doc)) {
+      if (!byKey.has(sourceKey)) byKey.set(sourceKey, doc);
+    }
+  }
+
+  // Reuse the loaded copies so a record merged into is not also swept as stale
+  const loaded = new Map(existing.map(doc => [doc.id, doc]));
+  const candidates = (await Scholarship.find({ isActive: true })).map(doc => loaded.get(doc.id) || doc);
+  const seen = new Set();
+  const toInsert = [];
+  const reviews = [];
+  for (const listing of listings.values()) {
+    let doc = byKey.get(listing.sourceKey);
+    if (!doc && isExpired(listing, now)) continue;
+
+    if (!doc) {
+      const match = findDuplicate(listing, [...candidates, ...toInsert]);
+      if (match && match.score >= MERGE_SCORE) {
+        summary.merged++;
+        if (toInsert.includes(match.record)) {
+          mergeIntoNewRecord(match.record, listing, now);
+          continue;
+        }
+        doc = match.record;
+      } else {
+        const record = newRecord(listing, now);
+        toInsert.push(record);
+        if (match && match.score >= REVIEW_SCORE) reviews.push({ scholarshipId: match.record.id, duplicateId: record.id, match });
+        continue;
+      }
+    }
+
+    seen.add(doc);
+    const { changed, restored } = await updateFromListing(doc, listing, now);
+    if (changed) summary.updated++;
+    if (restored) summary.restored++;
+  }
+
+  if (toInsert.length > 0) {
+    summary.added = await Scholarship.insertMany(toInsert);
+    await recordCreations(toInsert, { source: 'scraper' });
+  }
+  for (const { scholarshipId, duplicateId, match } of reviews) {
+    if (await queueForReview(scholarshipId, duplicateId, match)) summary.queued++;
+  }
+
+  const staleBefore = new Date(now.getTime() - getStaleDays() * DAY_MS);
+  const stale = [];
+  for (const doc of existing) {
+    if (doc.isActive === false || seen.has(doc)) continue;
+    if (!sourceEntries(doc).some(entry => completed.includes(entry.source))) continue;
+    const canonical = byKey.get(doc.sourceKey || listingKey(doc));
+    if (canonical && canonical !== doc && seen.has(canonical)) {
+      await setArchived(doc, true, { source: 'scraper', reason: 'duplicate', note: `Duplicate of ${canonical.id}` });
+      summary.deactivated++;
+    } else if (isUnlisted(doc, staleBefore)) {
+      stale.push(doc);
+    }
+  }
+
+  // An admin who brought a delisted scholarship back has overruled the sweep
+  const restoredByAdmin = stale.length > 0 ? keptByAdmin(await ScholarshipRevision.find({
+    scholarshipId: { $in: stale.map(doc => doc.id) },
+    action: { $in: ['archive', 'restore'] }
+  }).sort({ revision: -1 }).select('scholarshipId action source')) : new Set();
+  for (const doc of stale) {
+    if (restoredByAdmin.has(doc.id)) continue;
+    await setArchived(doc, true, { source: 'scraper', reason: 'unlisted', note: `No longer listed on ${doc.source}` });
+    summary.deactivated++;
+  }
+
+  const expired = await Scholarship.find({
+    source: { $in: Object.keys(SCRAPER_SOURCES) },
+    isActive: true,
+    deadlineEstimated: { $ne: true },
+    deadline: { $lt: new Date(now.getTime() - DAY_MS) }
+  });
+  for (const doc of expired) {
+    await setArchived(doc, true, { source: 'scraper', reason: 'expired', note: 'Deadline passed' });
+    summary.deactivated++;
+  }
+
+  return summary;
+}
+
+/**
+ * Merge a scholarship an admin confirmed as a duplicate into the one that
+ * stays. The duplicate's values fill fields the kept record lacks, its
+ * sources move across, students who saved only the duplicate get the kept
+ * record instead, and the duplicate is archived.
+ */
+async function mergeScholarships(kept, duplicate, { changedBy = null } = {}) {
+  const provenance = resolveProvenance(kept, SCRAPED_FIELDS);
+  const duplicateProvenance = resolveProvenance(duplicate, SCRAPED_FIELDS);
+  const updates = {};
+  for (const field of SCRAPED_FIELDS) {
+    if (provenance[field] === ADMIN_OWNER) continue;
+    if (isPlaceholder(field, kept[field], kept) && !isPlaceholder(field, duplicate[field], duplicate)) {
+      updates[field] = duplicate[field];
+      provenance[field] = duplicateProvenance[field] || duplicate.source;
+    }
+  }
+  const revision = await applyScholarshipChange(kept, updates, { changedBy, source: 'admin', note: `Merged ${duplicate.id}` });
+
+  let sources = sourceEntries(kept);
+  for (const entry of sourceEntries(duplicate)) sources = withSourceEntry(sources, entry);
+  const lastSeen = [kept.lastSeen, duplicate.lastSeen].filter(Boolean).sort((a, b) => b - a)[0];
+  kept.set({ sources, provenance, lastSeen });
+  await kept.save();
+
+  const savers = await SavedScholarship.distinct('userId', { scholarshipId: kept.id });
+  await SavedScholarship.updateMany(
+    { scholarshipId: duplicate.id, userId: { $nin: savers } },
+    { $set: { scholarshipId: kept.id, scholarship: kept.toObject() } }
+  );
+
+  if (duplicate.isActive !== false) {
+    await setArchived(duplicate, true, { changedBy, source: 'admin', reason: 'duplicate', note: `Merged into ${kept.id}` });
+  } else {
+    duplicate.archiveReason = 'duplicate';
+    await duplicate.save();
+  }
+  return revision;
+}
+
+export {
+  SCRAPED_FIELDS,
+  canonicalUrl,
+  normalizeTitle,
+  listingKey,
+  listingId,
+  getStaleDays,
+  isExpired,
+  keptByAdmin,
+  isUnlisted,
+  storeScrapedListings,
+  mergeScholarships
+};
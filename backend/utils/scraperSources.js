@@ -0,0 +1,60 @@
+import { ScraperSource } from '../models/index.js';
+import { SCRAPER_SOURCES, getConfiguredSettings, resolveSourceSettings, parseSourceSettings, isSourceDue } from '../scrapers/registry.js';
+
+/**
+ * Every registered source with its effective settings, the admin overrides
+ * behind them and how its last run went
+ */
+async function listScraperSources(now = new Date()) {
+  const stored = new Map((await ScraperSource.find({}).lean()).map(doc => [doc.source, doc]));
+  const configured = getConfiguredSettings();
+
+  return Object.entries(SCRAPER_SOURCES).map(([id, { label }]) => {
+    const doc = stored.get(id) || {};
+    const settings = resolveSourceSettings(id, doc.settings, configured);
+    const lastRunAt = doc.lastRunAt || null;
+    return {
+      id,
+      label,
+      settings,
+      overrides: doc.settings || {},
+      lastRunAt,
+      lastStatus: doc.lastStatus || null,
+      lastCount: doc.lastCount || 0,
+      lastError: doc.lastError || '',
+      due: isSourceDue(settings, lastRunAt, now),
+      nextRunAt: settings.enabled
+        ? new Date(lastRunAt ? new Date(lastRunAt).getTime() + settings.intervalHours * 60 * 60 * 1000 : now)
+        : null
+    };
+  });
+}
+
+/**
+ * Save admin overrides for a source; null resets a setting to its
+ * configured default. Throws with a message fit for a 400 response.
+ */
+async function updateScraperSource(id, input, userId) {
+  if (!SCRAPER_SOURCES[id]) throw new Error(`Unknown scraper source: ${id}`);
+  const parsed = parseSourceSettings(input, { allowReset: true });
+
+  const $set = { updatedBy: userId };
+  const $unset = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value === null) $unset[`settings.${key}`] = '';
+    else $set[`settings.${key}`] = value;
+  }
+  await ScraperSource.updateOne({ source: id }, { $set, ...(Object.keys($unset).length > 0 && { $unset }) }, { upsert: true });
+
+  return (await listScraperSources()).find(source => source.id === id);
+}
+
+async function recordSourceRun(id, { count = 0, error = '' }, at = new Date()) {
+  await ScraperSource.updateOne(
+    { source: id },
+    { $set: { lastRunAt: at, lastStatus: error ? 'failed' : 'success', lastCount: count, lastError: error || '' } },
+    { upsert: true }
+  );
+}
+
+export { listScraperSources, updateScraperSource, recordSourceRun };
@@ -0,0 +1,100 @@
+import { Scholarship } from '../models/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The search API's fundingType filter values and the stored labels they select
+const FUNDING_TYPE_VALUES = {
+  full: 'Full Scholarship',
+  partial: 'Partial Scholarship'
+};
+
+// Deadline filter values and how many days ahead each one reaches
+const DEADLINE_WINDOWS = {
+  upcoming: 30,
+  '60days': 60,
+  '90days': 90
+};
+
+const count = { $sum: 1 };
+
+/**
+ * Facets the search API can count, keyed by the filter parameter each one
+ * controls. A facet's counts ignore its own filter, so with Germany picked
+ * the other countries still show how many results they would add.
+ */
+const FACETS = [
+  {
+    id: 'country',
+    param: 'countries',
+    stages: () => [{ $group: { _id: '$country', count } }]
+  },
+  {
+    id: 'field',
+    param: 'fields',
+    stages: () => [{ $unwind: '$fieldOfStudy' }, { $group: { _id: '$fieldOfStudy', count } }]
+  },
+  {
+    id: 'fundingType',
+    param: 'fundingType',
+    stages: () => [{
+      $group: {
+        _id: {
+          $switch: {
+            branches: Object.entries(FUNDING_TYPE_VALUES).map(([value, label]) => ({ case: { $eq: ['$fundingType', label] }, then: value })),
+            default: 'other'
+          }
+        },
+        count
+      }
+    }]
+  },
+  {
+    id: 'ielts',
+    param: 'excludeIELTS',
+    stages: () => [{ $group: { _id: { $cond: [{ $eq: ['$ieltsRequired', false] }, 'notRequired', 'required'] }, count } }]
+  },
+  {
+    id: 'applicationFee',
+    param: 'excludeAppFee',
+    stages: () => [{ $group: { _id: { $cond: [{ $eq: ['$applicationFee', 0] }, 'free', 'paid'] }, count } }]
+  },
+  {
+    id: 'deadline',
+    param: 'deadline',
+    stages: (now) => [{
+      $group: {
+        _id: null,
+        ...Object.fromEntries(Object.entries(DEADLINE_WINDOWS).map(([value, days]) => [value, {
+          $sum: { $cond: [{ $and: [{ $gte: ['$deadline', now] }, { $lte: ['$deadline', new Date(now.getTime() + days * DAY_MS)] }] }, 1, 0] }
+        }]))
+      }
+    }]
+  }
+];
+
+/**
+ * Turn a facet's aggregation output into [{ value, count }], largest first
+ */
+function toCounts(facet, rows) {
+  if (facet.id === 'deadline') {
+    const [totals = {}] = rows;
+    return Object.keys(DEADLINE_WINDOWS).map(value => ({ value, count: totals[value] || 0 }));
+  }
+  return rows
+    .filter(row => row._id !== null && row._id !== '')
+    .map(row => ({ value: row._id, count: row.count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Count every facet in one round trip. `queryWithout(param)` must return
+ * the current search query minus the filter named by `param`.
+ */
+async function countFacets(queryWithout, now = new Date()) {
+  const [result] = await Scholarship.aggregate([{
+    $facet: Object.fromEntries(FACETS.map(facet => [facet.id, [{ $match: queryWithout(facet.param) }, ...facet.stages(now)]]))
+  }]);
+  return Object.fromEntries(FACETS.map(facet => [facet.id, toCounts(facet, result[facet.id])]));
+}
+
+export { FACETS, FUNDING_TYPE_VALUES, DEADLINE_WINDOWS, toCounts, countFacets };
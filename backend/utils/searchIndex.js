@@ -0,0 +1,328 @@
+import { Scholarship } from '../models/index.js';
+
+/**
+ * In-process full-text index over the active catalogue. It ranks with
+ * weighted fields, folds English word endings with a light stemmer,
+ * tolerates typos, supports "quoted phrases" and reports where each match
+ * is so the UI can highlight it. The catalogue is small enough to keep in
+ * memory; the index is rebuilt whenever a scholarship changes.
+ */
+
+const FIELD_WEIGHTS = {
+  title: 8,
+  university: 4,
+  fieldOfStudy: 4,
+  country: 3,
+  benefits: 2,
+  requirements: 2,
+  description: 1
+};
+
+// Fields whose matches are worth showing as a snippet under the title
+const SNIPPET_FIELDS = ['description', 'benefits', 'requirements', 'fieldOfStudy'];
+const SNIPPET_LENGTH = 160;
+
+// Typo-matched terms count for less than exact (stemmed) ones
+const FUZZY_WEIGHT = 0.6;
+
+// Fields offered as typeahead suggestions, in the order they are listed
+const SUGGESTION_TYPES = ['title', 'university', 'field', 'country'];
+const SUGGESTION_SOURCES = { title: 'title', university: 'university', field: 'fieldOfStudy', country: 'country' };
+const SUGGESTION_LIMIT = 8;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with', 'who', 'will', 'this', 'that', 'their', 'your'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const foldCase = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Light suffix stripping so "scholarships", "funded" and "funding" meet
+ * their stems. Deliberately conservative: short words are left alone.
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+  let w = word;
+  if (/(ies|ied)$/.test(w) && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith('ational')) return `${w.slice(0, -7)}ate`;
+  if (w.endsWith('ation') && w.length > 7) return `${w.slice(0, -5)}ate`;
+
+  const base = w.replace(/(ing|ed)$/, '');
+  if (base !== w && base.length >= 3 && /[aeiouy]/.test(base)) {
+    // running -> run, but not fill -> fil
+    return /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+  }
+  return w;
+}
+
+/**
+ * Words of a text with their stems and character offsets in the original
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const word = foldCase(match[0]);
+    if (word.length < 2 && !/\d/.test(word)) continue;
+    tokens.push({ term: STOPWORDS.has(word) ? null : stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Split a query into required terms and "quoted phrases". Phrase words are
+ * also required terms, so phrases only narrow the results further.
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]*)"/g, (_, phrase) => {
+    const terms = tokenize(phrase).map(t => t.term).filter(Boolean);
+    if (terms.length > 1) phrases.push(terms);
+    return ` ${phrase} `;
+  });
+  const terms = [...new Set(tokenize(rest).map(t => t.term).filter(Boolean))];
+  return { terms, phrases };
+}
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Folded words of a text with their offsets, keeping stopwords and endings
+ * so a typed prefix can be compared as-is
+ */
+function words(text) {
+  return [...String(text || '').matchAll(TOKEN_PATTERN)]
+    .map(match => ({ word: foldCase(match[0]), start: match.index }));
+}
+
+const fieldText = (value) => (Array.isArray(value) ? value.filter(Boolean).join(' · ') : String(value || ''));
+
+function containsPhrase(tokens, phrase) {
+  const terms = tokens.map(t => t.term);
+  for (let i = 0; i + phrase.length <= terms.length; i++) {
+    if (phrase.every((term, k) => terms[i + k] === term)) return true;
+  }
+  return false;
+}
+
+function rangesFor(tokens, terms) {
+  return tokens.filter(t => t.term && terms.has(t.term)).map(t => [t.start, t.end]);
+}
+
+/**
+ * Cut a window of the text around its first match, shifting the match
+ * ranges to fit and marking trimmed ends with an ellipsis
+ */
+function snippetAround(text, ranges) {
+  if (text.length <= SNIPPET_LENGTH) return { text, ranges };
+  const start = Math.max(0, Math.min(ranges[0][0] - 40, text.length - SNIPPET_LENGTH));
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const offset = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    ranges: ranges.filter(([s, e]) => s >= start && e <= end).map(([s, e]) => [s + offset, e + offset])
+  };
+}
+
+/**
+ * Build an index over plain scholarship objects
+ */
+function createSearchIndex(scholarships) {
+  const docs = new Map();
+  const postings = new Map();
+  const suggestions = new Map();
+
+  function addSuggestion(type, value, id) {
+    const text = String(value || '').trim();
+    if (!text) return;
+    const key = `${type}:${foldCase(text)}`;
+    if (!suggestions.has(key)) suggestions.set(key, { type, value: text, id: type === 'title' ? id : undefined, count: 0, words: words(text) });
+    suggestions.get(key).count += 1;
+  }
+
+  for (const sch of scholarships) {
+    for (const type of SUGGESTION_TYPES) {
+      const value = sch[SUGGESTION_SOURCES[type]];
+      (Array.isArray(value) ? value : [value]).forEach(v => addSuggestion(type, v, sch.id));
+    }
+
+    const fields = {};
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const text = fieldText(sch[field]);
+      const tokens = tokenize(text);
+      fields[field] = { text, tokens };
+      for (const { term } of tokens) {
+        if (!term) continue;
+        if (!postings.has(term)) postings.set(term, new Map());
+        const posting = postings.get(term);
+        posting.set(sch.id, (posting.get(sch.id) || 0) + weight);
+      }
+    }
+    docs.set(sch.id, fields);
+  }
+
+  const vocabulary = [...postings.keys()];
+
+  // Index terms a query term may stand for: itself, else close spellings
+  function expand(term) {
+    if (postings.has(term)) return [{ term, weight: 1 }];
+    if (term.length < 4 || /\d/.test(term)) return [];
+    const max = term.length >= 8 ? 2 : 1;
+    return vocabulary
+      .filter(candidate => editDistance(term, candidate, max) <= max)
+      .map(candidate => ({ term: candidate, weight: FUZZY_WEIGHT }));
+  }
+
+  /**
+   * Rank scholarships matching every term (and phrase) of the query, best
+   * first. Each hit carries highlight ranges for the title and a snippet.
+   */
+  function search(query) {
+    const { terms, phrases } = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    // Every term must match; a document's score sums each term's best match
+    let scores = null;
+    const matchedTerms = new Map();
+    for (const term of terms) {
+      const best = new Map();
+      for (const { term: indexed, weight } of expand(term)) {
+        const posting = postings.get(indexed);
+        const idf = Math.log(1 + docs.size / posting.size);
+        for (const [id, tf] of posting) {
+          const value = weight * idf * (tf / (tf + 2));
+          if (value > (best.get(id) || 0)) best.set(id, value);
+          if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+          matchedTerms.get(id).add(indexed);
+        }
+      }
+      scores = scores === null
+        ? best
+        : new Map([...scores].filter(([id]) => best.has(id)).map(([id, score]) => [id, score + best.get(id)]));
+    }
+
+    const hits = [];
+    for (const [id, score] of scores) {
+      const fields = docs.get(id);
+      if (!phrases.every(phrase => Object.values(fields).some(f => containsPhrase(f.tokens, phrase)))) continue;
+
+      const matched = matchedTerms.get(id);
+      const titleRanges = rangesFor(fields.title.tokens, matched);
+      const snippetField = SNIPPET_FIELDS
+        .map(field => ({ field, ranges: rangesFor(fields[field].tokens, matched) }))
+        .sort((a, b) => b.ranges.length - a.ranges.length)[0];
+
+      hits.push({
+        id,
+        score: Math.round((score + phrases.length) * 1000) / 1000,
+        highlights: {
+          title: titleRanges.length > 0 ? { text: fields.title.text, ranges: titleRanges } : null,
+          snippet: snippetField.ranges.length > 0
+            ? { field: snippetField.field, ...snippetAround(fields[snippetField.field].text, snippetField.ranges) }
+            : null
+        }
+      });
+    }
+
+    return hits.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Titles, universities, fields and countries with a word starting with
+   * each typed word, in order: "knight hen" finds Knight-Hennessy. Matches
+   * at the start of a name come first, then titles before other kinds.
+   */
+  function suggest(query, limit = SUGGESTION_LIMIT) {
+    const prefixes = words(query).map(w => w.word);
+    if (prefixes.join('').length < 2) return [];
+
+    const results = [];
+    for (const entry of suggestions.values()) {
+      const ranges = [];
+      let from = 0;
+      const matched = prefixes.every(prefix => {
+        const index = entry.words.findIndex((w, i) => i >= from && w.word.startsWith(prefix));
+        if (index === -1) return false;
+        ranges.push([entry.words[index].start, entry.words[index].start + prefix.length]);
+        from = index + 1;
+        return true;
+      });
+      if (matched) results.push({ entry, ranges, leading: entry.words[0].start === ranges[0][0] });
+    }
+
+    return results
+      .sort((a, b) => (b.leading - a.leading)
+        || SUGGESTION_TYPES.indexOf(a.entry.type) - SUGGESTION_TYPES.indexOf(b.entry.type)
+        || b.entry.count - a.entry.count
+        || a.entry.value.length - b.entry.value.length
+        || a.entry.value.localeCompare(b.entry.value))
+      .slice(0, limit)
+      .map(({ entry: { type, value, id, count }, ranges }) => ({ type, value, ...(id && { id }), count, ranges }));
+  }
+
+  return { search, suggest, size: docs.size };
+}
+
+let cached = null;
+let building = null;
+
+/**
+ * The index for the current catalogue, rebuilt when any scholarship's
+ * updatedAt moves past the one it was built from
+ */
+async function getSearchIndex() {
+  const latest = await Scholarship.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean();
+  const version = latest?.updatedAt ? latest.updatedAt.getTime() : 0;
+  if (cached && cached.version === version) return cached.index;
+
+  if (!building) {
+    building = Scholarship.find({ isActive: { $ne: false } }).lean()
+      .then(scholarships => {
+        cached = { version, index: createSearchIndex(scholarships) };
+        return cached.index;
+      })
+      .finally(() => { building = null; });
+  }
+  return building;
+}
+
+async function searchScholarships(query) {
+  const index = await getSearchIndex();
+  return index.search(query);
+}
+
+async function suggestScholarships(query, limit) {
+  const index = await getSearchIndex();
+  return index.suggest(query, limit);
+}
+
+export { FIELD_WEIGHTS, stem, tokenize, parseQuery, editDistance, createSearchIndex, searchScholarships, suggestScholarships };
@@ -0,0 +1,83 @@
+import { searchScholarships, parseQuery } from './searchIndex.js';
+import { DEADLINE_WINDOWS, FUNDING_TYPE_VALUES } from './searchFacets.js';
+import { buildEligibilityQuery } from './eligibility.js';
+
+const splitList = (value) => String(value).split(',').map(item => item.trim());
+
+/**
+ * MongoDB query for the search filters, as the listing, /match and saved
+ * searches take them. The free-text `search` is applied separately by
+ * applyTextSearch.
+ */
+function buildSearchQuery({
+  countries,
+  fields,
+  excludeIELTS,
+  excludeAppFee,
+  deadline,
+  fundingType,
+  gpaMinimum,
+  degreeLevels,
+  citizenship,
+  age,
+  workExperience
+}, now = new Date()) {
+  // Archived listings stay in the database for history but are never listed
+  const query = { isActive: { $ne: false } };
+
+  if (countries) {
+    query.country = { $in: splitList(countries) };
+  }
+
+  if (fields) {
+    query.fieldOfStudy = { $in: splitList(fields) };
+  }
+
+  if (excludeIELTS === 'true') {
+    query.ieltsRequired = false;
+  }
+
+  if (excludeAppFee === 'true') {
+    query.applicationFee = 0;
+  }
+
+  if (gpaMinimum && !isNaN(parseFloat(gpaMinimum))) {
+    query.minGPA = { $gte: parseFloat(gpaMinimum) };
+  }
+
+  if (DEADLINE_WINDOWS[deadline]) {
+    const futureDate = new Date(now);
+    futureDate.setDate(now.getDate() + DEADLINE_WINDOWS[deadline]);
+    query.deadline = { $gte: now, $lte: futureDate };
+  }
+
+  if (FUNDING_TYPE_VALUES[fundingType]) {
+    query.fundingType = FUNDING_TYPE_VALUES[fundingType];
+  }
+
+  const eligibilityConditions = buildEligibilityQuery({
+    degreeLevels: degreeLevels ? splitList(degreeLevels) : [],
+    citizenship,
+    age,
+    workExperienceYears: workExperience
+  });
+  if (eligibilityConditions.length > 0) {
+    query.$and = eligibilityConditions;
+  }
+
+  return query;
+}
+
+/**
+ * Narrow the query to scholarships matching the free-text search. Returns
+ * the hits, best first, or null when there is no search term, including a
+ * search made only of stopwords, which leaves the results unfiltered.
+ */
+async function applyTextSearch(query, search) {
+  if (!search || parseQuery(search).terms.length === 0) return null;
+  const hits = await searchScholarships(String(search));
+  query.id = { $in: hits.map(hit => hit.id) };
+  return hits;
+}
+
+export { buildSearchQuery, applyTextSearch };
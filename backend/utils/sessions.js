@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { Session, User } from '../models/index.js';
+import { generateToken } from '../middleware/auth.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How long a just-rotated refresh token may still be exchanged, for
+// several tabs refreshing with the same token at once
+const ROTATION_GRACE_MS = 30 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || ''
+  };
+}
+
+/**
+ * Refresh tokens are `<sessionId>.<secret>`. Only a hash of the secret is
+ * stored, so a leaked database dump cannot be replayed against /refresh.
+ */
+function splitRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Start a new login session and hand back the token pair for it
+ */
+async function issueSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return {
+    token: generateToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    sessionId: session._id
+  };
+}
+
+/**
+ * The secret a rotation handed out, sealed with the secret it replaced, so
+ * a concurrent refresh that still holds the replaced token can be given
+ * the same new token instead of rotating again
+ */
+function sealSuccessor(secret, replacedSecret) {
+  const key = crypto.createHash('sha256').update(`successor:${replacedSecret}`).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const sealed = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map(part => part.toString('hex')).join('.');
+}
+
+function openSuccessor(sealed, replacedSecret) {
+  try {
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'hex'));
+    const key = crypto.createHash('sha256').update(`successor:${replacedSecret}`).digest();
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+async function tokenPair(session, secret) {
+  const user = await User.findById(session.userId);
+  if (!user) return null;
+
+  return {
+    user,
+    token: generateToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair. Each refresh token rotates
+ * once; for a short grace period afterwards, other tabs refreshing with
+ * the same token get the pair it was rotated to. Presenting it any other
+ * time means it was copied, so the whole session is revoked.
+ */
+async function rotateSession(refreshToken, req) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return null;
+
+  const presented = hashSecret(parts.secret);
+  const now = new Date();
+  const live = { _id: parts.sessionId, revokedAt: null, expiresAt: { $gt: now } };
+  const secret = crypto.randomBytes(48).toString('hex');
+
+  // Conditional on the presented hash, so only one of several racing calls rotates
+  const session = await Session.findOneAndUpdate({ ...live, refreshTokenHash: presented }, {
+    $set: {
+      refreshTokenHash: hashSecret(secret),
+      previousTokenHash: presented,
+      successorSecret: sealSuccessor(secret, parts.secret),
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: refreshExpiry(),
+      ...clientInfo(req)
+    }
+  }, { new: true });
+  if (session) return tokenPair(session, secret);
+
+  const current = await Session.findOne(live);
+  if (!current) return null;
+
+  if (current.previousTokenHash === presented && current.rotatedAt && now - current.rotatedAt <= ROTATION_GRACE_MS) {
+    const successor = openSuccessor(current.successorSecret || '', parts.secret);
+    if (successor && hashSecret(successor) === current.refreshTokenHash) return tokenPair(current, successor);
+  }
+
+  console.warn(`Refresh token reuse detected for session ${current._id}, revoking`);
+  await Session.updateOne({ _id: current._id, revokedAt: null }, { $set: { revokedAt: now } });
+  return null;
+}
+
+async function revokeSessionByToken(refreshToken) {
+  const parts = splitRefreshToken(refreshToken);
+  if (!parts) return false;
+
+  const result = await Session.updateOne(
+    { _id: parts.sessionId, refreshTokenHash: hashSecret(parts.secret), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function listActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousTokenHash -successorSecret')
+    .sort({ lastUsedAt: -1 });
+}
+
+async function revokeUserSessions(userId, { except, only } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (only) {
+    if (!/^[a-f0-9]{24}$/i.test(only)) return 0;
+    filter._id = only;
+  } else if (except) {
+    filter._id = { $ne: except };
+  }
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+export {
+  issueSession,
+  rotateSession,
+  revokeSessionByToken,
+  listActiveSessions,
+  revokeUserSessions
+};
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import { UserToken } from '../models/index.js';
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Mint a single-use token for an emailed link. Any earlier unused token of
+ * the same type is invalidated so only the newest link works.
+ */
+async function createUserToken(userId, type) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.updateMany(
+    { userId, type, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+}
+
+/**
+ * Redeem a token and return its userId, or null if it is unknown, expired or
+ * already used. The find-and-mark is atomic so two concurrent requests cannot
+ * both redeem the same link.
+ */
+async function consumeUserToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  return record ? record.userId : null;
+}
+
+export { createUserToken, consumeUserToken };
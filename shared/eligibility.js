@@ -0,0 +1,318 @@
+/**
+ * Scholarship eligibility rules shared by the API and the web app: the
+ * vocabulary, normalisation, and the per-rule checks against a profile.
+ * Kept free of Node and browser APIs so both sides can import it.
+ */
+
+const DEGREE_LEVELS = ["Bachelor's", "Master's", 'PhD', 'Postdoc'];
+
+const LANGUAGE_TESTS = ['IELTS', 'TOEFL', 'PTE', 'Duolingo'];
+
+// Short names match the `country` values used across the catalogue
+const COUNTRY_ALIASES = {
+  'united states': 'USA',
+  'united states of america': 'USA',
+  'us': 'USA',
+  'america': 'USA',
+  'united kingdom': 'UK',
+  'great britain': 'UK',
+  'britain': 'UK',
+  'england': 'UK',
+  'united arab emirates': 'UAE',
+  'korea': 'South Korea',
+  'republic of korea': 'South Korea',
+  'ksa': 'Saudi Arabia'
+};
+
+const REGIONS = {
+  'Africa': [
+    'Algeria', 'Angola', 'Benin', 'Botswana', 'Burkina Faso', 'Burundi', 'Cameroon', 'Chad',
+    'Congo', 'Egypt', 'Eritrea', 'Ethiopia', 'Gabon', 'Gambia', 'Ghana', 'Guinea', 'Ivory Coast',
+    'Kenya', 'Lesotho', 'Liberia', 'Libya', 'Madagascar', 'Malawi', 'Mali', 'Mauritania',
+    'Mauritius', 'Morocco', 'Mozambique', 'Namibia', 'Niger', 'Nigeria', 'Rwanda', 'Senegal',
+    'Sierra Leone', 'Somalia', 'South Africa', 'South Sudan', 'Sudan', 'Tanzania', 'Togo',
+    'Tunisia', 'Uganda', 'Zambia', 'Zimbabwe'
+  ],
+  'Asia': [
+    'Afghanistan', 'Bangladesh', 'Bhutan', 'Cambodia', 'China', 'India', 'Indonesia', 'Japan',
+    'Kazakhstan', 'Kyrgyzstan', 'Laos', 'Malaysia', 'Maldives', 'Mongolia', 'Myanmar', 'Nepal',
+    'Pakistan', 'Philippines', 'Singapore', 'South Korea', 'Sri Lanka', 'Tajikistan', 'Thailand',
+    'Timor-Leste', 'Uzbekistan', 'Vietnam'
+  ],
+  'Middle East': [
+    'Bahrain', 'Iran', 'Iraq', 'Jordan', 'Kuwait', 'Lebanon', 'Oman', 'Palestine', 'Qatar',
+    'Saudi Arabia', 'Syria', 'Turkey', 'UAE', 'Yemen'
+  ],
+  'Latin America': [
+    'Argentina', 'Bolivia', 'Brazil', 'Chile', 'Colombia', 'Costa Rica', 'Cuba', 'Dominican Republic',
+    'Ecuador', 'El Salvador', 'Guatemala', 'Haiti', 'Honduras', 'Mexico', 'Nicaragua', 'Panama',
+    'Paraguay', 'Peru', 'Uruguay', 'Venezuela'
+  ],
+  'EU/EEA': [
+    'Austria', 'Belgium', 'Bulgaria', 'Croatia', 'Cyprus', 'Czech Republic', 'Denmark', 'Estonia',
+    'Finland', 'France', 'Germany', 'Greece', 'Hungary', 'Iceland', 'Ireland', 'Italy', 'Latvia',
+    'Liechtenstein', 'Lithuania', 'Luxembourg', 'Malta', 'Netherlands', 'Norway', 'Poland',
+    'Portugal', 'Romania', 'Slovakia', 'Slovenia', 'Spain', 'Sweden'
+  ],
+  'Commonwealth': [
+    'Australia', 'Bangladesh', 'Botswana', 'Cameroon', 'Canada', 'Cyprus', 'Gambia', 'Ghana',
+    'India', 'Jamaica', 'Kenya', 'Lesotho', 'Malawi', 'Malaysia', 'Maldives', 'Malta',
+    'Mauritius', 'Mozambique', 'Namibia', 'New Zealand', 'Nigeria', 'Pakistan', 'Papua New Guinea',
+    'Rwanda', 'Sierra Leone', 'Singapore', 'South Africa', 'Sri Lanka', 'Tanzania', 'Togo',
+    'Trinidad and Tobago', 'Uganda', 'UK', 'Zambia'
+  ],
+  'Developing Countries': [
+    'Afghanistan', 'Bangladesh', 'Benin', 'Bolivia', 'Burkina Faso', 'Burundi', 'Cambodia',
+    'Cameroon', 'Chad', 'Colombia', 'Congo', 'Ecuador', 'Egypt', 'Ethiopia', 'Ghana', 'Guatemala',
+    'Haiti', 'Honduras', 'India', 'Indonesia', 'Iraq', 'Ivory Coast', 'Jordan', 'Kenya', 'Laos',
+    'Lebanon', 'Liberia', 'Madagascar', 'Malawi', 'Mali', 'Mongolia', 'Morocco', 'Mozambique',
+    'Myanmar', 'Nepal', 'Nicaragua', 'Niger', 'Nigeria', 'Pakistan', 'Palestine', 'Peru',
+    'Philippines', 'Rwanda', 'Senegal', 'Sierra Leone', 'Somalia', 'South Sudan', 'Sri Lanka',
+    'Sudan', 'Syria', 'Tajikistan', 'Tanzania', 'Timor-Leste', 'Togo', 'Tunisia', 'Uganda',
+    'Uzbekistan', 'Vietnam', 'Yemen', 'Zambia', 'Zimbabwe'
+  ]
+};
+
+// Rough IELTS-band equivalents so one test result can satisfy another test's minimum
+const IELTS_EQUIVALENTS = {
+  TOEFL: [[118, 9], [115, 8.5], [110, 8], [102, 7.5], [94, 7], [79, 6.5], [60, 6], [46, 5.5], [35, 5], [0, 4]],
+  PTE: [[86, 9], [83, 8.5], [79, 8], [73, 7.5], [65, 7], [58, 6.5], [50, 6], [43, 5.5], [36, 5], [0, 4]],
+  Duolingo: [[155, 8.5], [145, 8], [135, 7.5], [125, 7], [115, 6.5], [105, 6], [95, 5.5], [85, 5], [0, 4]]
+};
+
+function normalizeCountry(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return '';
+  return COUNTRY_ALIASES[trimmed.toLowerCase()] || trimmed;
+}
+
+/**
+ * Map free-text degree names ("MSc", "Doctoral", "undergraduate") onto DEGREE_LEVELS
+ */
+function normalizeDegreeLevel(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value) return null;
+  if (/post-?doc/.test(value)) return 'Postdoc';
+  if (/\bph\.?d\b|doctor|doctoral|dphil/.test(value)) return 'PhD';
+  if (/master|\bm\.?s\.?c?\b|\bm\.?a\b|\bmba\b|\bmeng\b|\bmphil\b|\bmres\b|\bmed\b|\bmfa\b|\bmtech\b|\bllm\b|postgraduate/.test(value)) return "Master's";
+  if (/bachelor|\bb\.?s\.?c?\b|\bb\.?a\b|\bbba\b|\bbeng\b|\bbed\b|\bbcom\b|\bbtech\b|\bllb\b|undergraduate/.test(value)) return "Bachelor's";
+  return null;
+}
+
+function normalizeLanguageTest(name) {
+  const value = String(name || '').toLowerCase();
+  return LANGUAGE_TESTS.find(test => value.includes(test.toLowerCase())) || null;
+}
+
+function toIeltsBand(test, score) {
+  if (score === null || score === undefined || isNaN(score)) return null;
+  if (test === 'IELTS') return Number(score);
+  const table = IELTS_EQUIVALENTS[test];
+  if (!table) return null;
+  const row = table.find(([min]) => score >= min);
+  return row ? row[1] : null;
+}
+
+function regionsContaining(country) {
+  const normalized = normalizeCountry(country);
+  return Object.keys(REGIONS).filter(region => REGIONS[region].includes(normalized));
+}
+
+/**
+ * Clean up an eligibility object from any source (seed data, scraper,
+ * admin edit) so stored values always use the shared vocabulary.
+ */
+function normalizeEligibility(data = {}) {
+  const toNumberOrNull = (value) => (value === null || value === undefined || value === '' || isNaN(value) ? null : Number(value));
+
+  return {
+    degreeLevels: [...new Set((data.degreeLevels || []).map(normalizeDegreeLevel).filter(Boolean))],
+    citizenships: [...new Set((data.citizenships || []).map(normalizeCountry).filter(Boolean))],
+    regions: (data.regions || []).filter(region => REGIONS[region]),
+    minAge: toNumberOrNull(data.minAge),
+    maxAge: toNumberOrNull(data.maxAge),
+    languageTests: (data.languageTests || [])
+      .map(t => ({ test: normalizeLanguageTest(t.test), minScore: toNumberOrNull(t.minScore) }))
+      .filter(t => t.test),
+    minWorkExperienceYears: toNumberOrNull(data.minWorkExperienceYears) || 0
+  };
+}
+
+function parseDurationYears(duration) {
+  const text = String(duration || '').toLowerCase();
+  const range = text.match(/(\d{4})\s*[-–to]+\s*(present|current|now|\d{4})/);
+  if (range) {
+    const end = /\d{4}/.test(range[2]) ? Number(range[2]) : new Date().getFullYear();
+    return Math.max(0, end - Number(range[1]));
+  }
+  const years = text.match(/(\d+(?:\.\d+)?)\s*(?:years?|yrs?)/);
+  const months = text.match(/(\d+)\s*months?/);
+  return (years ? Number(years[1]) : 0) + (months ? Number(months[1]) / 12 : 0);
+}
+
+/**
+ * Derive what matching and the eligibility checks need from a profile,
+ * either the API's Profile document or the web app's profile state.
+ */
+function buildApplicant(profile = {}) {
+  const education = profile.education || [];
+  const completed = education.map(e => normalizeDegreeLevel(e.degree)).filter(Boolean);
+
+  // Students usually want funding for the level after their highest completed degree
+  let targetDegreeLevel = normalizeDegreeLevel(profile.targetDegreeLevel);
+  // Unknown when no completed degree is recognised, rather than assuming Bachelor's
+  if (!targetDegreeLevel && completed.length > 0) {
+    const highest = Math.max(...completed.map(level => DEGREE_LEVELS.indexOf(level)));
+    targetDegreeLevel = DEGREE_LEVELS[Math.min(highest + 1, DEGREE_LEVELS.length - 1)];
+  }
+
+  // Unknown rather than zero when the profile says nothing about experience
+  let workExperienceYears = null;
+  if (profile.workExperienceYears !== undefined && profile.workExperienceYears !== null) {
+    workExperienceYears = Number(profile.workExperienceYears);
+  } else if ((profile.experience || []).length > 0) {
+    workExperienceYears = profile.experience.reduce((sum, e) => sum + parseDurationYears(e?.duration), 0);
+  }
+
+  return {
+    targetDegreeLevel,
+    citizenship: normalizeCountry(profile.citizenship),
+    dateOfBirth: profile.dateOfBirth ? new Date(profile.dateOfBirth) : null,
+    languageTests: (profile.languageTests || [])
+      .map(t => ({ test: normalizeLanguageTest(t.test), score: Number(t.score) }))
+      .filter(t => t.test && !isNaN(t.score)),
+    englishLevel: profile.englishLevel || null,
+    workExperienceYears,
+    fieldOfStudy: profile.fieldOfStudy || [],
+    targetCountries: profile.targetCountries || [],
+    gpa: Number(profile.gpa || education[0]?.gpa) || null,
+    hasProfileData: Boolean(
+      education.length || (profile.experience || []).length || (profile.skills || []).length ||
+      (profile.fieldOfStudy || []).length || (profile.targetCountries || []).length || profile.gpa > 0 ||
+      profile.citizenship || profile.targetDegreeLevel
+    )
+  };
+}
+
+function ageOn(dateOfBirth, date) {
+  let age = date.getFullYear() - dateOfBirth.getFullYear();
+  const beforeBirthday = date.getMonth() < dateOfBirth.getMonth() ||
+    (date.getMonth() === dateOfBirth.getMonth() && date.getDate() < dateOfBirth.getDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+/**
+ * Check an applicant against a scholarship's rules. Each verdict is true
+ * (meets), false (does not meet) or null (cannot tell from the profile);
+ * rules the scholarship does not set are always true.
+ */
+function checkEligibility(applicant, scholarship) {
+  const rules = normalizeEligibility(scholarship.eligibility || {});
+  const verdicts = {};
+
+  verdicts.degree = rules.degreeLevels.length === 0
+    ? true
+    : applicant.targetDegreeLevel ? rules.degreeLevels.includes(applicant.targetDegreeLevel) : null;
+
+  if (rules.citizenships.length === 0 && rules.regions.length === 0) {
+    verdicts.citizenship = true;
+  } else if (!applicant.citizenship) {
+    verdicts.citizenship = null;
+  } else {
+    verdicts.citizenship = rules.citizenships.includes(applicant.citizenship) ||
+      regionsContaining(applicant.citizenship).some(region => rules.regions.includes(region));
+  }
+
+  if (rules.minAge === null && rules.maxAge === null) {
+    verdicts.age = true;
+  } else if (!applicant.dateOfBirth || isNaN(applicant.dateOfBirth)) {
+    verdicts.age = null;
+  } else {
+    const age = ageOn(applicant.dateOfBirth, scholarship.deadline ? new Date(scholarship.deadline) : new Date());
+    verdicts.age = (rules.minAge === null || age >= rules.minAge) && (rules.maxAge === null || age <= rules.maxAge);
+  }
+
+  if (rules.languageTests.length === 0) {
+    verdicts.language = true;
+  } else if (applicant.englishLevel === 'native') {
+    verdicts.language = true;
+  } else if (applicant.languageTests.length === 0) {
+    verdicts.language = null;
+  } else {
+    // Any one accepted test at the required level is enough
+    verdicts.language = rules.languageTests.some(required => applicant.languageTests.some(taken => {
+      if (required.minScore === null) return true;
+      if (taken.test === required.test) return taken.score >= required.minScore;
+      const have = toIeltsBand(taken.test, taken.score);
+      const need = toIeltsBand(required.test, required.minScore);
+      return have !== null && need !== null && have >= need;
+    }));
+  }
+
+  if (!(rules.minWorkExperienceYears > 0)) {
+    verdicts.workExperience = true;
+  } else if (applicant.workExperienceYears === null || applicant.workExperienceYears === undefined) {
+    verdicts.workExperience = null;
+  } else {
+    verdicts.workExperience = applicant.workExperienceYears >= rules.minWorkExperienceYears;
+  }
+
+  return verdicts;
+}
+
+// A GPA this far under the minimum may still be considered; further below it is not
+const GPA_TOLERANCE = 0.3;
+
+const ELIGIBILITY_STATUSES = ['eligible', 'likely', 'ineligible'];
+
+/**
+ * Hard eligibility stage, run before scoring. Ineligible when any rule is
+ * definitely failed or the GPA is more than GPA_TOLERANCE below the minimum;
+ * likely eligible when something cannot be confirmed from the profile or the
+ * GPA falls just short; eligible otherwise. `failed` and `unknown` list the
+ * checks (checkEligibility's verdict keys plus 'gpa') behind the status.
+ */
+function classifyEligibility(applicant, scholarship, verdicts = checkEligibility(applicant, scholarship)) {
+  const minGPA = Number(scholarship.minGPA) || 0;
+  let gpa = true;
+  if (minGPA > 0) {
+    if (!applicant.gpa) gpa = null;
+    else if (applicant.gpa < minGPA) gpa = applicant.gpa >= minGPA - GPA_TOLERANCE ? null : false;
+  }
+
+  const checks = { ...verdicts, gpa };
+  const failed = Object.keys(checks).filter(key => checks[key] === false);
+  const unknown = Object.keys(checks).filter(key => checks[key] === null);
+  const status = failed.length > 0 ? 'ineligible' : unknown.length > 0 ? 'likely' : 'eligible';
+
+  return { status, failed, unknown };
+}
+
+/**
+ * Parse an `eligibility` filter ("eligible,likely") into known statuses;
+ * returns null when the filter is absent or names nothing valid.
+ */
+function parseEligibilityFilter(value) {
+  const statuses = String(value || '').split(',').map(s => s.trim()).filter(s => ELIGIBILITY_STATUSES.includes(s));
+  return statuses.length > 0 ? statuses : null;
+}
+
+export {
+  DEGREE_LEVELS,
+  ELIGIBILITY_STATUSES,
+  GPA_TOLERANCE,
+  LANGUAGE_TESTS,
+  COUNTRY_ALIASES,
+  REGIONS,
+  normalizeCountry,
+  normalizeDegreeLevel,
+  normalizeLanguageTest,
+  normalizeEligibility,
+  toIeltsBand,
+  regionsContaining,
+  parseDurationYears,
+  buildApplicant,
+  checkEligibility,
+  classifyEligibility,
+  parseEligibilityFilter
+};
@@ -0,0 +1,303 @@
+/**
+ * Match scoring shared by the API (/api/scholarships/match) and the web app
+ * (cards, detail page), so both always show the same percentage.
+ *
+ * A score is a weighted average of named criteria. Each criterion rates a
+ * scholarship from 0 to 1 for an applicant; weights are relative, so only
+ * their proportions matter. Deployments and users override DEFAULT_WEIGHTS
+ * through resolveWeights().
+ */
+import { buildApplicant, checkEligibility, classifyEligibility, normalizeEligibility } from './eligibility.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ineligible scholarships never score above this, however well the rest fits
+const INELIGIBLE_SCORE_CAP = 25;
+
+// Eligibility verdicts are true / false / null (cannot tell); unknown earns half credit
+const verdictValue = (verdict) => (verdict === true ? 1 : verdict === null ? 0.5 : 0);
+
+const listOf = (items, limit = 3) =>
+  items.length > limit ? `${items.slice(0, limit).join(', ')} and ${items.length - limit} more` : items.join(', ');
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const formatTests = (tests) =>
+  tests.map(t => (t.minScore ? `${t.test} ${t.minScore}` : t.test)).join(' or ');
+
+const ruleHints = {
+  age: 'Add your date of birth to your profile',
+  language: 'Add your English test scores to your profile',
+  workExperience: 'Add your years of work experience to your profile'
+};
+
+/**
+ * Criteria in display order. evaluate() rates the scholarship from 0 to 1;
+ * explain() says why in the student's terms and, when something can be
+ * improved or is missing from the profile, what to do about it.
+ */
+const MATCH_CRITERIA = [
+  {
+    id: 'degree',
+    label: 'Study level',
+    description: 'The scholarship funds the level you want to study',
+    evaluate: (applicant, scholarship, verdicts) => verdictValue(verdicts.degree),
+    explain: (applicant, scholarship, verdicts) => {
+      const { degreeLevels } = normalizeEligibility(scholarship.eligibility || {});
+      if (degreeLevels.length === 0) return { reason: 'Open to all study levels' };
+      if (verdicts.degree === null) {
+        return { reason: `Funds ${listOf(degreeLevels)} study`, hint: 'Set the level you want to study in your profile' };
+      }
+      return verdicts.degree
+        ? { reason: `Funds ${applicant.targetDegreeLevel} study` }
+        : { reason: `Funds ${listOf(degreeLevels)} study only, you want ${applicant.targetDegreeLevel}` };
+    }
+  },
+  {
+    id: 'citizenship',
+    label: 'Nationality',
+    description: 'Your citizenship is eligible',
+    evaluate: (applicant, scholarship, verdicts) => verdictValue(verdicts.citizenship),
+    explain: (applicant, scholarship, verdicts) => {
+      const { citizenships, regions } = normalizeEligibility(scholarship.eligibility || {});
+      const allowed = [...regions, ...citizenships];
+      if (allowed.length === 0) return { reason: 'Open to all nationalities' };
+      if (verdicts.citizenship === null) {
+        return { reason: `Only for citizens of ${listOf(allowed)}`, hint: 'Add your citizenship to your profile' };
+      }
+      return verdicts.citizenship
+        ? { reason: `Open to citizens of ${applicant.citizenship}` }
+        : { reason: `Only for citizens of ${listOf(allowed)}, not ${applicant.citizenship}` };
+    }
+  },
+  {
+    id: 'requirements',
+    label: 'Age, English test and experience',
+    description: 'You meet the age, language test and work experience rules',
+    evaluate: (applicant, scholarship, verdicts) =>
+      (verdictValue(verdicts.age) + verdictValue(verdicts.language) + verdictValue(verdicts.workExperience)) / 3,
+    explain: (applicant, scholarship, verdicts) => {
+      const rules = normalizeEligibility(scholarship.eligibility || {});
+      const problems = [];
+      const hints = [];
+
+      if (verdicts.age !== true) {
+        const range = rules.minAge !== null && rules.maxAge !== null ? `${rules.minAge}–${rules.maxAge}`
+          : rules.maxAge !== null ? `${rules.maxAge} or under` : `${rules.minAge} or over`;
+        problems.push(verdicts.age === null ? `applicants must be aged ${range}` : `you are outside the ${range} age limit`);
+        if (verdicts.age === null) hints.push(ruleHints.age);
+      }
+      if (verdicts.language !== true) {
+        const required = formatTests(rules.languageTests);
+        if (verdicts.language === null) {
+          problems.push(`${required} required, you listed ${applicant.englishLevel || 'no'} English`);
+          hints.push(ruleHints.language);
+        } else {
+          problems.push(`${required} required, your test scores are below that`);
+          hints.push(`Retake an English test to reach ${required}`);
+        }
+      }
+      if (verdicts.workExperience !== true) {
+        const required = `${plural(rules.minWorkExperienceYears, 'year')} of work experience required`;
+        if (verdicts.workExperience === null) {
+          problems.push(`${required}, your profile does not list any experience`);
+          hints.push(ruleHints.workExperience);
+        } else {
+          problems.push(`${required}, you have ${applicant.workExperienceYears}`);
+        }
+      }
+
+      if (problems.length === 0) {
+        const hasRules = rules.minAge !== null || rules.maxAge !== null ||
+          rules.languageTests.length > 0 || rules.minWorkExperienceYears > 0;
+        return { reason: hasRules ? 'You meet the age, English test and experience rules' : 'No age, English test or experience rules' };
+      }
+      const reason = problems.join('; ');
+      return { reason: reason[0].toUpperCase() + reason.slice(1), hint: hints.join('. ') || undefined };
+    }
+  },
+  {
+    id: 'field',
+    label: 'Field of study',
+    description: 'The scholarship covers a field you are interested in',
+    evaluate: (applicant, scholarship) => {
+      const fields = (scholarship.fieldOfStudy || []).map(f => f.toLowerCase());
+      if (fields.length === 0 || fields.includes('all fields')) return 1;
+      if (applicant.fieldOfStudy.length === 0) return 0.5;
+      return applicant.fieldOfStudy.some(uf => {
+        const wanted = uf.toLowerCase();
+        return fields.some(sf => sf.includes(wanted) || wanted.includes(sf));
+      }) ? 1 : 0;
+    },
+    explain: (applicant, scholarship, verdicts, now, value) => {
+      const fields = scholarship.fieldOfStudy || [];
+      if (fields.length === 0 || fields.some(f => f.toLowerCase() === 'all fields')) return { reason: 'Open to all fields of study' };
+      if (applicant.fieldOfStudy.length === 0) {
+        return { reason: `Covers ${listOf(fields)}`, hint: 'Add the fields you want to study to your profile' };
+      }
+      return value === 1
+        ? { reason: `Covers ${listOf(fields)}, which matches your interests` }
+        : { reason: `Covers ${listOf(fields)}, none of your fields` };
+    }
+  },
+  {
+    id: 'gpa',
+    label: 'GPA',
+    description: 'Your GPA meets the minimum',
+    evaluate: (applicant, scholarship) => {
+      const minGPA = Number(scholarship.minGPA) || 0;
+      if (minGPA === 0) return 1;
+      if (!applicant.gpa) return 0.5;
+      return applicant.gpa >= minGPA ? 1 : Math.max(0, 1 - (minGPA - applicant.gpa) * 2);
+    },
+    explain: (applicant, scholarship) => {
+      const minGPA = Number(scholarship.minGPA) || 0;
+      if (minGPA === 0) return { reason: 'No minimum GPA' };
+      if (!applicant.gpa) return { reason: `Minimum GPA ${minGPA}`, hint: 'Add your GPA to your profile' };
+      return applicant.gpa >= minGPA
+        ? { reason: `GPA ${applicant.gpa} meets required ${minGPA}` }
+        : {
+            reason: `GPA ${applicant.gpa} below required ${minGPA}`,
+            hint: 'Some committees weigh recent grades or experience, so check whether exceptions are considered'
+          };
+    }
+  },
+  {
+    id: 'destination',
+    label: 'Destination',
+    description: 'The scholarship is in one of your target countries',
+    evaluate: (applicant, scholarship) => {
+      if (applicant.targetCountries.length === 0) return 0.5;
+      if (applicant.targetCountries.includes(scholarship.country)) return 1;
+      return ['International', 'Various'].includes(scholarship.country) ? 0.75 : 0;
+    },
+    explain: (applicant, scholarship, verdicts, now, value) => {
+      if (applicant.targetCountries.length === 0) {
+        return { reason: `Study in ${scholarship.country || 'an unlisted country'}`, hint: 'Add the countries you want to study in to your profile' };
+      }
+      if (value === 1) return { reason: `Study in ${scholarship.country}, one of your target countries` };
+      if (value > 0) return { reason: 'Available in several countries, check which ones apply' };
+      return { reason: `Study in ${scholarship.country}, not one of your target countries` };
+    }
+  },
+  {
+    id: 'deadline',
+    label: 'Time to apply',
+    description: 'There is enough time left before the deadline',
+    evaluate: (applicant, scholarship, verdicts, now) => {
+      if (!scholarship.deadline) return 0.5;
+      const days = (new Date(scholarship.deadline) - now) / DAY_MS;
+      if (days > 30) return 1;
+      if (days > 7) return 0.6;
+      if (days > 0) return 0.2;
+      return 0;
+    },
+    explain: (applicant, scholarship, verdicts, now) => {
+      if (!scholarship.deadline) return { reason: 'No deadline listed', hint: 'Check the official website for the deadline' };
+      const days = Math.ceil((new Date(scholarship.deadline) - now) / DAY_MS);
+      if (days <= 0) return { reason: 'The deadline has passed', hint: 'Save it and check back for the next intake' };
+      if (days > 30) return { reason: `${plural(days, 'day')} left to apply` };
+      return { reason: `Only ${plural(days, 'day')} left to apply`, hint: 'Start your application now' };
+    }
+  },
+  {
+    id: 'funding',
+    label: 'Funding',
+    description: 'Fully funded scholarships rank higher',
+    evaluate: (applicant, scholarship) => {
+      if (scholarship.fundingType === 'Full Scholarship') return 1;
+      if (scholarship.fundingType === 'Partial Scholarship') return 0.4;
+      return 0.5;
+    },
+    explain: (applicant, scholarship) => {
+      if (scholarship.fundingType === 'Full Scholarship') return { reason: 'Fully funded' };
+      if (scholarship.fundingType === 'Partial Scholarship') {
+        return { reason: 'Partially funded', hint: 'Plan how you will cover the remaining costs' };
+      }
+      return { reason: 'Funding level not specified' };
+    }
+  }
+];
+
+const DEFAULT_WEIGHTS = {
+  degree: 20,
+  citizenship: 20,
+  requirements: 10,
+  field: 25,
+  gpa: 10,
+  destination: 5,
+  deadline: 5,
+  funding: 5
+};
+
+/**
+ * Merge weight overrides onto the defaults, later layers winning. Unknown
+ * criteria and negative or non-numeric values are ignored; if everything
+ * ends up zero the defaults are used so a score can still be computed.
+ */
+function resolveWeights(...layers) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+    for (const [id, value] of Object.entries(layer)) {
+      const weight = Number(value);
+      if (id in DEFAULT_WEIGHTS && value !== null && value !== '' && Number.isFinite(weight) && weight >= 0) {
+        weights[id] = weight;
+      }
+    }
+  }
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  return total > 0 ? weights : { ...DEFAULT_WEIGHTS };
+}
+
+/**
+ * Score one scholarship for an applicant from buildApplicant(). Use this in
+ * loops so the profile is only parsed once. Each criterion comes back with
+ * its points, a met / partial / unmet status, a reason and, unless met, a hint.
+ * `classification` is the hard eligibility stage; ineligible scores are capped.
+ */
+function scoreApplicant(applicant, scholarship, { weights = DEFAULT_WEIGHTS, now = new Date() } = {}) {
+  const verdicts = checkEligibility(applicant, scholarship);
+  const classification = classifyEligibility(applicant, scholarship, verdicts);
+  if (!applicant.hasProfileData) {
+    return { score: 0, criteria: [], eligibility: verdicts, classification };
+  }
+
+  const resolved = resolveWeights(weights);
+  const totalWeight = Object.values(resolved).reduce((sum, w) => sum + w, 0);
+
+  const criteria = MATCH_CRITERIA.map(criterion => {
+    const weight = resolved[criterion.id];
+    const value = Math.min(1, Math.max(0, criterion.evaluate(applicant, scholarship, verdicts, now)));
+    const { reason, hint } = criterion.explain(applicant, scholarship, verdicts, now, value);
+    return {
+      id: criterion.id,
+      label: criterion.label,
+      weight,
+      value,
+      points: Math.round((value * weight / totalWeight) * 1000) / 10,
+      maxPoints: Math.round((weight / totalWeight) * 1000) / 10,
+      status: value === 1 ? 'met' : value === 0 ? 'unmet' : 'partial',
+      reason,
+      hint: value === 1 ? null : hint || null
+    };
+  });
+
+  let score = Math.round((criteria.reduce((sum, c) => sum + c.value * c.weight, 0) / totalWeight) * 100);
+  if (classification.status === 'ineligible') score = Math.min(score, INELIGIBLE_SCORE_CAP);
+
+  return { score, criteria, eligibility: verdicts, classification };
+}
+
+function scoreMatch(profile, scholarship, options) {
+  return scoreApplicant(buildApplicant(profile), scholarship, options);
+}
+
+export {
+  MATCH_CRITERIA,
+  DEFAULT_WEIGHTS,
+  INELIGIBLE_SCORE_CAP,
+  resolveWeights,
+  scoreApplicant,
+  scoreMatch
+};
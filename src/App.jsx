@@ -5,19 +5,32 @@ import { ProtectedRoute } from './components/Auth'
 import HomePage from './pages/HomePage'
 import LoginPage from './pages/LoginPage'
 import RegisterPage from './pages/RegisterPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
 import ProfileSetupPage from './pages/ProfileSetupPage'
 import SearchPage from './pages/SearchPage'
 import ScholarshipDetailPage from './pages/ScholarshipDetailPage'
 import SavedPage from './pages/SavedPage'
 import DashboardPage from './pages/DashboardPage'
+import CalendarPage from './pages/CalendarPage'
+import AccountPage from './pages/AccountPage'
+import AdminPage from './pages/AdminPage'
 import NotFoundPage from './pages/NotFoundPage'
 import { userService } from './services/userService'
-import { setFullProfile } from './store/slices/profileSlice'
+import { setFullProfile, fetchMatchConfig } from './store/slices/profileSlice'
+import { useLiveUpdates } from './hooks/useLiveUpdates'
 
 function App() {
   const dispatch = useDispatch()
   const { isAuthenticated } = useSelector((state) => state.auth)
 
+  useLiveUpdates()
+
+  useEffect(() => {
+    dispatch(fetchMatchConfig())
+  }, [dispatch])
+
   useEffect(() => {
     const loadProfile = async () => {
       if (isAuthenticated) {
@@ -39,6 +52,9 @@ function App() {
       <Route path="/" element={<HomePage />} />
       <Route path="/login" element={<LoginPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
+      <Route path="/verify-email" element={<VerifyEmailPage />} />
       <Route path="/scholarships" element={<SearchPage />} />
       <Route path="/scholarships/:id" element={<ScholarshipDetailPage />} />
       <Route
@@ -65,6 +81,30 @@ function App() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/calendar"
+        element={
+          <ProtectedRoute>
+            <CalendarPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/account"
+        element={
+          <ProtectedRoute>
+            <AccountPage />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute roles={['admin', 'counselor']}>
+            <AdminPage />
+          </ProtectedRoute>
+        }
+      />
       <Route path="*" element={<NotFoundPage />} />
     </Routes>
   )
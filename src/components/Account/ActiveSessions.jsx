@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { authService } from '../../services/authService'
+import { formatRelativeTime } from '../../utils/formatters'
+import { Monitor, Smartphone, ShieldCheck } from 'lucide-react'
+
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device'
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser'
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'Unknown OS'
+  return `${browser} on ${os}`
+}
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const { addToast } = useToast()
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const data = await authService.getSessions()
+        setSessions(data)
+      } catch (error) {
+        console.error('Failed to load sessions:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchSessions()
+  }, [])
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await authService.revokeSession(sessionId)
+      setSessions((prev) => prev.filter((s) => s.id !== sessionId))
+      addToast({ type: 'success', message: 'Session signed out' })
+    } catch {
+      addToast({ type: 'error', message: 'Failed to sign out session' })
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    try {
+      const { revoked } = await authService.revokeOtherSessions()
+      setSessions((prev) => prev.filter((s) => s.current))
+      addToast({ type: 'success', message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}` })
+    } catch {
+      addToast({ type: 'error', message: 'Failed to sign out other sessions' })
+    }
+  }
+
+  const otherSessions = sessions.filter((s) => !s.current)
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-xl">
+            <ShieldCheck className="h-5 w-5" />
+            Active Sessions
+          </CardTitle>
+          {otherSessions.length > 0 && (
+            <Button variant="outline" size="sm" onClick={handleRevokeOthers}>
+              Sign out other devices
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : sessions.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No active sessions</p>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map((session) => {
+              const Icon = /iPhone|Android/.test(session.userAgent) ? Smartphone : Monitor
+              return (
+                <div key={session.id} className="flex items-center justify-between p-3 rounded-lg bg-gray-50">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <Icon className="h-5 w-5 text-gray-500 shrink-0" />
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 flex items-center gap-2">
+                        {describeDevice(session.userAgent)}
+                        {session.current && <Badge variant="success">This device</Badge>}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {session.ip || 'Unknown IP'} · Last active {formatRelativeTime(session.lastUsedAt)}
+                      </p>
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <Button variant="ghost" size="sm" onClick={() => handleRevoke(session.id)}>
+                      Sign out
+                    </Button>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ActiveSessions
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Input } from '../ui/input'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { userService } from '../../services/userService'
+import { CalendarDays, Copy, RefreshCw } from 'lucide-react'
+
+const CalendarFeed = () => {
+  const [url, setUrl] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const { addToast } = useToast()
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const data = await userService.getCalendarFeed()
+        setUrl(data.url)
+      } catch (error) {
+        console.error('Failed to load calendar feed:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchFeed()
+  }, [])
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      addToast({ type: 'success', message: 'Calendar link copied' })
+    } catch {
+      addToast({ type: 'error', message: 'Could not copy the link' })
+    }
+  }
+
+  const handleReset = async () => {
+    if (!window.confirm('Calendars subscribed to the current link will stop updating. Create a new link?')) return
+    try {
+      const data = await userService.resetCalendarFeed()
+      setUrl(data.url)
+      addToast({ type: 'success', message: 'New calendar link created' })
+    } catch {
+      addToast({ type: 'error', message: 'Failed to create a new calendar link' })
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <CalendarDays className="h-5 w-5" />
+          Calendar Feed
+        </CardTitle>
+        <p className="text-sm text-gray-500">
+          Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your saved
+          scholarship deadlines and interviews. Keep it private: anyone with the link can see them.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : !url ? (
+          <p className="text-gray-500 text-center py-4">The calendar link could not be loaded</p>
+        ) : (
+          <div className="space-y-3">
+            <div className="flex gap-2">
+              <Input value={url} readOnly onFocus={(e) => e.target.select()} aria-label="Calendar feed link" />
+              <Button variant="outline" onClick={handleCopy}>
+                <Copy className="h-4 w-4 mr-2" />
+                Copy
+              </Button>
+            </div>
+            <div className="flex items-center gap-4">
+              <a href={url.replace(/^https?:/, 'webcal:')} className="text-sm text-primary-500 hover:underline">
+                Open in calendar app
+              </a>
+              <Button variant="ghost" size="sm" onClick={handleReset}>
+                <RefreshCw className="h-4 w-4 mr-2" />
+                Create new link
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CalendarFeed
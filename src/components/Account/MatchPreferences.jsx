@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { saveMatchWeights } from '../../store/slices/profileSlice'
+import { resolveWeights } from '../../../shared/matchScoring.js'
+import { SlidersHorizontal } from 'lucide-react'
+
+const MatchPreferences = () => {
+  const dispatch = useDispatch()
+  const { addToast } = useToast()
+  const { matchCriteria, matchWeights, deploymentWeights } = useSelector((state) => state.profile)
+  const [draft, setDraft] = useState(null)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const weights = draft || resolveWeights(deploymentWeights, matchWeights)
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1
+
+  const setWeight = (id, value) => setDraft({ ...weights, [id]: Number(value) })
+
+  const save = async (nextWeights, message) => {
+    setIsSaving(true)
+    try {
+      await dispatch(saveMatchWeights(nextWeights)).unwrap()
+      setDraft(null)
+      addToast({ type: 'success', message })
+    } catch (error) {
+      addToast({ type: 'error', message: error || 'Failed to save match preferences' })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <SlidersHorizontal className="h-5 w-5" />
+          Match Preferences
+        </CardTitle>
+        <p className="text-sm text-gray-500">
+          Choose what matters most when we score scholarships for you. Weights are relative.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {matchCriteria.length === 0 ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="space-y-4">
+            {matchCriteria.map((criterion) => (
+              <div key={criterion.id}>
+                <div className="flex items-center justify-between text-sm">
+                  <label htmlFor={`weight-${criterion.id}`} className="font-medium text-gray-900">
+                    {criterion.label}
+                  </label>
+                  <span className="text-gray-500">{Math.round((weights[criterion.id] / total) * 100)}%</span>
+                </div>
+                <p className="text-xs text-gray-500 mb-1">{criterion.description}</p>
+                <input
+                  id={`weight-${criterion.id}`}
+                  type="range"
+                  min="0"
+                  max="50"
+                  step="1"
+                  value={weights[criterion.id]}
+                  onChange={(e) => setWeight(criterion.id, e.target.value)}
+                  className="w-full accent-primary-600"
+                />
+              </div>
+            ))}
+
+            <div className="flex gap-2 pt-2">
+              <Button disabled={!draft || isSaving} onClick={() => save(draft, 'Match preferences saved')}>
+                Save
+              </Button>
+              <Button
+                variant="outline"
+                disabled={isSaving}
+                onClick={() => save({}, 'Match preferences reset to defaults')}
+              >
+                Reset to defaults
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default MatchPreferences
@@ -0,0 +1,116 @@
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Checkbox } from '../ui/checkbox'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import {
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+  updateReminderLeadDays,
+} from '../../store/slices/notificationsSlice'
+import { Bell } from 'lucide-react'
+
+const CHANNELS = [
+  { id: 'inApp', label: 'In app' },
+  { id: 'email', label: 'Email' },
+]
+
+const LEAD_DAY_OPTIONS = [30, 14, 7, 3, 1]
+
+const NotificationPreferences = () => {
+  const dispatch = useDispatch()
+  const { addToast } = useToast()
+  const { preferences, types, reminderLeadDays } = useSelector((state) => state.notifications)
+
+  useEffect(() => {
+    dispatch(fetchNotificationPreferences())
+  }, [dispatch])
+
+  const toggle = async (type, channel, enabled) => {
+    try {
+      await dispatch(updateNotificationPreferences({ [type]: { [channel]: enabled } })).unwrap()
+    } catch (error) {
+      addToast({ type: 'error', message: error || 'Failed to update notification preferences' })
+      dispatch(fetchNotificationPreferences())
+    }
+  }
+
+  const toggleLeadDays = async (days, enabled) => {
+    const next = enabled
+      ? [...reminderLeadDays, days].sort((a, b) => b - a)
+      : reminderLeadDays.filter((d) => d !== days)
+    try {
+      await dispatch(updateReminderLeadDays(next)).unwrap()
+    } catch (error) {
+      addToast({ type: 'error', message: error || 'Failed to update reminder times' })
+      dispatch(fetchNotificationPreferences())
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <Bell className="h-5 w-5" />
+          Notifications
+        </CardTitle>
+        <p className="text-sm text-gray-500">
+          Choose what we tell you about and where. Emails go to verified addresses only.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {!preferences ? (
+          <LoadingSpinner />
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="pb-2 font-medium">Type</th>
+                {CHANNELS.map((channel) => (
+                  <th key={channel.id} className="pb-2 text-center font-medium w-20">{channel.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {types.map((type) => (
+                <tr key={type.id}>
+                  <td className="py-3 pr-4">
+                    <div className="font-medium text-gray-900">{type.label}</div>
+                    <div className="text-xs text-gray-500">{type.description}</div>
+                    {type.id === 'deadline_reminder' && (
+                      <div className="mt-2 flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                        <span>Remind me</span>
+                        {LEAD_DAY_OPTIONS.map((days) => (
+                          <label key={days} className="flex items-center gap-1">
+                            <Checkbox
+                              checked={reminderLeadDays.includes(days)}
+                              onCheckedChange={(checked) => toggleLeadDays(days, checked)}
+                            />
+                            {days === 1 ? '1 day' : `${days} days`}
+                          </label>
+                        ))}
+                        <span>before</span>
+                      </div>
+                    )}
+                  </td>
+                  {CHANNELS.map((channel) => (
+                    <td key={channel.id} className="py-3 text-center">
+                      <Checkbox
+                        checked={preferences[type.id][channel.id]}
+                        onCheckedChange={(checked) => toggle(type.id, channel.id, checked)}
+                        aria-label={`${type.label}: ${channel.label}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default NotificationPreferences
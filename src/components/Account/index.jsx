@@ -0,0 +1,4 @@
+export { default as ActiveSessions } from './ActiveSessions'
+export { default as CalendarFeed } from './CalendarFeed'
+export { default as MatchPreferences } from './MatchPreferences'
+export { default as NotificationPreferences } from './NotificationPreferences'
@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { adminService } from '../../services/adminService'
+import { formatDateShort } from '../../utils/formatters'
+import { RefreshCw } from 'lucide-react'
+
+const ScholarshipSummary = ({ scholarship }) => (
+  <div className="flex-1 min-w-0 p-3 rounded-lg bg-gray-50 text-sm">
+    <p className="font-medium text-gray-900">{scholarship.title}</p>
+    <p className="text-gray-500">
+      {scholarship.country} · {scholarship.deadline ? formatDateShort(scholarship.deadline) : 'No deadline'}
+      {scholarship.deadlineEstimated && ' (estimated)'}
+    </p>
+    <p className="text-gray-500">{scholarship.amount}</p>
+    <a
+      href={scholarship.sourceUrl}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-xs text-primary-600 hover:underline"
+    >
+      {scholarship.source}
+    </a>
+  </div>
+)
+
+const DuplicateReview = () => {
+  const { addToast } = useToast()
+  const [duplicates, setDuplicates] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [busyId, setBusyId] = useState(null)
+
+  useEffect(() => {
+    const fetchDuplicates = async () => {
+      try {
+        setDuplicates(await adminService.getDuplicates())
+      } catch (error) {
+        console.error('Failed to load duplicates:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchDuplicates()
+  }, [reloadKey])
+
+  const resolve = async (id, action) => {
+    setBusyId(id)
+    try {
+      const data = await action()
+      setDuplicates((prev) => prev.filter((d) => d._id !== id))
+      addToast({ type: 'success', message: data.message })
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to update duplicate' })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-xl">Possible Duplicates</CardTitle>
+          <Button variant="ghost" size="sm" onClick={() => setReloadKey((k) => k + 1)}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </div>
+        <p className="text-sm text-gray-500">
+          Listings from different sources that may be the same scholarship. Merging keeps one record and archives the other.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : duplicates.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No duplicates waiting for review</p>
+        ) : (
+          <div className="space-y-4">
+            {duplicates.map((candidate) => (
+              <div key={candidate._id} className="border border-gray-100 rounded-lg p-3">
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                  <Badge>{Math.round(candidate.score * 100)}% match</Badge>
+                  {candidate.reasons.map((reason) => (
+                    <span key={reason} className="text-xs text-gray-500">{reason}</span>
+                  ))}
+                </div>
+                <div className="flex flex-col md:flex-row gap-3 mb-3">
+                  <ScholarshipSummary scholarship={candidate.scholarship} />
+                  <ScholarshipSummary scholarship={candidate.duplicate} />
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    size="sm"
+                    disabled={busyId === candidate._id}
+                    onClick={() => resolve(candidate._id, () => adminService.mergeDuplicate(candidate._id, 'scholarship'))}
+                  >
+                    Keep left
+                  </Button>
+                  <Button
+                    size="sm"
+                    disabled={busyId === candidate._id}
+                    onClick={() => resolve(candidate._id, () => adminService.mergeDuplicate(candidate._id, 'duplicate'))}
+                  >
+                    Keep right
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={busyId === candidate._id}
+                    onClick={() => resolve(candidate._id, () => adminService.dismissDuplicate(candidate._id))}
+                  >
+                    Not a duplicate
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default DuplicateReview
@@ -0,0 +1,95 @@
+import { useEffect, useState } from 'react'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { adminService } from '../../services/adminService'
+import { formatRelativeTime } from '../../utils/formatters'
+
+const ACTION_VARIANTS = {
+  create: 'success',
+  archive: 'destructive',
+  restore: 'success',
+  rollback: 'warning',
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.join(', ') || '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const ScholarshipHistory = ({ scholarshipId, reloadKey = 0, onRolledBack }) => {
+  const { addToast } = useToast()
+  const [revisions, setRevisions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      setIsLoading(true)
+      try {
+        setRevisions(await adminService.getScholarshipRevisions(scholarshipId))
+      } catch (error) {
+        console.error('Failed to load revisions:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchRevisions()
+  }, [scholarshipId, reloadKey])
+
+  const handleRollback = async (revision) => {
+    if (!window.confirm(`Roll back revision ${revision}?`)) return
+    try {
+      const data = await adminService.rollbackScholarshipRevision(scholarshipId, revision)
+      addToast({ type: 'success', message: data.message })
+      onRolledBack?.(data.scholarship)
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Rollback failed' })
+    }
+  }
+
+  if (isLoading) return <LoadingSpinner />
+
+  if (revisions.length === 0) {
+    return <p className="text-gray-500 text-sm py-2">No history recorded for this scholarship</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      {revisions.map((rev) => (
+        <div key={rev._id} className="p-3 rounded-lg bg-gray-50 text-sm">
+          <div className="flex items-center justify-between mb-1">
+            <div className="flex items-center gap-2">
+              <span className="font-medium text-gray-900">#{rev.revision}</span>
+              <Badge variant={ACTION_VARIANTS[rev.action] || 'secondary'}>{rev.action}</Badge>
+              <span className="text-gray-500">
+                {rev.changedBy?.name || rev.source} · {formatRelativeTime(rev.createdAt)}
+              </span>
+            </div>
+            {rev.action !== 'create' && (
+              <Button variant="ghost" size="sm" onClick={() => handleRollback(rev.revision)}>
+                Roll back
+              </Button>
+            )}
+          </div>
+          {rev.note && <p className="text-gray-600 italic mb-1">{rev.note}</p>}
+          {rev.action !== 'create' && (
+            <ul className="space-y-0.5">
+              {rev.changes.map((change) => (
+                <li key={change.field} className="text-gray-700">
+                  <span className="font-medium">{change.field}</span>:{' '}
+                  <span className="line-through text-gray-400">{formatValue(change.from)}</span>{' '}
+                  → {formatValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default ScholarshipHistory
@@ -0,0 +1,252 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Input } from '../ui/input'
+import { Label } from '../ui/label'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { adminService } from '../../services/adminService'
+import { formatDate } from '../../utils/formatters'
+import ScholarshipHistory from './ScholarshipHistory'
+import { GraduationCap, Plus, X } from 'lucide-react'
+
+const EDITABLE_FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'university', label: 'University' },
+  { name: 'country', label: 'Country' },
+  { name: 'fundingType', label: 'Funding type' },
+  { name: 'amount', label: 'Amount' },
+  { name: 'deadline', label: 'Deadline', type: 'date' },
+  { name: 'applicationFee', label: 'Application fee', type: 'number' },
+  { name: 'minGPA', label: 'Minimum GPA', type: 'number' },
+  { name: 'applicationLink', label: 'Application link' },
+]
+
+const toFormValues = (scholarship = {}) => ({
+  ...Object.fromEntries(EDITABLE_FIELDS.map(({ name }) => [name, scholarship[name] ?? ''])),
+  deadline: scholarship.deadline ? new Date(scholarship.deadline).toISOString().slice(0, 10) : '',
+  description: scholarship.description || '',
+  note: '',
+})
+
+const ScholarshipManager = () => {
+  const { addToast } = useToast()
+  const [scholarships, setScholarships] = useState([])
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [status, setStatus] = useState('active')
+  const [isLoading, setIsLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [selected, setSelected] = useState(null)
+  const [isCreating, setIsCreating] = useState(false)
+  const [form, setForm] = useState(toFormValues())
+  const [historyKey, setHistoryKey] = useState(0)
+
+  useEffect(() => {
+    const fetchScholarships = async () => {
+      setIsLoading(true)
+      try {
+        const data = await adminService.getScholarships({ search: query, status })
+        setScholarships(data.scholarships)
+      } catch (error) {
+        console.error('Failed to load scholarships:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchScholarships()
+  }, [query, status, reloadKey])
+
+  const openEditor = (scholarship) => {
+    setIsCreating(false)
+    setSelected(scholarship)
+    setForm(toFormValues(scholarship))
+  }
+
+  const openCreator = () => {
+    setSelected(null)
+    setIsCreating(true)
+    setForm(toFormValues())
+  }
+
+  const closeEditor = () => {
+    setSelected(null)
+    setIsCreating(false)
+  }
+
+  const handleUpdated = (scholarship) => {
+    setSelected(scholarship)
+    setForm(toFormValues(scholarship))
+    setHistoryKey((k) => k + 1)
+    setReloadKey((k) => k + 1)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const { note, ...fields } = form
+    const payload = { ...fields, deadline: fields.deadline || null, note }
+
+    try {
+      if (isCreating) {
+        const data = await adminService.createScholarship(payload)
+        addToast({ type: 'success', message: 'Scholarship created' })
+        setIsCreating(false)
+        handleUpdated(data.scholarship)
+      } else {
+        const data = await adminService.updateScholarship(selected.id, payload)
+        addToast({ type: data.revision ? 'success' : 'info', message: data.message })
+        handleUpdated(data.scholarship)
+      }
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.error || error.response?.data?.message || 'Failed to save scholarship' })
+    }
+  }
+
+  const handleArchiveToggle = async (scholarship) => {
+    const archiving = scholarship.isActive !== false
+    if (archiving && !window.confirm(`Archive "${scholarship.title}"? It will be hidden from students.`)) return
+    try {
+      const data = archiving
+        ? await adminService.archiveScholarship(scholarship.id)
+        : await adminService.restoreScholarship(scholarship.id)
+      addToast({ type: 'success', message: data.message })
+      if (selected?.id === scholarship.id) handleUpdated(data.scholarship)
+      else setReloadKey((k) => k + 1)
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to update scholarship' })
+    }
+  }
+
+  const setField = (name) => (e) => setForm((prev) => ({ ...prev, [name]: e.target.value }))
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle className="flex items-center gap-2 text-xl">
+              <GraduationCap className="h-5 w-5" />
+              Scholarships
+            </CardTitle>
+            <Button variant="outline" size="sm" onClick={openCreator}>
+              <Plus className="h-4 w-4 mr-1" />
+              New
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <form
+            className="flex gap-2 mb-4"
+            onSubmit={(e) => {
+              e.preventDefault()
+              setQuery(search)
+            }}
+          >
+            <Input
+              placeholder="Search by title, university or id"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="rounded-lg border border-gray-300 bg-white px-2 py-1 text-sm"
+            >
+              <option value="active">Active</option>
+              <option value="archived">Archived</option>
+              <option value="">All</option>
+            </select>
+            <Button type="submit" variant="outline">Search</Button>
+          </form>
+
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : scholarships.length === 0 ? (
+            <p className="text-gray-500 text-center py-4">No scholarships found</p>
+          ) : (
+            <div className="space-y-2">
+              {scholarships.map((sch) => (
+                <div
+                  key={sch.id}
+                  className={`flex items-center justify-between p-3 rounded-lg text-sm ${
+                    selected?.id === sch.id ? 'bg-primary-50' : 'bg-gray-50'
+                  }`}
+                >
+                  <button type="button" className="text-left min-w-0" onClick={() => openEditor(sch)}>
+                    <p className="font-medium text-gray-900 truncate">{sch.title}</p>
+                    <p className="text-gray-500 truncate">
+                      {sch.university || sch.country} · updated {formatDate(sch.updatedAt)}
+                    </p>
+                  </button>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {sch.isActive === false && <Badge variant="secondary">archived</Badge>}
+                    <Button variant="ghost" size="sm" onClick={() => handleArchiveToggle(sch)}>
+                      {sch.isActive === false ? 'Restore' : 'Archive'}
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {(selected || isCreating) && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-xl">{isCreating ? 'New scholarship' : 'Edit scholarship'}</CardTitle>
+              <Button variant="ghost" size="sm" onClick={closeEditor}>
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSave} className="space-y-3">
+              {EDITABLE_FIELDS.map(({ name, label, type }) => (
+                <div key={name} className="space-y-1">
+                  <Label htmlFor={`sch-${name}`}>{label}</Label>
+                  <Input id={`sch-${name}`} type={type || 'text'} value={form[name]} onChange={setField(name)} />
+                </div>
+              ))}
+              <div className="space-y-1">
+                <Label htmlFor="sch-description">Description</Label>
+                <textarea
+                  id="sch-description"
+                  rows={4}
+                  value={form.description}
+                  onChange={setField('description')}
+                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm"
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="sch-note">Change note</Label>
+                <Input
+                  id="sch-note"
+                  placeholder="Why is this being changed? (optional)"
+                  value={form.note}
+                  onChange={setField('note')}
+                />
+              </div>
+              <Button type="submit">{isCreating ? 'Create' : 'Save changes'}</Button>
+            </form>
+
+            {selected && (
+              <div className="mt-6">
+                <h3 className="font-semibold text-gray-900 mb-3">History</h3>
+                <ScholarshipHistory
+                  scholarshipId={selected.id}
+                  reloadKey={historyKey}
+                  onRolledBack={handleUpdated}
+                />
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  )
+}
+
+export default ScholarshipManager
@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { adminService } from '../../services/adminService'
+import { formatRelativeTime } from '../../utils/formatters'
+import { RefreshCw } from 'lucide-react'
+
+const ScrapeRuns = () => {
+  const { addToast } = useToast()
+  const [runs, setRuns] = useState([])
+  const [status, setStatus] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    const fetchRuns = async () => {
+      try {
+        const data = await adminService.getScrapeRuns()
+        setRuns(data.runs)
+        setStatus(data.status)
+      } catch (error) {
+        console.error('Failed to load scrape runs:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchRuns()
+  }, [reloadKey])
+
+  const handleRunNow = async () => {
+    try {
+      const data = await adminService.startScrape()
+      setStatus(data.status)
+      addToast({ type: 'info', message: 'Scrape started. Refresh in a few minutes to see results.' })
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to start scrape' })
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-xl">Scrape Runs</CardTitle>
+          <div className="flex gap-2">
+            <Button variant="ghost" size="sm" onClick={() => setReloadKey((k) => k + 1)}>
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={handleRunNow} disabled={status?.isRunning}>
+              {status?.isRunning ? 'Running...' : 'Run now'}
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : runs.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No scrape runs recorded yet</p>
+        ) : (
+          <div className="space-y-2">
+            {runs.map((run) => (
+              <div key={run._id} className="flex items-center justify-between p-3 rounded-lg bg-gray-50 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{formatRelativeTime(run.timestamp)}</p>
+                  <p className="text-gray-500">
+                    {run.error || `${run.totalFound ?? 0} found, ${run.newAdded ?? 0} new, ${run.updated ?? 0} updated, ${run.merged ?? 0} merged, ${run.deactivated ?? 0} retired`}
+                  </p>
+                </div>
+                <Badge variant={run.status === 'failed' ? 'destructive' : 'success'}>
+                  {run.status || 'success'}
+                </Badge>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScrapeRuns
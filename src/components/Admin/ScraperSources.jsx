@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { Checkbox } from '../ui/checkbox'
+import { Input } from '../ui/input'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { adminService } from '../../services/adminService'
+import { formatRelativeTime } from '../../utils/formatters'
+
+const NUMBER_SETTINGS = [
+  { key: 'intervalHours', label: 'Every (h)' },
+  { key: 'maxPages', label: 'Pages' },
+  { key: 'maxDetailPages', label: 'Detail pages' },
+  { key: 'retries', label: 'Retries' },
+  { key: 'minDelay', label: 'Min delay (ms)' },
+  { key: 'maxDelay', label: 'Max delay (ms)' },
+  { key: 'timeout', label: 'Timeout (ms)' },
+]
+
+const ScraperSources = () => {
+  const { addToast } = useToast()
+  const [sources, setSources] = useState([])
+  const [rules, setRules] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+  // Bumped to reset edited inputs to the saved values after a failed save
+  const [revision, setRevision] = useState(0)
+
+  useEffect(() => {
+    const fetchSources = async () => {
+      try {
+        const data = await adminService.getScraperSources()
+        setSources(data.sources)
+        setRules(data.settings)
+      } catch (error) {
+        console.error('Failed to load scraper sources:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchSources()
+  }, [])
+
+  const save = async (id, settings) => {
+    try {
+      const data = await adminService.updateScraperSource(id, settings)
+      setSources((prev) => prev.map((s) => (s.id === id ? data.source : s)))
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to update source' })
+      setRevision((r) => r + 1)
+    }
+  }
+
+  const handleNumberBlur = (source, key, raw) => {
+    const value = raw === '' ? null : Number(raw)
+    if (value === (source.overrides[key] ?? null)) return
+    save(source.id, { [key]: value })
+  }
+
+  const handleRun = async (id) => {
+    try {
+      await adminService.startScrape([id])
+      addToast({ type: 'info', message: 'Scrape started. Refresh the runs below in a few minutes.' })
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to start scrape' })
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-xl">Scraper Sources</CardTitle>
+        <p className="text-sm text-gray-500">
+          Changes apply from the next scheduled check. Clear a field to go back to the configured default.
+        </p>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pb-2 pr-3 font-medium">Source</th>
+                  <th className="pb-2 pr-3 font-medium">On</th>
+                  {NUMBER_SETTINGS.map((setting) => (
+                    <th key={setting.key} className="pb-2 pr-3 font-medium whitespace-nowrap">{setting.label}</th>
+                  ))}
+                  <th className="pb-2 font-medium">Last run</th>
+                  <th className="pb-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sources.map((source) => (
+                  <tr key={source.id}>
+                    <td className="py-2 pr-3">
+                      <div className="font-medium text-gray-900">{source.label}</div>
+                      <div className="text-xs text-gray-500">{source.id}</div>
+                    </td>
+                    <td className="py-2 pr-3">
+                      <Checkbox
+                        checked={source.settings.enabled}
+                        onCheckedChange={(checked) => save(source.id, { enabled: checked })}
+                        aria-label={`Enable ${source.label}`}
+                      />
+                    </td>
+                    {NUMBER_SETTINGS.map((setting) => (
+                      <td key={setting.key} className="py-2 pr-3">
+                        <Input
+                          key={`${revision}-${source.overrides[setting.key] ?? ''}`}
+                          type="number"
+                          min={rules[setting.key]?.min}
+                          max={rules[setting.key]?.max}
+                          defaultValue={source.overrides[setting.key] ?? ''}
+                          placeholder={String(source.settings[setting.key])}
+                          onBlur={(e) => handleNumberBlur(source, setting.key, e.target.value)}
+                          className="h-8 w-24"
+                          aria-label={`${source.label}: ${setting.label}`}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-2 pr-3 whitespace-nowrap">
+                      {source.lastRunAt ? (
+                        <div className="flex items-center gap-2">
+                          <Badge variant={source.lastStatus === 'failed' ? 'destructive' : 'success'}>
+                            {source.lastStatus === 'failed' ? 'failed' : `${source.lastCount} found`}
+                          </Badge>
+                          <span className="text-xs text-gray-500" title={source.lastError}>
+                            {formatRelativeTime(source.lastRunAt)}
+                          </span>
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-500">Never</span>
+                      )}
+                    </td>
+                    <td className="py-2">
+                      <Button variant="outline" size="sm" onClick={() => handleRun(source.id)}>
+                        Run
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScraperSources
@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Input } from '../ui/input'
+import { Button } from '../ui/button'
+import { LoadingSpinner } from '../Common'
+import { useToast } from '../ui/toast'
+import { useAuth } from '../../hooks/useAuth'
+import { adminService } from '../../services/adminService'
+import { formatDate } from '../../utils/formatters'
+import { USER_ROLES } from '../../utils/constants'
+import { Users } from 'lucide-react'
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth()
+  const { addToast } = useToast()
+  const [users, setUsers] = useState([])
+  const [search, setSearch] = useState('')
+  const [query, setQuery] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const isAdmin = currentUser?.role === 'admin'
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setIsLoading(true)
+      try {
+        const data = await adminService.getUsers({ search: query })
+        setUsers(data.users)
+      } catch (error) {
+        console.error('Failed to load users:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+    fetchUsers()
+  }, [query])
+
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const { user } = await adminService.updateUser(userId, { role })
+      setUsers((prev) => prev.map((u) => (u._id === userId ? user : u)))
+      addToast({ type: 'success', message: `Role changed to ${role}` })
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to change role' })
+    }
+  }
+
+  const handleDelete = async (userId, email) => {
+    if (!window.confirm(`Delete ${email} and all their data?`)) return
+    try {
+      await adminService.deleteUser(userId)
+      setUsers((prev) => prev.filter((u) => u._id !== userId))
+      addToast({ type: 'success', message: 'User deleted' })
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to delete user' })
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-xl">
+          <Users className="h-5 w-5" />
+          Users
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form
+          className="flex gap-2 mb-4"
+          onSubmit={(e) => {
+            e.preventDefault()
+            setQuery(search)
+          }}
+        >
+          <Input
+            placeholder="Search by name or email"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <Button type="submit" variant="outline">Search</Button>
+        </form>
+
+        {isLoading ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4">Name</th>
+                  <th className="py-2 pr-4">Email</th>
+                  <th className="py-2 pr-4">Joined</th>
+                  <th className="py-2 pr-4">Role</th>
+                  {isAdmin && <th className="py-2" />}
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((u) => (
+                  <tr key={u._id} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{u.name}</td>
+                    <td className="py-2 pr-4 text-gray-600">{u.email}</td>
+                    <td className="py-2 pr-4 text-gray-600">{formatDate(u.createdAt)}</td>
+                    <td className="py-2 pr-4">
+                      {isAdmin ? (
+                        <select
+                          value={u.role || 'student'}
+                          onChange={(e) => handleRoleChange(u._id, e.target.value)}
+                          disabled={u._id === currentUser?.id}
+                          className="rounded-lg border border-gray-300 bg-white px-2 py-1 text-sm"
+                        >
+                          {USER_ROLES.map((role) => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className="capitalize">{u.role || 'student'}</span>
+                      )}
+                    </td>
+                    {isAdmin && (
+                      <td className="py-2 text-right">
+                        {u._id !== currentUser?.id && (
+                          <Button variant="ghost" size="sm" onClick={() => handleDelete(u._id, u.email)}>
+                            Delete
+                          </Button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default UserManagement
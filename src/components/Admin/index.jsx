@@ -0,0 +1,6 @@
+export { default as UserManagement } from './UserManagement'
+export { default as ScrapeRuns } from './ScrapeRuns'
+export { default as ScraperSources } from './ScraperSources'
+export { default as ScholarshipManager } from './ScholarshipManager'
+export { default as ScholarshipHistory } from './ScholarshipHistory'
+export { default as DuplicateReview } from './DuplicateReview'
@@ -0,0 +1,43 @@
+import { useState } from 'react'
+import { useAuth } from '../../hooks/useAuth'
+import { authService } from '../../services/authService'
+import { Button } from '../ui/button'
+import { useToast } from '../ui/toast'
+import { MailWarning } from 'lucide-react'
+
+const EmailVerificationBanner = () => {
+  const { user } = useAuth()
+  const { addToast } = useToast()
+  const [isSending, setIsSending] = useState(false)
+
+  // Accounts created before verification existed have no flag; only nag explicit `false`
+  if (!user || user.emailVerified !== false) return null
+
+  const handleResend = async () => {
+    setIsSending(true)
+    try {
+      await authService.resendVerification()
+      addToast({ type: 'success', message: `Verification email sent to ${user.email}` })
+    } catch (err) {
+      addToast({ type: 'error', message: err.response?.data?.message || 'Could not send verification email' })
+    } finally {
+      setIsSending(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center justify-between gap-4 rounded-lg border border-amber-200 bg-amber-50 p-4">
+      <div className="flex items-center gap-3">
+        <MailWarning className="h-5 w-5 text-amber-600 shrink-0" />
+        <p className="text-sm text-amber-800">
+          Please verify your email address to receive scholarship alerts and deadline reminders.
+        </p>
+      </div>
+      <Button variant="outline" size="sm" onClick={handleResend} disabled={isSending}>
+        {isSending ? 'Sending...' : 'Resend email'}
+      </Button>
+    </div>
+  )
+}
+
+export default EmailVerificationBanner
@@ -0,0 +1,82 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { forgotPasswordSchema } from '../../utils/validators'
+import { authService } from '../../services/authService'
+import { Link } from 'react-router-dom'
+import { Input } from '../ui/input'
+import { Button } from '../ui/button'
+import { Label } from '../ui/label'
+import { useState } from 'react'
+
+const ForgotPasswordForm = () => {
+  const [error, setError] = useState(null)
+  const [sent, setSent] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(forgotPasswordSchema),
+  })
+
+  const onSubmit = async (data) => {
+    setError(null)
+    try {
+      await authService.forgotPassword(data.email)
+      setSent(true)
+    } catch (err) {
+      console.error(err)
+      setError(err.response?.data?.message || 'Could not send reset email. Please try again.')
+    }
+  }
+
+  if (sent) {
+    return (
+      <div className="space-y-4 text-center">
+        <p className="text-gray-700">
+          If an account exists for that email, we've sent a link to reset your password. The link expires in 1 hour.
+        </p>
+        <Link to="/login" className="text-primary-500 hover:underline font-medium">
+          Back to login
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      {error && (
+        <div className="p-3 text-sm text-red-500 bg-red-50 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="email">Email</Label>
+        <Input
+          id="email"
+          type="email"
+          placeholder="you@example.com"
+          {...register('email')}
+        />
+        {errors.email && (
+          <p className="text-sm text-red-500">{errors.email.message}</p>
+        )}
+      </div>
+
+      <Button type="submit" className="w-full text-black border border-black cursor-pointer" disabled={isSubmitting}>
+        {isSubmitting ? 'Sending...' : 'Send reset link'}
+      </Button>
+
+      <p className="text-center text-sm text-gray-600">
+        Remembered it?{' '}
+        <Link to="/login" className="text-primary-500 hover:underline font-medium">
+          Login
+        </Link>
+      </p>
+    </form>
+  )
+}
+
+export default ForgotPasswordForm
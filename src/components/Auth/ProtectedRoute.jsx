@@ -2,8 +2,8 @@ import { Navigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../../hooks/useAuth'
 import LoadingSpinner from '../Common/LoadingSpinner'
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth()
+const ProtectedRoute = ({ children, roles }) => {
+  const { isAuthenticated, isLoading, user } = useAuth()
   const location = useLocation()
 
   if (isLoading) {
@@ -18,6 +18,10 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />
   }
 
+  if (roles && !roles.includes(user?.role || 'student')) {
+    return <Navigate to="/dashboard" replace />
+  }
+
   return children
 }
 
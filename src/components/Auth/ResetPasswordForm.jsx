@@ -0,0 +1,90 @@
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { resetPasswordSchema } from '../../utils/validators'
+import { authService } from '../../services/authService'
+import { Link, useNavigate } from 'react-router-dom'
+import { Input } from '../ui/input'
+import { Button } from '../ui/button'
+import { Label } from '../ui/label'
+import { useToast } from '../ui/toast'
+import { useState } from 'react'
+
+const ResetPasswordForm = ({ token }) => {
+  const navigate = useNavigate()
+  const { addToast } = useToast()
+  const [error, setError] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resetPasswordSchema),
+  })
+
+  const onSubmit = async (data) => {
+    setError(null)
+    try {
+      const result = await authService.resetPassword(token, data.password)
+      addToast({ type: 'success', message: result.message })
+      navigate('/login')
+    } catch (err) {
+      console.error(err)
+      setError(err.response?.data?.message || 'Password reset failed. Please try again.')
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="space-y-4 text-center">
+        <p className="text-gray-700">This reset link is missing its token.</p>
+        <Link to="/forgot-password" className="text-primary-500 hover:underline font-medium">
+          Request a new link
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      {error && (
+        <div className="p-3 text-sm text-red-500 bg-red-50 rounded-lg">
+          {error}{' '}
+          <Link to="/forgot-password" className="underline">Request a new link</Link>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="password">New Password</Label>
+        <Input
+          id="password"
+          type="password"
+          placeholder="Create a new password"
+          {...register('password')}
+        />
+        {errors.password && (
+          <p className="text-sm text-red-500">{errors.password.message}</p>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="confirmPassword">Confirm Password</Label>
+        <Input
+          id="confirmPassword"
+          type="password"
+          placeholder="Confirm your new password"
+          {...register('confirmPassword')}
+        />
+        {errors.confirmPassword && (
+          <p className="text-sm text-red-500">{errors.confirmPassword.message}</p>
+        )}
+      </div>
+
+      <Button type="submit" className="w-full text-black border border-black cursor-pointer" disabled={isSubmitting}>
+        {isSubmitting ? 'Resetting...' : 'Reset password'}
+      </Button>
+    </form>
+  )
+}
+
+export default ResetPasswordForm
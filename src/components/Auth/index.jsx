@@ -1,3 +1,6 @@
 export { default as LoginForm } from './LoginForm'
 export { default as RegisterForm } from './RegisterForm'
 export { default as ProtectedRoute } from './ProtectedRoute'
+export { default as ForgotPasswordForm } from './ForgotPasswordForm'
+export { default as ResetPasswordForm } from './ResetPasswordForm'
+export { default as EmailVerificationBanner } from './EmailVerificationBanner'
@@ -0,0 +1,137 @@
+import { useState } from 'react'
+import { format } from 'date-fns'
+import { Button } from '../ui/button'
+import { Input } from '../ui/input'
+import { Label } from '../ui/label'
+import { Checkbox } from '../ui/checkbox'
+import { Select, SelectItem } from '../ui/select'
+
+const KINDS = [
+  { value: 'task', label: 'Task' },
+  { value: 'interview', label: 'Interview' },
+]
+
+const initialValues = (task, date) => {
+  const start = task ? new Date(task.start) : date
+  return {
+    kind: 'task',
+    title: task?.title || '',
+    notes: task?.notes || '',
+    date: format(start, 'yyyy-MM-dd'),
+    time: task && !task.allDay ? format(start, 'HH:mm') : '',
+    scholarshipId: task?.scholarshipId || '',
+    completed: Boolean(task?.completed),
+  }
+}
+
+/**
+ * Add a task or an interview, or edit a task. Submits { kind, title,
+ * notes, when, allDay, scholarshipId, completed }.
+ */
+const CalendarEntryForm = ({ task, date, savedOptions, onSubmit, onDelete, onCancel }) => {
+  const [values, setValues] = useState(() => initialValues(task, date))
+  const [error, setError] = useState('')
+  const isInterview = values.kind === 'interview'
+
+  const set = (field) => (value) => setValues((current) => ({ ...current, [field]: value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (isInterview && (!values.scholarshipId || !values.time)) {
+      setError('Choose the scholarship and the time of the interview')
+      return
+    }
+    if (!isInterview && !values.title.trim()) {
+      setError('Give the task a title')
+      return
+    }
+    const when = new Date(`${values.date}T${values.time || '00:00'}`)
+    onSubmit({ ...values, title: values.title.trim(), when, allDay: !values.time })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {!task && (
+        <div className="space-y-1">
+          <Label htmlFor="entry-kind">Add</Label>
+          <Select id="entry-kind" value={values.kind} onValueChange={set('kind')}>
+            {KINDS.map((kind) => (
+              <SelectItem key={kind.value} value={kind.value}>{kind.label}</SelectItem>
+            ))}
+          </Select>
+        </div>
+      )}
+
+      {!isInterview && (
+        <div className="space-y-1">
+          <Label htmlFor="entry-title">Title</Label>
+          <Input
+            id="entry-title"
+            value={values.title}
+            onChange={(e) => set('title')(e.target.value)}
+            placeholder="e.g. Ask for reference letters"
+            maxLength={200}
+          />
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="entry-date">Date</Label>
+          <Input id="entry-date" type="date" value={values.date} onChange={(e) => set('date')(e.target.value)} required />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="entry-time">Time{!isInterview && ' (optional)'}</Label>
+          <Input id="entry-time" type="time" value={values.time} onChange={(e) => set('time')(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <Label htmlFor="entry-scholarship">Scholarship{!isInterview && ' (optional)'}</Label>
+        <Select id="entry-scholarship" value={values.scholarshipId} onValueChange={set('scholarshipId')}>
+          <SelectItem value="">{isInterview ? 'Choose a saved scholarship' : 'None'}</SelectItem>
+          {savedOptions.map((option) => (
+            <SelectItem key={option.id} value={option.id}>{option.title}</SelectItem>
+          ))}
+        </Select>
+      </div>
+
+      {!isInterview && (
+        <div className="space-y-1">
+          <Label htmlFor="entry-notes">Notes</Label>
+          <textarea
+            id="entry-notes"
+            value={values.notes}
+            onChange={(e) => set('notes')(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+      )}
+
+      {task && (
+        <label className="flex items-center gap-2 text-sm">
+          <Checkbox checked={values.completed} onCheckedChange={set('completed')} />
+          Done
+        </label>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-between gap-2">
+        {task ? (
+          <Button type="button" variant="ghost" className="text-red-600" onClick={onDelete}>
+            Delete
+          </Button>
+        ) : <span />}
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" onClick={onCancel}>Cancel</Button>
+          <Button type="submit">{task ? 'Save' : 'Add'}</Button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+export default CalendarEntryForm
@@ -0,0 +1,140 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { format, isSameDay, isSameMonth, isToday } from 'date-fns'
+import { APPLICATION_STATUS } from '../../utils/constants'
+import { cn } from '../../lib/utils'
+import { Clock, Users, CheckSquare } from 'lucide-react'
+
+// Chip colours per APPLICATION_STATUS colour name
+const STATUS_CLASSES = {
+  default: 'bg-primary-100 text-primary-800 border-primary-200',
+  warning: 'bg-amber-100 text-amber-800 border-amber-200',
+  info: 'bg-blue-100 text-blue-800 border-blue-200',
+  success: 'bg-green-100 text-green-800 border-green-200',
+  destructive: 'bg-red-100 text-red-800 border-red-200',
+}
+
+const TASK_CLASSES = 'bg-purple-100 text-purple-800 border-purple-200'
+
+const statusClasses = (status) =>
+  STATUS_CLASSES[APPLICATION_STATUS.find((s) => s.value === status)?.color || 'default']
+
+const KIND_ICONS = { deadline: Clock, interview: Users, task: CheckSquare }
+
+export const CalendarLegend = () => (
+  <div className="flex flex-wrap items-center gap-2 text-xs">
+    {APPLICATION_STATUS.map((status) => (
+      <span key={status.value} className={cn('rounded border px-2 py-0.5', STATUS_CLASSES[status.color])}>
+        {status.label}
+      </span>
+    ))}
+    <span className={cn('rounded border px-2 py-0.5', TASK_CLASSES)}>My tasks</span>
+    <span className="flex items-center gap-1 text-gray-500"><Clock className="h-3 w-3" /> Deadline</span>
+    <span className="flex items-center gap-1 text-gray-500"><Users className="h-3 w-3" /> Interview</span>
+  </div>
+)
+
+const EntryChip = ({ entry, onTaskClick }) => {
+  const Icon = KIND_ICONS[entry.kind]
+  const time = entry.allDay ? null : format(new Date(entry.start), 'HH:mm')
+  const label = (
+    <>
+      <Icon className="h-3 w-3 shrink-0" />
+      {time && <span className="shrink-0">{time}</span>}
+      <span className={cn('truncate', entry.completed && 'line-through opacity-60')}>{entry.title}</span>
+    </>
+  )
+  const className = 'flex items-center gap-1 rounded border px-1.5 py-0.5 text-xs'
+
+  if (entry.kind === 'task') {
+    return (
+      <button
+        type="button"
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/plain', entry.id)
+          e.dataTransfer.effectAllowed = 'move'
+        }}
+        onClick={() => onTaskClick(entry)}
+        className={cn(className, TASK_CLASSES, 'w-full cursor-grab text-left')}
+        title={`${entry.title} (drag to reschedule)`}
+      >
+        {label}
+      </button>
+    )
+  }
+
+  return (
+    <Link
+      to={`/scholarships/${entry.scholarshipId}`}
+      className={cn(className, statusClasses(entry.status), 'hover:opacity-80')}
+      title={`${entry.kind === 'interview' ? 'Interview' : 'Deadline'}: ${entry.title}`}
+    >
+      {label}
+    </Link>
+  )
+}
+
+/**
+ * Month or week grid of calendar entries. Tasks can be dragged to another
+ * day; `onMoveTask(entry, day)` is called with the day they were dropped on.
+ */
+const CalendarView = ({ days, cursor, view, entries, onMoveTask, onTaskClick }) => {
+  const [dropTarget, setDropTarget] = useState(null)
+
+  const handleDrop = (e, day) => {
+    e.preventDefault()
+    setDropTarget(null)
+    const entry = entries.find((item) => item.id === e.dataTransfer.getData('text/plain'))
+    if (entry && !isSameDay(new Date(entry.start), day)) {
+      onMoveTask(entry, day)
+    }
+  }
+
+  return (
+    <div className="overflow-hidden rounded-lg border border-gray-200 bg-white">
+      <div className="grid grid-cols-7 border-b border-gray-200 bg-gray-50">
+        {days.slice(0, 7).map((day) => (
+          <div key={day.toISOString()} className="px-2 py-2 text-center text-xs font-medium uppercase text-gray-500">
+            {format(day, 'EEE')}
+          </div>
+        ))}
+      </div>
+      <div className="grid grid-cols-7">
+        {days.map((day) => {
+          const dayEntries = entries.filter((entry) => isSameDay(new Date(entry.start), day))
+          const key = day.toISOString()
+          return (
+            <div
+              key={key}
+              onDragOver={(e) => {
+                e.preventDefault()
+                setDropTarget(key)
+              }}
+              onDragLeave={() => setDropTarget((current) => (current === key ? null : current))}
+              onDrop={(e) => handleDrop(e, day)}
+              className={cn(
+                'border-b border-r border-gray-100 p-1.5 space-y-1',
+                view === 'week' ? 'min-h-[16rem]' : 'min-h-[6.5rem]',
+                view === 'month' && !isSameMonth(day, cursor) && 'bg-gray-50 text-gray-400',
+                dropTarget === key && 'bg-primary-50'
+              )}
+            >
+              <div className={cn(
+                'flex h-6 w-6 items-center justify-center rounded-full text-xs font-medium',
+                isToday(day) && 'bg-primary-500 text-white'
+              )}>
+                {format(day, 'd')}
+              </div>
+              {dayEntries.map((entry) => (
+                <EntryChip key={entry.id} entry={entry} onTaskClick={onTaskClick} />
+              ))}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default CalendarView
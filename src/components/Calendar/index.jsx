@@ -0,0 +1,2 @@
+export { default as CalendarView, CalendarLegend } from './CalendarView'
+export { default as CalendarEntryForm } from './CalendarEntryForm'
@@ -1,6 +1,7 @@
 import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../../hooks/useAuth'
 import { Button } from '../ui/button'
+import NotificationBell from './NotificationBell'
 import { GraduationCap, Menu, X, LogOut } from 'lucide-react'
 import { useState } from 'react'
 
@@ -9,6 +10,7 @@ const Header = () => {
   const navigate = useNavigate()
   const location = useLocation()
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false)
+  const canAdminister = ['admin', 'counselor'].includes(user?.role)
 
   const handleLogout = () => {
     logout()
@@ -33,6 +35,17 @@ const Header = () => {
               <Link to="/dashboard" className="text-sm font-medium text-gray-600 hover:text-primary-500">
                 Dashboard
               </Link>
+              <Link to="/calendar" className="text-sm font-medium text-gray-600 hover:text-primary-500">
+                Calendar
+              </Link>
+              <Link to="/account" className="text-sm font-medium text-gray-600 hover:text-primary-500">
+                Account
+              </Link>
+              {canAdminister && (
+                <Link to="/admin" className="text-sm font-medium text-gray-600 hover:text-primary-500">
+                  Admin
+                </Link>
+              )}
             </>
           )}
         </nav>
@@ -45,6 +58,7 @@ const Header = () => {
           )}
           {isAuthenticated ? (
             <div className="flex items-center gap-4">
+              <NotificationBell />
               <span className="text-sm text-gray-600">Welcome, {user?.name || 'User'}</span>
               <Button variant="outline" size="sm" onClick={handleLogout}>
                 <LogOut className="h-4 w-4 mr-2 hover:cursor-pointer" />
@@ -75,6 +89,29 @@ const Header = () => {
                 >
                   Dashboard
                 </Link>
+                <Link 
+                  to="/calendar" 
+                  className="text-sm font-medium text-gray-600 hover:text-primary-500"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Calendar
+                </Link>
+                <Link 
+                  to="/account" 
+                  className="text-sm font-medium text-gray-600 hover:text-primary-500"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Account
+                </Link>
+                {canAdminister && (
+                  <Link 
+                    to="/admin" 
+                    className="text-sm font-medium text-gray-600 hover:text-primary-500"
+                    onClick={() => setMobileMenuOpen(false)}
+                  >
+                    Admin
+                  </Link>
+                )}
                 <Button variant="outline" onClick={handleLogout} className="w-full">
                   <LogOut className="h-4 w-4 mr-2 hover:cursor-pointer" />
                   Logout
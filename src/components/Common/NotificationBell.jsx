@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../../store/slices/notificationsSlice'
+import { formatRelativeTime } from '../../utils/formatters'
+import { cn } from '../../lib/utils'
+import { Bell, CalendarClock, Search, RefreshCw, AlertCircle } from 'lucide-react'
+
+const TYPE_ICONS = {
+  deadline_reminder: <CalendarClock className="h-4 w-4 shrink-0 text-amber-500" />,
+  saved_search_match: <Search className="h-4 w-4 shrink-0 text-primary-500" />,
+  status_change: <AlertCircle className="h-4 w-4 shrink-0 text-red-500" />,
+  scholarship_update: <RefreshCw className="h-4 w-4 shrink-0 text-blue-500" />,
+}
+
+const NotificationBell = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const { items, unreadCount } = useSelector((state) => state.notifications)
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // New notifications arrive over the live event stream (useLiveUpdates)
+  useEffect(() => {
+    dispatch(fetchNotifications())
+  }, [dispatch])
+
+  // Close when clicking anywhere outside the panel
+  useEffect(() => {
+    if (!isOpen) return undefined
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [isOpen])
+
+  const toggle = () => {
+    if (!isOpen) dispatch(fetchNotifications())
+    setIsOpen(!isOpen)
+  }
+
+  const openNotification = (notification) => {
+    if (!notification.readAt) dispatch(markNotificationRead(notification._id))
+    setIsOpen(false)
+    if (notification.link) navigate(notification.link)
+  }
+
+  return (
+    <div ref={containerRef} className="relative" onKeyDown={(e) => e.key === 'Escape' && setIsOpen(false)}>
+      <button
+        type="button"
+        onClick={toggle}
+        className="relative rounded-full p-2 text-gray-600 hover:bg-gray-100 hover:text-primary-500"
+        aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -right-0.5 -top-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-red-500 px-1 text-[10px] font-semibold text-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full z-50 mt-2 w-80 rounded-lg border border-gray-200 bg-white shadow-lg">
+          <div className="flex items-center justify-between border-b border-gray-100 px-4 py-3">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={() => dispatch(markAllNotificationsRead())}
+                className="text-xs text-primary-500 hover:underline"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {items.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">You're all caught up</p>
+          ) : (
+            <ul className="max-h-96 divide-y divide-gray-100 overflow-auto">
+              {items.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    onClick={() => openNotification(notification)}
+                    className={cn(
+                      'flex w-full items-start gap-3 px-4 py-3 text-left hover:bg-gray-50',
+                      !notification.readAt && 'bg-primary-50'
+                    )}
+                  >
+                    {TYPE_ICONS[notification.type]}
+                    <span className="min-w-0 flex-1">
+                      <span className={cn('block text-sm text-gray-900', !notification.readAt && 'font-medium')}>
+                        {notification.title}
+                      </span>
+                      {notification.body && (
+                        <span className="block truncate text-xs text-gray-500">{notification.body}</span>
+                      )}
+                      <span className="block text-xs text-gray-400">{formatRelativeTime(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
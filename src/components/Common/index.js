@@ -2,3 +2,4 @@ export { default as Header } from './Header'
 export { default as Navigation } from './Navigation'
 export { default as LoadingSpinner } from './LoadingSpinner'
 export { default as EmptyState } from './EmptyState'
+export { default as NotificationBell } from './NotificationBell'
@@ -5,8 +5,10 @@ import { Button } from '../ui/button'
 import QuickStats from './QuickStats'
 import UpcomingDeadlines from './UpcomingDeadlines'
 import MatchedForYou from './MatchedForYou'
+import SavedSearches from './SavedSearches'
 import { useScholarships } from '../../hooks/useScholarships'
 import { useAuth } from '../../hooks/useAuth'
+import { EmailVerificationBanner } from '../Auth'
 
 const Dashboard = () => {
   const { user } = useAuth()
@@ -27,14 +29,17 @@ const Dashboard = () => {
         </p>
       </div>
 
+      <EmailVerificationBanner />
+
       <QuickStats />
 
       {/* New Matched Section */}
       <MatchedForYou />
 
       <div className="grid lg:grid-cols-3 gap-6">
-        <div className="lg:col-span-2">
+        <div className="lg:col-span-2 space-y-6">
           <UpcomingDeadlines />
+          <SavedSearches />
         </div>
 
         <div>
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import { useSelector } from 'react-redux'
 import { Card, CardContent } from '../ui/card'
 import { Button } from '../ui/button'
 import { Badge } from '../ui/badge'
@@ -11,12 +12,14 @@ const MatchedForYou = () => {
   const [scholarships, setScholarships] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
+  const catalogueVersion = useSelector((state) => state.scholarships.catalogueVersion)
 
+  // Refetched whenever the server reports new scholarships
   useEffect(() => {
     const fetchMatches = async () => {
       try {
-        const data = await scholarshipService.getMatchedScholarships()
-        setScholarships(data)
+        const data = await scholarshipService.getMatchedScholarships({ limit: 3 })
+        setScholarships(data.scholarships)
       } catch (err) {
         setError('Failed to load personalized matches')
         console.error(err)
@@ -26,7 +29,7 @@ const MatchedForYou = () => {
     }
 
     fetchMatches()
-  }, [])
+  }, [catalogueVersion])
 
   if (isLoading) return <LoadingSpinner />
   
@@ -1,4 +1,5 @@
 import { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
 import { GraduationCap, Calendar, TrendingUp, User } from 'lucide-react'
 import { scholarshipService } from '../../services/scholarshipService'
@@ -11,7 +12,10 @@ const QuickStats = () => {
     profileCompleted: false,
   })
   const [loading, setLoading] = useState(true)
+  const savedScholarships = useSelector((state) => state.saved.savedScholarships)
+  const catalogueVersion = useSelector((state) => state.scholarships.catalogueVersion)
 
+  // Refetched when the saved list changes or the server pushes an update
   useEffect(() => {
     const fetchStats = async () => {
       try {
@@ -24,7 +28,7 @@ const QuickStats = () => {
       }
     }
     fetchStats()
-  }, [])
+  }, [savedScholarships, catalogueVersion])
 
   const statItems = [
     {
@@ -0,0 +1,118 @@
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { Link, useNavigate } from 'react-router-dom'
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
+import { Button } from '../ui/button'
+import { Badge } from '../ui/badge'
+import { Checkbox } from '../ui/checkbox'
+import { Label } from '../ui/label'
+import { replaceFilters } from '../../store/slices/filterSlice'
+import {
+  fetchSavedSearches,
+  fetchSearchAlerts,
+  updateSavedSearch,
+  deleteSavedSearch,
+  markSearchAlertsRead,
+} from '../../store/slices/savedSearchesSlice'
+import { formatDate } from '../../utils/formatters'
+import { Bell, Play, Trash2 } from 'lucide-react'
+
+const SavedSearches = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const { searches, alerts } = useSelector((state) => state.savedSearches)
+
+  useEffect(() => {
+    dispatch(fetchSavedSearches())
+    dispatch(fetchSearchAlerts({ limit: 10 }))
+  }, [dispatch])
+
+  // Load the search into the filters; the search page writes them to the URL
+  const runSearch = (search) => {
+    dispatch(replaceFilters({ ...search.filters, sortBy: search.filters.search ? 'relevance' : 'deadline' }))
+    if (search.unreadAlerts > 0) dispatch(markSearchAlertsRead({ savedSearchId: search._id }))
+    navigate('/scholarships')
+  }
+
+  const unreadCount = alerts.filter((alert) => !alert.readAt).length
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle>Saved Searches</CardTitle>
+        {unreadCount > 0 && (
+          <Button variant="ghost" size="sm" onClick={() => dispatch(markSearchAlertsRead())}>
+            Mark all read
+          </Button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {searches.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Save a search from the <Link to="/scholarships" className="text-primary-500 hover:underline">scholarship search</Link> and
+            we will alert you when new scholarships match it.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {searches.map((search) => (
+              <li key={search._id} className="flex flex-wrap items-center gap-3 py-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900 truncate">{search.name}</span>
+                    {search.unreadAlerts > 0 && <Badge>{search.unreadAlerts} new</Badge>}
+                  </div>
+                  <div className="mt-1 flex items-center space-x-2">
+                    <Checkbox
+                      id={`digest-${search._id}`}
+                      checked={search.emailDigest}
+                      onCheckedChange={(checked) => dispatch(updateSavedSearch({ id: search._id, emailDigest: checked }))}
+                    />
+                    <Label htmlFor={`digest-${search._id}`} className="text-xs text-gray-500 cursor-pointer">
+                      Email digest
+                    </Label>
+                  </div>
+                </div>
+                <Button variant="outline" size="sm" onClick={() => runSearch(search)}>
+                  <Play className="h-4 w-4 mr-1" />
+                  Run
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => dispatch(deleteSavedSearch(search._id))}
+                  aria-label={`Delete saved search ${search.name}`}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {alerts.length > 0 && (
+          <div>
+            <h4 className="mb-2 flex items-center gap-1 text-sm font-medium text-gray-700">
+              <Bell className="h-4 w-4" />
+              New matches
+            </h4>
+            <ul className="space-y-2">
+              {alerts.map((alert) => (
+                <li key={alert._id} className="text-sm">
+                  <Link
+                    to={`/scholarships/${alert.scholarshipId}`}
+                    className={alert.readAt ? 'text-gray-600 hover:underline' : 'font-medium text-gray-900 hover:underline'}
+                  >
+                    {alert.title || 'Scholarship'}
+                  </Link>
+                  <span className="text-gray-400"> · {alert.savedSearchName} · {formatDate(alert.createdAt)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SavedSearches
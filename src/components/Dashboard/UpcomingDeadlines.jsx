@@ -4,6 +4,12 @@ import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
 import { Badge } from '../ui/badge'
 import { Clock, AlertTriangle } from 'lucide-react'
 
+const calendarLink = (
+  <Link to="/calendar" className="text-sm font-medium text-primary-500 hover:underline">
+    View calendar
+  </Link>
+)
+
 const UpcomingDeadlines = () => {
   const { savedScholarships } = useSelector((state) => state.saved)
   
@@ -20,11 +26,12 @@ const UpcomingDeadlines = () => {
   if (upcomingDeadlines.length === 0) {
     return (
       <Card>
-        <CardHeader>
+        <CardHeader className="flex flex-row items-center justify-between">
           <CardTitle className="flex items-center gap-2">
             <Clock className="h-5 w-5" />
             Upcoming Deadlines
           </CardTitle>
+          {calendarLink}
         </CardHeader>
         <CardContent>
           <p className="text-gray-500 text-center py-4">
@@ -37,11 +44,12 @@ const UpcomingDeadlines = () => {
 
   return (
     <Card>
-      <CardHeader>
+      <CardHeader className="flex flex-row items-center justify-between">
         <CardTitle className="flex items-center gap-2">
           <Clock className="h-5 w-5" />
           Upcoming Deadlines
         </CardTitle>
+        {calendarLink}
       </CardHeader>
       <CardContent>
         <div className="space-y-3">
@@ -1,3 +1,4 @@
 export { default as Dashboard } from './Dashboard'
 export { default as QuickStats } from './QuickStats'
 export { default as UpcomingDeadlines } from './UpcomingDeadlines'
+export { default as SavedSearches } from './SavedSearches'
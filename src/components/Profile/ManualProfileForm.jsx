@@ -9,7 +9,7 @@ import { Badge } from '../ui/badge'
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card'
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '../ui/select'
 import { useToast } from '../ui/toast'
-import { COUNTRIES, FIELDS_OF_STUDY, ENGLISH_LEVELS, DEGREE_TYPES } from '../../utils/constants'
+import { COUNTRIES, FIELDS_OF_STUDY, ENGLISH_LEVELS, DEGREE_TYPES, STUDY_LEVELS, LANGUAGE_TESTS } from '../../utils/constants'
 import { ChevronLeft, ChevronRight, Check, Plus, X, Loader2, Save } from 'lucide-react'
 
 const STEPS = [
@@ -30,6 +30,8 @@ const ManualProfileForm = ({ onComplete }) => {
   const [personalInfo, setPersonalInfo] = useState({
     name: '',
     phone: '',
+    citizenship: '',
+    dateOfBirth: '',
   })
   
   const [education, setEducation] = useState({
@@ -45,6 +47,7 @@ const ManualProfileForm = ({ onComplete }) => {
     position: '',
     duration: '',
   })
+  const [workExperienceYears, setWorkExperienceYears] = useState('')
   
   const [skills, setSkills] = useState([])
   const [newSkill, setNewSkill] = useState('')
@@ -53,8 +56,11 @@ const ManualProfileForm = ({ onComplete }) => {
     targetCountries: [],
     fieldOfStudy: [],
     englishLevel: 'intermediate',
+    targetDegreeLevel: '',
   })
 
+  const [languageTest, setLanguageTest] = useState({ test: '', score: '' })
+
   const validateStep = (step) => {
     const errors = {}
     
@@ -68,6 +74,9 @@ const ManualProfileForm = ({ onComplete }) => {
         if (personalInfo.phone && !/^[\+]?[\d\s-]{10,20}$/.test(personalInfo.phone.replace(/\D/g, ''))) {
           errors.phone = 'Please enter a valid phone number'
         }
+        if (personalInfo.dateOfBirth && new Date(personalInfo.dateOfBirth) > new Date()) {
+          errors.dateOfBirth = 'Date of birth cannot be in the future'
+        }
         break
         
       case 2:
@@ -112,6 +121,13 @@ const ManualProfileForm = ({ onComplete }) => {
         if (preferences.fieldOfStudy.length === 0) {
           errors.fieldOfStudy = 'Please select at least one field of study'
         }
+        if (languageTest.test && languageTest.score !== '') {
+          const { max } = LANGUAGE_TESTS.find((t) => t.value === languageTest.test)
+          const score = parseFloat(languageTest.score)
+          if (isNaN(score) || score < 0 || score > max) {
+            errors.languageScore = `Score must be between 0 and ${max}`
+          }
+        }
         break
     }
     
@@ -199,6 +215,13 @@ const ManualProfileForm = ({ onComplete }) => {
       fieldOfStudy: preferences.fieldOfStudy,
       englishLevel: preferences.englishLevel,
       gpa: parseFloat(education.gpa) || 3.5,
+      citizenship: personalInfo.citizenship.trim(),
+      dateOfBirth: personalInfo.dateOfBirth || null,
+      targetDegreeLevel: preferences.targetDegreeLevel,
+      languageTests: languageTest.test && languageTest.score !== ''
+        ? [{ test: languageTest.test, score: parseFloat(languageTest.score) }]
+        : [],
+      workExperienceYears: workExperienceYears === '' ? null : parseFloat(workExperienceYears),
     }
     
     try {
@@ -261,6 +284,38 @@ const ManualProfileForm = ({ onComplete }) => {
                 <p className="text-sm text-red-500">{validationErrors.phone}</p>
               )}
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="citizenship">Citizenship</Label>
+                <Input
+                  id="citizenship"
+                  value={personalInfo.citizenship}
+                  onChange={(e) => setPersonalInfo({ ...personalInfo, citizenship: e.target.value })}
+                  placeholder="Pakistan"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="dateOfBirth">Date of Birth</Label>
+                <Input
+                  id="dateOfBirth"
+                  type="date"
+                  value={personalInfo.dateOfBirth}
+                  onChange={(e) => {
+                    setPersonalInfo({ ...personalInfo, dateOfBirth: e.target.value })
+                    if (validationErrors.dateOfBirth) {
+                      setValidationErrors({ ...validationErrors, dateOfBirth: '' })
+                    }
+                  }}
+                  className={validationErrors.dateOfBirth ? 'border-red-500' : ''}
+                />
+                {validationErrors.dateOfBirth && (
+                  <p className="text-sm text-red-500">{validationErrors.dateOfBirth}</p>
+                )}
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Citizenship and age are used to check scholarship eligibility rules.
+            </p>
           </div>
         )
 
@@ -358,6 +413,17 @@ const ManualProfileForm = ({ onComplete }) => {
                 placeholder="1 year"
               />
             </div>
+            <div className="space-y-2">
+              <Label>Total Years of Work Experience</Label>
+              <Input
+                type="number"
+                min="0"
+                step="0.5"
+                value={workExperienceYears}
+                onChange={(e) => setWorkExperienceYears(e.target.value)}
+                placeholder="2"
+              />
+            </div>
           </div>
         )
 
@@ -454,6 +520,57 @@ const ManualProfileForm = ({ onComplete }) => {
                 <p className="text-sm text-red-500 mt-2">{validationErrors.fieldOfStudy}</p>
               )}
             </div>
+            <div>
+              <Label className="mb-2 block">Level You Want to Study</Label>
+              <Select
+                value={preferences.targetDegreeLevel}
+                onValueChange={(value) => setPreferences({ ...preferences, targetDegreeLevel: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Select study level" />
+                </SelectTrigger>
+                <SelectContent>
+                  {STUDY_LEVELS.map((level) => (
+                    <SelectItem key={level} value={level}>{level}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="mb-2 block">English Test Result</Label>
+              <div className="grid grid-cols-2 gap-4">
+                <Select
+                  value={languageTest.test}
+                  onValueChange={(value) => setLanguageTest({ ...languageTest, test: value })}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select test" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {LANGUAGE_TESTS.map((test) => (
+                      <SelectItem key={test.value} value={test.value}>{test.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  type="number"
+                  step={LANGUAGE_TESTS.find((t) => t.value === languageTest.test)?.step || 0.5}
+                  value={languageTest.score}
+                  onChange={(e) => {
+                    setLanguageTest({ ...languageTest, score: e.target.value })
+                    if (validationErrors.languageScore) {
+                      setValidationErrors({ ...validationErrors, languageScore: '' })
+                    }
+                  }}
+                  placeholder="Overall score"
+                  disabled={!languageTest.test}
+                  className={validationErrors.languageScore ? 'border-red-500' : ''}
+                />
+              </div>
+              {validationErrors.languageScore && (
+                <p className="text-sm text-red-500 mt-2">{validationErrors.languageScore}</p>
+              )}
+            </div>
             <div>
               <Label className="mb-2 block">English Level</Label>
               <Select
@@ -0,0 +1,57 @@
+import { Badge } from '../ui/badge'
+import { GraduationCap, Globe, Cake, Languages, Briefcase } from 'lucide-react'
+
+const ICON_CLASS = 'h-5 w-5 text-primary-500 shrink-0 mt-0.5'
+
+const formatTests = (tests) =>
+  tests.map((t) => (t.minScore ? `${t.test} ${t.minScore}+` : t.test)).join(' or ')
+
+const formatAge = ({ minAge, maxAge }) => {
+  if (minAge && maxAge) return `Aged ${minAge}–${maxAge}`
+  if (maxAge) return `Aged ${maxAge} or under`
+  return `Aged ${minAge} or over`
+}
+
+const EligibilityRules = ({ eligibility }) => {
+  if (!eligibility) return null
+
+  const { degreeLevels = [], citizenships = [], regions = [], languageTests = [], minWorkExperienceYears } = eligibility
+  const nationalities = [...regions, ...citizenships]
+  const rules = [
+    degreeLevels.length > 0 && {
+      icon: <GraduationCap className={ICON_CLASS} />,
+      label: 'Study level',
+      value: (
+        <span className="flex flex-wrap gap-1">
+          {degreeLevels.map((level) => <Badge key={level} variant="secondary">{level}</Badge>)}
+        </span>
+      ),
+    },
+    {
+      icon: <Globe className={ICON_CLASS} />,
+      label: 'Nationality',
+      value: nationalities.length > 0 ? nationalities.join(', ') : 'Open to all nationalities',
+    },
+    (eligibility.minAge || eligibility.maxAge) && { icon: <Cake className={ICON_CLASS} />, label: 'Age', value: formatAge(eligibility) },
+    languageTests.length > 0 && { icon: <Languages className={ICON_CLASS} />, label: 'English test', value: formatTests(languageTests) },
+    minWorkExperienceYears > 0 && {
+      icon: <Briefcase className={ICON_CLASS} />,
+      label: 'Work experience',
+      value: `At least ${minWorkExperienceYears} year${minWorkExperienceYears === 1 ? '' : 's'}`,
+    },
+  ].filter(Boolean)
+
+  return (
+    <ul className="space-y-2">
+      {rules.map(({ icon, label, value }) => (
+        <li key={label} className="flex items-start gap-2 text-gray-600">
+          {icon}
+          <span className="font-medium text-gray-900 shrink-0">{label}:</span>
+          {value}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default EligibilityRules
@@ -5,7 +5,7 @@ import { Button } from '../ui/button'
 import { Checkbox } from '../ui/checkbox'
 import { Label } from '../ui/label'
 import { RadioGroup, RadioGroupItem } from '../ui/radio-group'
-import { COUNTRIES, FIELDS_OF_STUDY, DEADLINE_FILTERS, FUNDING_TYPES, MATCH_SCORE_FILTERS } from '../../utils/constants'
+import { COUNTRIES, FIELDS_OF_STUDY, DEADLINE_FILTERS, FUNDING_TYPES, MATCH_SCORE_FILTERS, STUDY_LEVELS } from '../../utils/constants'
 import { Filter, X, ChevronDown, ChevronUp } from 'lucide-react'
 
 const FilterSection = ({ title, children, defaultOpen = true }) => {
@@ -25,20 +25,30 @@ const FilterSection = ({ title, children, defaultOpen = true }) => {
   )
 }
 
+// Option label with its result count from the API, when it sent facets
+const OptionLabel = ({ htmlFor, label, count }) => (
+  <Label htmlFor={htmlFor} className="text-sm cursor-pointer">
+    {label}
+    {count !== undefined && <span className="ml-1 text-gray-400">({count})</span>}
+  </Label>
+)
+
 const FilterSidebar = () => {
   const {
     filters,
     toggleCountryFilter,
     toggleFieldFilter,
+    toggleDegreeLevelFilter,
     updateExcludeIELTS,
     updateExcludeAppFee,
     updateDeadline,
     updateFundingType,
     updateMinMatchScore,
+    updateHideIneligible,
     clearAllFilters,
   } = useFilters()
   
-  const { loadScholarships } = useScholarships()
+  const { loadScholarships, facets } = useScholarships()
   const [showMoreCountries, setShowMoreCountries] = useState(false)
   const [showMoreFields, setShowMoreFields] = useState(false)
 
@@ -46,8 +56,38 @@ const FilterSidebar = () => {
     loadScholarships()
   }
 
-  const displayedCountries = showMoreCountries ? COUNTRIES : COUNTRIES.slice(0, 8)
-  const displayedFields = showMoreFields ? FIELDS_OF_STUDY : FIELDS_OF_STUDY.slice(0, 6)
+  const countsFor = (facetId) =>
+    facets?.[facetId] ? Object.fromEntries(facets[facetId].map(({ value, count }) => [value, count])) : null
+
+  // With facets, options that would return nothing are hidden unless they
+  // are already selected, so a filter can always be switched back off
+  const withCounts = (options, facetId, isSelected) => {
+    const counts = countsFor(facetId)
+    if (!counts) return options
+    return options
+      .map((option) => ({ ...option, count: option.value === 'all' ? undefined : counts[option.value] || 0 }))
+      .filter((option) => option.count !== 0 || isSelected(option.value))
+  }
+
+  // Countries and fields come from the facets themselves (busiest first),
+  // falling back to the fixed lists before the first response arrives
+  const listOptions = (facetId, fallback, selected) => {
+    if (!facets?.[facetId]) return fallback.map((value) => ({ value }))
+    const missing = selected.filter((value) => !facets[facetId].some((facet) => facet.value === value))
+    return [...facets[facetId], ...missing.map((value) => ({ value, count: 0 }))]
+  }
+
+  const countryOptions = listOptions('country', COUNTRIES, filters.selectedCountries)
+  const fieldOptions = listOptions('field', FIELDS_OF_STUDY, filters.selectedFields)
+  const displayedCountries = showMoreCountries ? countryOptions : countryOptions.slice(0, 8)
+  const displayedFields = showMoreFields ? fieldOptions : fieldOptions.slice(0, 6)
+
+  const ieltsCounts = countsFor('ielts')
+  const feeCounts = countsFor('applicationFee')
+  const withoutIelts = ieltsCounts ? ieltsCounts.notRequired || 0 : undefined
+  const withoutFee = feeCounts ? feeCounts.free || 0 : undefined
+  const fundingOptions = withCounts(FUNDING_TYPES, 'fundingType', (value) => value === filters.fundingType)
+  const deadlineOptions = withCounts(DEADLINE_FILTERS, 'deadline', (value) => value === filters.deadlineFilter)
 
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4">
@@ -69,9 +109,7 @@ const FilterSidebar = () => {
               checked={filters.excludeIELTS}
               onCheckedChange={(checked) => updateExcludeIELTS(checked)}
             />
-            <Label htmlFor="excludeIELTS" className="text-sm cursor-pointer">
-              Exclude IELTS Requirement
-            </Label>
+            <OptionLabel htmlFor="excludeIELTS" label="Exclude IELTS Requirement" count={withoutIelts} />
           </div>
           <div className="flex items-center space-x-2">
             <Checkbox
@@ -79,13 +117,84 @@ const FilterSidebar = () => {
               checked={filters.excludeAppFee}
               onCheckedChange={(checked) => updateExcludeAppFee(checked)}
             />
-            <Label htmlFor="excludeAppFee" className="text-sm cursor-pointer">
-              Exclude Application Fees
+            <OptionLabel htmlFor="excludeAppFee" label="Exclude Application Fees" count={withoutFee} />
+          </div>
+          <div className="flex items-center space-x-2">
+            <Checkbox
+              id="hideIneligible"
+              checked={filters.hideIneligible}
+              onCheckedChange={(checked) => updateHideIneligible(checked)}
+            />
+            <Label htmlFor="hideIneligible" className="text-sm cursor-pointer">
+              Hide Scholarships I'm Not Eligible For
             </Label>
           </div>
         </div>
       </FilterSection>
 
+      <FilterSection title="Country">
+        <div className="space-y-3">
+          {displayedCountries.map(({ value, count }) => (
+            <div key={value} className="flex items-center space-x-2">
+              <Checkbox
+                id={`country-${value}`}
+                checked={filters.selectedCountries.includes(value)}
+                onCheckedChange={() => toggleCountryFilter(value)}
+              />
+              <OptionLabel htmlFor={`country-${value}`} label={value} count={count} />
+            </div>
+          ))}
+          {countryOptions.length > 8 && (
+            <button
+              onClick={() => setShowMoreCountries(!showMoreCountries)}
+              className="text-sm text-primary-500 hover:underline"
+            >
+              {showMoreCountries ? 'Show less' : `Show all ${countryOptions.length}`}
+            </button>
+          )}
+        </div>
+      </FilterSection>
+
+      <FilterSection title="Field of Study">
+        <div className="space-y-3">
+          {displayedFields.map(({ value, count }) => (
+            <div key={value} className="flex items-center space-x-2">
+              <Checkbox
+                id={`field-${value}`}
+                checked={filters.selectedFields.includes(value)}
+                onCheckedChange={() => toggleFieldFilter(value)}
+              />
+              <OptionLabel htmlFor={`field-${value}`} label={value} count={count} />
+            </div>
+          ))}
+          {fieldOptions.length > 6 && (
+            <button
+              onClick={() => setShowMoreFields(!showMoreFields)}
+              className="text-sm text-primary-500 hover:underline"
+            >
+              {showMoreFields ? 'Show less' : `Show all ${fieldOptions.length}`}
+            </button>
+          )}
+        </div>
+      </FilterSection>
+
+      <FilterSection title="Study Level">
+        <div className="space-y-3">
+          {STUDY_LEVELS.map((level) => (
+            <div key={level} className="flex items-center space-x-2">
+              <Checkbox
+                id={`level-${level}`}
+                checked={filters.degreeLevels.includes(level)}
+                onCheckedChange={() => toggleDegreeLevelFilter(level)}
+              />
+              <Label htmlFor={`level-${level}`} className="text-sm cursor-pointer">
+                {level}
+              </Label>
+            </div>
+          ))}
+        </div>
+      </FilterSection>
+
       <FilterSection title="Profile Match">
         <RadioGroup
           value={String(filters.minMatchScore)}
@@ -109,12 +218,10 @@ const FilterSidebar = () => {
           onValueChange={(value) => updateFundingType(value)}
           className="space-y-2"
         >
-          {FUNDING_TYPES.map((type) => (
+          {fundingOptions.map((type) => (
             <div key={type.value} className="flex items-center space-x-2">
               <RadioGroupItem value={type.value} id={type.value} />
-              <Label htmlFor={type.value} className="text-sm cursor-pointer">
-                {type.label}
-              </Label>
+              <OptionLabel htmlFor={type.value} label={type.label} count={type.count} />
             </div>
           ))}
         </RadioGroup>
@@ -126,12 +233,10 @@ const FilterSidebar = () => {
           onValueChange={(value) => updateDeadline(value)}
           className="space-y-2"
         >
-          {DEADLINE_FILTERS.map((filter) => (
+          {deadlineOptions.map((filter) => (
             <div key={filter.value} className="flex items-center space-x-2">
               <RadioGroupItem value={filter.value} id={filter.value} />
-              <Label htmlFor={filter.value} className="text-sm cursor-pointer">
-                {filter.label}
-              </Label>
+              <OptionLabel htmlFor={filter.value} label={filter.label} count={filter.count} />
             </div>
           ))}
         </RadioGroup>
@@ -0,0 +1,20 @@
+// Renders text with the [start, end) ranges from the search API marked
+const Highlight = ({ text, ranges = [] }) => {
+  const parts = []
+  let cursor = 0
+  ranges.forEach(([start, end]) => {
+    if (start < cursor) return
+    if (start > cursor) parts.push(text.slice(cursor, start))
+    parts.push(
+      <mark key={start} className="rounded-sm bg-yellow-100 text-inherit">
+        {text.slice(start, end)}
+      </mark>
+    )
+    cursor = end
+  })
+  parts.push(text.slice(cursor))
+
+  return <>{parts}</>
+}
+
+export default Highlight
@@ -0,0 +1,93 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { CheckCircle, AlertCircle, XCircle, ChevronDown, Lightbulb } from 'lucide-react'
+import { cn } from '../../lib/utils'
+
+const STATUS_ICONS = {
+  met: <CheckCircle className="h-4 w-4 text-green-500 shrink-0 mt-0.5" />,
+  partial: <AlertCircle className="h-4 w-4 text-amber-500 shrink-0 mt-0.5" />,
+  unmet: <XCircle className="h-4 w-4 text-red-500 shrink-0 mt-0.5" />,
+}
+
+const RULE_LABELS = {
+  degree: 'study level',
+  citizenship: 'nationality',
+  age: 'age',
+  language: 'English test',
+  workExperience: 'work experience',
+  gpa: 'GPA',
+}
+
+const describeEligibility = ({ status, failed, unknown }) => {
+  const list = (keys) => keys.map((key) => RULE_LABELS[key]).join(', ')
+  if (status === 'ineligible') return { tone: 'text-red-700 bg-red-50', text: `Not eligible: ${list(failed)} requirement not met` }
+  if (status === 'likely') return { tone: 'text-amber-700 bg-amber-50', text: `Likely eligible, but we could not confirm: ${list(unknown)}` }
+  return { tone: 'text-green-700 bg-green-50', text: 'You meet every eligibility rule we can check' }
+}
+
+const MatchExplanation = ({ match, defaultOpen = false, className }) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen)
+
+  // Buttons inside a card link must not navigate
+  const toggle = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setIsOpen((open) => !open)
+  }
+
+  const criteria = match.criteria.filter((c) => c.weight > 0)
+  const eligibility = match.classification && criteria.length > 0 ? describeEligibility(match.classification) : null
+
+  return (
+    <div className={cn('text-sm', className)}>
+      <button
+        type="button"
+        onClick={toggle}
+        aria-expanded={isOpen}
+        className="flex items-center gap-1 font-medium text-primary-500 hover:underline"
+      >
+        Why {match.score}% match?
+        <ChevronDown className={cn('h-4 w-4 transition-transform', isOpen && 'rotate-180')} />
+      </button>
+
+      {isOpen && (
+        criteria.length === 0 ? (
+          <p className="mt-2 text-gray-500">
+            <Link to="/profile-setup" className="text-primary-500 hover:underline">Complete your profile</Link>
+            {' '}to see how well this scholarship fits you.
+          </p>
+        ) : (
+          <>
+            {eligibility && (
+              <p className={cn('mt-3 rounded-md px-3 py-2', eligibility.tone)}>{eligibility.text}</p>
+            )}
+            <ul className="mt-3 space-y-2">
+              {criteria.map((criterion) => (
+                <li key={criterion.id} className="flex items-start gap-2">
+                  {STATUS_ICONS[criterion.status]}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-baseline justify-between gap-2">
+                      <span className="font-medium text-gray-900">{criterion.label}</span>
+                      <span className="text-xs text-gray-500 shrink-0">
+                        {criterion.points} / {criterion.maxPoints} pts
+                      </span>
+                    </div>
+                    <p className="text-gray-600">{criterion.reason}</p>
+                    {criterion.hint && (
+                      <p className="flex items-start gap-1 text-xs text-gray-500 mt-0.5">
+                        <Lightbulb className="h-3 w-3 shrink-0 mt-0.5" />
+                        {criterion.hint}
+                      </p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )
+      )}
+    </div>
+  )
+}
+
+export default MatchExplanation
@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { createSavedSearch } from '../../store/slices/savedSearchesSlice'
+import { useAuth } from '../../hooks/useAuth'
+import { useToast } from '../ui/toast'
+import { Button } from '../ui/button'
+import { Input } from '../ui/input'
+import { Checkbox } from '../ui/checkbox'
+import { Label } from '../ui/label'
+import { BookmarkPlus } from 'lucide-react'
+
+// A starting name built from the most telling filters
+const suggestName = (filters) => {
+  const parts = [filters.search && `"${filters.search}"`, ...filters.selectedCountries, ...filters.selectedFields]
+  return parts.filter(Boolean).slice(0, 3).join(', ') || 'All scholarships'
+}
+
+const SaveSearchButton = () => {
+  const dispatch = useDispatch()
+  const { isAuthenticated } = useAuth()
+  const { addToast } = useToast()
+  const filters = useSelector((state) => state.filter)
+  const [isOpen, setIsOpen] = useState(false)
+  const [name, setName] = useState('')
+  const [emailDigest, setEmailDigest] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  if (!isAuthenticated) return null
+
+  const open = () => {
+    setName(suggestName(filters))
+    setIsOpen(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    try {
+      await dispatch(createSavedSearch({ name, filters, emailDigest })).unwrap()
+      addToast({ type: 'success', message: 'Search saved. We will let you know about new matches.' })
+      setIsOpen(false)
+    } catch (error) {
+      addToast({ type: 'error', message: error || 'Failed to save search' })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!isOpen) {
+    return (
+      <Button variant="outline" size="sm" onClick={open}>
+        <BookmarkPlus className="h-4 w-4 mr-1" />
+        Save search
+      </Button>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3 rounded-lg border border-gray-200 bg-white p-3">
+      <Input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name this search"
+        aria-label="Saved search name"
+        className="w-56"
+        maxLength={100}
+        autoFocus
+      />
+      <div className="flex items-center space-x-2">
+        <Checkbox id="emailDigest" checked={emailDigest} onCheckedChange={(checked) => setEmailDigest(checked)} />
+        <Label htmlFor="emailDigest" className="text-sm cursor-pointer">Email me new matches</Label>
+      </div>
+      <Button type="submit" size="sm" disabled={isSaving || !name.trim()}>Save</Button>
+      <Button type="button" variant="ghost" size="sm" onClick={() => setIsOpen(false)}>Cancel</Button>
+    </form>
+  )
+}
+
+export default SaveSearchButton
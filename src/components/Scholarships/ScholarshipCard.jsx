@@ -1,13 +1,15 @@
 import { Link } from 'react-router-dom'
 import { Badge } from '../ui/badge'
 import { Button } from '../ui/button'
-import { formatDeadline, calculateMatchScore } from '../../utils/formatters'
+import { formatDeadline, explainMatch } from '../../utils/formatters'
 import { useSelector, useDispatch } from 'react-redux'
 import { addSaved, removeSaved, saveScholarship, removeSavedScholarship } from '../../store/slices/savedSlice'
 import { Heart, Clock, MapPin, GraduationCap, ExternalLink } from 'lucide-react'
 import { useToast } from '../ui/toast'
 import { useState } from 'react'
 import { cn } from '../../lib/utils'
+import MatchExplanation from './MatchExplanation'
+import Highlight from './Highlight'
 
 const ScholarshipCard = ({ scholarship }) => {
   const dispatch = useDispatch()
@@ -17,7 +19,8 @@ const ScholarshipCard = ({ scholarship }) => {
   
   const [isSaved, setIsSaved] = useState(savedScholarships.some(s => s.id === scholarship.id))
   
-  const matchScore = calculateMatchScore(profile, scholarship)
+  const match = explainMatch(profile, scholarship)
+  const matchScore = match.score
   
   const getScoreColor = (score) => {
     if (score >= 70) return 'bg-green-500'
@@ -58,9 +61,18 @@ const ScholarshipCard = ({ scholarship }) => {
               <Badge variant="success" className="text-xs">
                 {scholarship.fundingType}
               </Badge>
+              {match.classification?.status === 'ineligible' && (
+                <Badge variant="destructive" className="text-xs">
+                  Not eligible
+                </Badge>
+              )}
             </div>
             <h3 className="font-semibold text-gray-900 line-clamp-2">
-              {scholarship.title}
+              {scholarship.highlights?.title ? (
+                <Highlight text={scholarship.highlights.title.text} ranges={scholarship.highlights.title.ranges} />
+              ) : (
+                scholarship.title
+              )}
             </h3>
           </div>
           <Button
@@ -82,6 +94,12 @@ const ScholarshipCard = ({ scholarship }) => {
           {scholarship.university || scholarship.partnerUniversities?.join(', ')}
         </p>
 
+        {scholarship.highlights?.snippet && (
+          <p className="text-sm text-gray-500 mb-3 line-clamp-2">
+            <Highlight text={scholarship.highlights.snippet.text} ranges={scholarship.highlights.snippet.ranges} />
+          </p>
+        )}
+
         <div className="flex flex-wrap gap-2 mb-3">
           {scholarship.ieltsRequired === false && (
             <Badge variant="secondary" className="text-xs">
@@ -99,6 +117,8 @@ const ScholarshipCard = ({ scholarship }) => {
           </Badge>
         </div>
 
+        <MatchExplanation match={match} className="mb-3" />
+
         <div className="flex items-center justify-between text-sm text-gray-500 pt-3 border-t border-gray-100">
           <div className="flex items-center gap-1">
             <Clock className="h-4 w-4" />
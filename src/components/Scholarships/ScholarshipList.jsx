@@ -6,12 +6,7 @@ import { useFilters } from '../../hooks/useFilters'
 
 const ScholarshipList = () => {
   const { filteredWithScores, isLoading, totalCount } = useScholarships()
-  const { filters, updateSortBy, loadScholarships } = useFilters()
-
-  const handleSortChange = (value) => {
-    updateSortBy(value)
-    loadScholarships()
-  }
+  const { filters, updateSortBy, clearAllFilters } = useFilters()
 
   if (isLoading) {
     return (
@@ -27,7 +22,7 @@ const ScholarshipList = () => {
         title="No scholarships found"
         description="Try adjusting your filters to see more results"
         actionLabel="Clear Filters"
-        onAction={() => window.location.reload()}
+        onAction={clearAllFilters}
       />
     )
   }
@@ -39,7 +34,7 @@ const ScholarshipList = () => {
           Showing <span className="font-medium">{filteredWithScores.length}</span> of{' '}
           <span className="font-medium">{totalCount}</span> scholarships
         </p>
-        <SortOptions value={filters.sortBy} onChange={handleSortChange} />
+        <SortOptions value={filters.sortBy} onChange={updateSortBy} includeRelevance={Boolean(filters.search)} />
       </div>
 
       <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-2 xl:grid-cols-3">
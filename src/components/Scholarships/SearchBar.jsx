@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useFilters } from '../../hooks/useFilters'
+import { scholarshipService } from '../../services/scholarshipService'
+import { Input } from '../ui/input'
+import { Button } from '../ui/button'
+import { cn } from '../../lib/utils'
+import Highlight from './Highlight'
+import { Search, X, GraduationCap, Building2, BookOpen, MapPin } from 'lucide-react'
+
+const SUGGEST_DELAY_MS = 250
+
+const SUGGESTION_ICONS = {
+  title: <GraduationCap className="h-4 w-4 shrink-0 text-gray-400" />,
+  university: <Building2 className="h-4 w-4 shrink-0 text-gray-400" />,
+  field: <BookOpen className="h-4 w-4 shrink-0 text-gray-400" />,
+  country: <MapPin className="h-4 w-4 shrink-0 text-gray-400" />,
+}
+
+const SUGGESTION_LABELS = {
+  title: 'Scholarship',
+  university: 'University',
+  field: 'Field of study',
+  country: 'Country',
+}
+
+const SearchBar = ({ className }) => {
+  const navigate = useNavigate()
+  const { filters, updateSearch } = useFilters()
+  const [value, setValue] = useState(filters.search)
+  const [appliedSearch, setAppliedSearch] = useState(filters.search)
+  const [suggestions, setSuggestions] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  // Follow searches applied elsewhere, such as back/forward navigation
+  if (filters.search !== appliedSearch) {
+    setAppliedSearch(filters.search)
+    setValue(filters.search)
+  }
+
+  // Ask for suggestions once typing pauses, ignoring replies to older input
+  useEffect(() => {
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const query = value.trim()
+      if (query.length < 2) {
+        setSuggestions([])
+        return
+      }
+      try {
+        const results = await scholarshipService.getSuggestions(query)
+        if (!cancelled) {
+          setSuggestions(results)
+          setActiveIndex(-1)
+        }
+      } catch {
+        if (!cancelled) setSuggestions([])
+      }
+    }, SUGGEST_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [value])
+
+  const showSuggestions = isOpen && suggestions.length > 0
+
+  const handleChange = (e) => {
+    setValue(e.target.value)
+    setIsOpen(true)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setIsOpen(false)
+    updateSearch(value)
+  }
+
+  const handleClear = () => {
+    setValue('')
+    setIsOpen(false)
+    updateSearch('')
+  }
+
+  // Scholarship titles open the scholarship; anything else becomes the search
+  const selectSuggestion = (suggestion) => {
+    setIsOpen(false)
+    if (suggestion.type === 'title' && suggestion.id) {
+      navigate(`/scholarships/${suggestion.id}`)
+      return
+    }
+    setValue(suggestion.value)
+    updateSearch(suggestion.value)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) {
+      if (e.key === 'ArrowDown' && suggestions.length > 0) setIsOpen(true)
+      return
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex((index) => (index + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((index) => (index <= 0 ? suggestions.length - 1 : index - 1))
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault()
+      selectSuggestion(suggestions[activeIndex])
+    } else if (e.key === 'Escape') {
+      setIsOpen(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className={cn('flex gap-2', className)} role="search">
+      <div className="relative flex-1">
+        <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+        <Input
+          type="search"
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          placeholder='Search scholarships, e.g. engineering stipend or "fully funded"'
+          className="pl-9 pr-9"
+          aria-label="Search scholarships"
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-controls="search-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+          autoComplete="off"
+        />
+        {value && (
+          <button
+            type="button"
+            onClick={handleClear}
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+            aria-label="Clear search"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+        {showSuggestions && (
+          <ul
+            id="search-suggestions"
+            role="listbox"
+            className="absolute left-0 right-0 top-full z-20 mt-1 max-h-80 overflow-auto rounded-lg border border-gray-200 bg-white py-1 shadow-lg"
+          >
+            {suggestions.map((suggestion, index) => (
+              <li
+                key={`${suggestion.type}-${suggestion.value}`}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input so blur does not close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectSuggestion(suggestion)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={cn(
+                  'flex cursor-pointer items-center gap-2 px-3 py-2 text-sm',
+                  index === activeIndex ? 'bg-primary-50 text-gray-900' : 'text-gray-700'
+                )}
+              >
+                {SUGGESTION_ICONS[suggestion.type]}
+                <span className="flex-1 truncate">
+                  <Highlight text={suggestion.value} ranges={suggestion.ranges} />
+                </span>
+                <span className="shrink-0 text-xs text-gray-400">
+                  {SUGGESTION_LABELS[suggestion.type]}
+                  {suggestion.type !== 'title' && ` · ${suggestion.count}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <Button type="submit">Search</Button>
+    </form>
+  )
+}
+
+export default SearchBar
@@ -1,14 +1,15 @@
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '../ui/select'
 import { SORT_OPTIONS } from '../../utils/constants'
 
-const SortOptions = ({ value, onChange }) => {
+// Relevance only means something while a search term is applied
+const SortOptions = ({ value, onChange, includeRelevance = false }) => {
   return (
     <Select value={value} onValueChange={onChange}>
       <SelectTrigger className="w-[180px]">
         <SelectValue placeholder="Sort by" />
       </SelectTrigger>
       <SelectContent>
-        {SORT_OPTIONS.map((option) => (
+        {SORT_OPTIONS.filter((option) => includeRelevance || option.value !== 'relevance').map((option) => (
           <SelectItem key={option.value} value={option.value}>
             {option.label}
           </SelectItem>
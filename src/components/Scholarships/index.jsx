@@ -2,3 +2,8 @@ export { default as FilterSidebar } from './FilterSidebar'
 export { default as ScholarshipCard } from './ScholarshipCard'
 export { default as ScholarshipList } from './ScholarshipList'
 export { default as SortOptions } from './SortOptions'
+export { default as EligibilityRules } from './EligibilityRules'
+export { default as MatchExplanation } from './MatchExplanation'
+export { default as Highlight } from './Highlight'
+export { default as SearchBar } from './SearchBar'
+export { default as SaveSearchButton } from './SaveSearchButton'
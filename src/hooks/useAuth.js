@@ -1,6 +1,6 @@
 import { useSelector, useDispatch } from 'react-redux'
 import { useCallback } from 'react'
-import { login as loginAction, logout as logoutAction, register as registerAction } from '../store/slices/authSlice'
+import { login as loginAction, logoutUser, register as registerAction } from '../store/slices/authSlice'
 
 export const useAuth = () => {
   const dispatch = useDispatch()
@@ -15,7 +15,7 @@ export const useAuth = () => {
   }, [dispatch])
 
   const logout = useCallback(() => {
-    dispatch(logoutAction())
+    return dispatch(logoutUser())
   }, [dispatch])
 
   return {
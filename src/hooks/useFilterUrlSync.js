@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useSearchParams } from 'react-router-dom'
+import { initialFilterState, replaceFilters } from '../store/slices/filterSlice'
+import { filtersToSearchParams, searchParamsToFilters } from '../utils/filterParams'
+
+/**
+ * Keeps the filter state and the page's query string in step. Whichever
+ * side moved since they last agreed wins: a pasted link or back/forward
+ * updates the filters, a filter change pushes a new history entry.
+ * Returns whether the two agree, so callers can hold off fetching until
+ * the URL has been applied.
+ */
+export const useFilterUrlSync = () => {
+  const dispatch = useDispatch()
+  const filters = useSelector((state) => state.filter)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const lastSynced = useRef(null)
+
+  const urlQuery = searchParams.toString()
+  const stateQuery = filtersToSearchParams(filters).toString()
+
+  useEffect(() => {
+    if (urlQuery === stateQuery) {
+      lastSynced.current = urlQuery
+      return
+    }
+
+    const firstVisit = lastSynced.current === null
+    if (firstVisit && !urlQuery) {
+      // A bare /scholarships link keeps whatever was already filtered
+      setSearchParams(stateQuery, { replace: true })
+    } else if (urlQuery !== lastSynced.current) {
+      const next = searchParamsToFilters(searchParams)
+      const canonical = filtersToSearchParams({ ...initialFilterState, ...next }).toString()
+      lastSynced.current = canonical
+      if (canonical !== stateQuery) dispatch(replaceFilters(next))
+      // Drop unknown and default-valued parameters from the address bar
+      if (canonical !== urlQuery) setSearchParams(canonical, { replace: true })
+    } else {
+      setSearchParams(stateQuery)
+    }
+  }, [urlQuery, stateQuery, searchParams, setSearchParams, dispatch])
+
+  return urlQuery === stateQuery
+}
@@ -5,6 +5,7 @@ import {
   toggleCountry,
   setFields,
   toggleField,
+  toggleDegreeLevel,
   setExcludeIELTS,
   setExcludeAppFee,
   setDeadlineFilter,
@@ -12,6 +13,8 @@ import {
   setGpaMinimum,
   setFundingType,
   setMinMatchScore,
+  setHideIneligible,
+  setSearch,
   resetFilters,
 } from '../store/slices/filterSlice'
 
@@ -35,6 +38,10 @@ export const useFilters = () => {
     dispatch(toggleField(field))
   }, [dispatch])
 
+  const toggleDegreeLevelFilter = useCallback((level) => {
+    dispatch(toggleDegreeLevel(level))
+  }, [dispatch])
+
   const updateExcludeIELTS = useCallback((value) => {
     dispatch(setExcludeIELTS(value))
   }, [dispatch])
@@ -63,6 +70,14 @@ export const useFilters = () => {
     dispatch(setMinMatchScore(String(value)))
   }, [dispatch])
 
+  const updateHideIneligible = useCallback((value) => {
+    dispatch(setHideIneligible(value))
+  }, [dispatch])
+
+  const updateSearch = useCallback((value) => {
+    dispatch(setSearch(value))
+  }, [dispatch])
+
   const clearAllFilters = useCallback(() => {
     dispatch(resetFilters())
   }, [dispatch])
@@ -73,6 +88,7 @@ export const useFilters = () => {
     toggleCountryFilter,
     updateFields,
     toggleFieldFilter,
+    toggleDegreeLevelFilter,
     updateExcludeIELTS,
     updateExcludeAppFee,
     updateDeadline,
@@ -80,6 +96,8 @@ export const useFilters = () => {
     updateGpaMinimum,
     updateFundingType,
     updateMinMatchScore,
+    updateHideIneligible,
+    updateSearch,
     clearAllFilters,
   }
 }
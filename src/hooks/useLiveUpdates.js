@@ -0,0 +1,77 @@
+import { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { liveService } from '../services/liveService'
+import { fetchNotifications, notificationReceived } from '../store/slices/notificationsSlice'
+import { newMatchesReceived, catalogueUpdated, scholarshipUpdated } from '../store/slices/scholarshipsSlice'
+import { savedScholarshipUpdated } from '../store/slices/savedSlice'
+
+const MIN_RETRY_MS = 5 * 1000
+const MAX_RETRY_MS = 60 * 1000
+
+/**
+ * Keep the store current from the server's event stream while signed in.
+ * Tickets are single use, so after an error the stream is reopened with a
+ * fresh one, backing off while the server stays unreachable.
+ */
+export const useLiveUpdates = () => {
+  const dispatch = useDispatch()
+  const { isAuthenticated } = useSelector((state) => state.auth)
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined
+
+    let source = null
+    let retryTimer = null
+    let retryMs = MIN_RETRY_MS
+    let closed = false
+
+    const handlers = {
+      // Also sent on every reconnect: catch up on anything missed meanwhile
+      ready: () => {
+        retryMs = MIN_RETRY_MS
+        dispatch(fetchNotifications())
+      },
+      notification: (data) => dispatch(notificationReceived(data)),
+      matches: (data) => dispatch(newMatchesReceived(data.scholarships)),
+      catalogue: () => dispatch(catalogueUpdated()),
+      'saved-scholarship': (data) => {
+        dispatch(savedScholarshipUpdated(data.scholarship))
+        dispatch(scholarshipUpdated(data.scholarship))
+      },
+    }
+
+    const scheduleReconnect = () => {
+      if (closed) return
+      retryTimer = setTimeout(connect, retryMs)
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS)
+    }
+
+    const connect = async () => {
+      try {
+        source = await liveService.openEventStream()
+      } catch {
+        scheduleReconnect()
+        return
+      }
+      if (closed) {
+        source.close()
+        return
+      }
+      Object.entries(handlers).forEach(([event, handle]) => {
+        source.addEventListener(event, (e) => handle(JSON.parse(e.data)))
+      })
+      source.onerror = () => {
+        source.close()
+        scheduleReconnect()
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      source?.close()
+    }
+  }, [isAuthenticated, dispatch])
+}
@@ -1,11 +1,11 @@
 import { useSelector, useDispatch } from 'react-redux'
 import { useCallback } from 'react'
 import { fetchScholarships, fetchScholarshipById } from '../store/slices/scholarshipsSlice'
-import { calculateMatchScore } from '../utils/formatters'
+import { calculateMatchScore, explainMatch } from '../utils/formatters'
 
 export const useScholarships = () => {
   const dispatch = useDispatch()
-  const { filteredScholarships, selectedScholarship, isLoading, error, totalCount, currentPage, pageSize } = 
+  const { filteredScholarships, selectedScholarship, isLoading, error, totalCount, facets, currentPage, pageSize } = 
     useSelector((state) => state.scholarships)
   const filters = useSelector((state) => state.filter)
   const profile = useSelector((state) => state.profile)
@@ -14,13 +14,19 @@ export const useScholarships = () => {
     const filterParams = {
       countries: filters.selectedCountries.join(','),
       fields: filters.selectedFields.join(','),
+      degreeLevels: filters.degreeLevels.join(','),
       excludeIELTS: filters.excludeIELTS,
       excludeAppFee: filters.excludeAppFee,
       deadline: filters.deadlineFilter,
+      fundingType: filters.fundingType,
       sortBy: filters.sortBy,
       gpaMinimum: filters.gpaMinimum,
+      eligibility: filters.hideIneligible ? 'eligible,likely' : '',
+      minMatchScore: filters.minMatchScore,
+      search: filters.search,
       page: filters.currentPage,
       limit: filters.pageSize,
+      facets: true,
       ...additionalFilters,
     }
     return dispatch(fetchScholarships(filterParams))
@@ -31,10 +37,25 @@ export const useScholarships = () => {
   }, [dispatch])
 
   const getScholarshipsWithScores = useCallback(() => {
-    const scholarshipsWithScores = filteredScholarships.map(scholarship => ({
-      ...scholarship,
-      matchScore: calculateMatchScore(profile, scholarship),
-    }))
+    // Signed-in users get scores and filtering from the API, which also
+    // drive its ordering and totals, so those values are kept as they are
+    const scoredByServer = filteredScholarships.some(s => s.matchScore !== undefined && s.matchScore !== null)
+    if (scoredByServer) return filteredScholarships
+
+    let scholarshipsWithScores = filteredScholarships.map(scholarship => {
+      const match = explainMatch(profile, scholarship)
+      return {
+        ...scholarship,
+        matchScore: match.score,
+        eligibilityStatus: match.classification?.status,
+      }
+    })
+
+    // The API only scores for signed-in users; apply the same filters to the
+    // local profile so guests still get them, at least within the page
+    if (filters.hideIneligible) {
+      scholarshipsWithScores = scholarshipsWithScores.filter(s => s.eligibilityStatus !== 'ineligible')
+    }
     
     const minScore = parseInt(filters.minMatchScore) || 0
     if (minScore > 0) {
@@ -42,7 +63,7 @@ export const useScholarships = () => {
     }
     
     return scholarshipsWithScores
-  }, [filteredScholarships, profile, filters.minMatchScore])
+  }, [filteredScholarships, profile, filters.minMatchScore, filters.hideIneligible])
 
   const getSelectedWithScore = useCallback(() => {
     if (!selectedScholarship) return null
@@ -59,6 +80,7 @@ export const useScholarships = () => {
     isLoading,
     error,
     totalCount,
+    facets,
     currentPage,
     pageSize,
     loadScholarships,
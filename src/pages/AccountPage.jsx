@@ -0,0 +1,25 @@
+import { Header } from '../components/Common'
+import { ActiveSessions, CalendarFeed, MatchPreferences, NotificationPreferences } from '../components/Account'
+
+const AccountPage = () => {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+      <div className="container-custom mx-auto px-4 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Account</h1>
+          <p className="text-gray-600">Manage where you're signed in and how scholarships are matched to you, and what we notify you about</p>
+        </div>
+
+        <div className="max-w-3xl space-y-6">
+          <MatchPreferences />
+          <NotificationPreferences />
+          <CalendarFeed />
+          <ActiveSessions />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AccountPage
@@ -0,0 +1,55 @@
+import { useState } from 'react'
+import { Header } from '../components/Common'
+import { UserManagement, ScholarshipManager, ScrapeRuns, ScraperSources, DuplicateReview } from '../components/Admin'
+import { Tabs, TabsList, TabsTrigger, TabsContent } from '../components/ui/tabs'
+import { useAuth } from '../hooks/useAuth'
+
+const AdminPage = () => {
+  const { user } = useAuth()
+  const [tab, setTab] = useState('users')
+  const isAdmin = user?.role === 'admin'
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+      <div className="container-custom mx-auto px-4 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Administration</h1>
+          <p className="text-gray-600">Manage users, scholarship data and scrapers</p>
+        </div>
+
+        <Tabs value={tab} onValueChange={setTab}>
+          <TabsList className="mb-6">
+            <TabsTrigger value="users">Users</TabsTrigger>
+            {isAdmin && <TabsTrigger value="scholarships">Scholarships</TabsTrigger>}
+            {isAdmin && <TabsTrigger value="duplicates">Duplicates</TabsTrigger>}
+            {isAdmin && <TabsTrigger value="scrapes">Scrape Runs</TabsTrigger>}
+          </TabsList>
+          <TabsContent value="users">
+            <UserManagement />
+          </TabsContent>
+          {isAdmin && (
+            <TabsContent value="scholarships">
+              <ScholarshipManager />
+            </TabsContent>
+          )}
+          {isAdmin && (
+            <TabsContent value="duplicates">
+              <DuplicateReview />
+            </TabsContent>
+          )}
+          {isAdmin && (
+            <TabsContent value="scrapes">
+              <div className="space-y-6">
+                <ScraperSources />
+                <ScrapeRuns />
+              </div>
+            </TabsContent>
+          )}
+        </Tabs>
+      </div>
+    </div>
+  )
+}
+
+export default AdminPage
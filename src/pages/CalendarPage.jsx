@@ -0,0 +1,206 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useSelector } from 'react-redux'
+import {
+  addDays, addMonths, addWeeks, eachDayOfInterval, endOfMonth, endOfWeek,
+  format, startOfDay, startOfMonth, startOfWeek,
+} from 'date-fns'
+import { Header, LoadingSpinner } from '../components/Common'
+import { CalendarView, CalendarLegend, CalendarEntryForm } from '../components/Calendar'
+import { Button } from '../components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card'
+import { useToast } from '../components/ui/toast'
+import { userService } from '../services/userService'
+import { scholarshipService } from '../services/scholarshipService'
+import { ChevronLeft, ChevronRight, Plus } from 'lucide-react'
+
+const VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+]
+
+const visibleDays = (view, cursor) => {
+  const start = view === 'month' ? startOfWeek(startOfMonth(cursor)) : startOfWeek(cursor)
+  const end = view === 'month' ? endOfWeek(endOfMonth(cursor)) : endOfWeek(cursor)
+  return eachDayOfInterval({ start, end })
+}
+
+const CalendarPage = () => {
+  const { addToast } = useToast()
+  const { savedScholarships } = useSelector((state) => state.saved)
+  const [view, setView] = useState('month')
+  const [cursor, setCursor] = useState(() => startOfDay(new Date()))
+  const [entries, setEntries] = useState([])
+  const [loadedKey, setLoadedKey] = useState(null)
+  const [reloadCount, setReloadCount] = useState(0)
+  // null, { date } to add an entry or { task } to edit one
+  const [editing, setEditing] = useState(null)
+
+  const days = useMemo(() => visibleDays(view, cursor), [view, cursor])
+  const from = days[0].toISOString()
+  const to = addDays(days[days.length - 1], 1).toISOString()
+  const rangeKey = `${from}|${to}|${reloadCount}`
+
+  useEffect(() => {
+    let cancelled = false
+    const fetchEntries = async () => {
+      try {
+        const data = await userService.getCalendar(from, to)
+        if (!cancelled) setEntries(data.entries)
+      } catch {
+        if (!cancelled) addToast({ type: 'error', message: 'Failed to load your calendar' })
+      } finally {
+        if (!cancelled) setLoadedKey(rangeKey)
+      }
+    }
+    fetchEntries()
+    return () => { cancelled = true }
+  }, [from, to, rangeKey, addToast])
+
+  // Saved entries are either scholarships or saved records wrapping one
+  const savedOptions = savedScholarships.map((s) => ({
+    id: s.id || s.scholarshipId,
+    title: s.title || s.scholarship?.title || s.scholarshipId,
+  }))
+
+  const step = (direction) => {
+    setCursor((current) => (view === 'month' ? addMonths(current, direction) : addWeeks(current, direction)))
+  }
+
+  const handleMoveTask = async (entry, day) => {
+    const previous = new Date(entry.start)
+    const dueAt = new Date(day)
+    dueAt.setHours(previous.getHours(), previous.getMinutes())
+    setEntries((current) => current.map((item) => (item.id === entry.id ? { ...item, start: dueAt.toISOString() } : item)))
+    try {
+      await userService.updateTask(entry.taskId, { dueAt: dueAt.toISOString() })
+    } catch {
+      setEntries((current) => current.map((item) => (item.id === entry.id ? { ...item, start: entry.start } : item)))
+      addToast({ type: 'error', message: 'Failed to move the task' })
+    }
+  }
+
+  const handleSubmit = async (values) => {
+    try {
+      if (values.kind === 'interview') {
+        await scholarshipService.updateInterviewDate(values.scholarshipId, values.when.toISOString())
+      } else {
+        const task = {
+          title: values.title,
+          notes: values.notes,
+          dueAt: values.when.toISOString(),
+          allDay: values.allDay,
+          scholarshipId: values.scholarshipId || null,
+        }
+        if (editing.task) {
+          await userService.updateTask(editing.task.taskId, { ...task, completed: values.completed })
+        } else {
+          await userService.createTask(task)
+        }
+      }
+      setEditing(null)
+      setReloadCount((count) => count + 1)
+    } catch (error) {
+      addToast({ type: 'error', message: error.response?.data?.message || 'Failed to save' })
+    }
+  }
+
+  const handleDelete = async () => {
+    try {
+      await userService.deleteTask(editing.task.taskId)
+      setEntries((current) => current.filter((item) => item.id !== editing.task.id))
+      setEditing(null)
+    } catch {
+      addToast({ type: 'error', message: 'Failed to delete the task' })
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+      <div className="container-custom mx-auto px-4 py-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Calendar</h1>
+            <p className="text-gray-600">Deadlines and interviews for your saved scholarships, and your own tasks</p>
+          </div>
+          <Button onClick={() => setEditing({ date: cursor })}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </Button>
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="sm" onClick={() => step(-1)} aria-label="Previous">
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setCursor(startOfDay(new Date()))}>
+              Today
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => step(1)} aria-label="Next">
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+            <h2 className="ml-2 text-lg font-semibold text-gray-900">
+              {view === 'month' ? format(cursor, 'MMMM yyyy') : `Week of ${format(days[0], 'MMM d, yyyy')}`}
+            </h2>
+          </div>
+          <div className="flex rounded-lg border border-gray-200 bg-white p-0.5">
+            {VIEWS.map((option) => (
+              <Button
+                key={option.value}
+                variant={view === option.value ? 'default' : 'ghost'}
+                size="sm"
+                onClick={() => setView(option.value)}
+              >
+                {option.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <CalendarLegend />
+        </div>
+
+        <div className="grid gap-6 lg:grid-cols-[1fr_20rem]">
+          <div className="relative">
+            {loadedKey !== rangeKey && (
+              <div className="absolute inset-0 z-10 flex items-center justify-center bg-white/60">
+                <LoadingSpinner />
+              </div>
+            )}
+            <CalendarView
+              days={days}
+              cursor={cursor}
+              view={view}
+              entries={entries}
+              onMoveTask={handleMoveTask}
+              onTaskClick={(task) => setEditing({ task })}
+            />
+          </div>
+
+          {editing && (
+            <Card className="h-fit">
+              <CardHeader>
+                <CardTitle className="text-lg">{editing.task ? 'Edit task' : 'Add to calendar'}</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <CalendarEntryForm
+                  key={editing.task?.id || 'new'}
+                  task={editing.task}
+                  date={editing.date}
+                  savedOptions={savedOptions}
+                  onSubmit={handleSubmit}
+                  onDelete={handleDelete}
+                  onCancel={() => setEditing(null)}
+                />
+              </CardContent>
+            </Card>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CalendarPage
@@ -0,0 +1,33 @@
+import { useSearchParams } from 'react-router-dom'
+import { ResetPasswordForm } from '../components/Auth'
+import { Header } from '../components/Common'
+import { KeyRound } from 'lucide-react'
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+      <div className="container-custom mx-auto px-4 py-16">
+        <div className="mx-auto max-w-md">
+          <div className="bg-white rounded-lg p-6 shadow-lg border border-black">
+            <div className="mb-8 text-center">
+              <div className="mx-auto h-12 w-12 rounded-full bg-primary-100 flex items-center justify-center mb-4">
+                <KeyRound className="h-6 w-6 text-primary-500" />
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900">Choose a new password</h1>
+              <p className="mt-2 text-gray-600">You'll be signed out of all other devices</p>
+            </div>
+            <div className="rounded-lg border border-gray-600 bg-white p-6 shadow-sm">
+              <ResetPasswordForm token={token} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
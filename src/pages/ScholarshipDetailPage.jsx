@@ -4,12 +4,14 @@ import { useScholarships } from '../hooks/useScholarships'
 import { useSelector, useDispatch } from 'react-redux'
 import { addSaved, removeSaved, saveScholarship, removeSavedScholarship } from '../store/slices/savedSlice'
 import { Header, LoadingSpinner, EmptyState } from '../components/Common'
+import { EligibilityRules, MatchExplanation } from '../components/Scholarships'
 import { Button } from '../components/ui/button'
 import { Badge } from '../components/ui/badge'
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card'
-import { formatDeadline, calculateMatchScore } from '../utils/formatters'
+import { formatDeadline, explainMatch } from '../utils/formatters'
 import { useToast } from '../components/ui/toast'
-import { Heart, ExternalLink, MapPin, Calendar, GraduationCap, DollarSign, CheckCircle, XCircle } from 'lucide-react'
+import { scholarshipService } from '../services/scholarshipService'
+import { Heart, ExternalLink, MapPin, Calendar, CalendarPlus, GraduationCap, DollarSign, CheckCircle, XCircle } from 'lucide-react'
 import { cn } from '../lib/utils'
 
 const ScholarshipDetailPage = () => {
@@ -64,7 +66,8 @@ const ScholarshipDetailPage = () => {
     )
   }
 
-  const matchScore = calculateMatchScore(profile, selectedScholarship)
+  const match = explainMatch(profile, selectedScholarship)
+  const matchScore = match.score
 
   const getScoreColor = (score) => {
     if (score >= 70) return 'bg-green-500'
@@ -119,11 +122,18 @@ const ScholarshipDetailPage = () => {
                   ))}
                 </div>
 
+                <MatchExplanation match={match} defaultOpen className="mb-6 rounded-lg bg-gray-50 p-4" />
+
                 <div className="mb-6">
                   <h3 className="font-semibold text-gray-900 mb-2">Description</h3>
                   <p className="text-gray-600">{selectedScholarship.description}</p>
                 </div>
 
+                <div className="mb-6">
+                  <h3 className="font-semibold text-gray-900 mb-3">Who Can Apply</h3>
+                  <EligibilityRules eligibility={selectedScholarship.eligibility} />
+                </div>
+
                 <div className="mb-6">
                   <h3 className="font-semibold text-gray-900 mb-3">Requirements</h3>
                   <ul className="space-y-2">
@@ -206,6 +216,15 @@ const ScholarshipDetailPage = () => {
                   <Heart className={cn("h-4 w-4 mr-2", isSaved && "fill-current")} />
                   {isSaved ? 'Remove from Saved' : 'Save Scholarship'}
                 </Button>
+
+                {selectedScholarship.deadline && (
+                  <a href={scholarshipService.getCalendarFileUrl(selectedScholarship.id)} download className="block">
+                    <Button variant="outline" className="w-full">
+                      <CalendarPlus className="h-4 w-4 mr-2" />
+                      Add to Calendar
+                    </Button>
+                  </a>
+                )}
                 
                 <div className="pt-4 border-t border-gray-200">
                   <h4 className="font-medium text-gray-900 mb-2">Deadline</h4>
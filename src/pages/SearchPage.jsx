@@ -1,14 +1,17 @@
 import { useEffect } from 'react'
-import { FilterSidebar, ScholarshipList } from '../components/Scholarships'
+import { FilterSidebar, ScholarshipList, SearchBar, SaveSearchButton } from '../components/Scholarships'
 import { Header } from '../components/Common'
 import { useScholarships } from '../hooks/useScholarships'
+import { useFilterUrlSync } from '../hooks/useFilterUrlSync'
 
 const SearchPage = () => {
   const { loadScholarships } = useScholarships()
+  const inSync = useFilterUrlSync()
 
+  // Filters from a shared link are applied before the first fetch
   useEffect(() => {
-    loadScholarships()
-  }, [loadScholarships])
+    if (inSync) loadScholarships()
+  }, [inSync, loadScholarships])
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -32,6 +35,10 @@ const SearchPage = () => {
           </aside>
 
           <main className="flex-1 min-w-0">
+            <SearchBar className="mb-3" />
+            <div className="mb-6 flex justify-end">
+              <SaveSearchButton />
+            </div>
             <ScholarshipList />
           </main>
         </div>
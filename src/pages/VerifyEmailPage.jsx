@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { Header, LoadingSpinner } from '../components/Common'
+import { Button } from '../components/ui/button'
+import { authService } from '../services/authService'
+import { setUser } from '../store/slices/authSlice'
+import { MailCheck, MailX } from 'lucide-react'
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const dispatch = useDispatch()
+  const { isAuthenticated } = useSelector((state) => state.auth)
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.')
+  // Tokens are single-use, so StrictMode's double effect must not redeem twice
+  const attempted = useRef(false)
+
+  useEffect(() => {
+    if (!token || attempted.current) return
+    attempted.current = true
+
+    const verify = async () => {
+      try {
+        const result = await authService.verifyEmail(token)
+        if (isAuthenticated && result.user) {
+          dispatch(setUser(result.user))
+        }
+        setStatus('success')
+      } catch (err) {
+        setStatus('error')
+        setMessage(err.response?.data?.message || 'Verification failed')
+      }
+    }
+    verify()
+  }, [token, isAuthenticated, dispatch])
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+      <div className="container-custom mx-auto px-4 py-16">
+        <div className="mx-auto max-w-md">
+          <div className="bg-white rounded-lg p-6 shadow-lg border border-black text-center">
+            {status === 'verifying' && (
+              <div className="py-8">
+                <LoadingSpinner size="lg" />
+                <p className="mt-4 text-gray-600">Verifying your email...</p>
+              </div>
+            )}
+            {status === 'success' && (
+              <div className="py-4">
+                <div className="mx-auto h-12 w-12 rounded-full bg-green-100 flex items-center justify-center mb-4">
+                  <MailCheck className="h-6 w-6 text-green-600" />
+                </div>
+                <h1 className="text-2xl font-bold text-gray-900">Email verified</h1>
+                <p className="mt-2 mb-6 text-gray-600">Thanks! You'll now receive alerts and reminders by email.</p>
+                <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+                  <Button className="bg-black text-white">
+                    {isAuthenticated ? 'Go to Dashboard' : 'Login'}
+                  </Button>
+                </Link>
+              </div>
+            )}
+            {status === 'error' && (
+              <div className="py-4">
+                <div className="mx-auto h-12 w-12 rounded-full bg-red-100 flex items-center justify-center mb-4">
+                  <MailX className="h-6 w-6 text-red-600" />
+                </div>
+                <h1 className="text-2xl font-bold text-gray-900">Verification failed</h1>
+                <p className="mt-2 mb-6 text-gray-600">{message}</p>
+                <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+                  <Button variant="outline">
+                    {isAuthenticated ? 'Resend from Dashboard' : 'Login to resend'}
+                  </Button>
+                </Link>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage
@@ -0,0 +1,94 @@
+import apiClient from './apiClient'
+
+export const adminService = {
+  async getUsers(params = {}) {
+    const response = await apiClient.get('/admin/users', { params })
+    return response.data
+  },
+
+  async updateUser(userId, updates) {
+    const response = await apiClient.patch(`/admin/users/${userId}`, updates)
+    return response.data
+  },
+
+  async deleteUser(userId) {
+    const response = await apiClient.delete(`/admin/users/${userId}`)
+    return response.data
+  },
+
+  async getScholarships(params = {}) {
+    const response = await apiClient.get('/admin/scholarships', { params })
+    return response.data
+  },
+
+  async createScholarship(data) {
+    const response = await apiClient.post('/admin/scholarships', data)
+    return response.data
+  },
+
+  async updateScholarship(id, updates) {
+    const response = await apiClient.patch(`/admin/scholarships/${id}`, updates)
+    return response.data
+  },
+
+  async archiveScholarship(id, note) {
+    const response = await apiClient.post(`/admin/scholarships/${id}/archive`, { note })
+    return response.data
+  },
+
+  async restoreScholarship(id, note) {
+    const response = await apiClient.post(`/admin/scholarships/${id}/restore`, { note })
+    return response.data
+  },
+
+  async getScholarshipRevisions(id) {
+    const response = await apiClient.get(`/admin/scholarships/${id}/revisions`)
+    return response.data
+  },
+
+  async rollbackScholarshipRevision(id, revision) {
+    const response = await apiClient.post(`/admin/scholarships/${id}/revisions/${revision}/rollback`)
+    return response.data
+  },
+
+  async getScrapeRuns() {
+    const response = await apiClient.get('/admin/scrape-runs')
+    return response.data
+  },
+
+  // Without sources, every enabled source runs
+  async startScrape(sources) {
+    const response = await apiClient.post('/admin/scrape-runs', sources ? { sources } : {})
+    return response.data
+  },
+
+  async getScraperSources() {
+    const response = await apiClient.get('/admin/scraper-sources')
+    return response.data
+  },
+
+  async updateScraperSource(id, settings) {
+    const response = await apiClient.put(`/admin/scraper-sources/${id}`, { settings })
+    return response.data
+  },
+
+  async getDuplicates() {
+    const response = await apiClient.get('/admin/duplicates')
+    return response.data
+  },
+
+  async mergeDuplicate(id, keep) {
+    const response = await apiClient.post(`/admin/duplicates/${id}/merge`, { keep })
+    return response.data
+  },
+
+  async dismissDuplicate(id) {
+    const response = await apiClient.post(`/admin/duplicates/${id}/dismiss`)
+    return response.data
+  },
+
+  async getStats() {
+    const response = await apiClient.get('/admin/stats')
+    return response.data
+  },
+}
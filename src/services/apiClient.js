@@ -9,6 +9,44 @@ const apiClient = axios.create({
   },
 })
 
+// Endpoints whose 401 means "bad credentials", not "access token expired"
+const NO_REFRESH_PATHS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+]
+
+let refreshPromise = null
+
+export const clearStoredAuth = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('user')
+}
+
+// Concurrent 401s share a single refresh call so the rotated token is only spent once
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        localStorage.setItem('token', response.data.token)
+        localStorage.setItem('refreshToken', response.data.refreshToken)
+        return response.data.token
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
 apiClient.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('token')
@@ -24,11 +62,20 @@ apiClient.interceptors.request.use(
 
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      localStorage.removeItem('token')
-      localStorage.removeItem('user')
-      window.location.href = '/login'
+  async (error) => {
+    const original = error.config
+    const isAuthCall = NO_REFRESH_PATHS.some((path) => original?.url?.startsWith(path))
+
+    if (error.response?.status === 401 && original && !original._retry && !isAuthCall) {
+      original._retry = true
+      try {
+        const token = await refreshAccessToken()
+        original.headers.Authorization = `Bearer ${token}`
+        return apiClient(original)
+      } catch {
+        clearStoredAuth()
+        window.location.href = '/login'
+      }
     }
     return Promise.reject(error)
   }
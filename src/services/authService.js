@@ -1,4 +1,4 @@
-import apiClient from './apiClient'
+import apiClient, { clearStoredAuth } from './apiClient'
 
 export const authService = {
   async register(userData) {
@@ -17,7 +17,50 @@ export const authService = {
   },
 
   async logout() {
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+    const refreshToken = localStorage.getItem('refreshToken')
+    try {
+      if (refreshToken) {
+        await apiClient.post('/auth/logout', { refreshToken })
+      }
+    } catch (error) {
+      console.error('Logout error:', error)
+    } finally {
+      clearStoredAuth()
+    }
+  },
+
+  async forgotPassword(email) {
+    const response = await apiClient.post('/auth/forgot-password', { email })
+    return response.data
+  },
+
+  async resetPassword(token, password) {
+    const response = await apiClient.post('/auth/reset-password', { token, password })
+    return response.data
+  },
+
+  async verifyEmail(token) {
+    const response = await apiClient.post('/auth/verify-email', { token })
+    return response.data
+  },
+
+  async resendVerification() {
+    const response = await apiClient.post('/auth/resend-verification')
+    return response.data
+  },
+
+  async getSessions() {
+    const response = await apiClient.get('/auth/sessions')
+    return response.data
+  },
+
+  async revokeSession(sessionId) {
+    const response = await apiClient.delete(`/auth/sessions/${sessionId}`)
+    return response.data
+  },
+
+  async revokeOtherSessions() {
+    const response = await apiClient.delete('/auth/sessions')
+    return response.data
   },
 }
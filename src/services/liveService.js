@@ -0,0 +1,10 @@
+import apiClient from './apiClient'
+
+export const liveService = {
+  // EventSource cannot send the access token, so it is traded for a one-time ticket
+  async openEventStream() {
+    const response = await apiClient.post('/events/ticket')
+    const url = `${apiClient.defaults.baseURL}/events?ticket=${encodeURIComponent(response.data.ticket)}`
+    return new EventSource(url)
+  },
+}
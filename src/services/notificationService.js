@@ -0,0 +1,33 @@
+import apiClient from './apiClient'
+
+export const notificationService = {
+  async getNotifications(params = {}) {
+    const response = await apiClient.get('/notifications', { params })
+    return response.data
+  },
+
+  async markRead(id) {
+    const response = await apiClient.post(`/notifications/${id}/read`)
+    return response.data
+  },
+
+  async markAllRead() {
+    const response = await apiClient.post('/notifications/read-all')
+    return response.data
+  },
+
+  async getPreferences() {
+    const response = await apiClient.get('/notifications/preferences')
+    return response.data
+  },
+
+  async updatePreferences(preferences) {
+    const response = await apiClient.put('/notifications/preferences', { preferences })
+    return response.data
+  },
+
+  async updateReminderLeadDays(reminderLeadDays) {
+    const response = await apiClient.put('/notifications/preferences', { reminderLeadDays })
+    return response.data
+  },
+}
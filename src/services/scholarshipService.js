@@ -1,6 +1,11 @@
 import apiClient from './apiClient'
 
 export const scholarshipService = {
+  // Plain link for the .ics download; no auth needed
+  getCalendarFileUrl(id) {
+    return `${apiClient.defaults.baseURL}/scholarships/${encodeURIComponent(id)}/calendar.ics`
+  },
+
   async getScholarships(filters = {}) {
     try {
       const response = await apiClient.get('/scholarships', { params: filters })
@@ -11,6 +16,26 @@ export const scholarshipService = {
     }
   },
 
+  async getMatchConfig() {
+    try {
+      const response = await apiClient.get('/scholarships/match-config')
+      return response.data
+    } catch (error) {
+      console.error('Error fetching match config:', error)
+      throw error
+    }
+  },
+
+  async getSuggestions(query) {
+    try {
+      const response = await apiClient.get('/scholarships/suggest', { params: { q: query } })
+      return response.data.suggestions
+    } catch (error) {
+      console.error('Error fetching suggestions:', error)
+      throw error
+    }
+  },
+
   async getScholarshipById(id) {
     try {
       const response = await apiClient.get(`/scholarships/${id}`)
@@ -84,9 +109,19 @@ export const scholarshipService = {
     }
   },
 
-  async getMatchedScholarships() {
+  async updateInterviewDate(id, interviewAt) {
+    try {
+      const response = await apiClient.put(`/users/saved-scholarships/${id}`, { status: 'interview', interviewAt })
+      return response.data
+    } catch (error) {
+      console.error('Error updating interview date:', error)
+      throw error
+    }
+  },
+
+  async getMatchedScholarships(params = {}) {
     try {
-      const response = await apiClient.get('/scholarships/match')
+      const response = await apiClient.get('/scholarships/match', { params })
       return response.data
     } catch (error) {
       console.error('Error fetching matched scholarships:', error)
@@ -11,6 +11,136 @@ export const userService = {
     }
   },
 
+  async updateMatchWeights(weights) {
+    try {
+      const response = await apiClient.put('/users/match-weights', { weights })
+      return response.data
+    } catch (error) {
+      console.error('Update match weights error:', error)
+      throw error
+    }
+  },
+
+  async getSavedSearches() {
+    try {
+      const response = await apiClient.get('/users/saved-searches')
+      return response.data
+    } catch (error) {
+      console.error('Get saved searches error:', error)
+      throw error
+    }
+  },
+
+  async createSavedSearch(search) {
+    try {
+      const response = await apiClient.post('/users/saved-searches', search)
+      return response.data
+    } catch (error) {
+      console.error('Save search error:', error)
+      throw error
+    }
+  },
+
+  async updateSavedSearch(id, changes) {
+    try {
+      const response = await apiClient.put(`/users/saved-searches/${id}`, changes)
+      return response.data
+    } catch (error) {
+      console.error('Update saved search error:', error)
+      throw error
+    }
+  },
+
+  async deleteSavedSearch(id) {
+    try {
+      const response = await apiClient.delete(`/users/saved-searches/${id}`)
+      return response.data
+    } catch (error) {
+      console.error('Delete saved search error:', error)
+      throw error
+    }
+  },
+
+  async getSearchAlerts(params = {}) {
+    try {
+      const response = await apiClient.get('/users/search-alerts', { params })
+      return response.data
+    } catch (error) {
+      console.error('Get search alerts error:', error)
+      throw error
+    }
+  },
+
+  async getCalendarFeed() {
+    try {
+      const response = await apiClient.get('/users/calendar-feed')
+      return response.data
+    } catch (error) {
+      console.error('Get calendar feed error:', error)
+      throw error
+    }
+  },
+
+  async resetCalendarFeed() {
+    try {
+      const response = await apiClient.post('/users/calendar-feed/reset')
+      return response.data
+    } catch (error) {
+      console.error('Reset calendar feed error:', error)
+      throw error
+    }
+  },
+
+  async getCalendar(from, to) {
+    try {
+      const response = await apiClient.get('/users/calendar', { params: { from, to } })
+      return response.data
+    } catch (error) {
+      console.error('Get calendar error:', error)
+      throw error
+    }
+  },
+
+  async createTask(task) {
+    try {
+      const response = await apiClient.post('/users/tasks', task)
+      return response.data
+    } catch (error) {
+      console.error('Create task error:', error)
+      throw error
+    }
+  },
+
+  async updateTask(id, changes) {
+    try {
+      const response = await apiClient.put(`/users/tasks/${id}`, changes)
+      return response.data
+    } catch (error) {
+      console.error('Update task error:', error)
+      throw error
+    }
+  },
+
+  async deleteTask(id) {
+    try {
+      const response = await apiClient.delete(`/users/tasks/${id}`)
+      return response.data
+    } catch (error) {
+      console.error('Delete task error:', error)
+      throw error
+    }
+  },
+
+  async markSearchAlertsRead(selection = {}) {
+    try {
+      const response = await apiClient.post('/users/search-alerts/read', selection)
+      return response.data
+    } catch (error) {
+      console.error('Mark alerts read error:', error)
+      throw error
+    }
+  },
+
   async getProfile() {
     try {
       const response = await apiClient.get('/users/profile')
@@ -36,6 +36,13 @@ export const login = createAsyncThunk(
   }
 )
 
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async () => {
+    await authService.logout()
+  }
+)
+
 export const fetchCurrentUser = createAsyncThunk(
   'auth/fetchCurrentUser',
   async (_, { rejectWithValue }) => {
@@ -59,10 +66,12 @@ const authSlice = createSlice({
       state.error = null
       localStorage.removeItem('user')
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
     },
     setUser: (state, action) => {
       state.user = action.payload
       state.isAuthenticated = true
+      localStorage.setItem('user', JSON.stringify(action.payload))
     },
     clearError: (state) => {
       state.error = null
@@ -81,6 +90,7 @@ const authSlice = createSlice({
         state.isAuthenticated = true
         localStorage.setItem('user', JSON.stringify(action.payload.user))
         localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
       })
       .addCase(register.rejected, (state, action) => {
         state.isLoading = false
@@ -97,11 +107,18 @@ const authSlice = createSlice({
         state.isAuthenticated = true
         localStorage.setItem('user', JSON.stringify(action.payload.user))
         localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
       })
       .addCase(login.rejected, (state, action) => {
         state.isLoading = false
         state.error = action.payload
       })
+      .addCase(logoutUser.fulfilled, (state) => {
+        state.user = null
+        state.token = null
+        state.isAuthenticated = false
+        state.error = null
+      })
       .addCase(fetchCurrentUser.fulfilled, (state, action) => {
         state.user = action.payload
         state.isAuthenticated = true
@@ -112,6 +129,7 @@ const authSlice = createSlice({
         state.isAuthenticated = false
         localStorage.removeItem('user')
         localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
       })
   },
 })
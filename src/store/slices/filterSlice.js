@@ -3,6 +3,7 @@ import { createSlice } from '@reduxjs/toolkit'
 const initialState = {
   selectedCountries: [],
   selectedFields: [],
+  degreeLevels: [],
   excludeIELTS: false,
   excludeAppFee: false,
   deadlineFilter: 'all',
@@ -12,6 +13,8 @@ const initialState = {
   currentPage: 1,
   fundingType: 'all',
   minMatchScore: '0',
+  hideIneligible: false,
+  search: '',
 }
 
 const filterSlice = createSlice({
@@ -44,6 +47,15 @@ const filterSlice = createSlice({
       }
       state.currentPage = 1
     },
+    toggleDegreeLevel: (state, action) => {
+      const level = action.payload
+      if (state.degreeLevels.includes(level)) {
+        state.degreeLevels = state.degreeLevels.filter(l => l !== level)
+      } else {
+        state.degreeLevels.push(level)
+      }
+      state.currentPage = 1
+    },
     setExcludeIELTS: (state, action) => {
       state.excludeIELTS = action.payload
       state.currentPage = 1
@@ -78,9 +90,26 @@ const filterSlice = createSlice({
       state.minMatchScore = String(action.payload)
       state.currentPage = 1
     },
+    setSearch: (state, action) => {
+      const search = action.payload.trim()
+      // Rank by relevance while searching, and stop once the search is cleared
+      if (search && !state.search) state.sortBy = 'relevance'
+      if (!search && state.sortBy === 'relevance') state.sortBy = 'deadline'
+      state.search = search
+      state.currentPage = 1
+    },
+    setHideIneligible: (state, action) => {
+      state.hideIneligible = action.payload
+      state.currentPage = 1
+    },
     resetFilters: () => {
       return { ...initialState }
     },
+    // Replace every filter at once, e.g. from the page URL; page size is a
+    // display preference and stays as it is
+    replaceFilters: (state, action) => {
+      return { ...initialState, pageSize: state.pageSize, ...action.payload }
+    },
   },
 })
 
@@ -89,6 +118,7 @@ export const {
   toggleCountry,
   setFields,
   toggleField,
+  toggleDegreeLevel,
   setExcludeIELTS,
   setExcludeAppFee,
   setDeadlineFilter,
@@ -98,7 +128,12 @@ export const {
   setCurrentPage,
   setFundingType,
   setMinMatchScore,
+  setHideIneligible,
+  setSearch,
   resetFilters,
+  replaceFilters,
 } = filterSlice.actions
 
+export { initialState as initialFilterState }
+
 export default filterSlice.reducer
@@ -0,0 +1,151 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import { notificationService } from '../../services/notificationService'
+import { logoutUser } from './authSlice'
+
+const initialState = {
+  items: [],
+  unreadCount: 0,
+  preferences: null,
+  types: [],
+  reminderLeadDays: [],
+  isLoading: false,
+  error: null,
+}
+
+export const fetchNotifications = createAsyncThunk(
+  'notifications/fetchNotifications',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await notificationService.getNotifications(params)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const markNotificationRead = createAsyncThunk(
+  'notifications/markNotificationRead',
+  async (id, { rejectWithValue }) => {
+    try {
+      const response = await notificationService.markRead(id)
+      return response.notification
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const markAllNotificationsRead = createAsyncThunk(
+  'notifications/markAllNotificationsRead',
+  async (_, { rejectWithValue }) => {
+    try {
+      await notificationService.markAllRead()
+      return new Date().toISOString()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const fetchNotificationPreferences = createAsyncThunk(
+  'notifications/fetchNotificationPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await notificationService.getPreferences()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// Takes a partial update such as { deadline_reminder: { email: false } }
+export const updateNotificationPreferences = createAsyncThunk(
+  'notifications/updateNotificationPreferences',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      const response = await notificationService.updatePreferences(preferences)
+      return response.preferences
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message)
+    }
+  }
+)
+
+// Days before a saved scholarship's deadline to send reminders, e.g. [30, 7, 1]
+export const updateReminderLeadDays = createAsyncThunk(
+  'notifications/updateReminderLeadDays',
+  async (reminderLeadDays, { rejectWithValue }) => {
+    try {
+      const response = await notificationService.updateReminderLeadDays(reminderLeadDays)
+      return response.reminderLeadDays
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message)
+    }
+  }
+)
+
+const notificationsSlice = createSlice({
+  name: 'notifications',
+  initialState,
+  reducers: {
+    notificationReceived: (state, action) => {
+      if (state.items.some(n => n._id === action.payload._id)) return
+      state.items.unshift(action.payload)
+      if (!action.payload.readAt) state.unreadCount += 1
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchNotifications.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(fetchNotifications.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.items = action.payload.notifications
+        state.unreadCount = action.payload.unreadCount
+      })
+      .addCase(fetchNotifications.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+      })
+      .addCase(markNotificationRead.fulfilled, (state, action) => {
+        const item = state.items.find(n => n._id === action.payload._id)
+        if (item && !item.readAt) {
+          item.readAt = action.payload.readAt
+          state.unreadCount = Math.max(0, state.unreadCount - 1)
+        }
+      })
+      .addCase(markAllNotificationsRead.fulfilled, (state, action) => {
+        state.items.forEach(item => {
+          if (!item.readAt) item.readAt = action.payload
+        })
+        state.unreadCount = 0
+      })
+      .addCase(fetchNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload.preferences
+        state.types = action.payload.types
+        state.reminderLeadDays = action.payload.reminderLeadDays
+      })
+      .addCase(updateNotificationPreferences.pending, (state, action) => {
+        // Apply optimistically so checkboxes respond at once
+        Object.entries(action.meta.arg).forEach(([type, channels]) => {
+          state.preferences[type] = { ...state.preferences[type], ...channels }
+        })
+      })
+      .addCase(updateNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload
+      })
+      .addCase(updateReminderLeadDays.pending, (state, action) => {
+        state.reminderLeadDays = action.meta.arg
+      })
+      .addCase(updateReminderLeadDays.fulfilled, (state, action) => {
+        state.reminderLeadDays = action.payload
+      })
+      .addCase(logoutUser.fulfilled, () => initialState)
+  },
+})
+
+export const { notificationReceived } = notificationsSlice.actions
+
+export default notificationsSlice.reducer
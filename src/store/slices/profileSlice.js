@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
 import { userService } from '../../services/userService'
+import { scholarshipService } from '../../services/scholarshipService'
 
 const loadProfileFromStorage = () => {
   try {
@@ -24,6 +25,14 @@ const initialState = {
   fieldOfStudy: savedProfile?.fieldOfStudy || [],
   gpa: savedProfile?.gpa || 0,
   englishLevel: savedProfile?.englishLevel || 'intermediate',
+  citizenship: savedProfile?.citizenship || '',
+  dateOfBirth: savedProfile?.dateOfBirth || null,
+  targetDegreeLevel: savedProfile?.targetDegreeLevel || '',
+  languageTests: savedProfile?.languageTests || [],
+  workExperienceYears: savedProfile?.workExperienceYears ?? null,
+  matchWeights: savedProfile?.matchWeights || {},
+  deploymentWeights: null,
+  matchCriteria: [],
   isLoading: false,
   error: null,
 }
@@ -40,6 +49,28 @@ export const updateProfile = createAsyncThunk(
   }
 )
 
+export const fetchMatchConfig = createAsyncThunk(
+  'profile/fetchMatchConfig',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await scholarshipService.getMatchConfig()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const saveMatchWeights = createAsyncThunk(
+  'profile/saveMatchWeights',
+  async (weights, { rejectWithValue }) => {
+    try {
+      return await userService.updateMatchWeights(weights)
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message)
+    }
+  }
+)
+
 const profileSlice = createSlice({
   name: 'profile',
   initialState,
@@ -79,6 +110,12 @@ const profileSlice = createSlice({
       state.fieldOfStudy = profile.fieldOfStudy || []
       state.gpa = profile.gpa || 0
       state.englishLevel = profile.englishLevel || 'intermediate'
+      state.citizenship = profile.citizenship || ''
+      state.dateOfBirth = profile.dateOfBirth || null
+      state.targetDegreeLevel = profile.targetDegreeLevel || ''
+      state.languageTests = profile.languageTests || []
+      state.workExperienceYears = profile.workExperienceYears ?? null
+      state.matchWeights = profile.matchWeights || {}
       saveToStorage(state)
     },
     clearProfile: (state) => {
@@ -90,6 +127,12 @@ const profileSlice = createSlice({
       state.fieldOfStudy = []
       state.gpa = 0
       state.englishLevel = 'intermediate'
+      state.citizenship = ''
+      state.dateOfBirth = null
+      state.targetDegreeLevel = ''
+      state.languageTests = []
+      state.workExperienceYears = null
+      state.matchWeights = {}
       localStorage.removeItem('profile')
     },
   },
@@ -108,6 +151,14 @@ const profileSlice = createSlice({
         state.isLoading = false
         state.error = action.payload
       })
+      .addCase(fetchMatchConfig.fulfilled, (state, action) => {
+        state.deploymentWeights = action.payload.weights
+        state.matchCriteria = action.payload.criteria
+      })
+      .addCase(saveMatchWeights.fulfilled, (state, action) => {
+        state.matchWeights = action.payload.matchWeights
+        saveToStorage(state)
+      })
   },
 })
 
@@ -120,6 +171,12 @@ function saveToStorage(state) {
     fieldOfStudy: state.fieldOfStudy,
     gpa: state.gpa,
     englishLevel: state.englishLevel,
+    citizenship: state.citizenship,
+    dateOfBirth: state.dateOfBirth,
+    targetDegreeLevel: state.targetDegreeLevel,
+    languageTests: state.languageTests,
+    workExperienceYears: state.workExperienceYears,
+    matchWeights: state.matchWeights,
   }
   localStorage.setItem('profile', JSON.stringify(data))
 }
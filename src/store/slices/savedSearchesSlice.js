@@ -0,0 +1,127 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+import { userService } from '../../services/userService'
+
+const initialState = {
+  searches: [],
+  alerts: [],
+  isLoading: false,
+  error: null,
+}
+
+export const fetchSavedSearches = createAsyncThunk(
+  'savedSearches/fetchSavedSearches',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await userService.getSavedSearches()
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const createSavedSearch = createAsyncThunk(
+  'savedSearches/createSavedSearch',
+  async ({ name, filters, emailDigest }, { rejectWithValue }) => {
+    try {
+      const response = await userService.createSavedSearch({ name, filters, emailDigest })
+      return response.search
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || error.message)
+    }
+  }
+)
+
+export const updateSavedSearch = createAsyncThunk(
+  'savedSearches/updateSavedSearch',
+  async ({ id, ...changes }, { rejectWithValue }) => {
+    try {
+      const response = await userService.updateSavedSearch(id, changes)
+      return response.search
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const deleteSavedSearch = createAsyncThunk(
+  'savedSearches/deleteSavedSearch',
+  async (id, { rejectWithValue }) => {
+    try {
+      await userService.deleteSavedSearch(id)
+      return id
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+export const fetchSearchAlerts = createAsyncThunk(
+  'savedSearches/fetchSearchAlerts',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await userService.getSearchAlerts(params)
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+// Pass { savedSearchId } for one search's alerts, or nothing for all of them
+export const markSearchAlertsRead = createAsyncThunk(
+  'savedSearches/markSearchAlertsRead',
+  async (selection = {}, { rejectWithValue }) => {
+    try {
+      await userService.markSearchAlertsRead(selection)
+      return selection
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
+const savedSearchesSlice = createSlice({
+  name: 'savedSearches',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchSavedSearches.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(fetchSavedSearches.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.searches = action.payload
+      })
+      .addCase(fetchSavedSearches.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+      })
+      .addCase(createSavedSearch.fulfilled, (state, action) => {
+        state.searches.unshift(action.payload)
+      })
+      .addCase(updateSavedSearch.fulfilled, (state, action) => {
+        const index = state.searches.findIndex(s => s._id === action.payload._id)
+        if (index !== -1) state.searches[index] = { ...state.searches[index], ...action.payload }
+      })
+      .addCase(deleteSavedSearch.fulfilled, (state, action) => {
+        state.searches = state.searches.filter(s => s._id !== action.payload)
+        state.alerts = state.alerts.filter(a => a.savedSearchId !== action.payload)
+      })
+      .addCase(fetchSearchAlerts.fulfilled, (state, action) => {
+        state.alerts = action.payload
+      })
+      .addCase(markSearchAlertsRead.fulfilled, (state, action) => {
+        const { savedSearchId } = action.payload
+        const now = new Date().toISOString()
+        state.alerts.forEach(alert => {
+          if (!alert.readAt && (!savedSearchId || alert.savedSearchId === savedSearchId)) alert.readAt = now
+        })
+        state.searches.forEach(search => {
+          if (!savedSearchId || search._id === savedSearchId) search.unreadAlerts = 0
+        })
+      })
+  },
+})
+
+export default savedSearchesSlice.reducer
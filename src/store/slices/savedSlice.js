@@ -82,6 +82,17 @@ const savedSlice = createSlice({
         state.favorites.push(id)
       }
     },
+    // A newer version of a saved scholarship pushed by the server. Entries
+    // are either the scholarship itself or a saved record wrapping it.
+    savedScholarshipUpdated: (state, action) => {
+      const scholarship = action.payload
+      state.savedScholarships = state.savedScholarships.map(s => {
+        if (s.id === scholarship.id) return { ...s, ...scholarship }
+        if (s.scholarshipId === scholarship.id) return { ...s, scholarship: { ...s.scholarship, ...scholarship } }
+        return s
+      })
+      localStorage.setItem('savedScholarships', JSON.stringify(state.savedScholarships))
+    },
     clearAllSaved: (state) => {
       state.savedScholarships = []
       state.applicationStatus = {}
@@ -142,6 +153,7 @@ export const {
   removeSaved, 
   updateStatus, 
   toggleFavorite, 
+  savedScholarshipUpdated,
   clearAllSaved 
 } = savedSlice.actions
 
@@ -8,6 +8,11 @@ const initialState = {
   isLoading: false,
   error: null,
   totalCount: 0,
+  facets: null,
+  // Pushed by the server while signed in; catalogueVersion bumps whenever
+  // the catalogue changes so views can refetch
+  liveMatches: [],
+  catalogueVersion: 0,
   currentPage: 1,
   pageSize: 50,
 }
@@ -62,6 +67,23 @@ const scholarshipsSlice = createSlice({
     clearError: (state) => {
       state.error = null
     },
+    newMatchesReceived: (state, action) => {
+      const ids = new Set(action.payload.map(s => s.id))
+      state.liveMatches = [...action.payload, ...state.liveMatches.filter(s => !ids.has(s.id))]
+      state.catalogueVersion += 1
+    },
+    catalogueUpdated: (state) => {
+      state.catalogueVersion += 1
+    },
+    scholarshipUpdated: (state, action) => {
+      const scholarship = action.payload
+      const merge = (s) => (s.id === scholarship.id ? { ...s, ...scholarship } : s)
+      state.filteredScholarships = state.filteredScholarships.map(merge)
+      state.allScholarships = state.allScholarships.map(merge)
+      if (state.selectedScholarship?.id === scholarship.id) {
+        state.selectedScholarship = merge(state.selectedScholarship)
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -74,6 +96,7 @@ const scholarshipsSlice = createSlice({
         state.filteredScholarships = action.payload.scholarships || action.payload
         state.totalCount = action.payload.total || action.payload.length
         state.allScholarships = action.payload.scholarships || action.payload
+        state.facets = action.payload.facets || null
       })
       .addCase(fetchScholarships.rejected, (state, action) => {
         state.isLoading = false
@@ -101,7 +124,10 @@ export const {
   clearSelectedScholarship,
   setLoading,
   setPage,
-  clearError 
+  clearError,
+  newMatchesReceived,
+  catalogueUpdated,
+  scholarshipUpdated,
 } = scholarshipsSlice.actions
 
 export default scholarshipsSlice.reducer
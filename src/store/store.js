@@ -4,6 +4,8 @@ import profileReducer from './slices/profileSlice'
 import scholarshipsReducer from './slices/scholarshipsSlice'
 import filterReducer from './slices/filterSlice'
 import savedReducer from './slices/savedSlice'
+import savedSearchesReducer from './slices/savedSearchesSlice'
+import notificationsReducer from './slices/notificationsSlice'
 
 export const store = configureStore({
   reducer: {
@@ -12,6 +14,8 @@ export const store = configureStore({
     scholarships: scholarshipsReducer,
     filter: filterReducer,
     saved: savedReducer,
+    savedSearches: savedSearchesReducer,
+    notifications: notificationsReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -63,7 +63,14 @@ export const APPLICATION_STATUS = [
   { value: 'rejected', label: 'Rejected', color: 'destructive' },
 ]
 
+export const USER_ROLES = [
+  { value: 'student', label: 'Student' },
+  { value: 'counselor', label: 'Counselor' },
+  { value: 'admin', label: 'Admin' },
+]
+
 export const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
   { value: 'deadline', label: 'Deadline' },
   { value: 'matchScore', label: 'Match Score' },
   { value: 'recent', label: 'Most Recent' },
@@ -83,6 +90,16 @@ export const FUNDING_TYPES = [
   { value: 'all', label: 'All' },
 ]
 
+// Levels of study a scholarship can fund; matches the backend eligibility vocabulary
+export const STUDY_LEVELS = ["Bachelor's", "Master's", 'PhD', 'Postdoc']
+
+export const LANGUAGE_TESTS = [
+  { value: 'IELTS', label: 'IELTS', max: 9, step: 0.5 },
+  { value: 'TOEFL', label: 'TOEFL iBT', max: 120, step: 1 },
+  { value: 'PTE', label: 'PTE Academic', max: 90, step: 1 },
+  { value: 'Duolingo', label: 'Duolingo English Test', max: 160, step: 5 },
+]
+
 export const DEGREE_TYPES = [
   'Bachelor of Science (BSc)',
   'Bachelor of Arts (BA)',
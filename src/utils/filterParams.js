@@ -0,0 +1,63 @@
+import { DEADLINE_FILTERS, FUNDING_TYPES, SORT_OPTIONS } from './constants'
+import { initialFilterState } from '../store/slices/filterSlice'
+
+// Search filters as URL query parameters, so a filtered search can be
+// bookmarked, shared and walked through with back/forward. Only values that
+// differ from the defaults are written, in a fixed order, so equal filters
+// always give the same query string.
+
+const LIST_PARAMS = { countries: 'selectedCountries', fields: 'selectedFields', levels: 'degreeLevels' }
+const FLAG_PARAMS = { noIelts: 'excludeIELTS', noFee: 'excludeAppFee', eligibleOnly: 'hideIneligible' }
+
+const isOneOf = (options, value) => options.some((option) => option.value === value)
+
+// Searching ranks by relevance unless another sort was picked
+const defaultSortFor = (search) => (search ? 'relevance' : initialFilterState.sortBy)
+
+export const filtersToSearchParams = (filters) => {
+  const params = new URLSearchParams()
+  if (filters.search) params.set('q', filters.search)
+  Object.entries(LIST_PARAMS).forEach(([param, key]) => {
+    if (filters[key].length > 0) params.set(param, filters[key].join(','))
+  })
+  Object.entries(FLAG_PARAMS).forEach(([param, key]) => {
+    if (filters[key]) params.set(param, '1')
+  })
+  if (filters.deadlineFilter !== initialFilterState.deadlineFilter) params.set('deadline', filters.deadlineFilter)
+  if (filters.fundingType !== initialFilterState.fundingType) params.set('funding', filters.fundingType)
+  if (parseInt(filters.minMatchScore) > 0) params.set('minMatch', String(filters.minMatchScore))
+  if (filters.gpaMinimum > 0) params.set('gpa', String(filters.gpaMinimum))
+  if (filters.sortBy !== defaultSortFor(filters.search)) params.set('sort', filters.sortBy)
+  if (filters.currentPage > 1) params.set('page', String(filters.currentPage))
+  return params
+}
+
+// Unknown or malformed values fall back to the defaults rather than failing
+export const searchParamsToFilters = (params) => {
+  const filters = {}
+  const search = (params.get('q') || '').trim()
+  filters.search = search
+
+  Object.entries(LIST_PARAMS).forEach(([param, key]) => {
+    filters[key] = (params.get(param) || '').split(',').map((value) => value.trim()).filter(Boolean)
+  })
+  Object.entries(FLAG_PARAMS).forEach(([param, key]) => {
+    filters[key] = ['1', 'true'].includes(params.get(param))
+  })
+
+  const deadline = params.get('deadline')
+  filters.deadlineFilter = isOneOf(DEADLINE_FILTERS, deadline) ? deadline : initialFilterState.deadlineFilter
+  const funding = params.get('funding')
+  filters.fundingType = isOneOf(FUNDING_TYPES, funding) ? funding : initialFilterState.fundingType
+  const sort = params.get('sort')
+  filters.sortBy = isOneOf(SORT_OPTIONS, sort) && (sort !== 'relevance' || search) ? sort : defaultSortFor(search)
+
+  const minMatch = parseInt(params.get('minMatch'))
+  filters.minMatchScore = minMatch > 0 && minMatch <= 100 ? String(minMatch) : initialFilterState.minMatchScore
+  const gpa = parseFloat(params.get('gpa'))
+  filters.gpaMinimum = gpa > 0 ? gpa : initialFilterState.gpaMinimum
+  const page = parseInt(params.get('page'))
+  filters.currentPage = page > 1 ? page : 1
+
+  return filters
+}
@@ -1,4 +1,5 @@
 import { format, formatDistanceToNow, differenceInDays } from 'date-fns'
+import { resolveWeights, scoreMatch } from '../../shared/matchScoring.js'
 
 export const formatDate = (date) => {
   if (!date) return 'N/A'
@@ -79,63 +80,11 @@ export const capitalizeFirst = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1)
 }
 
-export const calculateMatchScore = (userProfile, scholarship) => {
-  if (!userProfile || !scholarship) return 0
-  
-  // Check if profile has any real data
-  const hasProfileData = (
-    (userProfile.fieldOfStudy && userProfile.fieldOfStudy.length > 0) ||
-    (userProfile.education && userProfile.education.length > 0) ||
-    (userProfile.experience && userProfile.experience.length > 0) ||
-    (userProfile.skills && userProfile.skills.length > 0) ||
-    (userProfile.targetCountries && userProfile.targetCountries.length > 0) ||
-    (userProfile.gpa && userProfile.gpa > 0)
-  )
-  
-  if (!hasProfileData) return 0
-
-  const weights = {
-    field: 0.30,
-    gpa: 0.20,
-    experience: 0.15,
-    country: 0.20,
-    language: 0.15,
-  }
-
-  const userFields = userProfile.fieldOfStudy || []
-  const scholarshipFields = scholarship.fieldOfStudy || []
-  
-  let fieldScore = userFields.some((uf) =>
-    scholarshipFields.some((sf) => 
-      uf.toLowerCase().includes(sf.toLowerCase()) || 
-      sf.toLowerCase().includes(uf.toLowerCase())
-    )
-  ) ? 100 : 40
-
-  const userGPA = userProfile.gpa || 0
-  const minGPA = scholarship.minGPA || 0
-  let gpaScore = userGPA >= minGPA ? 100 : Math.max(50, (userGPA / minGPA) * 80)
-
-  const userExperience = userProfile.experience || []
-  let experienceScore = userExperience.length > 0 ? 90 : 60
-
-  const userCountries = userProfile.targetCountries || []
-  let countryScore = userCountries.includes(scholarship.country) ? 100 : 
-    userCountries.length > 0 ? 60 : 80
-
-  let languageScore = 95
-  if (scholarship.ieltsRequired && userProfile.englishLevel === 'beginner') {
-    languageScore = 50
-  } else if (scholarship.ieltsRequired) {
-    languageScore = 85
-  }
-
-  const total =
-    (fieldScore * weights.field) +
-    (gpaScore * weights.gpa) +
-    (experienceScore * weights.experience) +
-    (countryScore * weights.country) +
-    (languageScore * weights.language)
-
-  return Math.round(Math.min(100, Math.max(0, total)))
+// Same engine and weights as the API's /scholarships/match, so both agree
+export const explainMatch = (userProfile, scholarship) => {
+  if (!userProfile || !scholarship) return { score: 0, criteria: [] }
+  const weights = resolveWeights(userProfile.deploymentWeights, userProfile.matchWeights)
+  return scoreMatch(userProfile, scholarship, { weights })
 }
+
+export const calculateMatchScore = (userProfile, scholarship) => explainMatch(userProfile, scholarship).score